@@ -1,10 +1,10 @@
-const { Desktop } = require('terminator.js');
+import { createDesktop } from './lib/desktop.js';
 
 async function advancedExploration() {
   console.log('🔬 Advanced UI Element Exploration\n');
   
   try {
-    const desktop = new Desktop();
+    const desktop = await createDesktop();
     
     // First, let's see what's currently focused
     console.log('🎯 Current focus analysis:');
@@ -25,7 +25,7 @@ async function advancedExploration() {
       });
       
       if (exploreResult.children.length > 5) {
-        console.log(`   ... and ${exploreResult.children.length - 5} more children`);
+        console.log(`   ... and ${exploreResult.children.length - 5} more children (browse them all with: node element-explorer.js browse --focused)`);
       }
     } catch (error) {
       console.log('❌ Could not explore focused element:', error.message);
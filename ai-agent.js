@@ -20,430 +20,200 @@
  * - Beautiful CLI interface
  */
 
-import { ollama } from 'ollama-ai-provider';
-import { generateText, streamText, generateObject } from 'ai';
-import { z } from 'zod';
+import { generateText } from 'ai';
 import chalk from 'chalk';
 import figlet from 'figlet';
 import inquirer from 'inquirer';
 import ora from 'ora';
 import gradient from 'gradient-string';
 import boxen from 'boxen';
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-// Import Terminator.js SDK
-import { Desktop } from 'terminator.js';
+// Terminator.js desktop (or the mock one, see lib/desktop.js)
+import { createDesktop, desktopBackend } from './lib/desktop.js';
+import { runAgentLoop, createConsoleReporter, resolveMaxSteps } from './lib/agent-loop.js';
+import { ConversationMemory, resolveTokenBudget, messageText, toolNames } from './lib/conversation-memory.js';
+import { captureUiContext, withUiContext, resolveUiContext, updateUiContext, summarizeUiContext } from './lib/ui-context.js';
+import { saveSession, loadSession, listSessions, deleteSession, sessionsDir } from './lib/sessions.js';
+import { createModelRegistry } from './lib/models.js';
+import { ReasoningLog } from './lib/reasoning-log.js';
+import { createPlan, executePlan, validatePlan, planSchema } from './lib/planner.js';
+import { ApprovalStore, guardTools, describeRule } from './lib/approval.js';
+import { loadPolicy } from './lib/policy.js';
+import { MathSession } from './lib/math.js';
+import { createTools, pickTools, TOOLSETS } from './lib/tools/index.js';
+import { resolveHealing } from './lib/healing.js';
+import { installInterruptHandler, isPromptExit } from './lib/interrupt.js';
+import { dispatchCommand, parseAgentArgs } from './lib/cli.js';
+import { openRecording } from './lib/recording.js';
+import { loadWorkflow, parseVars, runWorkflow, createWorkflowReporter, printWorkflowSummary } from './lib/workflow.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Initialize Terminator SDK
-const desktop = new Desktop();
+// ⏺️ Command line, and recording or replaying the session (--record / --replay <file>)
+let options;
+let recording;
+try {
+  options = parseAgentArgs();
+  recording = openRecording({ script: 'ai-agent', record: options.record, replay: options.replay });
+} catch (error) {
+  console.log(chalk.red(`❌ ${error.message}`));
+  console.log(chalk.gray('Usage: node ai-agent.js [--resume <session>] [--mock-desktop] [--record <file>] [--replay <file>]'));
+  process.exit(1);
+}
+
+// Initialize the desktop backend (a replay answers from the recording instead)
+const desktop = await recording.desktop(() => createDesktop());
 
 // 🎨 Styling
 const rainbowGradient = gradient(['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7']);
 const purpleGradient = gradient(['#6C5CE7', '#A29BFE']);
 
-// 🧠 AI Model Configuration
-const model = ollama('deepseek-r1:1.5b', {
-  // Enable thinking mode for reasoning
-  temperature: 0.7,
-  simulateStreaming: true
+// 🧠 AI Model Configuration (agent.config.json / AGENT_PROVIDER / AGENT_MODEL, or "model <name>")
+const models = createModelRegistry();
+let model = recording.model('reasoning', models.get('reasoning'));
+
+// 📜 Command & file policy (agent-policy.json)
+const policy = loadPolicy();
+
+// 🧮 Calculator state: variables and `ans` persist between calculations
+const mathSession = new MathSession();
+
+// 🛠️ Tools (shared library in lib/tools; command output streams to the terminal as it arrives,
+// and selectors that find nothing come back with similar elements, retried with AGENT_SELF_HEAL)
+const tools = recording.tools(pickTools(createTools({
+  desktop,
+  policy,
+  mathSession,
+  healing: resolveHealing(),
+  onOutput: (stream, text) => process[stream].write(stream === 'stderr' ? chalk.red(text) : chalk.gray(text))
+}), TOOLSETS.agent));
+
+// 🛡️ Model-initiated side-effecting tool calls need approval (rules persist in .agent-approvals.json).
+// Direct commands and approved plans call `tools` as-is: the user has already seen the exact arguments.
+// A replay does not ask again: the recorded answers stand, and denied calls return their recorded result.
+const approvals = new ApprovalStore();
+const agentTools = recording.tools(recording.replaying ? tools : guardTools(tools, { store: approvals }));
+
+// 📚 Conversation Memory (system, user, assistant and tool messages)
+const SYSTEM_PROMPT = `You are a helpful AI assistant with desktop automation capabilities. You can:
+- Take screenshots and extract text (OCR)
+- Click UI elements and find elements by selector (e.g. "name:Seven", "role:Button", "window:Notepad >> role:Edit")
+- Confirm a click or keystroke changed the UI (uiChanges: "snapshot" before the action, "compare" after it)
+- Launch, list and focus applications
+- Type text into the focused element
+- Perform calculations, manage files, open URLs and run shell commands
+
+Use the tools to carry out the user's request step by step. When the current UI state is given below, take selectors from it instead of guessing. After each tool result, decide the next action; when the task is done, reply with a short final answer.
+
+Current platform: ${process.platform}`;
+
+const memory = new ConversationMemory({
+  system: SYSTEM_PROMPT,
+  tokenBudget: resolveTokenBudget()
 });
 
-// 🛠️ Tool Definitions
-const tools = {
-  // 📸 Desktop Screenshot Tool
-  screenshot: {
-    description: 'Take a screenshot of the desktop and optionally analyze it with OCR',
-    parameters: z.object({
-      withOCR: z.boolean().optional().describe('Whether to perform OCR text extraction'),
-      savePath: z.string().optional().describe('Path to save screenshot (optional)')
-    }),
-    execute: async ({ withOCR = false, savePath }) => {
-      try {
-        const screenshot = await desktop.captureScreen();
-        let result = { 
-          status: 'success', 
-          message: 'Screenshot taken successfully',
-          size: `${screenshot.width}x${screenshot.height}`
-        };
-
-        if (savePath) {
-          // Save screenshot as PNG
-          const imageBuffer = Buffer.from(screenshot.imageData);
-          await fs.writeFile(savePath, imageBuffer);
-          result.savedTo = savePath;
-        }
-
-        if (withOCR) {
-          const ocrText = await desktop.ocrScreenshot(screenshot);
-          result.ocrText = ocrText;
-          result.textLength = ocrText.length;
-        }
-
-        return result;
-      } catch (error) {
-        return { error: `Screenshot failed: ${error.message}` };
-      }
-    }
-  },
-
-  // 🖱️ Desktop Click Tool
-  clickElement: {
-    description: 'Click on UI elements by locator string or find elements by role/name',
-    parameters: z.object({
-      selector: z.string().describe('Selector string (e.g., "name:Seven", "role:button", "text:OK")'),
-      action: z.enum(['click', 'doubleClick', 'rightClick']).default('click').describe('Click action type')
-    }),
-    execute: async ({ selector, action = 'click' }) => {
-      try {
-        const locator = desktop.locator(selector);
-        const element = await locator.first();
-        
-        let result;
-        switch (action) {
-          case 'click':
-            result = element.click();
-            break;
-          case 'doubleClick':
-            result = element.doubleClick();
-            break;
-          case 'rightClick':
-            element.rightClick();
-            result = { method: 'rightClick', details: 'Right clicked successfully' };
-            break;
-        }
-
-        return { 
-          status: 'success', 
-          message: `${action} performed successfully`,
-          result: result
-        };
-      } catch (error) {
-        return { error: `Click failed: ${error.message}` };
-      }
-    }
-  },
-
-  // 🔍 Element Discovery Tool
-  findElements: {
-    description: 'Find UI elements on the screen by selector',
-    parameters: z.object({
-      selector: z.string().describe('Selector string (e.g., "role:button", "name:Edit", "text:Save")'),
-      limit: z.number().optional().default(10).describe('Maximum number of elements to return')
-    }),
-    execute: async ({ selector, limit = 10 }) => {
-      try {
-        const locator = desktop.locator(selector);
-        const elements = await locator.all();
-        const limitedElements = elements.slice(0, limit);
-        
-        const elementDetails = limitedElements.map(el => ({
-          name: el.name() || 'Unknown',
-          role: el.role(),
-          bounds: el.bounds(),
-          text: el.text(2), // Get text with max depth 2
-          visible: el.isVisible(),
-          enabled: el.isEnabled()
-        }));
-
-        return {
-          status: 'success',
-          selector,
-          count: elements.length,
-          returned: limitedElements.length,
-          elements: elementDetails
-        };
-      } catch (error) {
-        return { error: `Element discovery failed: ${error.message}` };
-      }
-    }
-  },
+// 🪟 UI context: the focused window and its interactive elements, sent with each chat message
+// (AGENT_UI_CONTEXT=0 turns it off, a number sets its token budget; or "context on|off|<tokens>")
+let uiContext = resolveUiContext();
+let lastUiContext = null;
 
-  // 🚀 Application Control Tool
-  appControl: {
-    description: 'Launch, focus, or list applications',
-    parameters: z.object({
-      action: z.enum(['launch', 'list', 'focus', 'activate']).describe('Application action'),
-      appName: z.string().optional().describe('Application name (for launch/focus/activate)')
-    }),
-    execute: async ({ action, appName }) => {
-      try {
-        switch (action) {
-          case 'launch':
-            if (!appName) return { error: 'App name required for launch' };
-            
-            const launchedApp = desktop.openApplication(appName);
-            return { 
-              status: 'success', 
-              message: `Launched ${appName}`,
-              action: 'launch',
-              app: {
-                name: launchedApp.name(),
-                role: launchedApp.role()
-              }
-            };
-
-          case 'list':
-            const apps = desktop.applications();
-            return {
-              status: 'success',
-              action: 'list',
-              count: apps.length,
-              applications: apps.slice(0, 10).map(app => ({
-                name: app.name(),
-                role: app.role(),
-                bounds: app.bounds()
-              }))
-            };
-
-          case 'focus':
-          case 'activate':
-            if (!appName) return { error: 'App name required for focus/activate' };
-            
-            if (action === 'activate') {
-              desktop.activateApplication(appName);
-            } else {
-              const app = desktop.application(appName);
-              app.focus();
-            }
-            
-            return { 
-              status: 'success', 
-              message: `${action === 'activate' ? 'Activated' : 'Focused'} ${appName}`,
-              action
-            };
-
-          default:
-            return { error: 'Invalid action' };
-        }
-      } catch (error) {
-        return { error: `App control failed: ${error.message}` };
-      }
-    }
-  },
-
-  // 🔤 OCR Text Recognition Tool
-  ocrTool: {
-    description: 'Perform OCR text recognition on the current screen',
-    parameters: z.object({
-      imagePath: z.string().optional().describe('Path to image file, or leave empty for screenshot')
-    }),
-    execute: async ({ imagePath }) => {
-      try {
-        let ocrText;
-        
-        if (imagePath) {
-          ocrText = await desktop.ocrImagePath(imagePath);
-        } else {
-          const screenshot = await desktop.captureScreen();
-          ocrText = await desktop.ocrScreenshot(screenshot);
-        }
+// 💭 Model reasoning, kept out of the conversation and stored for review
+const reasoningLog = new ReasoningLog();
+let showReasoning = process.env.AGENT_SHOW_REASONING !== '0';
 
-        return {
-          status: 'success',
-          source: imagePath || 'screenshot',
-          textLength: ocrText.length,
-          wordCount: ocrText.split(/\s+/).length,
-          text: ocrText.slice(0, 1000) + (ocrText.length > 1000 ? '...' : ''),
-          fullText: ocrText
-        };
-      } catch (error) {
-        return { error: `OCR failed: ${error.message}` };
-      }
-    }
-  },
+// 💾 Tool calls made this session, and the named session they are saved to
+let toolCallLog = [];
+let activeSession = null;
 
-  // ⌨️ Text Input Tool
-  textInput: {
-    description: 'Type text into the currently focused element or a specific element',
-    parameters: z.object({
-      text: z.string().describe('Text to type'),
-      selector: z.string().optional().describe('Optional selector to find element first'),
-      useClipboard: z.boolean().optional().default(false).describe('Use clipboard for pasting')
-    }),
-    execute: async ({ text, selector, useClipboard = false }) => {
-      try {
-        let element;
-        
-        if (selector) {
-          const locator = desktop.locator(selector);
-          element = await locator.first();
-        } else {
-          element = desktop.focusedElement();
-        }
+async function persistActiveSession() {
+  if (!activeSession) return;
+  try {
+    await saveSession(activeSession, { memory: memory.toJSON(), toolCalls: toolCallLog, reasoning: reasoningLog.toJSON() });
+  } catch (error) {
+    console.log(chalk.red(`❌ Could not save session "${activeSession}": ${error.message}`));
+  }
+}
 
-        element.typeText(text, useClipboard);
+async function resumeSession(name) {
+  const session = await loadSession(name);
+  memory.restore(session.memory);
+  toolCallLog = session.toolCalls ?? [];
+  reasoningLog.restore(session.reasoning);
+  activeSession = session.name;
+  return session;
+}
 
-        return {
-          status: 'success',
-          message: `Typed "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`,
-          method: useClipboard ? 'clipboard' : 'keyboard',
-          target: selector || 'focused element'
-        };
-      } catch (error) {
-        return { error: `Text input failed: ${error.message}` };
-      }
-    }
-  },
+// 🔁 Maximum observe-act steps per chat message (AGENT_MAX_STEPS or "steps <n>")
+let maxSteps = resolveMaxSteps();
+
+// 🗺️ Plan Review
+function printPlan(plan) {
+  console.log(chalk.blue.bold(`\n🗺️ Plan: ${plan.goal}`));
+  plan.steps.forEach((step, index) => {
+    const check = step.successCheck;
+    const checkText = [check.type, check.selector, check.value && `"${check.value}"`].filter(Boolean).join(' ');
+    console.log(chalk.white(`  ${index + 1}. ${step.description}`));
+    console.log(chalk.gray(`     ${step.tool} ${JSON.stringify(step.args)}`));
+    console.log(chalk.gray(`     ✔ ${checkText}`));
+  });
+}
 
-  // 🧮 Calculator Tool (Enhanced)
-  calculator: {
-    description: 'Perform mathematical calculations or launch Calculator app',
-    parameters: z.object({
-      expression: z.string().describe('Mathematical expression to evaluate'),
-      useApp: z.boolean().optional().describe('Whether to use the Calculator app for demonstration')
-    }),
-    execute: async ({ expression, useApp = false }) => {
-      try {
-        // Calculate the result programmatically
-        const result = Function(`"use strict"; return (${expression})`)();
-        
-        let response = { 
-          result: result.toString(), 
-          expression,
-          method: 'programmatic'
-        };
-
-        // Optionally demonstrate with Calculator app
-        if (useApp) {
-          try {
-            const calcApp = desktop.openApplication('calc');
-            response.appDemo = 'Calculator app launched for demonstration';
-            response.method = 'app + programmatic';
-            response.app = {
-              name: calcApp.name(),
-              role: calcApp.role()
-            };
-          } catch (error) {
-            response.appError = 'Could not launch Calculator app';
-          }
-        }
+/**
+ * Show a plan and let the user run, edit or cancel it.
+ * Returns the approved (possibly edited) plan, or null.
+ */
+async function reviewPlan(plan) {
+  while (true) {
+    printPlan(plan);
+
+    const problems = validatePlan(plan, tools);
+    problems.forEach(problem => console.log(chalk.red(`  ⚠️ ${problem}`)));
+
+    const { choice } = await inquirer.prompt([{
+      type: 'list',
+      name: 'choice',
+      message: 'Run this plan?',
+      choices: [
+        { name: '▶️  Execute', value: 'run', disabled: problems.length > 0 ? 'fix the problems first' : false },
+        { name: '✏️  Edit steps (JSON)', value: 'edit' },
+        { name: '❌ Cancel', value: 'cancel' }
+      ]
+    }]);
 
-        return response;
-      } catch (error) {
-        return { error: 'Invalid mathematical expression', expression };
-      }
-    }
-  },
+    if (choice === 'run') return plan;
+    if (choice === 'cancel') return null;
 
-  // 📂 File Manager Tool (Enhanced)
-  fileManager: {
-    description: 'Read, write, or list files',
-    parameters: z.object({
-      action: z.enum(['read', 'write', 'list', 'open']).describe('File operation to perform'),
-      filepath: z.string().optional().describe('Path to file (for read/write/open)'),
-      content: z.string().optional().describe('Content to write (for write action)'),
-      directory: z.string().optional().describe('Directory to list (for list action)')
-    }),
-    execute: async ({ action, filepath, content, directory }) => {
-      try {
-        switch (action) {
-          case 'read':
-            if (!filepath) return { error: 'Filepath required for read action' };
-            const fileContent = await fs.readFile(filepath, 'utf-8');
-            return { action: 'read', filepath, content: fileContent };
-          
-          case 'write':
-            if (!filepath || !content) return { error: 'Filepath and content required for write action' };
-            await fs.writeFile(filepath, content, 'utf-8');
-            return { action: 'write', filepath, message: 'File written successfully' };
-          
-          case 'list':
-            const dir = directory || '.';
-            const files = await fs.readdir(dir);
-            return { action: 'list', directory: dir, files };
-
-          case 'open':
-            if (!filepath) return { error: 'Filepath required for open action' };
-            desktop.openFile(filepath);
-            return { action: 'open', filepath, message: 'File opened with default application' };
-          
-          default:
-            return { error: 'Invalid action' };
-        }
-      } catch (error) {
-        return { error: error.message, action };
-      }
-    }
-  },
-
-  // 🌐 Web Tool (Enhanced)
-  webTool: {
-    description: 'Open URLs in browser or get current browser window',
-    parameters: z.object({
-      action: z.enum(['open', 'getCurrentBrowser']).describe('Web action to perform'),
-      url: z.string().optional().describe('URL to open (for open action)'),
-      browser: z.string().optional().describe('Specific browser to use')
-    }),
-    execute: async ({ action, url, browser }) => {
-      try {
-        switch (action) {
-          case 'open':
-            if (!url) return { error: 'URL required for open action' };
-            desktop.openUrl(url, browser);
-            return { action: 'open', url, browser: browser || 'default', message: 'URL opened in browser' };
-
-          case 'getCurrentBrowser':
-            const browserWindow = await desktop.getCurrentBrowserWindow();
-            return {
-              action: 'getCurrentBrowser',
-              browser: {
-                name: browserWindow.name(),
-                role: browserWindow.role(),
-                bounds: browserWindow.bounds(),
-                text: browserWindow.text(1)
-              }
-            };
-
-          default:
-            return { error: 'Invalid action' };
-        }
-      } catch (error) {
-        return { error: `Web tool failed: ${error.message}`, action };
-      }
-    }
-  },
+    const { edited } = await inquirer.prompt([{
+      type: 'editor',
+      name: 'edited',
+      message: 'Edit the plan steps',
+      default: JSON.stringify(plan.steps, null, 2),
+      postfix: '.json'
+    }]);
 
-  // 🏃 Command Runner Tool
-  commandRunner: {
-    description: 'Run shell commands',
-    parameters: z.object({
-      windowsCommand: z.string().optional().describe('Command to run on Windows'),
-      unixCommand: z.string().optional().describe('Command to run on Unix/Linux/macOS'),
-      timeout: z.number().optional().default(30000).describe('Timeout in milliseconds')
-    }),
-    execute: async ({ windowsCommand, unixCommand, timeout = 30000 }) => {
-      try {
-        const commandOutput = await desktop.runCommand(windowsCommand, unixCommand);
-        
-        return {
-          status: 'success',
-          exitStatus: commandOutput.exitStatus,
-          stdout: commandOutput.stdout,
-          stderr: commandOutput.stderr,
-          command: {
-            windows: windowsCommand,
-            unix: unixCommand
-          }
-        };
-      } catch (error) {
-        return { error: `Command execution failed: ${error.message}` };
-      }
+    try {
+      plan = planSchema.parse({ goal: plan.goal, steps: JSON.parse(edited) });
+    } catch (error) {
+      console.log(chalk.red(`❌ Invalid plan: ${error.message}`));
     }
   }
-};
-
-// 📚 Conversation History
-let conversationHistory = [];
+}
 
 // 🎭 Display Banner
 function displayBanner() {
   console.clear();
   console.log(rainbowGradient(figlet.textSync('AI Agent', { font: 'ANSI Shadow' })));
-  console.log(purpleGradient('\n🤖 Powered by Terminator.js + DeepSeek-R1:1.5B + Ollama + Vercel AI SDK\n'));
+  console.log(purpleGradient(`\n🤖 Powered by Terminator.js + ${models.describe('reasoning')} + Vercel AI SDK\n`));
+  if (recording.replaying) {
+    console.log(chalk.yellow(`⏯️ Replaying ${recording.file} (no live model or desktop)\n`));
+  } else if (desktopBackend() === 'mock') {
+    console.log(chalk.yellow('🧪 Using the in-memory mock desktop (no real UI is touched)\n'));
+  }
+  if (recording.recording) {
+    console.log(chalk.yellow(`⏺️ Recording this session to ${options.record}\n`));
+  }
   
   console.log(boxen(
     chalk.white.bold('🚀 Desktop Automation + AI Features:\n') +
@@ -473,15 +243,24 @@ const commands = {
       chalk.white('🤖 ') + chalk.green('chat') + chalk.gray(' - Start interactive chat with desktop automation\n') +
       chalk.white('📸 ') + chalk.green('screenshot') + chalk.gray(' - Take desktop screenshot with OCR\n') +
       chalk.white('🖱️ ') + chalk.green('click <selector>') + chalk.gray(' - Click UI elements (e.g., "name:Seven")\n') +
-      chalk.white('🔍 ') + chalk.green('find <selector>') + chalk.gray(' - Find UI elements (e.g., "role:button")\n') +
+      chalk.white('🔍 ') + chalk.green('find <selector>') + chalk.gray(' - Find UI elements (e.g., "role:Button")\n') +
       chalk.white('🚀 ') + chalk.green('app <action> [name]') + chalk.gray(' - Launch/list/focus applications\n') +
       chalk.white('🔤 ') + chalk.green('ocr [imagePath]') + chalk.gray(' - Perform OCR text recognition\n') +
       chalk.white('⌨️ ') + chalk.green('type <text>') + chalk.gray(' - Type text into focused element\n') +
-      chalk.white('🧮 ') + chalk.green('calc <expression>') + chalk.gray(' - Quick calculation\n') +
+      chalk.white('🧮 ') + chalk.green('calc <expression>') + chalk.gray(' - Exact calculation with units and variables (calc vars)\n') +
       chalk.white('📂 ') + chalk.green('files') + chalk.gray(' - List current directory\n') +
       chalk.white('🌐 ') + chalk.green('web <url>') + chalk.gray(' - Open URL in browser\n') +
       chalk.white('🏃 ') + chalk.green('run <command>') + chalk.gray(' - Run shell command\n') +
+      chalk.white('🗺️ ') + chalk.green('plan <goal>') + chalk.gray(' - Plan steps, review them, then execute and verify\n') +
+      chalk.white('📜 ') + chalk.green('run-workflow <file> [name=value...]') + chalk.gray(' - Run a YAML/JSON workflow file\n') +
       chalk.white('💭 ') + chalk.green('think <question>') + chalk.gray(' - Deep reasoning mode\n') +
+      chalk.white('🔁 ') + chalk.green('steps [n]') + chalk.gray(' - Show or set the max tool steps per chat message\n') +
+      chalk.white('💾 ') + chalk.green('session <save|load|list|delete> [name]') + chalk.gray(' - Manage saved sessions\n') +
+      chalk.white('🧠 ') + chalk.green('model [list | <provider:model>]') + chalk.gray(' - Show, list or switch the chat model\n') +
+      chalk.white('💭 ') + chalk.green('reasoning [n | show | hide]') + chalk.gray(' - Review stored model reasoning, or show/hide it while streaming\n') +
+      chalk.white('🛡️ ') + chalk.green('approvals [list | remove <n> | clear]') + chalk.gray(' - Manage saved tool approval rules\n') +
+      chalk.white('📏 ') + chalk.green('policy') + chalk.gray(' - Show the command and file access policy\n') +
+      chalk.white('🪟 ') + chalk.green('context [show | on | off | <tokens>]') + chalk.gray(' - Show the UI context sent with chat messages, toggle it or set its token budget\n') +
       chalk.white('📜 ') + chalk.green('history') + chalk.gray(' - Show conversation history\n') +
       chalk.white('🔄 ') + chalk.green('clear') + chalk.gray(' - Clear conversation history\n') +
       chalk.white('❌ ') + chalk.green('exit') + chalk.gray(' - Exit the agent'),
@@ -494,7 +273,7 @@ const commands = {
     const result = await tools.screenshot.execute({ withOCR: true });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
     } else {
       console.log(chalk.green(`✅ Screenshot taken (${result.size})`));
@@ -505,9 +284,10 @@ const commands = {
     }
   },
 
-  'click': async (selector) => {
+  'click': async (...words) => {
+    const selector = words.join(' ').trim();
     if (!selector) {
-      console.log(chalk.red('❌ Please specify a selector: e.g., "name:Seven", "role:button", "text:OK"'));
+      console.log(chalk.red('❌ Please specify a selector: e.g., "name:Seven", "role:Button", "text:OK"'));
       return;
     }
     
@@ -515,16 +295,17 @@ const commands = {
     const result = await tools.clickElement.execute({ selector });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
     } else {
       console.log(chalk.green(`✅ ${result.message}`));
     }
   },
 
-  'find': async (selector) => {
+  'find': async (...words) => {
+    const selector = words.join(' ').trim();
     if (!selector) {
-      console.log(chalk.red('❌ Please specify a selector: e.g., "role:button", "name:Edit", "text:Save"'));
+      console.log(chalk.red('❌ Please specify a selector: e.g., "role:Button", "name:Edit", "text:Save"'));
       return;
     }
     
@@ -532,7 +313,7 @@ const commands = {
     const result = await tools.findElements.execute({ selector });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
     } else {
       console.log(chalk.green(`✅ Found ${result.count} elements (showing ${result.returned}):`));
@@ -553,7 +334,7 @@ const commands = {
     const result = await tools.appControl.execute({ action, appName });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
     } else if (action === 'list') {
       console.log(chalk.green(`✅ Found ${result.count} applications:`));
@@ -570,7 +351,7 @@ const commands = {
     const result = await tools.ocrTool.execute({ imagePath });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
     } else {
       console.log(chalk.green(`✅ OCR completed on ${result.source}`));
@@ -582,7 +363,8 @@ const commands = {
     }
   },
 
-  'type': async (text) => {
+  'type': async (...words) => {
+    const text = words.join(' ').trim();
     if (!text) {
       console.log(chalk.red('❌ Please provide text to type'));
       return;
@@ -592,25 +374,40 @@ const commands = {
     const result = await tools.textInput.execute({ text });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
     } else {
       console.log(chalk.green(`✅ ${result.message}`));
     }
   },
 
-  'calc': async (expression) => {
+  'calc': async (...words) => {
+    const expression = words.join(' ').trim();
     if (!expression) {
       console.log(chalk.red('❌ Please provide a mathematical expression'));
       return;
     }
+
+    if (expression === 'vars') {
+      const variables = Object.entries(mathSession.listVariables());
+      if (variables.length === 0) {
+        console.log(chalk.gray('No variables yet. Assign one with "calc x = 2 * pi"'));
+      }
+      variables.forEach(([name, value]) => console.log(chalk.white(`   ${name} = ${value}`)));
+      return;
+    }
     
     const spinner = ora('🧮 Calculating...').start();
     const result = await tools.calculator.execute({ expression });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
+      if (result.pointer) {
+        console.log(chalk.gray(result.pointer.split('\n').map(line => `   ${line}`).join('\n')));
+      }
+    } else if (result.assigned) {
+      console.log(chalk.green(`✅ ${result.assigned} = ${result.result}`));
     } else {
       console.log(chalk.green(`✅ ${result.expression} = ${result.result}`));
       if (result.appDemo) {
@@ -623,7 +420,12 @@ const commands = {
     const spinner = ora('📂 Listing files...').start();
     const result = await tools.fileManager.execute({ action: 'list' });
     spinner.stop();
-    
+
+    if (!result.success) {
+      console.log(chalk.red(`❌ ${result.error}`));
+      return;
+    }
+
     console.log(chalk.blue(`📁 Files in ${result.directory}:`));
     result.files.forEach(file => {
       console.log(chalk.gray(`  • ${file}`));
@@ -640,44 +442,41 @@ const commands = {
     const result = await tools.webTool.execute({ action: 'open', url });
     spinner.stop();
     
-    if (result.error) {
+    if (!result.success) {
       console.log(chalk.red(`❌ ${result.error}`));
     } else {
       console.log(chalk.green(`✅ ${result.message}`));
     }
   },
 
-  'run': async (command) => {
+  'run': async (...words) => {
+    const command = words.join(' ').trim();
     if (!command) {
       console.log(chalk.red('❌ Please provide a command to run'));
       return;
     }
     
-    const spinner = ora('🏃 Running command...').start();
+    console.log(chalk.blue(`🏃 Running: ${command}`));
     // Determine if we're on Windows or Unix
     const isWindows = process.platform === 'win32';
     const result = await tools.commandRunner.execute({
       windowsCommand: isWindows ? command : undefined,
       unixCommand: !isWindows ? command : undefined
-    });
-    spinner.stop();
+    }, { abortSignal: interrupts.signal });
     
-    if (result.error) {
-      console.log(chalk.red(`❌ ${result.error}`));
+    // stdout and stderr were streamed above as they arrived
+    if (!result.success) {
+      console.log(chalk.red(`❌ ${result.error}`) + (result.durationMs !== undefined ? chalk.gray(` (${result.durationMs}ms)`) : ''));
     } else {
-      console.log(chalk.green(`✅ Command executed (exit code: ${result.exitStatus})`));
-      if (result.stdout) {
-        console.log(chalk.blue('📤 STDOUT:'));
-        console.log(result.stdout);
-      }
-      if (result.stderr) {
-        console.log(chalk.red('📥 STDERR:'));
-        console.log(result.stderr);
-      }
+      console.log(chalk.green(`✅ Command executed (exit code: ${result.exitCode})`) + chalk.gray(` (${result.durationMs}ms)`));
+    }
+    if (result.truncated) {
+      console.log(chalk.yellow('✂️ Output was over the size cap; the result keeps a truncated copy'));
     }
   },
 
-  'think': async (question) => {
+  'think': async (...words) => {
+    const question = words.join(' ').trim();
     if (!question) {
       console.log(chalk.red('❌ Please provide a question to think about'));
       return;
@@ -689,171 +488,558 @@ const commands = {
       const response = await generateText({
         model,
         prompt: `Think deeply about this question and provide a comprehensive, reasoned answer: ${question}`,
-        temperature: 0.3 // Lower temperature for more focused reasoning
+        temperature: 0.3, // Lower temperature for more focused reasoning
+        abortSignal: interrupts.signal
       });
 
       spinner.stop();
+
+      if (response.reasoning) {
+        if (showReasoning) {
+          console.log(boxen(chalk.dim.gray(response.reasoning.trim()), {
+            title: '💭 reasoning',
+            padding: { left: 1, right: 1 },
+            borderStyle: 'single',
+            borderColor: 'gray',
+            dimBorder: true
+          }));
+        } else {
+          console.log(chalk.gray(`💭 Thought for ${response.reasoning.length} characters (hidden — type "reasoning" to review)`));
+        }
+      }
+
       console.log(boxen(
-        chalk.blue.bold('🧠 Deep Reasoning Result:\n\n') + chalk.white(response.text),
+        chalk.blue.bold('🧠 Deep Reasoning Result:\n\n') + chalk.white(response.text.trim()),
         { padding: 1, borderStyle: 'double', borderColor: 'blue' }
       ));
 
-      conversationHistory.push({ type: 'thinking', question, response: response.text });
+      reasoningLog.add({ source: 'think', prompt: question, text: response.reasoning });
+      memory.addUserMessage(question);
+      memory.addResponseMessages(response.response.messages);
     } catch (error) {
       spinner.stop();
+      if (interrupts.signal?.aborted) {
+        console.log(chalk.yellow('⏹️ Interrupted'));
+        return;
+      }
       console.log(chalk.red(`❌ Error: ${error.message}`));
     }
   },
 
+  'plan': async (...words) => {
+    const goal = words.join(' ').trim();
+    if (!goal) {
+      console.log(chalk.red('❌ Please describe a goal: e.g., plan open Calculator and compute 7 + 3'));
+      return;
+    }
+
+    const spinner = ora('🗺️ Planning...').start();
+    let plan;
+    try {
+      plan = await createPlan({ model, goal, tools });
+      spinner.stop();
+    } catch (error) {
+      spinner.fail(`❌ Planning failed: ${error.message}`);
+      return;
+    }
+
+    plan = await reviewPlan(plan);
+    if (!plan) {
+      console.log(chalk.yellow('🛑 Plan cancelled'));
+      return;
+    }
+
+    const outcome = await executePlan({
+      plan,
+      tools,
+      model,
+      signal: interrupts.signal,
+      approve: async (next) => {
+        console.log(chalk.yellow('\n🔄 Re-planned the remaining steps:'));
+        return reviewPlan(next);
+      },
+      onEvent: (event) => {
+        if (event.type === 'step-start') {
+          console.log(chalk.cyan(`\n▶️  Step ${event.index + 1}: ${event.step.description}`));
+          console.log(chalk.gray(`   ${event.step.tool} ${JSON.stringify(event.step.args)}`));
+        } else if (event.type === 'step-finish') {
+          const icon = event.check.passed ? chalk.green('✅') : chalk.red('❌');
+          console.log(`   ${icon} ${event.check.reason} ${chalk.gray(`(${event.elapsedMs}ms)`)}`);
+        }
+      }
+    });
+
+    if (outcome.success) {
+      console.log(chalk.green(`\n🎉 Plan completed (${outcome.completed.length} steps)`));
+    } else {
+      console.log(chalk.red(`\n❌ Plan stopped after ${outcome.completed.length} step(s): ${outcome.reason}`));
+    }
+
+    const summary = outcome.completed.map(({ step }) => step.description).join('; ');
+    memory.addUserMessage(`Plan and execute: ${goal}`);
+    memory.addResponseMessages([{
+      role: 'assistant',
+      content: outcome.success
+        ? `Completed the plan: ${summary}`
+        : `Plan stopped (${outcome.reason}). Completed: ${summary || 'nothing'}`
+    }]);
+    toolCallLog.push(...[...outcome.completed, ...(outcome.failed ? [outcome.failed] : [])].map(({ step, result }) => ({
+      toolName: step.tool,
+      args: step.args,
+      result,
+      at: new Date().toISOString()
+    })));
+    await persistActiveSession();
+  },
+
+  'run-workflow': async (file, ...pairs) => {
+    if (!file) {
+      console.log(chalk.red('❌ Please provide a workflow file: e.g., run-workflow workflows/calculator.yaml'));
+      return;
+    }
+
+    let workflow;
+    let vars;
+    try {
+      workflow = loadWorkflow(path.resolve(file));
+      vars = parseVars(pairs);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return;
+    }
+
+    console.log(chalk.blue.bold(`\n📜 ${workflow.name}`) + chalk.gray(` (${workflow.steps.length} steps)`));
+    const outcome = await runWorkflow({
+      workflow,
+      desktop,
+      vars,
+      policy,
+      signal: interrupts.signal,
+      onEvent: createWorkflowReporter()
+    });
+    printWorkflowSummary(outcome);
+  },
+
   'history': () => {
-    if (conversationHistory.length === 0) {
+    if (memory.isEmpty()) {
       console.log(chalk.yellow('📜 No conversation history yet'));
       return;
     }
 
     console.log(chalk.blue.bold('📜 Conversation History:\n'));
-    conversationHistory.forEach((entry, index) => {
-      console.log(chalk.gray(`${index + 1}. [${entry.type.toUpperCase()}]`));
-      if (entry.type === 'chat') {
-        console.log(chalk.white(`   User: ${entry.user}`));
-        console.log(chalk.cyan(`   AI: ${entry.ai.substring(0, 100)}...`));
-      } else if (entry.type === 'thinking') {
-        console.log(chalk.white(`   Question: ${entry.question}`));
-        console.log(chalk.cyan(`   Answer: ${entry.response.substring(0, 100)}...`));
+
+    if (memory.summary.length > 0) {
+      console.log(chalk.gray(`🗜️ Summary of ${memory.summary.length} earlier turn(s):`));
+      memory.summary.forEach(line => console.log(chalk.gray(`   • ${line}`)));
+      console.log();
+    }
+
+    memory.turns().forEach((turn, index) => {
+      const [userMessage, ...replies] = turn;
+      const usedTools = toolNames(replies);
+      const answer = replies.filter(m => m.role === 'assistant').map(messageText).join(' ').trim();
+
+      console.log(chalk.gray(`${index + 1}. [${replies.length + 1} messages]`));
+      console.log(chalk.white(`   User: ${messageText(userMessage)}`));
+      if (usedTools.length > 0) {
+        console.log(chalk.yellow(`   Tools: ${usedTools.join(', ')}`));
       }
+      console.log(chalk.cyan(`   AI: ${answer.substring(0, 100)}${answer.length > 100 ? '...' : ''}`));
       console.log();
     });
+
+    console.log(chalk.gray(`≈${memory.tokenCount()} of ${memory.tokenBudget} tokens used`));
+  },
+
+  'context': (arg = 'show') => {
+    if (arg !== 'show') {
+      if (!updateUiContext(uiContext, arg)) {
+        console.log(chalk.red('❌ Usage: context [show | on | off | <tokens>]'));
+        return;
+      }
+      console.log(chalk.green(uiContext.enabled
+        ? `✅ UI context will be sent with chat messages (budget ≈${uiContext.tokenBudget} tokens)`
+        : '✅ UI context will not be sent with chat messages'));
+      return;
+    }
+
+    console.log(chalk.blue(`🪟 UI context is ${uiContext.enabled ? 'on' : 'off'} (budget ≈${uiContext.tokenBudget} tokens)`));
+    if (!lastUiContext) {
+      console.log(chalk.yellow('No UI context sent yet'));
+      return;
+    }
+    console.log(boxen(chalk.white(lastUiContext.text), {
+      title: `🪟 last sent: ${summarizeUiContext(lastUiContext)}`,
+      padding: 1,
+      borderStyle: 'round',
+      borderColor: 'gray'
+    }));
+  },
+
+  'model': (value) => {
+    if (!value) {
+      console.log(chalk.blue(`🧠 Current model: ${models.describe('reasoning')}`));
+      return;
+    }
+
+    if (value === 'list') {
+      console.log(chalk.blue.bold('🧠 Model roles:'));
+      models.roles().forEach(role => {
+        console.log(chalk.white(`  • ${role}: `) + chalk.cyan(models.describe(role)));
+      });
+      console.log(chalk.blue.bold('\n🔌 Providers:'));
+      Object.entries(models.providers).forEach(([name, provider]) => {
+        console.log(chalk.white(`  • ${name}: `) + chalk.gray(`${provider.type}${provider.baseURL ? ` (${provider.baseURL})` : ''}`));
+      });
+      return;
+    }
+
+    try {
+      const name = models.use('reasoning', value);
+      model = recording.model('reasoning', models.get('reasoning'));
+      console.log(chalk.green(`✅ Switched chat model to ${name}`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  },
+
+  'reasoning': (arg) => {
+    if (arg === 'show' || arg === 'hide') {
+      showReasoning = arg === 'show';
+      console.log(chalk.green(`✅ Reasoning will be ${showReasoning ? 'shown dimmed' : 'collapsed'} while the model answers`));
+      return;
+    }
+
+    if (reasoningLog.entries.length === 0) {
+      console.log(chalk.yellow('💭 No reasoning recorded yet'));
+      return;
+    }
+
+    if (arg === undefined) {
+      console.log(chalk.blue.bold('💭 Recorded reasoning:\n'));
+      reasoningLog.entries.forEach((entry, index) => {
+        console.log(chalk.gray(`${index + 1}. [${entry.source.toUpperCase()}] ${entry.at}`));
+        console.log(chalk.white(`   Prompt: ${entry.prompt.substring(0, 80)}`));
+        console.log(chalk.dim.gray(`   ${entry.text.replace(/\s+/g, ' ').substring(0, 100)}...`));
+      });
+      console.log(chalk.gray('\nType "reasoning <n>" to read one in full'));
+      return;
+    }
+
+    const entry = reasoningLog.get(Number.parseInt(arg, 10));
+    if (!entry) {
+      console.log(chalk.red(`❌ No reasoning entry ${arg} (1-${reasoningLog.entries.length})`));
+      return;
+    }
+
+    console.log(boxen(
+      chalk.white.bold(`Prompt: ${entry.prompt}\n\n`) + chalk.dim.gray(entry.text),
+      { title: `💭 reasoning (${entry.source})`, padding: 1, borderStyle: 'round', borderColor: 'gray' }
+    ));
+  },
+
+  'approvals': async (action = 'list', position) => {
+    try {
+      switch (action) {
+        case 'list':
+          if (approvals.rules.length === 0) {
+            console.log(chalk.yellow(`🛡️ No saved approval rules (${approvals.file})`));
+            return;
+          }
+          console.log(chalk.blue.bold(`🛡️ Approval rules (${approvals.file}):\n`));
+          approvals.rules.forEach((rule, index) => {
+            const color = rule.decision === 'allow' ? chalk.green : chalk.red;
+            console.log(color(`  ${index + 1}. ${describeRule(rule)}`));
+          });
+          break;
+
+        case 'remove': {
+          const index = Number.parseInt(position, 10) - 1;
+          if (!approvals.rules[index]) {
+            console.log(chalk.red(`❌ No rule ${position ?? ''} (1-${approvals.rules.length})`));
+            return;
+          }
+          const removed = await approvals.remove(index);
+          console.log(chalk.green(`✅ Removed: ${describeRule(removed)}`));
+          break;
+        }
+
+        case 'clear':
+          await approvals.clear();
+          console.log(chalk.green('✅ All approval rules cleared'));
+          break;
+
+        default:
+          console.log(chalk.red('❌ Usage: approvals [list | remove <n> | clear]'));
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  },
+
+  'policy': () => {
+    console.log(boxen(
+      chalk.white.bold(`📏 Policy: ${policy.file ?? 'built-in defaults (create agent-policy.json to change)'}\n\n`) +
+      chalk.cyan('Commands\n') +
+      chalk.gray(`  allow: ${policy.commands.allow.length > 0 ? policy.commands.allow.map(p => `/${p}/`).join(', ') : 'anything not denied'}\n`) +
+      chalk.gray(`  deny: ${policy.commands.deny.map(p => `/${p}/`).join(', ')}\n`) +
+      chalk.gray(`  blocked binaries: ${policy.commands.blockedBinaries.join(', ')}\n\n`) +
+      chalk.cyan('Files\n') +
+      chalk.gray(`  roots: ${policy.files.roots.join(', ')}\n`) +
+      chalk.gray(`  max read: ${policy.files.maxReadBytes} bytes, max write: ${policy.files.maxWriteBytes} bytes`),
+      { padding: 1, borderStyle: 'round', borderColor: 'yellow' }
+    ));
+  },
+
+  'steps': (value) => {
+    if (value === undefined) {
+      console.log(chalk.blue(`🔁 Max steps per chat message: ${maxSteps}`));
+      return;
+    }
+
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      console.log(chalk.red('❌ Please provide a positive whole number of steps'));
+      return;
+    }
+
+    maxSteps = parsed;
+    console.log(chalk.green(`✅ Max steps set to ${maxSteps}`));
+  },
+
+  'session': async (action, name) => {
+    try {
+      switch (action) {
+        case 'save': {
+          const sessionName = name || activeSession;
+          if (!sessionName) {
+            console.log(chalk.red('❌ Please provide a session name: session save <name>'));
+            return;
+          }
+          const { file } = await saveSession(sessionName, {
+            memory: memory.toJSON(),
+            toolCalls: toolCallLog,
+            reasoning: reasoningLog.toJSON()
+          });
+          activeSession = sessionName;
+          console.log(chalk.green(`✅ Session "${sessionName}" saved to ${file}`));
+          console.log(chalk.gray('   It will be saved again after every chat turn and on exit'));
+          break;
+        }
+
+        case 'load': {
+          if (!name) {
+            console.log(chalk.red('❌ Please provide a session name: session load <name>'));
+            return;
+          }
+          const session = await resumeSession(name);
+          console.log(chalk.green(`✅ Session "${session.name}" loaded (${session.memory.messages.length} messages, ${toolCallLog.length} tool calls)`));
+          break;
+        }
+
+        case 'list': {
+          const sessions = await listSessions();
+          if (sessions.length === 0) {
+            console.log(chalk.yellow(`💾 No saved sessions in ${sessionsDir()}`));
+            return;
+          }
+          console.log(chalk.blue.bold(`💾 Saved sessions (${sessionsDir()}):\n`));
+          sessions.forEach(session => {
+            const marker = session.name === activeSession ? chalk.green(' (active)') : '';
+            console.log(chalk.white(`  • ${session.name}`) + marker);
+            console.log(chalk.gray(`    ${session.messages} messages, ${session.toolCalls} tool calls, ${session.screenshots} screenshots — updated ${session.updatedAt}`));
+          });
+          break;
+        }
+
+        case 'delete': {
+          if (!name) {
+            console.log(chalk.red('❌ Please provide a session name: session delete <name>'));
+            return;
+          }
+          await deleteSession(name);
+          if (name === activeSession) activeSession = null;
+          console.log(chalk.green(`✅ Session "${name}" deleted`));
+          break;
+        }
+
+        default:
+          console.log(chalk.red('❌ Usage: session <save|load|list|delete> [name]'));
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
   },
 
   'clear': () => {
-    conversationHistory = [];
+    memory.clear();
+    reasoningLog.clear();
+    toolCallLog = [];
     console.log(chalk.green('✅ Conversation history cleared'));
   },
 
   'chat': async () => {
     console.log(chalk.blue.bold('\n💬 Interactive Chat Mode with Desktop Automation'));
     console.log(chalk.gray('Type your message (or "back" to return to main menu)\n'));
-    console.log(chalk.yellow('🎯 Available tools: screenshot, click, OCR, app control, text input, file ops, web automation, commands\n'));
+    console.log(chalk.yellow('🎯 Available tools: screenshot, click, OCR, app control, text input, file ops, web automation, commands'));
+    console.log(chalk.gray(`🔁 The agent can chain up to ${maxSteps} tool steps per message\n`));
 
     while (true) {
-      const { message } = await inquirer.prompt([{
+      const message = await recording.input(async () => (await inquirer.prompt([{
         type: 'input',
         name: 'message',
         message: chalk.green('You:'),
         prefix: '🧑'
-      }]);
+      }])).message, { echo: text => console.log(chalk.green(`🧑 You: ${text}`)) });
 
+      if (message === null) await exitAgent();
       if (message.toLowerCase() === 'back') break;
       if (!message.trim()) continue;
 
-      console.log(chalk.cyan('\n🤖 AI: '), { newline: false });
+      console.log(chalk.cyan('\n🤖 AI: '));
 
+      // Ctrl+C aborts this turn and comes back to the prompt
+      const abortSignal = interrupts.startTurn();
       try {
-        const response = await streamText({
-          model,
-          prompt: `Previous conversation context: ${JSON.stringify(conversationHistory.slice(-3))}\n\nUser message: ${message}`,
-          tools: {
-            screenshot: tools.screenshot,
-            clickElement: tools.clickElement,
-            findElements: tools.findElements,
-            appControl: tools.appControl,
-            ocrTool: tools.ocrTool,
-            textInput: tools.textInput,
-            calculator: tools.calculator,
-            fileManager: tools.fileManager,
-            webTool: tools.webTool,
-            commandRunner: tools.commandRunner
-          }
-        });
+        memory.addUserMessage(message);
 
-        let fullResponse = '';
-        
-        for await (const chunk of response.textStream) {
-          process.stdout.write(chalk.cyan(chunk));
-          fullResponse += chunk;
+        // The UI context rides along in this request's system message only
+        lastUiContext = uiContext.enabled ? await captureUiContext(desktop, uiContext) : null;
+        if (lastUiContext) {
+          console.log(chalk.gray(`🪟 UI context: ${summarizeUiContext(lastUiContext)} ("context" shows it)`));
         }
 
+        const turn = await runAgentLoop({
+          model,
+          messages: withUiContext(memory.toMessages(), lastUiContext),
+          tools: agentTools,
+          maxSteps,
+          abortSignal,
+          onEvent: createConsoleReporter({ maxSteps, showReasoning })
+        });
+
         console.log('\n');
 
-        // Handle tool calls if any
-        if (response.toolCalls && response.toolCalls.length > 0) {
-          console.log(chalk.yellow('\n🔧 Tool Results:'));
-          for (const toolCall of response.toolCalls) {
-            console.log(chalk.gray(`  Tool: ${toolCall.toolName}`));
-            console.log(chalk.white(`  Result: ${JSON.stringify(toolCall.result, null, 2)}`));
-          }
+        if (turn.aborted) {
+          console.log(chalk.yellow('⏹️ Turn interrupted; the partial answer is kept in the conversation\n'));
+        }
+
+        if (turn.stepLimitReached) {
+          console.log(chalk.yellow(`⚠️ Stopped after ${maxSteps} steps without a final answer (raise it with "steps <n>")\n`));
         }
 
-        conversationHistory.push({ type: 'chat', user: message, ai: fullResponse });
+        reasoningLog.add({ source: 'chat', prompt: message, text: turn.reasoning });
+        memory.addResponseMessages(turn.responseMessages);
+        toolCallLog.push(...turn.toolCalls.map(call => ({ ...call, at: new Date().toISOString() })));
+        await persistActiveSession();
 
       } catch (error) {
         console.log(chalk.red(`\n❌ Error: ${error.message}`));
+      } finally {
+        interrupts.endTurn();
       }
     }
-  }
+  },
+
+  'exit': () => exitAgent()
 };
 
 // 🎮 Main Command Loop
 async function main() {
   displayBanner();
 
-  // Check if Ollama and model are available
-  const spinner = ora('🔍 Checking DeepSeek-R1:1.5B availability...').start();
-  try {
-    await generateText({
-      model,
-      prompt: 'Hello! Are you working correctly?',
-      maxTokens: 10
-    });
-    spinner.succeed('✅ DeepSeek-R1:1.5B is ready!');
-  } catch (error) {
-    spinner.fail('❌ DeepSeek-R1:1.5B not available');
-    console.log(chalk.red('\n🚨 Setup Instructions:'));
-    console.log(chalk.yellow('1. Install Ollama: curl -fsSL https://ollama.ai/install.sh | sh'));
-    console.log(chalk.yellow('2. Pull the model: ollama pull deepseek-r1:1.5b'));
-    console.log(chalk.yellow('3. Ensure Ollama is running: ollama serve'));
-    process.exit(1);
+  // Check if the configured model is available (scripted and replayed models have nothing to check;
+  // the check goes to the live model so it stays out of recordings)
+  const modelName = models.describe('reasoning');
+  if (models.providerType('reasoning') !== 'scripted' && !recording.replaying) {
+    const spinner = ora(`🔍 Checking ${modelName} availability...`).start();
+    try {
+      await generateText({
+        model: models.get('reasoning'),
+        prompt: 'Hello! Are you working correctly?',
+        maxTokens: 10
+      });
+      spinner.succeed(`✅ ${modelName} is ready!`);
+    } catch (error) {
+      spinner.fail(`❌ ${modelName} not available`);
+      console.log(chalk.red('\n🚨 Setup Instructions:'));
+      if (models.providerType('reasoning') === 'ollama') {
+        console.log(chalk.yellow('1. Install Ollama: curl -fsSL https://ollama.ai/install.sh | sh'));
+        console.log(chalk.yellow(`2. Pull the model: ollama pull ${models.spec('reasoning').model}`));
+        console.log(chalk.yellow('3. Ensure Ollama is running: ollama serve'));
+      } else {
+        console.log(chalk.yellow('1. Start your OpenAI-compatible server'));
+        console.log(chalk.yellow('2. Check the baseURL in agent.config.json or OPENAI_COMPATIBLE_BASE_URL'));
+        console.log(chalk.yellow(`3. Make sure it serves the model "${models.spec('reasoning').model}"`));
+      }
+      process.exit(1);
+    }
+  }
+
+  await approvals.load();
+
+  // Resume a saved session: node ai-agent.js --resume <name>
+  if (options.resume) {
+    try {
+      const session = await resumeSession(options.resume);
+      console.log(chalk.green(`💾 Resumed session "${session.name}" (${session.memory.messages.length} messages, ${toolCallLog.length} tool calls)`));
+    } catch (error) {
+      console.log(chalk.red(`❌ Could not resume session: ${error.message}`));
+      process.exit(1);
+    }
   }
 
   // Main command loop
   while (true) {
     console.log();
-    const { command } = await inquirer.prompt([{
+    const command = await recording.input(async () => (await inquirer.prompt([{
       type: 'input',
       name: 'command',
       message: chalk.magenta('🤖 Agent'),
       prefix: '>'
-    }]);
+    }])).command, { echo: text => console.log(chalk.magenta(`> 🤖 Agent ${text}`)) });
 
-    const [cmd, ...args] = command.trim().split(' ');
-    
-    if (cmd === 'exit') {
-      console.log(chalk.green('\n👋 Goodbye! Thanks for using the AI Agent!'));
-      process.exit(0);
-    }
+    // A replay ends when the recorded input runs out
+    if (command === null) await exitAgent();
 
-    if (commands[cmd]) {
-      await commands[cmd](...args);
-    } else if (cmd) {
-      console.log(chalk.red(`❌ Unknown command: ${cmd}`));
+    const { status, name } = await dispatchCommand(commands, command, { around: runTurn });
+    if (status === 'unknown') {
+      console.log(chalk.red(`❌ Unknown command: ${name}`));
       console.log(chalk.gray('Type "help" for available commands'));
     }
   }
 }
 
+// Each command is one interruptible turn
+async function runTurn(run) {
+  interrupts.startTurn();
+  try {
+    await run();
+  } finally {
+    interrupts.endTurn();
+  }
+}
+
 // 🚀 Error Handling & Startup
 process.on('uncaughtException', (error) => {
   console.log(chalk.red('\n💥 Unexpected error:', error.message));
   process.exit(1);
 });
 
-process.on('SIGINT', () => {
+async function exitAgent() {
+  await persistActiveSession();
+  recording.report().forEach((line, index) => console.log(index === 0 ? chalk.blue(`\n⏯️ ${line}`) : chalk.gray(`   ${line}`)));
   console.log(chalk.green('\n\n👋 Goodbye! Thanks for using the AI Agent!'));
   process.exit(0);
-});
+}
+
+// ⏹️ Ctrl+C interrupts the running command or chat turn; a second Ctrl+C exits
+const interrupts = installInterruptHandler({ onExit: exitAgent });
 
 // Start the agent
-main().catch(error => {
+main().catch(async error => {
+  // Ctrl+C at a prompt closes it with an ExitPromptError
+  if (isPromptExit(error)) await exitAgent();
   console.error(chalk.red('🚨 Fatal error:', error.message));
   process.exit(1);
 }); 
\ No newline at end of file
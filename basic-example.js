@@ -1,10 +1,10 @@
-const { Desktop } = require('terminator.js');
+import { createDesktop } from './lib/desktop.js';
 
 async function basicExample() {
   console.log('🚀 Starting Terminator SDK exploration...\n');
   
   try {
-    const desktop = new Desktop();
+    const desktop = await createDesktop();
     
     // Get root element info
     const root = desktop.root();
@@ -1,22 +1,21 @@
-const { Desktop } = require('terminator.js');
+import { createDesktop } from './lib/desktop.js';
+import { createWaits } from './lib/wait.js';
 
 async function automateBrowser() {
   console.log('🌐 Browser Automation Example\n');
   
   try {
-    const desktop = new Desktop();
+    const desktop = await createDesktop();
+    const waits = createWaits(desktop);
     
     console.log('🚀 Opening GitHub repository...');
     
     // Open the Terminator GitHub repository
     await desktop.openUrl('https://github.com/mediar-ai/terminator');
     
-    // Wait for browser to load
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    // Get current browser window
-    console.log('🔍 Getting browser window...');
-    const browserWindow = await desktop.getCurrentBrowserWindow();
+    // Wait for the browser window
+    console.log('🔍 Waiting for the browser window...');
+    const browserWindow = await waits.until('the browser window', () => desktop.getCurrentBrowserWindow(), { timeout: 15000 });
     console.log(`📱 Browser window: "${browserWindow.name()}"`);
     
     // Take a screenshot
@@ -24,10 +23,10 @@ async function automateBrowser() {
     const screenshot = await desktop.captureScreen();
     console.log(`📷 Screenshot: ${screenshot.width}x${screenshot.height}`);
     
-    // Try to perform OCR on the page
+    // Try to perform OCR on the page, once it has rendered the repository name
     console.log('🔤 Performing OCR on the page...');
     try {
-      const ocrText = await desktop.ocrScreenshot(screenshot);
+      const ocrText = await waits.ocrText('terminator', { timeout: 15000, interval: 500 });
       console.log(`📄 OCR detected text (first 200 chars):`);
       console.log('---');
       console.log(ocrText.substring(0, 200) + '...');
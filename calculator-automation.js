@@ -1,66 +1,53 @@
-const { Desktop } = require('terminator.js');
+import { createDesktop } from './lib/desktop.js';
+import { createAssertions } from './lib/assertions.js';
+import { createTestRun } from './lib/report.js';
+import { createWaits } from './lib/wait.js';
+import { createWorkflowReporter } from './lib/workflow.js';
+
+// JUnit XML, JSON and failure screenshots go here for CI
+const REPORT_DIR = process.env.REPORT_DIR || 'reports/calculator';
 
 async function automateCalculator() {
   console.log('🧮 Calculator Automation Example\n');
-  
-  try {
-    const desktop = new Desktop();
-    
-    console.log('📱 Opening Calculator...');
-    
-    // Open calculator
+
+  const desktop = await createDesktop();
+  const check = createAssertions(desktop);
+  const waits = createWaits(desktop);
+  const run = createTestRun({ name: 'Calculator 7 + 3', desktop, reportDir: REPORT_DIR, onEvent: createWorkflowReporter() });
+
+  await run.step('Open Calculator', async () => {
     await desktop.openApplication('calc');
-    
-    // Wait a moment for it to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Locate calculator window
-    console.log('🔍 Looking for Calculator window...');
-    const calcWindow = desktop.locator('window:Calculator');
-    await calcWindow.expectVisible();
-    
-    console.log('🔢 Performing calculation: 7 + 3 = ?');
-    
-    // Click number 7
-    const sevenButton = desktop.locator('name:Seven');
-    await sevenButton.click();
-    console.log('  Clicked: 7');
-    
-    // Click plus
-    const plusButton = desktop.locator('name:Plus');
-    await plusButton.click();
-    console.log('  Clicked: +');
-    
-    // Click number 3
-    const threeButton = desktop.locator('name:Three');
-    await threeButton.click();
-    console.log('  Clicked: 3');
-    
-    // Click equals
-    const equalsButton = desktop.locator('name:Equals');
-    await equalsButton.click();
-    console.log('  Clicked: =');
-    
-    // Wait a moment for calculation
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Get result using the correct method
-    console.log('📊 Getting result...');
-    const resultElement = desktop.locator('automationid:CalculatorResults');
-    const result = await resultElement.text();
+    await waits.visible('window:Calculator');
+  });
+
+  await run.step('Calculator window is visible', () => check.visible('window:Calculator'));
+
+  // Click 7 + 3 =
+  for (const button of ['Seven', 'Plus', 'Three', 'Equals']) {
+    const target = `window:Calculator >> name:${button}`;
+    await run.step(`Click ${button}`, async () => (await check.enabled(target)).click(), { target });
+  }
+
+  // The display reads "Display is 10" on Windows, so check the end of the text
+  await run.step('Result is 10', async () => {
+    await waits.textStable('automationid:CalculatorResults');
+    const result = await check.textMatches('automationid:CalculatorResults', /\b10$/);
     console.log(`🎉 Calculation result: ${result}`);
-    
-    // Take a screenshot of the calculator
-    console.log('📸 Taking screenshot...');
+  });
+
+  await run.step('Take a screenshot', async () => {
     const screenshot = await desktop.captureScreen();
     console.log(`📷 Screenshot captured: ${screenshot.width}x${screenshot.height}`);
-    
-    console.log('✅ Calculator automation completed!');
-    
-  } catch (error) {
-    console.error('❌ Calculator automation failed:', error.message);
-    console.error(error);
-  }
+  }, { continueOnError: true });
+
+  const report = run.finish();
+  console.log(`\n${report.success ? '✅ Calculator automation passed' : '❌ Calculator automation failed'}: ${report.passed}/${report.tests} steps passed`);
+  console.log(`📊 Reports: ${report.files.junit}, ${report.files.json}`);
+  process.exit(report.success ? 0 : 1);
 }
 
-automateCalculator(); 
\ No newline at end of file
+automateCalculator().catch(error => {
+  console.error('❌ Calculator automation failed:', error.message);
+  console.error(error);
+  process.exit(1);
+});
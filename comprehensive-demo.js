@@ -1,4 +1,4 @@
-const { Desktop } = require('terminator.js');
+import { createDesktop } from './lib/desktop.js';
 
 async function comprehensiveDemo() {
   console.log('🎯 Terminator SDK - Comprehensive Demo\n');
@@ -7,7 +7,7 @@ async function comprehensiveDemo() {
   try {
     // Initialize the desktop automation engine
     console.log('🚀 Initializing Desktop Automation...');
-    const desktop = new Desktop();
+    const desktop = await createDesktop();
     
     // === PART 1: System Information ===
     console.log('\n📊 === SYSTEM INFORMATION ===');
@@ -1,10 +1,17 @@
-const { Desktop } = require('terminator.js');
+import fs from 'fs';
+import readline from 'readline';
+import { spawn } from 'child_process';
+import { createDesktop } from './lib/desktop.js';
+import { parseBrowseArgs, parseDiffArgs, parseExploreArgs, UsageError } from './lib/cli.js';
+import { exploreRoot, exploreTree, formatSnapshot, loadSnapshot } from './lib/explore.js';
+import { diffSnapshots, formatDiff } from './lib/tree-diff.js';
+import { createTreeBrowser, liveRoot, snapshotRoot } from './lib/tree-browser.js';
 
 async function exploreElements() {
   console.log('🔍 Element Explorer - Testing Different Selectors\n');
   
   try {
-    const desktop = new Desktop();
+    const desktop = await createDesktop();
     
     // Test different selector patterns
     console.log('🎯 Testing selector patterns...\n');
@@ -105,4 +112,154 @@ async function exploreElements() {
   }
 }
 
-exploreElements(); 
\ No newline at end of file
+/**
+ * 🌳 Export the accessibility tree of a window, a selector or the focused
+ * element as JSON, YAML or an outline (see lib/explore.js).
+ *
+ * node element-explorer.js explore --window Calculator --depth 6
+ * node element-explorer.js explore --focused --format yaml
+ * node element-explorer.js explore --selector "window:Notepad >> role:MenuBar" --out menu.json
+ */
+async function exportTree(argv) {
+  let options;
+  try {
+    options = parseExploreArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.log(`❌ ${error.message}`);
+    console.log('Usage: node element-explorer.js explore [--window <title> | --selector <selector> | --focused] [--depth <n>] [--format json|yaml|text] [--out <file>] [--mock-desktop]');
+    process.exit(1);
+  }
+
+  const desktop = await createDesktop();
+  const snapshot = await exploreTree(desktop, { target: options.target ?? undefined, maxDepth: options.depth });
+  const output = formatSnapshot(snapshot, options.format);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.log(`🌳 ${snapshot.nodes} elements under ${snapshot.target} written to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+/**
+ * 🔀 Compare two exported snapshots; like `diff`, exits with 1 when they
+ * differ and 2 when they cannot be compared.
+ *
+ * node element-explorer.js explore --window Calculator --out before.json
+ * node element-explorer.js explore --window Calculator --out after.json
+ * node element-explorer.js diff before.json after.json [--format json]
+ */
+function diffTrees(argv) {
+  let options;
+  try {
+    options = parseDiffArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.log(`❌ ${error.message}`);
+    console.log('Usage: node element-explorer.js diff <before> <after> [--format text|json]');
+    process.exit(2);
+  }
+
+  const diff = diffSnapshots(loadSnapshot(options.before), loadSnapshot(options.after));
+  console.log(options.format === 'json' ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+  process.exit(diff.identical ? 0 : 1);
+}
+
+// The platform's clipboard command, else the terminal's clipboard (OSC 52)
+function copyToClipboard(text) {
+  const [command, ...args] = { win32: ['clip'], darwin: ['pbcopy'] }[process.platform] ?? ['xclip', '-selection', 'clipboard'];
+  const viaTerminal = () => process.stdout.write(`\x1b]52;c;${Buffer.from(text).toString('base64')}\x07`);
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (copied) => {
+      if (settled) return;
+      settled = true;
+      if (!copied) viaTerminal();
+      resolve();
+    };
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+    child.on('error', () => finish(false));
+    child.on('close', code => finish(code === 0));
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+  });
+}
+
+/**
+ * 🌲 Browse the element tree in the terminal (see lib/tree-browser.js):
+ * expand with the arrow keys, search, copy selectors, and click, type into
+ * or highlight the selected element.
+ *
+ * node element-explorer.js browse --window Calculator
+ * node element-explorer.js browse --snapshot before.json
+ */
+async function browseTree(argv) {
+  let options;
+  try {
+    options = parseBrowseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.log(`❌ ${error.message}`);
+    console.log('Usage: node element-explorer.js browse [--window <title> | --selector <selector> | --focused | --snapshot <file>] [--mock-desktop]');
+    process.exit(1);
+  }
+  if (!process.stdin.isTTY) {
+    console.log('❌ browse needs an interactive terminal; use "explore" to export the tree instead');
+    process.exit(1);
+  }
+
+  const root = options.snapshot
+    ? snapshotRoot(loadSnapshot(options.snapshot))
+    : liveRoot(await exploreRoot(await createDesktop(), options.target ?? undefined));
+
+  // Tree rows plus the separator, four detail lines and the status line
+  const browser = createTreeBrowser({ root, height: Math.max(5, (process.stdout.rows || 24) - 7), copy: copyToClipboard });
+  const draw = () => process.stdout.write(`\x1b[H\x1b[2J${browser.render({ width: process.stdout.columns || 80 })}`);
+  const close = () => {
+    process.stdin.setRawMode(false);
+    process.stdout.write('\x1b[?25h\x1b[?1049l');
+    process.exit(0);
+  };
+
+  // Alternate screen without a cursor; keys are handled one at a time
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdout.write('\x1b[?1049h\x1b[?25l');
+  draw();
+
+  let pending = Promise.resolve();
+  process.stdin.on('keypress', (sequence, key) => {
+    pending = pending
+      .then(async () => {
+        if (await browser.press(key ?? { sequence }) === 'quit') close();
+      })
+      .catch((error) => {
+        browser.state.message = `❌ ${error.message}`;
+      })
+      .then(draw);
+  });
+}
+
+const [command, ...args] = process.argv.slice(2);
+if (command === 'explore') {
+  exportTree(args).catch(error => {
+    console.error('❌ Tree export failed:', error.message);
+    process.exit(1);
+  });
+} else if (command === 'browse') {
+  browseTree(args).catch(error => {
+    console.error('❌ Tree browser failed:', error.message);
+    process.exit(1);
+  });
+} else if (command === 'diff') {
+  try {
+    diffTrees(args);
+  } catch (error) {
+    console.error('❌ Tree diff failed:', error.message);
+    process.exit(2);
+  }
+} else {
+  exploreElements();
+}
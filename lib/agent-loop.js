@@ -0,0 +1,288 @@
+/**
+ * 🔁 Agent Loop
+ *
+ * Observe-act loop on top of the Vercel AI SDK's multi-step `streamText`:
+ * every tool result is fed back to the model, which keeps acting until it
+ * answers in plain text or the step limit is reached.
+ *
+ * Progress is reported through an `onEvent` callback so each script can
+ * render steps its own way; `createConsoleReporter` is the default renderer.
+ *
+ * Passing an `abortSignal` makes the turn interruptible: the signal reaches
+ * the model request and every tool `execute`, and the loop returns what it
+ * has so far as soon as it fires.
+ */
+
+import { streamText } from 'ai';
+import chalk from 'chalk';
+
+export const DEFAULT_MAX_STEPS = 8;
+
+/**
+ * Read the step limit from `AGENT_MAX_STEPS`, falling back to the default.
+ */
+export function resolveMaxSteps(value = process.env.AGENT_MAX_STEPS) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_MAX_STEPS;
+}
+
+/**
+ * Run one user turn through the observe-act loop.
+ *
+ * Emitted events:
+ * - `{ type: 'step-start', step }`
+ * - `{ type: 'reasoning', step, text }`
+ * - `{ type: 'text', step, text }`
+ * - `{ type: 'tool-call', step, toolCallId, toolName, args }`
+ * - `{ type: 'tool-result', step, toolCallId, toolName, args, result, elapsedMs }`
+ * - `{ type: 'step-finish', step, finishReason }`
+ * - `{ type: 'aborted', step, pendingToolCalls }`
+ *
+ * When aborted, `aborted` is true, `finishReason` is 'aborted' and
+ * `responseMessages` holds a single assistant message with the partial text
+ * and a note of the interruption, ready to be added to the history.
+ *
+ * @returns {Promise<{ text: string, reasoning: string, steps: number, toolCalls: object[],
+ *   finishReason: string, stepLimitReached: boolean, aborted: boolean, responseMessages: object[] }>}
+ */
+export async function runAgentLoop({
+  model,
+  tools,
+  maxSteps = DEFAULT_MAX_STEPS,
+  onEvent = () => {},
+  abortSignal,
+  ...options
+}) {
+  const result = streamText({ model, tools, maxSteps, abortSignal, ...options });
+
+  const startedAt = new Map();
+  const pending = new Map();
+  const toolCalls = [];
+  let step = 0;
+  let stepOpen = false;
+  let text = '';
+  let reasoning = '';
+  let finishReason = 'unknown';
+
+  // Tools that ignore the signal would hold the stream open, so the loop
+  // stops waiting on the stream as soon as the signal fires
+  const parts = result.fullStream[Symbol.asyncIterator]();
+  const ABORTED = Symbol('aborted');
+  const aborted = new Promise((resolve) => {
+    if (abortSignal?.aborted) resolve(ABORTED);
+    abortSignal?.addEventListener('abort', () => resolve(ABORTED), { once: true });
+  });
+
+  while (true) {
+    let next;
+    try {
+      const read = parts.next();
+      read.catch(() => {}); // a read left behind by an abort may still reject
+      next = await Promise.race([aborted, read]);
+    } catch (error) {
+      if (!abortSignal?.aborted) throw error;
+      next = ABORTED;
+    }
+
+    if (next === ABORTED) {
+      parts.return?.().catch(() => {});
+      const pendingToolCalls = [...pending.values()];
+      onEvent({ type: 'aborted', step, pendingToolCalls });
+      return {
+        text,
+        reasoning,
+        steps: step,
+        toolCalls,
+        finishReason: 'aborted',
+        stepLimitReached: false,
+        aborted: true,
+        responseMessages: [{ role: 'assistant', content: interruptedMessage(text, toolCalls, pendingToolCalls) }]
+      };
+    }
+    if (next.done) break;
+
+    const part = next.value;
+    if (!stepOpen && part.type !== 'finish' && part.type !== 'error') {
+      step++;
+      stepOpen = true;
+      onEvent({ type: 'step-start', step });
+    }
+
+    switch (part.type) {
+      case 'reasoning':
+        reasoning += part.textDelta;
+        onEvent({ type: 'reasoning', step, text: part.textDelta });
+        break;
+
+      case 'text-delta':
+        text += part.textDelta;
+        onEvent({ type: 'text', step, text: part.textDelta });
+        break;
+
+      case 'tool-call':
+        startedAt.set(part.toolCallId, Date.now());
+        pending.set(part.toolCallId, part.toolName);
+        onEvent({
+          type: 'tool-call',
+          step,
+          toolCallId: part.toolCallId,
+          toolName: part.toolName,
+          args: part.args
+        });
+        break;
+
+      case 'tool-result': {
+        const elapsedMs = Date.now() - (startedAt.get(part.toolCallId) ?? Date.now());
+        const call = {
+          step,
+          toolCallId: part.toolCallId,
+          toolName: part.toolName,
+          args: part.args,
+          result: part.result,
+          elapsedMs
+        };
+        toolCalls.push(call);
+        pending.delete(part.toolCallId);
+        onEvent({ type: 'tool-result', ...call });
+        break;
+      }
+
+      case 'step-finish':
+        stepOpen = false;
+        finishReason = part.finishReason;
+        onEvent({ type: 'step-finish', step, finishReason });
+        // Text from intermediate steps is narration; only the last step is the answer
+        if (part.finishReason === 'tool-calls') text = '';
+        break;
+
+      case 'finish':
+        finishReason = part.finishReason;
+        break;
+
+      case 'error':
+        // An abort can surface as a stream error; the next iteration reports it
+        if (abortSignal?.aborted) break;
+        throw part.error instanceof Error ? part.error : new Error(String(part.error));
+    }
+  }
+
+  const response = await result.response;
+
+  return {
+    text,
+    reasoning,
+    steps: step,
+    toolCalls,
+    finishReason,
+    stepLimitReached: finishReason === 'tool-calls' && step >= maxSteps,
+    aborted: false,
+    responseMessages: response.messages
+  };
+}
+
+/**
+ * History entry for an interrupted turn: the partial answer plus what the
+ * model had done, so the next turn knows where things stand.
+ */
+function interruptedMessage(text, toolCalls, pendingToolCalls) {
+  const done = toolCalls.map(call => `${call.toolName} ${preview(call.args, 120)} → ${preview(call.result, 120)}`);
+  const lines = [
+    text.trim(),
+    '[Interrupted by the user before the turn finished.]',
+    done.length > 0 && `Tool calls completed before the interruption:\n${done.map(line => `- ${line}`).join('\n')}`,
+    pendingToolCalls.length > 0 && `Cancelled while running: ${pendingToolCalls.join(', ')}`
+  ];
+  return lines.filter(Boolean).join('\n\n');
+}
+
+function preview(value, max = 300) {
+  const json = JSON.stringify(value);
+  if (json === undefined) return String(value);
+  return json.length > max ? `${json.slice(0, max)}...` : json;
+}
+
+/**
+ * Terminal renderer for `runAgentLoop` events: streams text as it arrives and
+ * prints each tool call with its arguments, result and elapsed time.
+ *
+ * Reasoning is streamed dimmed in its own section, or collapsed to a
+ * one-line note when `showReasoning` is false.
+ */
+export function createConsoleReporter({
+  color = chalk.cyan,
+  maxSteps = DEFAULT_MAX_STEPS,
+  showReasoning = true
+} = {}) {
+  let midLine = false;
+  let inReasoning = false;
+  let reasoningLength = 0;
+
+  const endLine = () => {
+    if (midLine) process.stdout.write('\n');
+    midLine = false;
+  };
+
+  const closeReasoning = () => {
+    if (!inReasoning) return;
+    inReasoning = false;
+    endLine();
+    if (showReasoning) {
+      console.log(chalk.gray('└─ end of reasoning'));
+    } else {
+      console.log(chalk.gray(`💭 Thought for ${reasoningLength} characters (hidden — type "reasoning" to review)`));
+    }
+    reasoningLength = 0;
+  };
+
+  return (event) => {
+    if (event.type !== 'reasoning') closeReasoning();
+
+    switch (event.type) {
+      case 'reasoning':
+        if (!inReasoning) {
+          inReasoning = true;
+          endLine();
+          if (showReasoning) console.log(chalk.gray('┌─ 💭 reasoning'));
+        }
+        reasoningLength += event.text.length;
+        if (showReasoning) {
+          process.stdout.write(chalk.dim.gray(event.text));
+          midLine = !event.text.endsWith('\n');
+        }
+        break;
+
+      case 'step-start':
+        if (event.step > 1) {
+          endLine();
+          console.log(chalk.gray(`\n── Step ${event.step}/${maxSteps} ──`));
+        }
+        break;
+
+      case 'text':
+        process.stdout.write(color(event.text));
+        midLine = !event.text.endsWith('\n');
+        break;
+
+      case 'tool-call':
+        endLine();
+        console.log(chalk.yellow(`🔧 ${event.toolName}`) + chalk.gray(` ${preview(event.args)}`));
+        break;
+
+      case 'tool-result': {
+        const failed = event.result && (event.result.error || event.result.success === false);
+        const icon = failed ? chalk.red('❌') : chalk.green('✅');
+        console.log(`   ${icon} ${chalk.white(preview(event.result))} ${chalk.gray(`(${event.elapsedMs}ms)`)}`);
+        break;
+      }
+
+      case 'step-finish':
+        if (event.finishReason !== 'tool-calls') endLine();
+        break;
+
+      case 'aborted':
+        endLine();
+        console.log(chalk.yellow(`⏹️ Interrupted${event.pendingToolCalls.length > 0 ? ` while running ${event.pendingToolCalls.join(', ')}` : ''}`));
+        break;
+    }
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * 🛡️ Tool Approval
+ *
+ * Human-in-the-loop gate for tools the model calls. Every call is classified
+ * as read-only or side-effecting; side-effecting calls are shown with their
+ * exact arguments and need the user's OK before they run.
+ *
+ * Decisions can be remembered as always-allow or always-deny rules, per tool
+ * or per argument pattern, in `.agent-approvals.json` (override with
+ * AGENT_APPROVALS_FILE). A denied call returns a structured refusal to the
+ * model instead of throwing, so it can adapt.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+
+export const READ_ONLY = 'read-only';
+export const SIDE_EFFECTING = 'side-effecting';
+
+/**
+ * How each tool is classified. A function decides from the call's arguments;
+ * tools not listed here are treated as side-effecting.
+ */
+export const TOOL_CLASSIFICATION = {
+  screenshot: ({ savePath }) => (savePath ? SIDE_EFFECTING : READ_ONLY),
+  findElements: READ_ONLY,
+  uiChanges: READ_ONLY,
+  ocrTool: READ_ONLY,
+  calculator: ({ useApp }) => (useApp ? SIDE_EFFECTING : READ_ONLY),
+  calculate: READ_ONLY,
+  clickElement: SIDE_EFFECTING,
+  textInput: SIDE_EFFECTING,
+  typeText: SIDE_EFFECTING,
+  openApp: SIDE_EFFECTING,
+  commandRunner: SIDE_EFFECTING,
+  runCommand: SIDE_EFFECTING,
+  appControl: ({ action }) => (action === 'list' ? READ_ONLY : SIDE_EFFECTING),
+  fileManager: ({ action }) => (action === 'read' || action === 'list' ? READ_ONLY : SIDE_EFFECTING),
+  webTool: ({ action }) => (action === 'getCurrentBrowser' ? READ_ONLY : SIDE_EFFECTING),
+  analyzeArtwork: READ_ONLY,
+  openPaint: SIDE_EFFECTING,
+  setupBrush: SIDE_EFFECTING,
+  drawShape: SIDE_EFFECTING,
+  drawOnCanvas: SIDE_EFFECTING,
+  captureArtwork: SIDE_EFFECTING
+};
+
+export function classifyToolCall(toolName, args = {}, classification = TOOL_CLASSIFICATION) {
+  const entry = classification[toolName];
+  if (typeof entry === 'function') return entry(args);
+  return entry ?? SIDE_EFFECTING;
+}
+
+export function approvalsFile() {
+  return path.resolve(process.env.AGENT_APPROVALS_FILE || '.agent-approvals.json');
+}
+
+/**
+ * First string-valued argument, used as the default target of pattern rules.
+ */
+export function primaryArg(args = {}) {
+  return Object.entries(args).find(([, value]) => typeof value === 'string' && value.length > 0) ?? null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function ruleMatches(rule, toolName, args = {}) {
+  if (rule.tool !== toolName) return false;
+  if (!rule.pattern) return true;
+
+  const regex = new RegExp(rule.pattern);
+  const values = rule.arg
+    ? [args[rule.arg]]
+    : Object.values(args);
+  return values.some(value => value !== undefined && regex.test(String(value)));
+}
+
+export function describeRule(rule) {
+  const scope = rule.pattern ? `${rule.arg ?? 'any argument'} =~ /${rule.pattern}/` : 'any arguments';
+  return `${rule.decision === 'allow' ? 'always allow' : 'always deny'} ${rule.tool} (${scope})`;
+}
+
+/**
+ * Persistent list of always-allow / always-deny rules.
+ * Deny rules win over allow rules.
+ */
+export class ApprovalStore {
+  constructor(file = approvalsFile()) {
+    this.file = file;
+    this.rules = [];
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      this.rules = Array.isArray(data.rules) ? data.rules : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.rules = [];
+    }
+    return this;
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify({ rules: this.rules }, null, 2), 'utf-8');
+  }
+
+  async add(rule) {
+    if (rule.pattern) new RegExp(rule.pattern); // throws on an invalid pattern
+    this.rules.push({ ...rule, createdAt: new Date().toISOString() });
+    await this.save();
+  }
+
+  async remove(index) {
+    const [removed] = this.rules.splice(index, 1);
+    await this.save();
+    return removed;
+  }
+
+  async clear() {
+    this.rules = [];
+    await this.save();
+  }
+
+  /**
+   * 'allow', 'deny', or null when no rule applies.
+   */
+  decide(toolName, args) {
+    const matching = this.rules.filter(rule => ruleMatches(rule, toolName, args));
+    if (matching.some(rule => rule.decision === 'deny')) return 'deny';
+    if (matching.some(rule => rule.decision === 'allow')) return 'allow';
+    return null;
+  }
+}
+
+/**
+ * Ask the user about one side-effecting call in the terminal.
+ *
+ * @returns {Promise<{ decision: 'allow' | 'deny', rule?: object }>}
+ */
+export async function promptForApproval(toolName, args) {
+  console.log(chalk.yellow(`\n🛡️ The agent wants to run ${chalk.bold(toolName)} with:`));
+  console.log(chalk.white(JSON.stringify(args, null, 2).split('\n').map(line => `   ${line}`).join('\n')));
+
+  const primary = primaryArg(args);
+  const choices = [
+    { name: '✅ Allow once', value: 'allow-once' },
+    { name: `✅ Always allow ${toolName}`, value: 'allow-tool' },
+    primary && { name: `✅ Always allow ${toolName} when ${primary[0]} matches a pattern`, value: 'allow-pattern' },
+    { name: '🚫 Deny once', value: 'deny-once' },
+    { name: `🚫 Always deny ${toolName}`, value: 'deny-tool' },
+    primary && { name: `🚫 Always deny ${toolName} when ${primary[0]} matches a pattern`, value: 'deny-pattern' }
+  ].filter(Boolean);
+
+  const { choice } = await inquirer.prompt([{
+    type: 'list',
+    name: 'choice',
+    message: 'Allow this call?',
+    choices
+  }]);
+
+  const [decision, scope] = choice.split('-');
+  if (scope === 'once') return { decision };
+  if (scope === 'tool') return { decision, rule: { tool: toolName, decision } };
+
+  const { pattern } = await inquirer.prompt([{
+    type: 'input',
+    name: 'pattern',
+    message: `Regular expression for ${primary[0]}:`,
+    default: `^${escapeRegExp(primary[1])}$`,
+    validate: (value) => {
+      try {
+        new RegExp(value);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    }
+  }]);
+
+  return { decision, rule: { tool: toolName, arg: primary[0], pattern, decision } };
+}
+
+/**
+ * Wrap tools so side-effecting calls need approval before they execute.
+ */
+export function guardTools(tools, {
+  store,
+  prompt = promptForApproval,
+  classification = TOOL_CLASSIFICATION
+}) {
+  return Object.fromEntries(Object.entries(tools).map(([name, tool]) => [name, {
+    ...tool,
+    execute: async (args, options) => {
+      if (classifyToolCall(name, args, classification) === READ_ONLY) {
+        return tool.execute(args, options);
+      }
+
+      let decision = store.decide(name, args);
+      let reason = decision ? 'matched a saved rule' : null;
+
+      if (!decision) {
+        const answer = await prompt(name, args);
+        decision = answer.decision;
+        reason = 'user decision';
+        if (answer.rule) {
+          await store.add(answer.rule);
+          reason = `user added rule: ${describeRule(answer.rule)}`;
+        }
+      }
+
+      if (decision === 'deny') {
+        return {
+          success: false,
+          denied: true,
+          error: `The user denied the ${name} call (${reason}). Do not retry it with the same arguments; ask the user or try a different approach.`,
+          tool: name,
+          args
+        };
+      }
+
+      return tool.execute(args, options);
+    }
+  }]));
+}
@@ -0,0 +1,148 @@
+/**
+ * ✔️ Desktop Assertions
+ *
+ * Checks for automation scripts and workflows, so a run fails when the
+ * desktop is not in the expected state instead of just logging it:
+ *
+ *   const check = createAssertions(desktop);
+ *   await check.visible('window:Calculator');
+ *   await check.textMatches('automationid:CalculatorResults', /\b10$/);
+ *
+ * Targets are anything `locatorFor` accepts. Each assertion returns what it
+ * read and throws an AssertionFailedError with the expected and actual
+ * values when it does not hold.
+ */
+
+import { locatorFor, splitSelectors } from './desktop.js';
+
+export class AssertionFailedError extends Error {
+  constructor(message, { assertion, selector = null, expected, actual }) {
+    super(message);
+    this.name = 'AssertionFailedError';
+    this.assertion = assertion;
+    this.selector = selector;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Assertion names and the arguments they take, for `describeAssertion` and
+ * the workflow `assert` step.
+ */
+export const ASSERTIONS = {
+  textEquals: ['target', 'expected'],
+  textContains: ['target', 'expected'],
+  textMatches: ['target', 'pattern'],
+  visible: ['target'],
+  enabled: ['target'],
+  count: ['target', 'expected'],
+  ocrContains: ['expected']
+};
+
+const quote = value => JSON.stringify(String(value));
+
+function describeCount(expected) {
+  if (typeof expected === 'number') return String(expected);
+  const { min, max } = expected;
+  if (min != null && max != null) return `${min}-${max}`;
+  return min != null ? `at least ${min}` : `at most ${max}`;
+}
+
+/**
+ * @param {object} desktop Terminator `Desktop`
+ * @param {object} [options]
+ * @param {number} [options.maxDepth] how deep `text*` assertions read text
+ */
+export function createAssertions(desktop, { maxDepth = 1 } = {}) {
+  const fail = (assertion, target, message, { expected, actual }) => {
+    const selector = target ? splitSelectors(target).join(' >> ') : null;
+    throw new AssertionFailedError(message, { assertion, selector, expected, actual });
+  };
+
+  const element = async (assertion, target) => {
+    try {
+      return await locatorFor(desktop, target).first();
+    } catch (error) {
+      const selector = splitSelectors(target).join(' >> ');
+      return fail(assertion, target, `Expected an element for "${selector}": ${error.message}`, { expected: 'an element', actual: null });
+    }
+  };
+
+  const readText = async (assertion, target, depth) => (await element(assertion, target)).text(depth ?? maxDepth);
+
+  return {
+    async textEquals(target, expected, { maxDepth: depth } = {}) {
+      const actual = await readText('textEquals', target, depth);
+      if (actual !== String(expected)) {
+        fail('textEquals', target, `Expected text ${quote(expected)}, got ${quote(actual)}`, { expected: String(expected), actual });
+      }
+      return actual;
+    },
+
+    async textContains(target, expected, { maxDepth: depth } = {}) {
+      const actual = await readText('textContains', target, depth);
+      if (!actual.includes(String(expected))) {
+        fail('textContains', target, `Expected text containing ${quote(expected)}, got ${quote(actual)}`, { expected: String(expected), actual });
+      }
+      return actual;
+    },
+
+    async textMatches(target, pattern, { maxDepth: depth } = {}) {
+      const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+      const actual = await readText('textMatches', target, depth);
+      if (!regex.test(actual)) {
+        fail('textMatches', target, `Expected text matching ${regex}, got ${quote(actual)}`, { expected: String(regex), actual });
+      }
+      return actual;
+    },
+
+    async visible(target) {
+      const found = await element('visible', target);
+      if (!found.isVisible()) fail('visible', target, 'Expected the element to be visible', { expected: true, actual: false });
+      return found;
+    },
+
+    async enabled(target) {
+      const found = await element('enabled', target);
+      if (!found.isEnabled()) fail('enabled', target, 'Expected the element to be enabled', { expected: true, actual: false });
+      return found;
+    },
+
+    /**
+     * `expected` is an exact number or `{ min, max }`.
+     */
+    async count(target, expected) {
+      let elements;
+      try {
+        elements = await locatorFor(desktop, target).all();
+      } catch {
+        elements = [];
+      }
+      const actual = elements.length;
+      const { min, max } = typeof expected === 'number' ? { min: expected, max: expected } : expected;
+      if ((min != null && actual < min) || (max != null && actual > max)) {
+        fail('count', target, `Expected ${describeCount(expected)} element(s), found ${actual}`, { expected, actual });
+      }
+      return actual;
+    },
+
+    /**
+     * OCR the whole screen and look for `expected` (case-insensitive).
+     */
+    async ocrContains(expected) {
+      const actual = await desktop.ocrScreenshot(await desktop.captureScreen());
+      if (!actual.toLowerCase().includes(String(expected).toLowerCase())) {
+        fail('ocrContains', null, `Expected on-screen text containing ${quote(expected)}, OCR read ${quote(actual.slice(0, 200))}`, { expected: String(expected), actual });
+      }
+      return actual;
+    }
+  };
+}
+
+/**
+ * One-line description of an assertion, e.g. `textEquals display "10"`.
+ */
+export function describeAssertion(name, args) {
+  return [name, ...args.map((arg, i) => (ASSERTIONS[name][i] === 'target' ? [arg].flat().join(' >> ') : JSON.stringify(arg)))].join(' ');
+}
@@ -0,0 +1,221 @@
+/**
+ * ⌨️ Command Lines
+ *
+ * Parsing for what the user types: commands at the ai-agent prompt
+ * (`click name:Seven`) and the arguments the scripts are started with.
+ */
+
+import { parseArgs } from 'util';
+import { MOCK_DESKTOP_FLAG } from './desktop.js';
+import { EXPLORE_DEFAULTS, EXPORT_FORMATS } from './explore.js';
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Split a prompt line into the command name and its whitespace-separated
+ * arguments. Commands that take free text or selectors (`run`, `calc`,
+ * `plan`, `click`, `find`) join the arguments back together.
+ */
+export function parseCommandLine(line) {
+  const [name = '', ...args] = line.trim().split(/\s+/).filter(Boolean);
+  return { name, args };
+}
+
+/**
+ * Run the handler for a prompt line. `around` wraps the handler call (the
+ * agent uses it to start and end an interruptible turn).
+ *
+ * @returns {Promise<{ status: 'empty' | 'unknown' | 'ran', name: string, args: string[] }>}
+ */
+export async function dispatchCommand(commands, line, { around = run => run() } = {}) {
+  const { name, args } = parseCommandLine(line);
+  if (!name) return { status: 'empty', name, args };
+  if (!Object.hasOwn(commands, name)) return { status: 'unknown', name, args };
+
+  await around(() => commands[name](...args));
+  return { status: 'ran', name, args };
+}
+
+// Options every chat script accepts (see lib/desktop.js and lib/recording.js)
+const SESSION_OPTIONS = {
+  'mock-desktop': { type: 'boolean', default: false },
+  record: { type: 'string' },
+  replay: { type: 'string' }
+};
+
+function parseSessionArgs(argv, options = {}) {
+  try {
+    const { values } = parseArgs({ args: argv, options: { ...options, ...SESSION_OPTIONS } });
+    return {
+      values,
+      session: { mockDesktop: values['mock-desktop'], record: values.record ?? null, replay: values.replay ?? null }
+    };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * `node ai-agent.js [--resume <session>] [--mock-desktop] [--record <file>] [--replay <file>]`
+ */
+export function parseAgentArgs(argv = process.argv.slice(2)) {
+  const { values, session } = parseSessionArgs(argv, { resume: { type: 'string' } });
+  return { resume: values.resume ?? null, ...session };
+}
+
+/**
+ * `node simple-agent.js [--mock-desktop] [--record <file>] [--replay <file>]`
+ */
+export function parseSimpleAgentArgs(argv = process.argv.slice(2)) {
+  return parseSessionArgs(argv).session;
+}
+
+/**
+ * test-agent.js commands: the tool each one runs and how its arguments map
+ * onto the tool's parameters. `needs` names the required argument.
+ */
+export const TEST_AGENT_COMMANDS = {
+  screenshot: { tool: 'screenshot', args: params => ({ withOCR: params.includes('--ocr') }) },
+  click: { tool: 'clickElement', needs: 'a selector', args: params => ({ selector: params.join(' ') }) },
+  find: { tool: 'findElements', needs: 'a selector', args: params => ({ selector: params.join(' ') }) },
+  open: { tool: 'openApp', needs: 'an app name', args: ([appName]) => ({ appName }) },
+  type: { tool: 'typeText', needs: 'text to type', args: params => ({ text: params.join(' ') }) },
+  calc: { tool: 'calculate', needs: 'an expression', args: params => ({ expression: params.join(' ') }) },
+  run: { tool: 'runCommand', needs: 'a command', args: params => ({ command: params.join(' ') }) },
+  chat: { needs: 'a message', args: params => ({ message: params.join(' ') }) }
+};
+
+/**
+ * `node test-agent.js <command> [args...] [--mock-desktop]`
+ *
+ * @returns {{ command: string, tool?: string, args: object } | null} null when no command was given
+ */
+export function parseTestAgentArgs(argv = process.argv.slice(2)) {
+  const [command, ...params] = argv.filter(arg => arg !== MOCK_DESKTOP_FLAG);
+  if (!command) return null;
+
+  const spec = Object.hasOwn(TEST_AGENT_COMMANDS, command) ? TEST_AGENT_COMMANDS[command] : null;
+  if (!spec) throw new UsageError(`Unknown command: ${command}`);
+  if (spec.needs && params.length === 0) throw new UsageError(`Please provide ${spec.needs}`);
+
+  return { command, tool: spec.tool, args: spec.args(params) };
+}
+
+/**
+ * `node run-workflow.js <file> [--var name=value ...] [--mock-desktop]`
+ *
+ * @returns {{ file: string, vars: string[], mockDesktop: boolean }}
+ */
+export function parseWorkflowArgs(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        var: { type: 'string', multiple: true, default: [] },
+        'report-dir': { type: 'string' },
+        'mock-desktop': { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [file, ...extra] = parsed.positionals;
+  if (!file) throw new UsageError('Please provide a workflow file');
+  if (extra.length > 0) throw new UsageError(`Unexpected argument: ${extra[0]}`);
+  return { file, vars: parsed.values.var, reportDir: parsed.values['report-dir'] ?? null, mockDesktop: parsed.values['mock-desktop'] };
+}
+
+// Where element-explorer.js starts: a window, a selector or the focused element
+const TARGET_OPTIONS = {
+  window: { type: 'string' },
+  selector: { type: 'string' },
+  focused: { type: 'boolean', default: false }
+};
+
+function parseTarget(values) {
+  const targets = [values.window, values.selector, values.focused || undefined].filter(value => value !== undefined);
+  if (targets.length > 1) throw new UsageError('Use only one of --window, --selector and --focused');
+  if (values.window) return `window:${values.window}`;
+  if (values.focused) return 'focused';
+  return values.selector ?? null;
+}
+
+function parseExplorerArgs(argv, options) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: { ...TARGET_OPTIONS, ...options, 'mock-desktop': { type: 'boolean', default: false } }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (parsed.positionals.length > 0) throw new UsageError(`Unexpected argument: ${parsed.positionals[0]}`);
+  return { values: parsed.values, target: parseTarget(parsed.values) };
+}
+
+/**
+ * `node element-explorer.js explore [--window <title> | --selector <selector> | --focused]
+ * [--depth <n>] [--format json|yaml|text] [--out <file>] [--mock-desktop]`
+ *
+ * @returns {{ target: string | null, depth: number, format: string, out: string | null, mockDesktop: boolean }}
+ *   `target` is a selector, 'focused', or null for the current window
+ */
+export function parseExploreArgs(argv = process.argv.slice(2)) {
+  const { values, target } = parseExplorerArgs(argv, {
+    depth: { type: 'string', default: String(EXPLORE_DEFAULTS.maxDepth) },
+    format: { type: 'string' },
+    out: { type: 'string' }
+  });
+
+  const depth = Number(values.depth);
+  if (!Number.isInteger(depth) || depth < 0) throw new UsageError(`--depth needs a whole number, got "${values.depth}"`);
+
+  // The format defaults to the output file's extension, else the outline
+  const extension = values.out?.match(/\.(json|ya?ml|txt)$/i)?.[1].toLowerCase();
+  const format = values.format ?? { json: 'json', yaml: 'yaml', yml: 'yaml' }[extension] ?? 'text';
+  if (!EXPORT_FORMATS.includes(format)) throw new UsageError(`Unknown format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+
+  return { target, depth, format, out: values.out ?? null, mockDesktop: values['mock-desktop'] };
+}
+
+/**
+ * `node element-explorer.js browse [--window <title> | --selector <selector> | --focused
+ * | --snapshot <file>] [--mock-desktop]`
+ *
+ * @returns {{ target: string | null, snapshot: string | null, mockDesktop: boolean }}
+ */
+export function parseBrowseArgs(argv = process.argv.slice(2)) {
+  const { values, target } = parseExplorerArgs(argv, { snapshot: { type: 'string' } });
+  if (values.snapshot && target) throw new UsageError('--snapshot cannot be combined with --window, --selector or --focused');
+  return { target, snapshot: values.snapshot ?? null, mockDesktop: values['mock-desktop'] };
+}
+
+/**
+ * `node element-explorer.js diff <before> <after> [--format text|json]`
+ *
+ * @returns {{ before: string, after: string, format: 'text' | 'json' }}
+ */
+export function parseDiffArgs(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, allowPositionals: true, options: { format: { type: 'string', default: 'text' } } });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [before, after, ...extra] = parsed.positionals;
+  if (!before || !after) throw new UsageError('Please provide two snapshot files');
+  if (extra.length > 0) throw new UsageError(`Unexpected argument: ${extra[0]}`);
+  if (!['text', 'json'].includes(parsed.values.format)) throw new UsageError(`Unknown format "${parsed.values.format}" (expected text, json)`);
+  return { before, after, format: parsed.values.format };
+}
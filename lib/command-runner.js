@@ -0,0 +1,161 @@
+/**
+ * 🏃 Command Runner
+ *
+ * Runs shell commands with an enforced timeout, cancellation through an
+ * AbortSignal, live stdout/stderr streaming and capped output. On timeout
+ * or abort the whole process tree is killed, not just the shell, so a
+ * command like `sleep 600 | cat` cannot outlive the call.
+ */
+
+import { spawn } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+
+export const DEFAULT_TIMEOUT_MS = 30000;
+export const DEFAULT_MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Grace period between SIGTERM and SIGKILL
+const KILL_GRACE_MS = 2000;
+
+/**
+ * Keeps the first `limit` bytes of a stream and counts the rest.
+ */
+class OutputBuffer {
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.bytes = 0;
+    this.dropped = 0;
+  }
+
+  push(chunk) {
+    const room = this.limit - this.bytes;
+    if (room > 0) {
+      const kept = chunk.subarray(0, room);
+      this.chunks.push(kept);
+      this.bytes += kept.length;
+    }
+    this.dropped += Math.max(0, chunk.length - Math.max(0, room));
+  }
+
+  toString() {
+    const text = Buffer.concat(this.chunks).toString('utf-8');
+    return this.dropped > 0 ? `${text}\n… [truncated ${this.dropped} bytes]` : text;
+  }
+}
+
+/**
+ * Kill a process and everything it started.
+ */
+export function killProcessTree(child, signal = 'SIGTERM') {
+  if (!child.pid) return;
+
+  if (process.platform === 'win32') {
+    if (child.exitCode === null) {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore', windowsHide: true });
+    }
+    return;
+  }
+
+  try {
+    // Detached children lead their own process group; a negative pid signals the
+    // group, which also reaches background jobs still holding the output pipes
+    // after the shell itself has exited
+    process.kill(-child.pid, signal);
+  } catch {
+    // Group already gone
+  }
+}
+
+/**
+ * Run one shell command.
+ *
+ * @param {string} command
+ * @param {object} [options]
+ * @param {number} [options.timeout] milliseconds before the process tree is killed
+ * @param {number} [options.maxOutputBytes] bytes kept per stream; the rest is dropped with a marker
+ * @param {AbortSignal} [options.signal] aborts the command (and kills its process tree)
+ * @param {(stream: 'stdout' | 'stderr', chunk: string) => void} [options.onOutput] live output
+ * @param {string} [options.cwd]
+ * @returns {Promise<{ exitCode: number | null, signal: string | null, stdout: string, stderr: string,
+ *   durationMs: number, timedOut: boolean, aborted: boolean, truncated: boolean }>}
+ */
+export function runShellCommand(command, {
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES,
+  signal,
+  onOutput = () => {},
+  cwd
+} = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Command was cancelled before it started'));
+      return;
+    }
+
+    const startedAt = Date.now();
+    const child = spawn(command, {
+      shell: true,
+      cwd,
+      detached: process.platform !== 'win32',
+      windowsHide: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const stdout = new OutputBuffer(maxOutputBytes);
+    const stderr = new OutputBuffer(maxOutputBytes);
+    let timedOut = false;
+    let aborted = false;
+    let forceKill = null;
+
+    const stop = () => {
+      killProcessTree(child, 'SIGTERM');
+      forceKill = setTimeout(() => killProcessTree(child, 'SIGKILL'), KILL_GRACE_MS);
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout);
+
+    const onAbort = () => {
+      aborted = true;
+      stop();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    for (const [name, stream, buffer] of [['stdout', child.stdout, stdout], ['stderr', child.stderr, stderr]]) {
+      // The decoder holds back partial multi-byte characters between chunks
+      const decoder = new StringDecoder('utf-8');
+      stream.on('data', (chunk) => {
+        buffer.push(chunk);
+        const text = decoder.write(chunk);
+        if (text) onOutput(name, text);
+      });
+    }
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      clearTimeout(forceKill);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    child.on('error', (error) => {
+      cleanup();
+      reject(error);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      cleanup();
+      resolve({
+        exitCode,
+        signal: exitSignal,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        durationMs: Date.now() - startedAt,
+        timedOut,
+        aborted,
+        truncated: stdout.dropped > 0 || stderr.dropped > 0
+      });
+    });
+  });
+}
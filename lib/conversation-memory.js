@@ -0,0 +1,173 @@
+/**
+ * 📚 Conversation Memory
+ *
+ * Keeps the chat as a proper `messages` array (system, user, assistant and
+ * tool roles) for the Vercel AI SDK. When the history grows past its token
+ * budget, the oldest turns are condensed into a running summary that rides
+ * along in the system message.
+ */
+
+export const DEFAULT_TOKEN_BUDGET = 4000;
+const SUMMARY_MAX_LINES = 20;
+
+/**
+ * Rough token estimate (~4 characters per token) for any message content.
+ */
+export function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Read the history budget from `AGENT_HISTORY_TOKENS`, falling back to the default.
+ */
+export function resolveTokenBudget(value = process.env.AGENT_HISTORY_TOKENS) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_TOKEN_BUDGET;
+}
+
+function clip(text, max) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max)}...` : flat;
+}
+
+/**
+ * Plain text of a message, ignoring tool-call and tool-result parts.
+ */
+export function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return message.content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('');
+}
+
+/**
+ * Names of the tools called in a list of messages.
+ */
+export function toolNames(messages) {
+  return messages.flatMap(message =>
+    Array.isArray(message.content)
+      ? message.content.filter(part => part.type === 'tool-call').map(part => part.toolName)
+      : []
+  );
+}
+
+/**
+ * Drop reasoning parts from assistant messages so the model's private
+ * thinking is never sent back to it as conversation history.
+ */
+export function stripReasoning(messages) {
+  return messages.flatMap(message => {
+    if (message.role !== 'assistant' || !Array.isArray(message.content)) return [message];
+
+    const content = message.content.filter(part => part.type !== 'reasoning' && part.type !== 'redacted-reasoning');
+    return content.length > 0 ? [{ ...message, content }] : [];
+  });
+}
+
+/**
+ * One-line summary of a turn: what the user asked, which tools ran, what came back.
+ */
+export function summarizeTurn(turn) {
+  const [userMessage, ...replies] = turn;
+  const tools = toolNames(replies);
+  const answer = replies.filter(m => m.role === 'assistant').map(messageText).join(' ');
+
+  let line = `User asked: "${clip(messageText(userMessage), 120)}"`;
+  if (tools.length > 0) line += `; tools used: ${[...new Set(tools)].join(', ')}`;
+  if (answer.trim()) line += `; assistant answered: "${clip(answer, 160)}"`;
+  return line;
+}
+
+export class ConversationMemory {
+  constructor({ system = '', tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) {
+    this.system = system;
+    this.tokenBudget = tokenBudget;
+    this.messages = [];
+    this.summary = [];
+  }
+
+  addUserMessage(content) {
+    this.messages.push({ role: 'user', content });
+    this.compact();
+  }
+
+  /**
+   * Append the assistant and tool messages produced by a model response,
+   * without their reasoning.
+   */
+  addResponseMessages(messages) {
+    this.messages.push(...stripReasoning(messages));
+    this.compact();
+  }
+
+  /**
+   * Split the message list into turns, each starting with a user message.
+   */
+  turns() {
+    const turns = [];
+    for (const message of this.messages) {
+      if (message.role === 'user' || turns.length === 0) turns.push([]);
+      turns[turns.length - 1].push(message);
+    }
+    return turns;
+  }
+
+  systemMessage() {
+    let content = this.system;
+    if (this.summary.length > 0) {
+      content += `\n\nSummary of the earlier conversation:\n${this.summary.map(line => `- ${line}`).join('\n')}`;
+    }
+    return { role: 'system', content };
+  }
+
+  /**
+   * Messages to send to the model: system message (with summary) plus history.
+   */
+  toMessages() {
+    return [this.systemMessage(), ...this.messages];
+  }
+
+  tokenCount() {
+    return this.toMessages().reduce((total, message) => total + estimateTokens(message.content), 0);
+  }
+
+  /**
+   * Condense the oldest turns into the summary until the history fits the
+   * budget. The latest turn is always kept whole so tool results stay paired
+   * with the calls that produced them.
+   */
+  compact() {
+    let turns = this.turns();
+    while (turns.length > 1 && this.tokenCount() > this.tokenBudget) {
+      const [oldest, ...rest] = turns;
+      this.summary.push(summarizeTurn(oldest));
+      if (this.summary.length > SUMMARY_MAX_LINES) this.summary.shift();
+      this.messages = rest.flat();
+      turns = rest;
+    }
+  }
+
+  clear() {
+    this.messages = [];
+    this.summary = [];
+  }
+
+  toJSON() {
+    return { messages: this.messages, summary: this.summary };
+  }
+
+  /**
+   * Replace the history with a previously serialized `toJSON()` snapshot.
+   */
+  restore({ messages = [], summary = [] } = {}) {
+    this.messages = [...messages];
+    this.summary = [...summary];
+    this.compact();
+  }
+
+  isEmpty() {
+    return this.messages.length === 0 && this.summary.length === 0;
+  }
+}
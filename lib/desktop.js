@@ -0,0 +1,73 @@
+/**
+ * 🖥️ Desktop Backends
+ *
+ * Every script gets its `Desktop` from here instead of constructing
+ * Terminator's directly, so the same code runs against:
+ *
+ * - `terminator` – the real Windows desktop through terminator.js (default)
+ * - `mock`       – the in-memory mock desktop (`lib/mock-desktop.js`)
+ *
+ * Pick the mock with `--mock-desktop` on the command line or
+ * TERMINATOR_BACKEND=mock; TERMINATOR_MOCK_SCENE names a scene JSON file.
+ */
+
+import { MockDesktop, loadScene, mockCommandRunner } from './mock-desktop.js';
+import { runShellCommand } from './command-runner.js';
+import { compileSelector, formatSteps, parseSelector } from './selectors.js';
+
+export const MOCK_DESKTOP_FLAG = '--mock-desktop';
+
+const BACKENDS = ['terminator', 'mock'];
+
+/**
+ * Which backend the command line and environment ask for.
+ */
+export function desktopBackend({ argv = process.argv, env = process.env } = {}) {
+  if (argv.includes(MOCK_DESKTOP_FLAG)) return 'mock';
+  return env.TERMINATOR_BACKEND || 'terminator';
+}
+
+/**
+ * @param {object} [options]
+ * @param {'terminator' | 'mock'} [options.backend]
+ * @param {string | object} [options.scene] mock scene, or a path to one
+ */
+export async function createDesktop({ backend = desktopBackend(), scene = process.env.TERMINATOR_MOCK_SCENE } = {}) {
+  switch (backend) {
+    case 'mock':
+      return new MockDesktop(typeof scene === 'string' ? loadScene(scene) : scene);
+
+    case 'terminator': {
+      // Loaded lazily so the mock works where terminator.js cannot be installed
+      const { Desktop } = await import('terminator.js');
+      return new Desktop();
+    }
+
+    default:
+      throw new Error(`Unknown desktop backend "${backend}" (expected ${BACKENDS.join(' or ')})`);
+  }
+}
+
+/**
+ * How shell commands run next to a desktop: on the host with
+ * `runShellCommand`, or, for the mock desktop, answered and recorded by the
+ * mock so mock mode never starts a process.
+ */
+export function commandRunnerFor(desktop) {
+  return desktop instanceof MockDesktop ? mockCommandRunner(desktop) : runShellCommand;
+}
+
+/**
+ * Normalized selector steps of a target: one selector, a list of them, or
+ * `a >> b` (see lib/selectors.js). Throws a SelectorError for invalid ones.
+ */
+export function splitSelectors(target) {
+  return [target].flat().flatMap(selector => formatSteps(parseSelector(selector)));
+}
+
+/**
+ * A locator for a target, chained like `desktop.locator(a).locator(b)`.
+ */
+export function locatorFor(desktop, target) {
+  return compileSelector(desktop, target);
+}
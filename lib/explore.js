@@ -0,0 +1,154 @@
+/**
+ * 🌳 Accessibility Tree Export
+ *
+ * Walks the element tree under a window, a selector or the focused element
+ * through `children()`, one level at a time, and exports it as JSON, YAML or
+ * an indented outline, for writing selectors against a new app:
+ *
+ *   const snapshot = await exploreTree(desktop, { target: 'window:Calculator', maxDepth: 3 });
+ *   console.log(formatSnapshot(snapshot, 'text'));
+ *
+ * A snapshot is `{ target, takenAt, maxDepth, nodes, tree }`; each node is
+ *
+ *   { role, name, automationId, bounds, text, enabled, visible, suggestedSelector, children?, truncated? }
+ *
+ * `suggestedSelector` finds the node again from its parent (the root's is
+ * the target). `truncated` marks nodes whose children were cut off by
+ * `maxDepth` or `maxNodes`.
+ */
+
+import fs from 'fs';
+import YAML from 'yaml';
+import { locatorFor } from './desktop.js';
+import { suggestSelector } from './selectors.js';
+
+export const EXPLORE_DEFAULTS = {
+  maxDepth: 4,
+  maxNodes: 2000
+};
+
+export const EXPORT_FORMATS = ['json', 'yaml', 'text'];
+
+/**
+ * One node's fields (without children) for an element.
+ */
+export function describeNode(element, suggestedSelector) {
+  const { automationId } = element.attributes?.() ?? {};
+  return {
+    role: element.role(),
+    name: element.name() || null,
+    automationId: automationId || null,
+    bounds: element.bounds(),
+    text: element.text(0) || null,
+    enabled: element.isEnabled(),
+    visible: element.isVisible(),
+    suggestedSelector
+  };
+}
+
+/**
+ * A selector for an element on its own: `window:<title>` for windows, else
+ * `suggestSelector`.
+ */
+export function selectorOf(element) {
+  if (element.role() === 'Window') return `window:${element.name()}`;
+  const { automationId } = element.attributes?.() ?? {};
+  return suggestSelector({ role: element.role(), name: element.name(), automationId });
+}
+
+/**
+ * Where a walk starts: the element for `target` (a selector, `'focused'`,
+ * or nothing for the current window), a scope to `explore()` and its selector.
+ */
+export async function exploreRoot(desktop, target) {
+  if (target && target !== 'focused') {
+    const locator = locatorFor(desktop, target);
+    return { scope: locator, element: await locator.first(), selector: target };
+  }
+  const element = target === 'focused' ? desktop.focusedElement() : await desktop.getCurrentWindow();
+  return { scope: element, element, selector: selectorOf(element) };
+}
+
+/**
+ * Snapshot of the tree under `target`: a selector, `'focused'` for the
+ * focused element, or nothing for the current window.
+ *
+ * @param {object} desktop Terminator `Desktop`
+ * @param {object} [options]
+ * @param {string | string[]} [options.target]
+ * @param {number} [options.maxDepth] levels below the root to walk
+ * @param {number} [options.maxNodes] stop after this many nodes
+ */
+export async function exploreTree(desktop, {
+  target,
+  maxDepth = EXPLORE_DEFAULTS.maxDepth,
+  maxNodes = EXPLORE_DEFAULTS.maxNodes
+} = {}) {
+  const root = await exploreRoot(desktop, target);
+  let nodes = 0;
+
+  // Children are taken from their parent by index, never looked up again by
+  // selector, which could land on a same-named element elsewhere
+  const walk = (element, selector, depth) => {
+    nodes++;
+    const node = describeNode(element, selector);
+    const children = element.children();
+    if (children.length === 0) return node;
+    if (depth >= maxDepth || nodes >= maxNodes) return { ...node, truncated: true };
+
+    node.children = [];
+    for (const child of children) {
+      if (nodes >= maxNodes) {
+        node.truncated = true;
+        break;
+      }
+      node.children.push(walk(child, selectorOf(child), depth + 1));
+    }
+    return node;
+  };
+
+  const tree = walk(root.element, root.selector, 0);
+  return { target: root.selector, takenAt: new Date().toISOString(), maxDepth, nodes, tree };
+}
+
+/**
+ * Read a JSON or YAML snapshot written by `element-explorer.js explore`.
+ */
+export function loadSnapshot(file) {
+  const snapshot = YAML.parse(fs.readFileSync(file, 'utf-8'));
+  if (!snapshot?.tree?.role) throw new Error(`${file} is not a tree snapshot (export one with "element-explorer.js explore --out <file>.json")`);
+  return snapshot;
+}
+
+/**
+ * Indented one-line-per-node outline, e.g.
+ * `Button "Seven" #num7Button [120,300 80x60] → automationid:num7Button`.
+ */
+export function formatOutline(node, depth = 0) {
+  const { x, y, width, height } = node.bounds ?? {};
+  const fields = [
+    node.name && JSON.stringify(node.name),
+    node.automationId && `#${node.automationId}`,
+    node.bounds && `[${x},${y} ${width}x${height}]`,
+    node.text && node.text !== node.name && `text=${JSON.stringify(node.text)}`,
+    node.visible === false && 'hidden',
+    node.enabled === false && 'disabled'
+  ].filter(Boolean);
+  return [
+    `${'  '.repeat(depth)}${node.role}${fields.length > 0 ? ` ${fields.join(' ')}` : ''}${node.suggestedSelector ? ` → ${node.suggestedSelector}` : ''}`,
+    ...(node.children ?? []).map(child => formatOutline(child, depth + 1)),
+    ...(node.truncated ? [`${'  '.repeat(depth + 1)}...`] : [])
+  ].join('\n');
+}
+
+/**
+ * A snapshot as `json`, `yaml` or a `text` outline.
+ */
+export function formatSnapshot(snapshot, format = 'json') {
+  switch (format) {
+    case 'json': return `${JSON.stringify(snapshot, null, 2)}\n`;
+    case 'yaml': return YAML.stringify(snapshot);
+    case 'text': return `${snapshot.target} (${snapshot.nodes} elements, ${snapshot.takenAt})\n${formatOutline(snapshot.tree)}\n`;
+    default: throw new Error(`Unknown format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
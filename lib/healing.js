@@ -0,0 +1,187 @@
+/**
+ * 🩹 Self-Healing Selectors
+ *
+ * When a selector finds nothing, look around the active window for what
+ * was probably meant. Small models guess `name:7` for the calculator's
+ * "Seven" key or `role:textbox` for an Edit; this ranks the elements that
+ * are close by name, role and automation id:
+ *
+ *   const candidates = await findSimilarElements(desktop, 'name:7');
+ *   // [{ selector: 'name:Seven', score: 0.95, role: 'Button', name: 'Seven', automationId: null }, ...]
+ *
+ * Scores run from 0 to 1. Names and ids are compared by edit distance,
+ * after mapping digits and operators to the words Windows uses for them;
+ * roles also accept common synonyms (`btn`, `textbox`, `link`...). The
+ * earlier steps of a chain narrow the search to the deepest one that still
+ * matches, as in a failure capture.
+ */
+
+import { ROLES, editDistance, parseSelector, suggestSelector, formatSteps } from './selectors.js';
+import { locatorFor } from './desktop.js';
+
+export const HEALING_DEFAULTS = {
+  limit: 5,
+  minScore: 0.4,
+  threshold: 0.8,
+  maxNodes: 500
+};
+
+/**
+ * Other words for each role, lowercase.
+ */
+export const ROLE_SYNONYMS = {
+  Button: ['btn', 'key', 'pushbutton'],
+  CheckBox: ['check', 'checkbutton', 'toggle'],
+  ComboBox: ['combo', 'dropdown', 'select', 'picker'],
+  Document: ['page', 'webpage'],
+  Edit: ['textbox', 'textfield', 'field', 'input', 'textarea', 'entry'],
+  Hyperlink: ['link', 'anchor', 'a'],
+  Image: ['img', 'picture', 'icon'],
+  ListItem: ['item', 'row', 'option'],
+  MenuItem: ['menuoption'],
+  RadioButton: ['radio'],
+  Text: ['label', 'statictext', 'static'],
+  Window: ['dialog', 'form', 'app', 'application']
+};
+
+/**
+ * Names Windows gives to keys that models tend to write as symbols.
+ */
+export const NAME_ALIASES = {
+  0: 'Zero', 1: 'One', 2: 'Two', 3: 'Three', 4: 'Four', 5: 'Five', 6: 'Six', 7: 'Seven', 8: 'Eight', 9: 'Nine',
+  '+': 'Plus', '-': 'Minus', '*': 'Multiply by', x: 'Multiply by', '/': 'Divide by', '=': 'Equals', '.': 'Decimal separator'
+};
+
+const ROLE_BY_WORD = new Map([
+  ...ROLES.map(role => [role.toLowerCase(), role]),
+  ...Object.entries(ROLE_SYNONYMS).flatMap(([role, words]) => words.map(word => [word, role]))
+]);
+
+const simplify = value => String(value ?? '').toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * How close `found` is to what was asked for, from 0 to 1.
+ */
+export function similarity(wanted, found) {
+  const a = simplify(wanted);
+  const b = simplify(found);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (simplify(NAME_ALIASES[String(wanted).trim().toLowerCase()]) === b) return 0.95;
+  if (b.includes(a) || a.includes(b)) {
+    return 0.6 + 0.3 * (Math.min(a.length, b.length) / Math.max(a.length, b.length));
+  }
+  return Math.max(0, 1 - editDistance(a, b) / Math.max(a.length, b.length));
+}
+
+function roleSimilarity(wanted, role) {
+  const canonical = ROLE_BY_WORD.get(simplify(wanted));
+  if (canonical) return canonical === role ? 1 : 0;
+  return similarity(wanted, role);
+}
+
+const ATOM_SCORES = {
+  name: (value, element) => similarity(value, element.name),
+  role: (value, element) => roleSimilarity(value, element.role),
+  text: (value, element) => Math.max(similarity(value, element.name), similarity(value, element.value)),
+  id: (value, element) => similarity(value, element.automationId),
+  automationid: (value, element) => similarity(value, element.automationId),
+  classname: (value, element) => similarity(value, element.className),
+  window: (value, element) => (element.role === 'Window' ? similarity(value, element.name) : 0)
+};
+
+// An `and` needs every part to be close, an `or` any; a `not` is ignored
+function scoreStep(step, element) {
+  switch (step.type) {
+    case 'atom': return ATOM_SCORES[step.kind](step.value, element);
+    case 'and': {
+      const scored = step.items.filter(item => item.type !== 'not');
+      return scored.reduce((sum, item) => sum + scoreStep(item, element), 0) / (scored.length || 1);
+    }
+    case 'or': return Math.max(...step.items.map(item => scoreStep(item, element)));
+    default: return 0;
+  }
+}
+
+async function searchScope(desktop, steps) {
+  for (let end = steps.length; end > 0; end--) {
+    try {
+      return { prefix: steps.slice(0, end), element: await locatorFor(desktop, steps.slice(0, end)).first() };
+    } catch {
+      // Try a shorter chain
+    }
+  }
+  return { prefix: [], element: await desktop.getCurrentWindow() };
+}
+
+function describe(element) {
+  const attributes = element.attributes?.() ?? {};
+  return {
+    role: element.role(),
+    name: element.name() || null,
+    automationId: attributes.automationId || null,
+    className: attributes.className || null,
+    value: attributes.value || null
+  };
+}
+
+/**
+ * Elements near the active window (or the deepest matching part of the
+ * chain) that look like what `selector` asked for, best first.
+ *
+ * @param {object} desktop Terminator `Desktop`
+ * @param {string} selector a valid selector (see lib/selectors.js)
+ * @param {object} [options] `limit`, `minScore` and `maxNodes` (elements examined)
+ * @returns {Promise<{ selector: string, score: number, role: string, name: string | null, automationId: string | null }[]>}
+ */
+export async function findSimilarElements(desktop, selector, {
+  limit = HEALING_DEFAULTS.limit,
+  minScore = HEALING_DEFAULTS.minScore,
+  maxNodes = HEALING_DEFAULTS.maxNodes
+} = {}) {
+  const steps = parseSelector(selector).steps;
+  const last = steps.findLastIndex(step => step.type !== 'nth');
+  const wanted = steps[last];
+  const { prefix, element: scope } = await searchScope(desktop, formatSteps({ steps: steps.slice(0, last) }));
+
+  const candidates = [];
+  const queue = [...scope.children()];
+  for (let seen = 0; queue.length > 0 && seen < maxNodes; seen++) {
+    const element = queue.shift();
+    if (!element.isVisible()) continue;
+    queue.push(...element.children());
+
+    const found = describe(element);
+    const score = Math.round(scoreStep(wanted, found) * 100) / 100;
+    if (score < minScore) continue;
+    candidates.push({
+      selector: [...prefix, suggestSelector(found)].join(' >> '),
+      score,
+      role: found.role,
+      name: found.name,
+      automationId: found.automationId
+    });
+  }
+
+  // Stable sort: equally close elements stay in tree order
+  const unique = candidates.filter((candidate, i) => candidates.findIndex(other => other.selector === candidate.selector) === i);
+  return unique.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Healing settings from `AGENT_SELF_HEAL`: unset or `0` only suggests,
+ * `1` also retries with the best candidate scoring at least the default
+ * threshold, and a number between 0 and 1 retries at that threshold.
+ */
+export function resolveHealing(value = process.env.AGENT_SELF_HEAL) {
+  const parsed = Number(value);
+  if (!value || parsed === 0 || Number.isNaN(parsed)) return { retry: false, threshold: HEALING_DEFAULTS.threshold };
+  return { retry: true, threshold: parsed > 0 && parsed < 1 ? parsed : HEALING_DEFAULTS.threshold };
+}
+
+/**
+ * One-line list of candidates for an error message.
+ */
+export function formatSuggestions(candidates) {
+  return candidates.map(({ selector, score }) => `${selector} (${score})`).join(', ');
+}
@@ -0,0 +1,68 @@
+/**
+ * ⏹️ Interrupts
+ *
+ * Ctrl+C handling for the interactive agents: the first press aborts the
+ * running turn (model stream and tools, through an AbortSignal) and returns
+ * to the prompt; a second press within a short window exits.
+ *
+ * Inquirer prompts own the terminal while they are open and turn Ctrl+C into
+ * an `ExitPromptError` instead of a SIGINT; `isPromptExit` recognises it so
+ * callers can exit cleanly from the prompt too.
+ */
+
+import chalk from 'chalk';
+
+export const DOUBLE_PRESS_WINDOW_MS = 2000;
+
+/**
+ * Install a SIGINT handler that aborts the current turn.
+ *
+ * @param {object} options
+ * @param {() => void | Promise<void>} options.onExit called on a second press, or a press between turns
+ * @param {number} [options.windowMs] how soon a second press must follow the first to exit
+ * @returns {{ startTurn: () => AbortSignal, endTurn: () => void, readonly signal: AbortSignal | undefined,
+ *   uninstall: () => void }}
+ */
+export function installInterruptHandler({ onExit, windowMs = DOUBLE_PRESS_WINDOW_MS }) {
+  let controller = null;
+  let lastPress = 0;
+
+  const handler = () => {
+    const now = Date.now();
+    const doublePress = now - lastPress < windowMs;
+    lastPress = now;
+
+    if (!controller || controller.signal.aborted || doublePress) {
+      onExit();
+      return;
+    }
+
+    controller.abort(new Error('Interrupted by the user'));
+    console.log(chalk.yellow(`\n⏹️ Interrupting... (press Ctrl+C again within ${windowMs / 1000}s to exit)`));
+  };
+
+  process.on('SIGINT', handler);
+
+  return {
+    startTurn() {
+      controller = new AbortController();
+      return controller.signal;
+    },
+    endTurn() {
+      controller = null;
+    },
+    get signal() {
+      return controller?.signal;
+    },
+    uninstall() {
+      process.off('SIGINT', handler);
+    }
+  };
+}
+
+/**
+ * True for the error an inquirer prompt throws when Ctrl+C is pressed in it.
+ */
+export function isPromptExit(error) {
+  return error?.name === 'ExitPromptError';
+}
@@ -0,0 +1,563 @@
+/**
+ * 🧮 Safe Math Engine
+ *
+ * A real parser and evaluator for the calculator tools, replacing
+ * `Function(...)` evaluation of model-supplied strings. Nothing is ever
+ * executed as JavaScript: input is tokenized, parsed into a small AST and
+ * evaluated with decimal.js for big-number precision.
+ *
+ * Supports:
+ * - operators with precedence: + - * / % ^ (right-associative) and postfix !
+ * - functions: sin, cos, tan, asin, acos, atan, sinh, cosh, tanh, sqrt, cbrt,
+ *   abs, ln, log, log2, log10, exp, floor, ceil, round, trunc, sign, min, max, pow
+ * - constants: pi, e, tau, phi
+ * - variables that persist across a session: `x = 2 * pi`, plus `ans`
+ * - units and conversions: `5 km to mi`, `3 ft + 2 in`, `100 degF in degC`
+ *
+ * Errors are `MathError`s carrying the 0-based position of the offending input.
+ */
+
+import Decimal from 'decimal.js';
+
+const D = Decimal.clone({ precision: 64, toExpPos: 40, toExpNeg: -20 });
+const DISPLAY_DIGITS = 30;
+// Anything smaller is rounding noise of the 64-digit constants, e.g. sin(pi)
+const ZERO_EPSILON = new D('1e-50');
+const MAX_FACTORIAL = 1000;
+
+export class MathError extends Error {
+  constructor(message, position, length = 1) {
+    super(message);
+    this.name = 'MathError';
+    this.position = position;
+    this.length = length;
+  }
+
+  /**
+   * Two-line pointer to the error position, e.g.
+   *   2 * (3 +
+   *          ^
+   */
+  pointer(input) {
+    return `${input}\n${' '.repeat(Math.max(0, this.position))}${'^'.repeat(Math.max(1, this.length))}`;
+  }
+
+  toJSON(input) {
+    return {
+      error: `${this.message} at position ${this.position}`,
+      position: this.position,
+      ...(input !== undefined && { pointer: this.pointer(input) })
+    };
+  }
+}
+
+// 📏 Units: every unit converts to its dimension's base unit
+const linear = (dimension, factor) => ({
+  dimension,
+  toBase: value => value.times(factor),
+  fromBase: value => value.dividedBy(factor)
+});
+
+const UNIT_DEFINITIONS = {
+  // Length (base: metre)
+  mm: linear('length', '0.001'),
+  cm: linear('length', '0.01'),
+  m: linear('length', '1'),
+  km: linear('length', '1000'),
+  in: linear('length', '0.0254'),
+  ft: linear('length', '0.3048'),
+  yd: linear('length', '0.9144'),
+  mi: linear('length', '1609.344'),
+  // Mass (base: gram)
+  mg: linear('mass', '0.001'),
+  g: linear('mass', '1'),
+  kg: linear('mass', '1000'),
+  oz: linear('mass', '28.349523125'),
+  lb: linear('mass', '453.59237'),
+  // Time (base: second)
+  ms: linear('time', '0.001'),
+  s: linear('time', '1'),
+  min: linear('time', '60'),
+  h: linear('time', '3600'),
+  day: linear('time', '86400'),
+  week: linear('time', '604800'),
+  // Volume (base: litre)
+  ml: linear('volume', '0.001'),
+  l: linear('volume', '1'),
+  gal: linear('volume', '3.785411784'),
+  // Data (base: byte)
+  B: linear('data', '1'),
+  KB: linear('data', '1024'),
+  MB: linear('data', '1048576'),
+  GB: linear('data', '1073741824'),
+  TB: linear('data', '1099511627776'),
+  // Temperature (base: kelvin)
+  K: linear('temperature', '1'),
+  degC: {
+    dimension: 'temperature',
+    toBase: value => value.plus('273.15'),
+    fromBase: value => value.minus('273.15')
+  },
+  degF: {
+    dimension: 'temperature',
+    toBase: value => value.plus('459.67').times(5).dividedBy(9),
+    fromBase: value => value.times(9).dividedBy(5).minus('459.67')
+  }
+};
+
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+  kilometer: 'km', kilometers: 'km', inch: 'in', inches: 'in', foot: 'ft', feet: 'ft',
+  yard: 'yd', yards: 'yd', mile: 'mi', miles: 'mi',
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz',
+  sec: 's', second: 's', seconds: 's', minute: 'min', minutes: 'min', hour: 'h', hours: 'h', hr: 'h',
+  days: 'day', weeks: 'week',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', L: 'l', gallon: 'gal', gallons: 'gal',
+  celsius: 'degC', C: 'degC', fahrenheit: 'degF', F: 'degF', kelvin: 'K'
+};
+
+// Lookups go through own properties only, so names like "constructor" never
+// reach Object.prototype
+const lookup = (table, name) => (Object.hasOwn(table, name) ? table[name] : undefined);
+
+export function resolveUnit(name) {
+  const canonical = lookup(UNIT_DEFINITIONS, name) ? name : lookup(UNIT_ALIASES, name);
+  return canonical ? { name: canonical, ...UNIT_DEFINITIONS[canonical] } : null;
+}
+
+const CONSTANTS = {
+  pi: D.acos(-1),
+  e: D.exp(1),
+  tau: D.acos(-1).times(2),
+  phi: D.sqrt(5).plus(1).dividedBy(2)
+};
+
+const unary = fn => ({ arity: [1, 1], fn: ([x]) => fn(x) });
+
+const FUNCTIONS = {
+  sin: unary(x => D.sin(x)),
+  cos: unary(x => D.cos(x)),
+  tan: unary(x => D.tan(x)),
+  asin: unary(x => D.asin(x)),
+  acos: unary(x => D.acos(x)),
+  atan: unary(x => D.atan(x)),
+  sinh: unary(x => D.sinh(x)),
+  cosh: unary(x => D.cosh(x)),
+  tanh: unary(x => D.tanh(x)),
+  sqrt: unary(x => D.sqrt(x)),
+  cbrt: unary(x => D.cbrt(x)),
+  abs: unary(x => D.abs(x)),
+  ln: unary(x => D.ln(x)),
+  log2: unary(x => D.log2(x)),
+  log10: unary(x => D.log10(x)),
+  exp: unary(x => D.exp(x)),
+  floor: unary(x => D.floor(x)),
+  ceil: unary(x => D.ceil(x)),
+  trunc: unary(x => D.trunc(x)),
+  sign: unary(x => new D(D.sign(x))),
+  // log(x) is base 10; log(x, base) uses the given base
+  log: { arity: [1, 2], fn: ([x, base]) => (base === undefined ? D.log10(x) : D.log(x, base)) },
+  // round(x) to an integer; round(x, places) to decimal places
+  round: { arity: [1, 2], fn: ([x, places]) => (places === undefined ? D.round(x) : x.toDecimalPlaces(places.toNumber())) },
+  pow: { arity: [2, 2], fn: ([x, y]) => D.pow(x, y) },
+  min: { arity: [1, Infinity], fn: args => D.min(...args) },
+  max: { arity: [1, Infinity], fn: args => D.max(...args) }
+};
+
+// 🔤 Tokenizer
+const OPERATORS = new Set(['+', '-', '*', '/', '%', '^', '!', '(', ')', ',', '=']);
+
+export function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(input.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: number[0], position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(input.slice(i));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+
+    if (input.startsWith('**', i)) {
+      tokens.push({ type: 'operator', value: '^', position: i, length: 2 });
+      i += 2;
+      continue;
+    }
+
+    if (OPERATORS.has(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new MathError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', value: '', position: input.length });
+  return tokens;
+}
+
+// 🌳 Parser (recursive descent)
+//   statement := IDENT '=' expression | expression [('to' | 'in') UNIT]
+//   expression := term (('+' | '-') term)*
+//   term := unary (('*' | '/' | '%') unary)*
+//   unary := ('-' | '+') unary | power
+//   power := postfix ('^' unary)?
+//   postfix := primary '!'*
+//   primary := NUMBER [UNIT] | IDENT '(' args ')' | IDENT | '(' expression ')' [UNIT]
+export function parse(input) {
+  const tokens = tokenize(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const isKeyword = (value) => peek().type === 'identifier' && peek().value === value;
+
+  const describe = (token) => (token.type === 'end' ? 'end of input' : `"${token.value}"`);
+
+  const expect = (value) => {
+    const token = next();
+    if (token.type !== 'operator' || token.value !== value) {
+      throw new MathError(`Expected "${value}" but found ${describe(token)}`, token.position, token.value.length || 1);
+    }
+    return token;
+  };
+
+  // "in" is both inches and the conversion keyword: `5 in` vs `(2 + 3) km in mi`
+  const isConversionKeyword = () => (isKeyword('to') || isKeyword('in'))
+    && tokens[index + 1].type === 'identifier' && Boolean(resolveUnit(tokens[index + 1].value));
+
+  const optionalUnit = (node) => {
+    const token = peek();
+    if (token.type === 'identifier' && !isConversionKeyword() && resolveUnit(token.value)) {
+      next();
+      return { type: 'unit', value: node, unit: token.value, position: token.position };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = next();
+
+    if (token.type === 'number') {
+      return optionalUnit({ type: 'number', value: token.value, position: token.position });
+    }
+
+    if (token.type === 'identifier') {
+      if (isOperator('(')) {
+        next();
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(expression());
+          while (isOperator(',')) {
+            next();
+            args.push(expression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      return { type: 'variable', name: token.value, position: token.position };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = expression();
+      expect(')');
+      return optionalUnit(inner);
+    }
+
+    throw new MathError(`Unexpected ${describe(token)}`, token.position, token.value.length || 1);
+  };
+
+  const postfix = () => {
+    let node = primary();
+    while (isOperator('!')) {
+      const token = next();
+      node = { type: 'factorial', value: node, position: token.position };
+    }
+    return node;
+  };
+
+  const power = () => {
+    const base = postfix();
+    if (isOperator('^')) {
+      const token = next();
+      return { type: 'binary', operator: '^', left: base, right: unaryExpression(), position: token.position };
+    }
+    return base;
+  };
+
+  function unaryExpression() {
+    if (isOperator('-') || isOperator('+')) {
+      const token = next();
+      return { type: 'negate', negate: token.value === '-', value: unaryExpression(), position: token.position };
+    }
+    return power();
+  }
+
+  const term = () => {
+    let node = unaryExpression();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const token = next();
+      node = { type: 'binary', operator: token.value, left: node, right: unaryExpression(), position: token.position };
+    }
+    return node;
+  };
+
+  function expression() {
+    let node = term();
+    while (isOperator('+') || isOperator('-')) {
+      const token = next();
+      node = { type: 'binary', operator: token.value, left: node, right: term(), position: token.position };
+    }
+    return node;
+  }
+
+  let statement;
+  if (peek().type === 'identifier' && tokens[index + 1].type === 'operator' && tokens[index + 1].value === '=') {
+    const name = next();
+    next();
+    statement = { type: 'assign', name: name.value, value: expression(), position: name.position };
+  } else {
+    statement = expression();
+    if (isKeyword('to') || isKeyword('in')) {
+      next();
+      const unit = next();
+      if (unit.type !== 'identifier' || !resolveUnit(unit.value)) {
+        throw new MathError(`Unknown unit ${describe(unit)}`, unit.position, unit.value.length || 1);
+      }
+      statement = { type: 'convert', value: statement, unit: unit.value, position: unit.position };
+    }
+  }
+
+  const trailing = peek();
+  if (trailing.type !== 'end') {
+    throw new MathError(`Unexpected ${describe(trailing)}`, trailing.position, trailing.value.length || 1);
+  }
+
+  return statement;
+}
+
+// ⚙️ Evaluator: values are { value: Decimal, unit: string | null }
+const scalar = value => ({ value, unit: null });
+
+function convert(quantity, unitName, position) {
+  if (!quantity.unit) return { value: quantity.value, unit: resolveUnit(unitName).name };
+
+  const from = resolveUnit(quantity.unit);
+  const to = resolveUnit(unitName);
+  if (from.dimension !== to.dimension) {
+    throw new MathError(`Cannot convert ${from.dimension} (${from.name}) to ${to.dimension} (${to.name})`, position);
+  }
+  return { value: to.fromBase(from.toBase(quantity.value)), unit: to.name };
+}
+
+function checkFinite(value, position) {
+  if (value.isNaN()) throw new MathError('Result is not a number', position);
+  if (!value.isFinite()) throw new MathError('Result is infinite (division by zero?)', position);
+  return value;
+}
+
+function factorial(value, position) {
+  if (!value.isInteger() || value.isNegative()) {
+    throw new MathError('Factorial needs a non-negative integer', position);
+  }
+  if (value.greaterThan(MAX_FACTORIAL)) {
+    throw new MathError(`Factorial is limited to n <= ${MAX_FACTORIAL}`, position);
+  }
+  let result = new D(1);
+  for (let i = 2; i <= value.toNumber(); i++) result = result.times(i);
+  return result;
+}
+
+function binary(operator, left, right, position) {
+  if (operator === '+' || operator === '-') {
+    if (Boolean(left.unit) !== Boolean(right.unit)) {
+      throw new MathError(`Cannot ${operator === '+' ? 'add' : 'subtract'} a plain number and a quantity in ${left.unit ?? right.unit}`, position);
+    }
+    const rightValue = right.unit ? convert(right, left.unit, position).value : right.value;
+    if (left.unit && resolveUnit(left.unit).dimension === 'temperature' && left.unit !== 'K') {
+      throw new MathError('Add or subtract temperatures in K, or convert first', position);
+    }
+    return { value: operator === '+' ? left.value.plus(rightValue) : left.value.minus(rightValue), unit: left.unit };
+  }
+
+  if (left.unit && right.unit) {
+    if (operator === '/' && resolveUnit(left.unit).dimension === resolveUnit(right.unit).dimension) {
+      return scalar(left.value.dividedBy(convert(right, left.unit, position).value));
+    }
+    throw new MathError(`Cannot ${operator === '*' ? 'multiply' : 'combine'} ${left.unit} and ${right.unit}`, position);
+  }
+  if (right.unit && operator !== '*') {
+    throw new MathError(`Cannot use a quantity in ${right.unit} on the right of "${operator}"`, position);
+  }
+
+  const unit = left.unit ?? right.unit;
+  switch (operator) {
+    case '*':
+      return { value: left.value.times(right.value), unit };
+    case '/':
+      if (right.value.isZero()) throw new MathError('Division by zero', position);
+      return { value: left.value.dividedBy(right.value), unit };
+    case '%':
+      if (right.value.isZero()) throw new MathError('Modulo by zero', position);
+      return { value: left.value.modulo(right.value), unit };
+    case '^':
+      if (unit) throw new MathError(`Cannot raise a quantity in ${unit} to a power`, position);
+      return scalar(left.value.pow(right.value));
+    default:
+      throw new MathError(`Unknown operator "${operator}"`, position);
+  }
+}
+
+function evaluateNode(node, variables) {
+  switch (node.type) {
+    case 'number':
+      return scalar(new D(node.value));
+
+    case 'unit': {
+      const inner = evaluateNode(node.value, variables);
+      if (inner.unit) throw new MathError(`Value already has unit ${inner.unit}`, node.position);
+      return { value: inner.value, unit: resolveUnit(node.unit).name };
+    }
+
+    case 'variable': {
+      if (variables.has(node.name)) return variables.get(node.name);
+      if (lookup(CONSTANTS, node.name)) return scalar(CONSTANTS[node.name]);
+      const hint = lookup(FUNCTIONS, node.name) ? ` (did you mean ${node.name}(...)?)` : '';
+      throw new MathError(`Unknown variable "${node.name}"${hint}`, node.position, node.name.length);
+    }
+
+    case 'call': {
+      const fn = lookup(FUNCTIONS, node.name);
+      if (!fn) throw new MathError(`Unknown function "${node.name}"`, node.position, node.name.length);
+
+      const [minArgs, maxArgs] = fn.arity;
+      if (node.args.length < minArgs || node.args.length > maxArgs) {
+        const expected = minArgs === maxArgs ? minArgs : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}-${maxArgs}`;
+        throw new MathError(`${node.name}() takes ${expected} argument(s), got ${node.args.length}`, node.position, node.name.length);
+      }
+
+      const args = node.args.map(arg => evaluateNode(arg, variables));
+      const withUnit = args.find(arg => arg.unit);
+      if (withUnit) {
+        // min/max/abs/round/floor/ceil/trunc keep units when every argument shares a dimension
+        if (!['min', 'max', 'abs', 'round', 'floor', 'ceil', 'trunc'].includes(node.name)) {
+          throw new MathError(`${node.name}() needs plain numbers, not ${withUnit.unit}`, node.position, node.name.length);
+        }
+        const values = args.map((arg, i) => (i === 0 || node.name === 'min' || node.name === 'max')
+          ? convert(arg, withUnit.unit, node.position).value
+          : arg.value);
+        return { value: checkFinite(fn.fn(values), node.position), unit: withUnit.unit };
+      }
+
+      return scalar(checkFinite(fn.fn(args.map(arg => arg.value)), node.position));
+    }
+
+    case 'negate': {
+      const inner = evaluateNode(node.value, variables);
+      return node.negate ? { value: inner.value.negated(), unit: inner.unit } : inner;
+    }
+
+    case 'factorial': {
+      const inner = evaluateNode(node.value, variables);
+      if (inner.unit) throw new MathError('Factorial needs a plain number', node.position);
+      return scalar(factorial(inner.value, node.position));
+    }
+
+    case 'binary': {
+      const left = evaluateNode(node.left, variables);
+      const right = evaluateNode(node.right, variables);
+      const result = binary(node.operator, left, right, node.position);
+      return { value: checkFinite(result.value, node.position), unit: result.unit };
+    }
+
+    case 'convert':
+      return convert(evaluateNode(node.value, variables), node.unit, node.position);
+
+    default:
+      throw new MathError(`Unknown expression "${node.type}"`, node.position ?? 0);
+  }
+}
+
+/**
+ * Render a Decimal without floating-point noise, e.g. 0.1 + 0.2 → "0.3" and
+ * sin(pi) → "0".
+ */
+export function formatDecimal(value) {
+  if (value.abs().lt(ZERO_EPSILON)) return '0';
+  const rounded = value.toSignificantDigits(DISPLAY_DIGITS);
+  return rounded.isZero() ? '0' : rounded.toString();
+}
+
+export function formatQuantity({ value, unit }) {
+  return unit ? `${formatDecimal(value)} ${unit}` : formatDecimal(value);
+}
+
+/**
+ * Evaluation context that keeps variables (and `ans`) between calls.
+ */
+export class MathSession {
+  constructor() {
+    this.variables = new Map();
+  }
+
+  /**
+   * @returns {{ result: string, value: string, unit: string | null, assigned?: string }}
+   * @throws {MathError}
+   */
+  evaluate(input) {
+    if (!input || !input.trim()) throw new MathError('Expression is empty', 0);
+
+    const ast = parse(input);
+    let quantity;
+    let assigned;
+
+    if (ast.type === 'assign') {
+      if (lookup(CONSTANTS, ast.name) || lookup(FUNCTIONS, ast.name)) {
+        throw new MathError(`"${ast.name}" is a built-in and cannot be reassigned`, ast.position, ast.name.length);
+      }
+      quantity = evaluateNode(ast.value, this.variables);
+      this.variables.set(ast.name, quantity);
+      assigned = ast.name;
+    } else {
+      quantity = evaluateNode(ast, this.variables);
+    }
+
+    this.variables.set('ans', quantity);
+
+    return {
+      result: formatQuantity(quantity),
+      value: formatDecimal(quantity.value),
+      unit: quantity.unit,
+      ...(assigned && { assigned })
+    };
+  }
+
+  /**
+   * Current variables as display strings, e.g. `{ x: '6.28318...', d: '5 km' }`.
+   */
+  listVariables() {
+    return Object.fromEntries([...this.variables].map(([name, quantity]) => [name, formatQuantity(quantity)]));
+  }
+
+  clear() {
+    this.variables.clear();
+  }
+}
@@ -0,0 +1,657 @@
+/**
+ * 🧪 Mock Desktop
+ *
+ * In-memory stand-in for Terminator's `Desktop`, so the agents and examples
+ * run without a Windows desktop (e.g. on a Linux CI box). The accessibility
+ * tree comes from a scene:
+ *
+ *   {
+ *     "screen": { "width": 1920, "height": 1080, "monitor": "Mock Display 1" },
+ *     "applications": [ { "role": "Window", "name": "Untitled - Notepad", "children": [...] } ],
+ *     "launchable": { "notepad": { "role": "Window", "name": "Untitled - Notepad", ... } },
+ *     "focus": "role:Edit",
+ *     "ocr": "Canned OCR text (defaults to the visible text of the focused window)",
+ *     "commands": { "echo hi": { "stdout": "hi\n" }, "npm start": { "hang": true } }
+ *   }
+ *
+ * Element nodes take `role`, `name`, `id`, `automationId`, `className`,
+ * `text`, `value`, `bounds`, `visible`, `enabled` and `children`; a node
+ * without bounds takes its parent's. A window with `"behavior": "calculator"`
+ * works like Calculator: its digit, operator, Equals and Clear buttons update
+ * the `CalculatorResults` display. Every interaction (clicks, typing,
+ * launches, commands, OCR) is appended to `desktop.actions` in order.
+ *
+ * `mockCommandRunner(desktop)` stands in for `runShellCommand`
+ * (lib/command-runner.js), so the command tools never start a host process
+ * on the mock desktop.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { matchStep, parseSelector } from './selectors.js';
+
+// 🗺️ Default scene: an empty desktop that can launch Calculator, Notepad and Paint
+
+function grid(names, { x, y, width, height, columns }) {
+  return names.map((name, i) => ({
+    role: 'Button',
+    name,
+    bounds: {
+      x: x + (i % columns) * width,
+      y: y + Math.floor(i / columns) * height,
+      width,
+      height
+    }
+  }));
+}
+
+export const DEFAULT_SCENE = {
+  screen: { width: 1920, height: 1080, monitor: 'Mock Display 1' },
+  applications: [
+    {
+      role: 'Pane',
+      name: 'Taskbar',
+      className: 'Shell_TrayWnd',
+      bounds: { x: 0, y: 1032, width: 1920, height: 48 },
+      children: [
+        { role: 'Button', name: 'Start', bounds: { x: 0, y: 1032, width: 48, height: 48 } },
+        { role: 'Text', name: 'Clock', text: '12:00' }
+      ]
+    }
+  ],
+  launchable: {
+    calc: {
+      role: 'Window',
+      name: 'Calculator',
+      behavior: 'calculator',
+      bounds: { x: 100, y: 100, width: 320, height: 500 },
+      children: [
+        { role: 'Text', name: 'Display is 0', automationId: 'CalculatorResults', text: '0', bounds: { x: 100, y: 140, width: 320, height: 80 } },
+        ...grid([
+          'Clear', 'Divide by', 'Multiply by', 'Minus',
+          'Seven', 'Eight', 'Nine', 'Plus',
+          'Four', 'Five', 'Six', 'Equals',
+          'One', 'Two', 'Three', 'Zero'
+        ], { x: 100, y: 240, width: 80, height: 60, columns: 4 })
+      ]
+    },
+    notepad: {
+      role: 'Window',
+      name: 'Untitled - Notepad',
+      bounds: { x: 200, y: 120, width: 900, height: 640 },
+      children: [
+        {
+          role: 'MenuBar',
+          name: 'Application',
+          bounds: { x: 200, y: 150, width: 900, height: 24 },
+          children: [
+            { role: 'MenuItem', name: 'File', bounds: { x: 200, y: 150, width: 40, height: 24 } },
+            { role: 'MenuItem', name: 'Edit', bounds: { x: 240, y: 150, width: 40, height: 24 } }
+          ]
+        },
+        { role: 'Edit', name: 'Text Editor', className: 'Edit', value: '', focus: true, bounds: { x: 200, y: 174, width: 900, height: 586 } }
+      ]
+    },
+    mspaint: {
+      role: 'Window',
+      name: 'Untitled - Paint',
+      bounds: { x: 0, y: 0, width: 1280, height: 800 },
+      children: [
+        { role: 'Button', name: 'Brush', automationId: 'BrushTool', bounds: { x: 300, y: 40, width: 40, height: 40 } },
+        { role: 'Pane', name: 'Canvas', className: 'MSPaintView', bounds: { x: 100, y: 150, width: 900, height: 600 } }
+      ]
+    }
+  },
+  focus: 'name:Start',
+  ocr: null,
+  commands: {}
+};
+
+/**
+ * Read a scene from a JSON file; missing sections fall back to the default scene.
+ */
+export function loadScene(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// 🔍 Selectors (prefix:value, matched against a single node)
+
+const SELECTOR_FIELDS = {
+  role: (node, value) => equalsIgnoreCase(node.role, value),
+  name: (node, value) => includesIgnoreCase(node.name, value),
+  text: (node, value) => [node.name, node.text, node.value].some(field => includesIgnoreCase(field, value)),
+  id: (node, value) => node.id === value || node.automationId === value,
+  automationid: (node, value) => node.automationId === value || node.id === value,
+  classname: (node, value) => equalsIgnoreCase(node.className, value),
+  window: (node, value) => equalsIgnoreCase(node.role, 'Window') && includesIgnoreCase(node.name, value)
+};
+
+function equalsIgnoreCase(field, value) {
+  return typeof field === 'string' && field.toLowerCase() === value.toLowerCase();
+}
+
+function includesIgnoreCase(field, value) {
+  return typeof field === 'string' && field.toLowerCase().includes(value.toLowerCase());
+}
+
+// Boolean steps are matched node by node; nth steps are handled by MockLocator
+function compileStep(step) {
+  return node => matchStep(step, (kind, value) => SELECTOR_FIELDS[kind](node, value));
+}
+
+function descendants(node) {
+  return node.children.flatMap(child => [child, ...descendants(child)]);
+}
+
+// 🧮 Window behaviours: what a click on one of the window's elements changes
+
+const DIGITS = ['Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'];
+
+const OPERATORS = {
+  Plus: (a, b) => a + b,
+  Minus: (a, b) => a - b,
+  'Multiply by': (a, b) => a * b,
+  'Divide by': (a, b) => a / b
+};
+
+function calculator(window, button) {
+  const display = descendants(window).find(node => node.automationId === 'CalculatorResults');
+  if (!display) return;
+
+  const state = (window.state ??= { entry: '0', total: null, operator: null, fresh: true });
+  const settle = () => {
+    if (state.operator && !state.fresh) state.total = OPERATORS[state.operator](state.total, Number(state.entry));
+    else if (!state.operator) state.total = Number(state.entry);
+  };
+  let shown;
+
+  if (DIGITS.includes(button.name)) {
+    const digit = String(DIGITS.indexOf(button.name));
+    state.entry = state.fresh || state.entry === '0' ? digit : state.entry + digit;
+    state.fresh = false;
+    shown = state.entry;
+  } else if (OPERATORS[button.name]) {
+    settle();
+    Object.assign(state, { operator: button.name, fresh: true });
+    shown = state.total;
+  } else if (button.name === 'Equals') {
+    settle();
+    Object.assign(state, { entry: String(state.total), total: null, operator: null, fresh: true });
+    shown = state.entry;
+  } else if (button.name === 'Clear') {
+    window.state = null;
+    shown = '0';
+  } else {
+    return;
+  }
+
+  const text = Number.isFinite(Number(shown)) ? String(shown) : 'Cannot divide by zero';
+  Object.assign(display, { text, name: `Display is ${text}` });
+}
+
+const BEHAVIORS = { calculator };
+
+// 🖼️ Synthetic screenshots: a solid-colour PNG the size of the screen
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function solidPng(width, height, [r, g, b] = [0, 120, 215]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) row.set([r, g, b], 1 + x * 3);
+  const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// 🧩 Elements and locators
+
+export class MockElement {
+  constructor(desktop, node) {
+    this._desktop = desktop;
+    this._node = node;
+  }
+
+  id() { return this._node.id; }
+  name() { return this._node.name ?? ''; }
+  role() { return this._node.role; }
+  bounds() { return { ...this._node.bounds }; }
+  getBounds() { return this.bounds(); }
+  isVisible() { return this._node.visible !== false; }
+  isEnabled() { return this._node.enabled !== false; }
+  isFocused() { return this._desktop._focus === this._node; }
+
+  /**
+   * Own text plus the text of descendants up to `maxDepth` levels down.
+   */
+  text(maxDepth = 1) {
+    const collect = (node, depth) => [
+      node.value || node.text || '',
+      ...(depth < maxDepth ? node.children.map(child => collect(child, depth + 1)) : [])
+    ].filter(Boolean).join('\n');
+    return collect(this._node, 0);
+  }
+
+  attributes() {
+    const { role, name, value, automationId, className } = this._node;
+    return { role, name, value: value ?? null, automationId: automationId ?? null, className: className ?? null };
+  }
+
+  parent() {
+    return this._node.parent ? this._desktop._wrap(this._node.parent) : null;
+  }
+
+  children() {
+    return this._node.children.map(child => this._desktop._wrap(child));
+  }
+
+  locator(selector) {
+    return new MockLocator(this._desktop, [selector], this._node);
+  }
+
+  focus() {
+    this._desktop._focus = this._node;
+    this._desktop._record('focus', this._node);
+  }
+
+  click() { return this._click('click'); }
+  doubleClick() { return this._click('doubleClick'); }
+  rightClick() { return this._click('rightClick'); }
+
+  typeText(text, useClipboard = false) {
+    this._assertEnabled('type into');
+    this._desktop._focus = this._node;
+    this._node.value = (this._node.value ?? '') + text;
+    this._desktop._record('typeText', this._node, { text, useClipboard });
+  }
+
+  pressKey(key) {
+    this._desktop._record('pressKey', this._node, { key });
+  }
+
+  highlight(color = null, durationMs = null) {
+    this._desktop._record('highlight', this._node, { color, durationMs });
+  }
+
+  mouseClickAndHold(x, y) {
+    this._stroke = [[x, y]];
+    this._desktop._record('mouseDown', this._node, { x, y });
+  }
+
+  mouseMove(x, y) {
+    this._stroke?.push([x, y]);
+  }
+
+  mouseRelease() {
+    const points = this._stroke ?? [];
+    this._stroke = null;
+    this._desktop._record('stroke', this._node, { points });
+  }
+
+  /**
+   * Immediate children with a selector that finds each of them again.
+   */
+  explore() {
+    return {
+      parent: this,
+      children: this._node.children.map(child => ({
+        role: child.role,
+        name: child.name ?? null,
+        id: child.id,
+        suggestedSelector: child.automationId ? `automationid:${child.automationId}` : `name:${child.name}`
+      }))
+    };
+  }
+
+  _click(type) {
+    this._assertEnabled(type);
+    this._desktop._focus = this._node;
+    const { x, y, width, height } = this._node.bounds;
+    const coordinates = [x + Math.round(width / 2), y + Math.round(height / 2)];
+    this._desktop._record(type, this._node, { coordinates });
+    if (type === 'click') this._desktop._clicked(this._node);
+    return { method: 'mock', coordinates, details: `${type} on ${this._node.role} "${this.name()}"` };
+  }
+
+  _assertEnabled(action) {
+    if (!this.isEnabled()) throw new Error(`Cannot ${action} disabled element ${this._node.role} "${this.name()}"`);
+  }
+}
+
+export class MockLocator {
+  constructor(desktop, selectors, scope) {
+    this._desktop = desktop;
+    this._selectors = selectors;
+    this._scope = scope;
+  }
+
+  locator(selector) {
+    return new MockLocator(this._desktop, [...this._selectors, selector], this._scope);
+  }
+
+  toString() {
+    return this._selectors.join(' >> ');
+  }
+
+  /**
+   * Every match; the mock tree is static, so there is nothing to wait for.
+   */
+  async all(_timeout) {
+    return this._matches().map(node => this._desktop._wrap(node));
+  }
+
+  async first(_timeout) {
+    return this._first();
+  }
+
+  async click() { return (await this.first()).click(); }
+  async doubleClick() { return (await this.first()).doubleClick(); }
+  async rightClick() { return (await this.first()).rightClick(); }
+  async typeText(text, useClipboard) { return (await this.first()).typeText(text, useClipboard); }
+  async pressKey(key) { return (await this.first()).pressKey(key); }
+  async highlight(color, durationMs) { return (await this.first()).highlight(color, durationMs); }
+  async text(maxDepth) { return (await this.first()).text(maxDepth); }
+  async attributes() { return (await this.first()).attributes(); }
+  async bounds() { return (await this.first()).bounds(); }
+  async isVisible() { return (await this.first()).isVisible(); }
+  async explore() { return (await this.first()).explore(); }
+
+  async expectVisible() {
+    const element = await this.first();
+    if (!element.isVisible()) throw new Error(`Element "${this}" is not visible`);
+    return element;
+  }
+
+  // Mouse input is synchronous, as on Terminator's locators
+  mouseClickAndHold(x, y) { this._first().mouseClickAndHold(x, y); }
+  mouseMove(x, y) { this._first().mouseMove(x, y); }
+  mouseRelease() { this._first().mouseRelease(); }
+
+  _matches() {
+    let scopes = [this._scope ?? this._desktop._root];
+    for (const step of this._selectors.flatMap(selector => parseSelector(selector).steps)) {
+      if (step.type === 'nth') {
+        const node = scopes.at(step.index);
+        scopes = node ? [node] : [];
+        continue;
+      }
+      const matches = compileStep(step);
+      scopes = [...new Set(scopes.flatMap(descendants))]
+        .filter(node => node.visible !== false && matches(node));
+    }
+    return scopes;
+  }
+
+  _first() {
+    const [node] = this._matches();
+    if (!node) throw new Error(`No element found for selector "${this}"`);
+    return this._desktop._wrap(node);
+  }
+}
+
+// 🖥️ Desktop
+
+export class MockDesktop {
+  /**
+   * @param {object} [scene] see the module comment; defaults to `DEFAULT_SCENE`
+   */
+  constructor(scene = {}) {
+    this.scene = { ...DEFAULT_SCENE, ...scene, screen: { ...DEFAULT_SCENE.screen, ...scene.screen } };
+    this.actions = [];
+    this._nextId = 1;
+    this._elements = new WeakMap();
+    this._root = this._adopt({
+      role: 'Desktop',
+      name: this.scene.screen.monitor,
+      bounds: { x: 0, y: 0, width: this.scene.screen.width, height: this.scene.screen.height }
+    }, null);
+    this._focus = this._root;
+
+    for (const app of this.scene.applications) this._addWindow(structuredClone(app));
+    if (this.scene.focus) {
+      this._focus = descendants(this._root).find(compileStep(parseSelector(this.scene.focus).steps[0])) ?? this._root;
+    }
+  }
+
+  root() {
+    return this._wrap(this._root);
+  }
+
+  applications() {
+    return this.children().filter(app => app.isVisible());
+  }
+
+  children() {
+    return this._root.children.map(node => this._wrap(node));
+  }
+
+  application(name) {
+    const node = this._findWindow(name);
+    if (!node) throw new Error(`Application "${name}" is not running`);
+    return this._wrap(node);
+  }
+
+  locator(selector) {
+    return new MockLocator(this, [selector]);
+  }
+
+  focusedElement() {
+    return this._wrap(this._focus);
+  }
+
+  /**
+   * Open an application from `scene.launchable` (keyed by executable name),
+   * or an empty window titled with the name. An application that is already
+   * open is focused instead of opened twice.
+   */
+  openApplication(name) {
+    const key = name.toLowerCase().replace(/\.exe$/, '');
+    const template = this.scene.launchable[key] ?? { role: 'Window', name };
+    const node = this._findWindow(template.name) ?? this._addWindow(structuredClone(template));
+
+    this._focusWindow(node);
+    this._record('openApplication', node, { app: name });
+    return this._wrap(node);
+  }
+
+  activateApplication(name) {
+    const node = this._findWindow(name);
+    if (!node) throw new Error(`Application "${name}" is not running`);
+    this._focusWindow(node);
+    this._record('activateApplication', node, { app: name });
+  }
+
+  openUrl(url, browser) {
+    const title = `${url} - ${browser || 'Browser'}`;
+    const existing = this._root.children.find(node => node.browser);
+    if (existing) this._root.children.splice(this._root.children.indexOf(existing), 1);
+
+    const node = this._addWindow({
+      role: 'Window',
+      name: title,
+      browser: true,
+      children: [{ role: 'Document', name: url, text: url }]
+    });
+    this._focusWindow(node);
+    this._record('openUrl', node, { url, browser: browser ?? null });
+    return this._wrap(node);
+  }
+
+  openFile(filePath) {
+    this._record('openFile', null, { path: filePath });
+  }
+
+  async getCurrentBrowserWindow() {
+    const node = this._root.children.find(child => child.browser);
+    if (!node) throw new Error('No browser window is open');
+    return this._wrap(node);
+  }
+
+  async getCurrentWindow() {
+    return this._wrap(this._windowOf(this._focus));
+  }
+
+  async getCurrentApplication() {
+    return this._wrap(this._windowOf(this._focus));
+  }
+
+  async getActiveMonitorName() {
+    return this.scene.screen.monitor;
+  }
+
+  async captureScreen() {
+    const { width, height } = this.scene.screen;
+    this._screenshot ??= solidPng(width, height);
+    this._record('captureScreen', null);
+    return { width, height, imageData: this._screenshot };
+  }
+
+  /**
+   * Canned OCR: `scene.ocr`, or the visible text of the focused window.
+   */
+  async ocrScreenshot(_screenshot) {
+    this._record('ocr', null, { source: 'screenshot' });
+    return this._ocrText();
+  }
+
+  async ocrImagePath(imagePath) {
+    this._record('ocr', null, { source: imagePath });
+    return this._ocrText();
+  }
+
+  /**
+   * Commands never run: the result comes from `scene.commands`, `echo` is
+   * answered directly and anything else exits with 127. A canned `hang`
+   * command never finishes in `mockCommandRunner`.
+   */
+  async runCommand(windowsCommand, unixCommand) {
+    const command = (process.platform === 'win32' ? windowsCommand : unixCommand) ?? windowsCommand ?? unixCommand;
+    this._record('runCommand', null, { command });
+
+    const canned = this.scene.commands[command];
+    if (canned) return { exitStatus: 0, stdout: '', stderr: '', ...canned };
+
+    const echo = command.match(/^echo\s+(.*)$/s);
+    if (echo) return { exitStatus: 0, stdout: `${echo[1].replace(/^(["'])(.*)\1$/s, '$2')}\n`, stderr: '' };
+
+    return { exitStatus: 127, stdout: '', stderr: `mock desktop: no scripted output for "${command}"\n` };
+  }
+
+  // Internals
+
+  _adopt(node, parent) {
+    node.id ??= String(this._nextId++);
+    node.parent = parent;
+    node.bounds ??= parent?.bounds ?? { x: 0, y: 0, width: 0, height: 0 };
+    node.children = (node.children ?? []).map(child => this._adopt(child, node));
+    return node;
+  }
+
+  _addWindow(template) {
+    const node = this._adopt(template, this._root);
+    this._root.children.push(node);
+    return node;
+  }
+
+  _findWindow(name) {
+    return this._root.children.find(node => includesIgnoreCase(node.name, name));
+  }
+
+  _windowOf(node) {
+    while (node.parent && node.parent !== this._root) node = node.parent;
+    return node;
+  }
+
+  _clicked(node) {
+    const window = this._windowOf(node);
+    BEHAVIORS[window.behavior]?.(window, node);
+  }
+
+  _focusWindow(window) {
+    this._focus = descendants(window).find(node => node.focus) ?? window;
+  }
+
+  _ocrText() {
+    if (this.scene.ocr != null) return this.scene.ocr;
+    const window = this._windowOf(this._focus);
+    return [window, ...descendants(window)]
+      .filter(node => node.visible !== false)
+      .map(node => node.value || node.text || node.name)
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  _wrap(node) {
+    if (!this._elements.has(node)) this._elements.set(node, new MockElement(this, node));
+    return this._elements.get(node);
+  }
+
+  _record(type, node, details = {}) {
+    this.actions.push({
+      type,
+      ...(node && { target: { role: node.role, name: node.name ?? null, id: node.id } }),
+      ...details
+    });
+  }
+}
+
+/**
+ * A runner with the signature and result of `runShellCommand`
+ * (lib/command-runner.js) that answers from `desktop.runCommand`, so every
+ * command is recorded in `desktop.actions` and none reaches the host. A
+ * `hang` command runs until its timeout or abort, like a stuck process.
+ */
+export function mockCommandRunner(desktop) {
+  return async (command, { timeout = 30000, signal, onOutput = () => {} } = {}) => {
+    if (signal?.aborted) throw new Error('Command was cancelled before it started');
+
+    const startedAt = Date.now();
+    const { exitStatus, stdout, stderr, hang } = await desktop.runCommand(command, command);
+    const result = { exitCode: exitStatus, signal: null, stdout, stderr, timedOut: false, aborted: false, truncated: false };
+
+    if (hang) {
+      return new Promise((resolve) => {
+        const finish = (how) => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          resolve({ ...result, exitCode: null, signal: 'SIGTERM', durationMs: Date.now() - startedAt, [how]: true });
+        };
+        const timer = setTimeout(() => finish('timedOut'), timeout);
+        const onAbort = () => finish('aborted');
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    if (stdout) onOutput('stdout', stdout);
+    if (stderr) onOutput('stderr', stderr);
+    return { ...result, durationMs: Date.now() - startedAt };
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * 🧠 Model Registry
+ *
+ * One place to configure which model each script talks to. Models are looked
+ * up by role (`reasoning`, `vision`, `artist`) and built from providers:
+ *
+ * - `ollama`            – local Ollama server
+ * - `openai-compatible` – any OpenAI-compatible endpoint (LM Studio, llama.cpp, vLLM...)
+ * - `scripted`          – deterministic replay of canned responses for tests
+ *
+ * Roles with a `reasoningTag` have that tag's content (e.g. DeepSeek-R1's
+ * `<think>` blocks) moved out of the answer into separate reasoning parts.
+ *
+ * Settings come from the defaults below, then `agent.config.json` (or the file
+ * named by AGENT_CONFIG), then environment variables.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createOllama } from 'ollama-ai-provider';
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
+import { wrapLanguageModel, defaultSettingsMiddleware, extractReasoningMiddleware } from 'ai';
+import { createScriptedModel, loadScript } from './providers/scripted.js';
+
+export const DEFAULT_CONFIG = {
+  providers: {
+    ollama: { type: 'ollama' },
+    local: { type: 'openai-compatible', baseURL: 'http://localhost:1234/v1' },
+    scripted: { type: 'scripted', responses: [] }
+  },
+  models: {
+    reasoning: {
+      provider: 'ollama',
+      model: 'deepseek-r1:1.5b',
+      temperature: 0.7,
+      reasoningTag: 'think',
+      options: { simulateStreaming: true }
+    },
+    vision: { provider: 'ollama', model: 'gemma3:4b-it-q4_K_M', temperature: 0.3 },
+    artist: { provider: 'ollama', model: 'gemma3:4b-it-q4_K_M', temperature: 0.7 }
+  }
+};
+
+const PROVIDER_TYPES = ['ollama', 'openai-compatible', 'scripted'];
+
+function parseTemperature(value) {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+/**
+ * Apply environment variable overrides to a config object (mutates it).
+ */
+function applyEnv(config, env) {
+  const { providers, models } = config;
+
+  if (env.OLLAMA_BASE_URL) providers.ollama = { ...providers.ollama, baseURL: env.OLLAMA_BASE_URL };
+  if (env.OPENAI_COMPATIBLE_BASE_URL) providers.local = { ...providers.local, baseURL: env.OPENAI_COMPATIBLE_BASE_URL };
+  if (env.OPENAI_COMPATIBLE_API_KEY) providers.local = { ...providers.local, apiKey: env.OPENAI_COMPATIBLE_API_KEY };
+  if (env.AGENT_SCRIPT) providers.scripted = { ...providers.scripted, script: env.AGENT_SCRIPT };
+
+  for (const [role, prefix] of [['reasoning', 'AGENT'], ['vision', 'AGENT_VISION'], ['artist', 'AGENT_ARTIST']]) {
+    const spec = { ...models[role] };
+    if (env[`${prefix}_PROVIDER`]) spec.provider = env[`${prefix}_PROVIDER`];
+    if (env[`${prefix}_MODEL`]) spec.model = env[`${prefix}_MODEL`];
+    const temperature = parseTemperature(env[`${prefix}_TEMPERATURE`]);
+    if (temperature !== undefined) spec.temperature = temperature;
+    models[role] = spec;
+  }
+
+  return config;
+}
+
+/**
+ * Merge defaults, the JSON config file (if present) and environment variables.
+ */
+export function loadModelConfig({ file = process.env.AGENT_CONFIG || 'agent.config.json', env = process.env } = {}) {
+  const config = structuredClone(DEFAULT_CONFIG);
+  const configPath = path.resolve(file);
+
+  if (fs.existsSync(configPath)) {
+    const fromFile = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    Object.assign(config.providers, fromFile.providers);
+    for (const [role, spec] of Object.entries(fromFile.models ?? {})) {
+      config.models[role] = { ...config.models[role], ...spec };
+    }
+    config.baseDir = path.dirname(configPath);
+  }
+
+  return applyEnv(config, env);
+}
+
+function buildModel(name, provider, spec, baseDir = process.cwd()) {
+  switch (provider.type) {
+    case 'ollama':
+      return createOllama({ baseURL: provider.baseURL })(spec.model, spec.options);
+
+    case 'openai-compatible':
+      return createOpenAICompatible({ name, baseURL: provider.baseURL, apiKey: provider.apiKey })(spec.model);
+
+    case 'scripted': {
+      const script = provider.script
+        ? loadScript(path.resolve(baseDir, provider.script))
+        : { responses: provider.responses, strict: provider.strict };
+      return createScriptedModel({ ...script, modelId: spec.model });
+    }
+
+    default:
+      throw new Error(`Unknown provider type "${provider.type}" (expected ${PROVIDER_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Create a registry of models by role.
+ *
+ * @example
+ * const models = createModelRegistry();
+ * const model = models.get('reasoning');
+ * models.use('reasoning', 'local:qwen2.5-7b-instruct');
+ */
+export function createModelRegistry(config = loadModelConfig()) {
+  const specs = structuredClone(config.models);
+  const cache = new Map();
+
+  const registry = {
+    providers: config.providers,
+
+    roles() {
+      return Object.keys(specs);
+    },
+
+    spec(role) {
+      const spec = specs[role];
+      if (!spec) throw new Error(`Unknown model role "${role}" (known: ${Object.keys(specs).join(', ')})`);
+      return spec;
+    },
+
+    providerType(role) {
+      return config.providers[registry.spec(role).provider]?.type;
+    },
+
+    describe(role) {
+      const { provider, model } = registry.spec(role);
+      return `${provider}:${model}`;
+    },
+
+    /**
+     * Language model for a role, with the role's temperature as a default
+     * setting and its reasoning tag extracted from the output.
+     */
+    get(role) {
+      if (cache.has(role)) return cache.get(role);
+
+      const spec = registry.spec(role);
+      const provider = config.providers[spec.provider];
+      if (!provider) {
+        throw new Error(`Unknown provider "${spec.provider}" (configured: ${Object.keys(config.providers).join(', ')})`);
+      }
+
+      const middleware = [];
+      if (spec.temperature !== undefined) {
+        middleware.push(defaultSettingsMiddleware({ settings: { temperature: spec.temperature } }));
+      }
+      if (spec.reasoningTag) {
+        middleware.push(extractReasoningMiddleware({ tagName: spec.reasoningTag }));
+      }
+
+      let model = buildModel(spec.provider, provider, spec, config.baseDir);
+      if (middleware.length > 0) {
+        model = wrapLanguageModel({ model, middleware });
+      }
+
+      cache.set(role, model);
+      return model;
+    },
+
+    /**
+     * Switch a role to another model. Accepts "<provider>:<model>" or just
+     * "<model>" to stay on the current provider.
+     */
+    use(role, value) {
+      const current = registry.spec(role);
+      const separator = value.indexOf(':');
+      const prefix = separator === -1 ? null : value.slice(0, separator);
+
+      const next = prefix && config.providers[prefix]
+        ? { ...current, provider: prefix, model: value.slice(separator + 1) }
+        : { ...current, model: value };
+
+      if (!next.model) throw new Error('Model name is required');
+
+      const previous = specs[role];
+      specs[role] = next;
+      cache.delete(role);
+      try {
+        registry.get(role);
+      } catch (error) {
+        specs[role] = previous;
+        throw error;
+      }
+      return registry.describe(role);
+    }
+  };
+
+  return registry;
+}
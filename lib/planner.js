@@ -0,0 +1,226 @@
+/**
+ * 🗺️ Planner
+ *
+ * Plan-then-execute mode: the model writes an explicit, ordered plan with
+ * `generateObject`, each step naming one tool, its arguments and a success
+ * check. Steps are executed and verified one at a time; when a step fails,
+ * the remaining steps are re-planned from what has been done so far.
+ *
+ * Small local models follow an explicit plan far better than free-form tool
+ * calling, and the plan can be reviewed before anything touches the desktop.
+ */
+
+import { generateObject } from 'ai';
+import { z } from 'zod';
+
+export const successCheckSchema = z.object({
+  type: z.enum(['toolSucceeded', 'resultContains', 'elementExists', 'elementTextContains'])
+    .describe('toolSucceeded: no error; resultContains: result JSON contains value; elementExists: selector matches an element; elementTextContains: element at selector has text containing value'),
+  value: z.string().optional().describe('Text to look for (resultContains, elementTextContains)'),
+  selector: z.string().optional().describe('Element selector to check (elementExists, elementTextContains)')
+});
+
+export const planStepSchema = z.object({
+  description: z.string().describe('What this step does, in a few words'),
+  tool: z.string().describe('Name of the tool to call'),
+  args: z.record(z.any()).describe('Arguments for the tool'),
+  successCheck: successCheckSchema
+});
+
+export const planSchema = z.object({
+  goal: z.string(),
+  steps: z.array(planStepSchema).min(1)
+});
+
+/**
+ * Describe the available tools and their parameters for the planning prompt.
+ */
+export function describeTools(tools) {
+  return Object.entries(tools).map(([name, tool]) => {
+    const shape = tool.parameters?.shape ?? {};
+    const params = Object.entries(shape)
+      .map(([key, schema]) => `${key}${schema.isOptional() ? '?' : ''}: ${schema.description ?? schema._def.typeName}`)
+      .join('; ');
+    return `- ${name}: ${tool.description}${params ? ` (${params})` : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Check every step names a known tool with arguments its schema accepts.
+ *
+ * @returns {string[]} problems found, empty when the plan is valid
+ */
+export function validatePlan(plan, tools) {
+  const problems = [];
+  plan.steps.forEach((step, index) => {
+    const tool = tools[step.tool];
+    if (!tool) {
+      problems.push(`Step ${index + 1}: unknown tool "${step.tool}"`);
+      return;
+    }
+    const parsed = tool.parameters.safeParse(step.args);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'args'}: ${issue.message}`);
+      problems.push(`Step ${index + 1} (${step.tool}): ${issues.join(', ')}`);
+    }
+  });
+  return problems;
+}
+
+const PLANNER_SYSTEM = `You are a desktop automation planner. Break the user's goal into a short, ordered list of steps.
+Each step calls exactly one of the available tools with concrete arguments, and says how to check it worked.
+Only use tools from the list. Prefer the fewest steps that reliably reach the goal.`;
+
+/**
+ * Ask the model for a plan that reaches `goal` with the given tools.
+ */
+export async function createPlan({ model, goal, tools, context = '' }) {
+  const { object } = await generateObject({
+    model,
+    schema: planSchema,
+    system: PLANNER_SYSTEM,
+    prompt: `Available tools:\n${describeTools(tools)}\n\n${context ? `${context}\n\n` : ''}Goal: ${goal}`
+  });
+  return object;
+}
+
+/**
+ * Plan the rest of the work after a failed step.
+ */
+export async function replan({ model, goal, tools, completed, failed }) {
+  const done = completed.length > 0
+    ? completed.map((entry, i) => `${i + 1}. ${entry.step.description} (${entry.step.tool}) → ${JSON.stringify(entry.result).slice(0, 300)}`).join('\n')
+    : '(nothing yet)';
+
+  const context = `Steps already completed:\n${done}\n\nThis step failed:\n${failed.step.description} (${failed.step.tool} ${JSON.stringify(failed.step.args)})\nResult: ${JSON.stringify(failed.result).slice(0, 500)}\nCheck: ${failed.check.reason}\n\nPlan only the remaining steps, working around the failure.`;
+
+  return createPlan({ model, goal, tools, context });
+}
+
+function resultFailed(result) {
+  return !result || Boolean(result.error) || result.success === false;
+}
+
+async function findElements(tools, selector) {
+  if (!tools.findElements) return null;
+  const found = await tools.findElements.execute({ selector });
+  return resultFailed(found) ? [] : found.elements ?? [];
+}
+
+/**
+ * Verify a step's success check against its result.
+ *
+ * @returns {Promise<{ passed: boolean, reason: string }>}
+ */
+export async function verifyStep(step, result, tools) {
+  if (resultFailed(result)) {
+    return { passed: false, reason: `tool reported an error: ${result?.error ?? 'no result'}` };
+  }
+
+  const { type, value = '', selector } = step.successCheck ?? { type: 'toolSucceeded' };
+
+  switch (type) {
+    case 'toolSucceeded':
+      return { passed: true, reason: 'tool succeeded' };
+
+    case 'resultContains': {
+      const passed = JSON.stringify(result).toLowerCase().includes(value.toLowerCase());
+      return { passed, reason: passed ? `result contains "${value}"` : `result does not contain "${value}"` };
+    }
+
+    case 'elementExists':
+    case 'elementTextContains': {
+      if (!selector) return { passed: false, reason: `${type} check needs a selector` };
+      const elements = await findElements(tools, selector);
+      if (elements === null) return { passed: false, reason: 'findElements tool is not available to verify' };
+      if (elements.length === 0) return { passed: false, reason: `no element matches ${selector}` };
+      if (type === 'elementExists') return { passed: true, reason: `${selector} exists` };
+
+      const passed = elements.some(el => `${el.name ?? ''} ${el.text ?? ''}`.toLowerCase().includes(value.toLowerCase()));
+      return { passed, reason: passed ? `${selector} contains "${value}"` : `${selector} does not contain "${value}"` };
+    }
+
+    default:
+      return { passed: false, reason: `unknown check type "${type}"` };
+  }
+}
+
+/**
+ * Execute a plan step by step, verifying each step and re-planning the rest
+ * on failure.
+ *
+ * Events passed to `onEvent`:
+ * - `{ type: 'step-start', index, step }`
+ * - `{ type: 'step-finish', index, step, result, check, elapsedMs }`
+ * - `{ type: 'replan', attempt, plan }`
+ *
+ * `approve(plan)` is called with every re-plan and may return an edited
+ * plan, or null to stop. An aborted `signal` stops before the next step and
+ * is passed to each tool as `abortSignal`. A re-plan the model cannot
+ * produce ends the run like any other failure, with the error as `reason`.
+ *
+ * @returns {Promise<{ success: boolean, completed: object[], failed?: object, reason?: string }>}
+ */
+export async function executePlan({
+  plan,
+  tools,
+  model,
+  maxReplans = 2,
+  onEvent = () => {},
+  approve = async p => p,
+  signal
+}) {
+  const completed = [];
+  let steps = [...plan.steps];
+  let replans = 0;
+
+  while (steps.length > 0) {
+    if (signal?.aborted) {
+      return { success: false, completed, reason: 'Interrupted by the user' };
+    }
+
+    const step = steps.shift();
+    const index = completed.length;
+    onEvent({ type: 'step-start', index, step });
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      const tool = tools[step.tool];
+      if (!tool) throw new Error(`Unknown tool "${step.tool}"`);
+      result = await tool.execute(tool.parameters.parse(step.args), { abortSignal: signal });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const check = await verifyStep(step, result, tools);
+    onEvent({ type: 'step-finish', index, step, result, check, elapsedMs: Date.now() - startedAt });
+
+    if (check.passed) {
+      completed.push({ step, result, check });
+      continue;
+    }
+
+    const failed = { step, result, check };
+    if (!model || replans >= maxReplans) {
+      return { success: false, completed, failed, reason: check.reason };
+    }
+
+    replans++;
+    // Small models often answer with JSON that does not fit the plan schema
+    let replanned;
+    try {
+      replanned = await replan({ model, goal: plan.goal, tools, completed, failed });
+    } catch (error) {
+      return { success: false, completed, failed, reason: `Re-planning failed: ${error.message}` };
+    }
+    const next = await approve(replanned);
+    if (!next) {
+      return { success: false, completed, failed, reason: 'Re-plan was not approved' };
+    }
+    onEvent({ type: 'replan', attempt: replans, plan: next });
+    steps = [...next.steps];
+  }
+
+  return { success: true, completed };
+}
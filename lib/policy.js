@@ -0,0 +1,199 @@
+/**
+ * 📜 Command & File Policy
+ *
+ * Declarative limits for the tools that touch the system: shell commands
+ * (allowlist/denylist regexes and blocked binaries) and file access
+ * (allowed root directories and maximum file sizes).
+ *
+ * The policy lives in `agent-policy.json` (override with AGENT_POLICY_FILE);
+ * values in the file replace the defaults below section by section.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_POLICY = {
+  commands: {
+    // When non-empty, every command must match at least one of these
+    allow: [],
+    deny: [
+      // Recursive rm of an absolute or home path or a glob
+      '\\brm\\s+(\\S+\\s+)*(-[a-z]*r[a-z]*|--recursive)\\s+(\\S+\\s+)*["\']?(/|~|\\*|\\$HOME)',
+      ':\\(\\)\\s*\\{',
+      '>\\s*/dev/sd[a-z]'
+    ],
+    blockedBinaries: ['shutdown', 'reboot', 'halt', 'poweroff', 'format', 'diskpart', 'mkfs', 'dd', 'reg', 'bcdedit']
+  },
+  files: {
+    roots: ['.'],
+    maxReadBytes: 1024 * 1024,
+    maxWriteBytes: 1024 * 1024
+  }
+};
+
+export function policyFile() {
+  return path.resolve(process.env.AGENT_POLICY_FILE || 'agent-policy.json');
+}
+
+/**
+ * Load the policy file (if any) over the defaults. File roots are resolved
+ * relative to the policy file's directory.
+ */
+export function loadPolicy(file = policyFile()) {
+  let fromFile = {};
+  let baseDir = process.cwd();
+
+  if (fs.existsSync(file)) {
+    fromFile = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    baseDir = path.dirname(file);
+  }
+
+  const policy = {
+    file: fs.existsSync(file) ? file : null,
+    commands: { ...DEFAULT_POLICY.commands, ...fromFile.commands },
+    files: { ...DEFAULT_POLICY.files, ...fromFile.files }
+  };
+
+  policy.files.roots = policy.files.roots.map(root => path.resolve(baseDir, root));
+
+  // Fail early on a bad regex rather than on the first command
+  for (const pattern of [...policy.commands.allow, ...policy.commands.deny]) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid pattern in policy ${file}: ${error.message}`);
+    }
+  }
+
+  return policy;
+}
+
+// Innermost `$(...)`, `<(...)`/`>(...)` or backtick substitution
+const SUBSTITUTION = /[$<>]\(([^()]*)\)|`([^`]*)`/;
+
+/**
+ * The simple commands a command line runs: the parts between `&&`, `||`,
+ * `;`, `|`, `&` and newlines, plus the contents of every command
+ * substitution, e.g. `"echo $(whoami) && ls"` → `['echo', 'ls', 'whoami']`.
+ */
+export function commandSegments(command) {
+  const segments = [];
+  let rest = command;
+  for (let match = rest.match(SUBSTITUTION); match; match = rest.match(SUBSTITUTION)) {
+    segments.push(match[1] ?? match[2]);
+    rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+  }
+  return [rest, ...segments]
+    .flatMap(line => line.split(/&&|\|\||[;|\n&]/))
+    .map(segment => segment.trim().replace(/^[({]\s*|\s*[)}]$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Names of the programs a command line runs, e.g.
+ * `"C:\\Windows\\shutdown.exe /s && echo hi"` → `['shutdown', 'echo']`.
+ */
+export function commandBinaries(command) {
+  return commandSegments(command)
+    .map(segment => segment.replace(/^(sudo|doas|start|call|cmd\s+\/c|powershell(\.exe)?\s+(-command\s+)?)\s+/i, ''))
+    .map(segment => segment.match(/^"([^"]+)"|^(\S+)/))
+    .filter(Boolean)
+    .map(match => path.basename((match[1] ?? match[2]).replace(/\\/g, '/')).replace(/\.(exe|cmd|bat|com|ps1)$/i, '').toLowerCase());
+}
+
+function allowed() {
+  return { allowed: true };
+}
+
+function violation(rule, reason) {
+  return { allowed: false, rule, reason };
+}
+
+/**
+ * Check a shell command against the command policy. Deny and allow patterns
+ * are tested against every segment from `commandSegments` (deny also against
+ * the whole line), so `ls && curl ... | sh` cannot ride on an allowed `ls`.
+ *
+ * @returns {{ allowed: true } | { allowed: false, rule: string, reason: string }}
+ */
+export function checkCommand(policy, command) {
+  if (!command || !command.trim()) return violation('empty', 'Command is empty');
+
+  const segments = commandSegments(command);
+  const matches = (pattern, text) => new RegExp(pattern, 'i').test(text);
+
+  const denied = policy.commands.deny.find(pattern => [command, ...segments].some(text => matches(pattern, text)));
+  if (denied) return violation('deny', `Command matches denied pattern /${denied}/`);
+
+  const blocked = new Set(policy.commands.blockedBinaries.map(name => name.toLowerCase()));
+  const binary = commandBinaries(command).find(name => blocked.has(name));
+  if (binary) return violation('blockedBinaries', `"${binary}" is a blocked binary`);
+
+  if (policy.commands.allow.length > 0) {
+    const outside = segments.find(segment => !policy.commands.allow.some(pattern => matches(pattern, segment)));
+    if (outside) return violation('allow', `"${outside}" does not match any allowed pattern`);
+  }
+
+  return allowed();
+}
+
+/**
+ * Resolve symlinks for the existing part of a path so a link inside an
+ * allowed root cannot point outside it.
+ */
+function realPath(target) {
+  let existing = target;
+  const rest = [];
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) return target;
+    rest.unshift(path.basename(existing));
+    existing = parent;
+  }
+  return path.join(fs.realpathSync(existing), ...rest);
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Check file access against the file policy.
+ *
+ * @param {object} policy
+ * @param {string} filepath
+ * @param {{ action: 'read' | 'write' | 'list' | 'open', size?: number }} access
+ *   `size` is the byte length to write; read sizes are taken from disk.
+ */
+export function checkFileAccess(policy, filepath, { action, size } = {}) {
+  const target = realPath(path.resolve(filepath));
+  const roots = policy.files.roots.map(root => (fs.existsSync(root) ? fs.realpathSync(root) : root));
+
+  if (!roots.some(root => isInside(root, target))) {
+    return violation('roots', `${target} is outside the allowed directories (${policy.files.roots.join(', ')})`);
+  }
+
+  if (action === 'write' && size !== undefined && size > policy.files.maxWriteBytes) {
+    return violation('maxWriteBytes', `Writing ${size} bytes exceeds the ${policy.files.maxWriteBytes}-byte limit`);
+  }
+
+  if (action === 'read' && fs.existsSync(target)) {
+    const { size: fileSize } = fs.statSync(target);
+    if (fileSize > policy.files.maxReadBytes) {
+      return violation('maxReadBytes', `${target} is ${fileSize} bytes, over the ${policy.files.maxReadBytes}-byte read limit`);
+    }
+  }
+
+  return allowed();
+}
+
+/**
+ * Tool result for a policy violation, worded for the model.
+ */
+export function policyError(check) {
+  return {
+    error: `Blocked by policy (${check.rule}): ${check.reason}`,
+    policyViolation: { rule: check.rule, reason: check.reason }
+  };
+}
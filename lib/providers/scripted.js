@@ -0,0 +1,223 @@
+/**
+ * 🎬 Scripted Model Provider
+ *
+ * Deterministic language model for tests and offline demos. It implements
+ * the AI SDK's LanguageModelV1 interface and replays a fixed list of
+ * responses in order, one per model call (i.e. one per agent step).
+ *
+ * Response shape:
+ *   {
+ *     text?: string,                        // streamed word by word
+ *     chunks?: string[],                    // or streamed exactly as given
+ *     toolCalls?: [{ toolName, args }],
+ *     finishReason?: string,
+ *     expect?: {                            // checked against the call before replying
+ *       prompt?: string | string[],         // the latest user message contains these
+ *       system?: string | string[],         // the system prompt contains these
+ *       tools?: string[],                   // these tools are offered
+ *       toolResults?: [{ toolName?, success?, contains? }]  // results of the previous step's calls, in order
+ *     }
+ *   }
+ *
+ * A call that does not match its `expect` fails with a ScriptMismatchError.
+ * With `strict: true` a call past the end of the script fails too; otherwise
+ * it gets an empty reply.
+ */
+
+import fs from 'fs';
+
+const usage = { promptTokens: 0, completionTokens: 0 };
+
+export class ScriptMismatchError extends Error {
+  constructor(message, { response, problems }) {
+    super(message);
+    this.name = 'ScriptMismatchError';
+    this.response = response;
+    this.problems = problems;
+  }
+}
+
+function splitIntoChunks(text) {
+  return text.match(/\S+\s*|\s+/g) ?? [];
+}
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  return content.filter(part => part.type === 'text').map(part => part.text).join('');
+}
+
+function preview(text, max = 80) {
+  return JSON.stringify(text.length > max ? `${text.slice(0, max)}...` : text);
+}
+
+/**
+ * What the model was called with, in test-friendly form.
+ */
+function describeCall({ prompt, mode }) {
+  const lastAssistant = prompt.findLastIndex(message => message.role === 'assistant');
+  return {
+    system: prompt.filter(message => message.role === 'system').map(message => message.content).join('\n'),
+    prompt: contentText(prompt.findLast(message => message.role === 'user')?.content ?? ''),
+    tools: (mode?.tools ?? []).map(tool => tool.name),
+    toolResults: prompt
+      .slice(lastAssistant + 1)
+      .filter(message => message.role === 'tool')
+      .flatMap(message => message.content)
+      .map(({ toolName, result }) => ({ toolName, result }))
+  };
+}
+
+function checkExpectations(expect, call) {
+  const problems = [];
+
+  for (const text of [expect.prompt ?? []].flat()) {
+    if (!call.prompt.includes(text)) problems.push(`the prompt to contain "${text}" (got ${preview(call.prompt)})`);
+  }
+  for (const text of [expect.system ?? []].flat()) {
+    if (!call.system.includes(text)) problems.push(`the system prompt to contain "${text}"`);
+  }
+  for (const name of expect.tools ?? []) {
+    if (!call.tools.includes(name)) problems.push(`tool "${name}" to be offered (got ${call.tools.join(', ') || 'none'})`);
+  }
+
+  (expect.toolResults ?? []).forEach((expected, i) => {
+    const received = call.toolResults[i];
+    const label = `tool result ${i + 1}`;
+    if (!received) {
+      problems.push(`${label}${expected.toolName ? ` from ${expected.toolName}` : ''} (got ${call.toolResults.length} results)`);
+      return;
+    }
+    if (expected.toolName && received.toolName !== expected.toolName) {
+      problems.push(`${label} to come from ${expected.toolName} (got ${received.toolName})`);
+    }
+    if (expected.success !== undefined && received.result?.success !== expected.success) {
+      problems.push(`${label} (${received.toolName}) to have success: ${expected.success} (got ${preview(JSON.stringify(received.result))})`);
+    }
+    if (expected.contains && !JSON.stringify(received.result).includes(expected.contains)) {
+      problems.push(`${label} (${received.toolName}) to contain "${expected.contains}" (got ${preview(JSON.stringify(received.result))})`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Read a `{ responses: [...] }` script (or a bare array) from a JSON file.
+ */
+export function loadScript(file) {
+  const script = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return Array.isArray(script) ? { responses: script } : script;
+}
+
+/**
+ * @param {{ responses: object[], modelId?: string, strict?: boolean }} script
+ */
+export function createScriptedModel({ responses = [], modelId = 'scripted', strict = false } = {}) {
+  let index = 0;
+  const calls = [];
+
+  const next = (options) => {
+    const call = describeCall(options);
+    calls.push(call);
+
+    const position = index + 1;
+    if (strict && index >= responses.length) {
+      throw new ScriptMismatchError(`Scripted model called ${position} times but the script has ${responses.length} responses`, {
+        response: position,
+        problems: ['no response left']
+      });
+    }
+
+    const response = responses[index] ?? { text: '' };
+    index++;
+
+    const problems = response.expect ? checkExpectations(response.expect, call) : [];
+    if (problems.length > 0) {
+      throw new ScriptMismatchError(`Scripted response ${position} expected ${problems.join('; ')}`, { response: position, problems });
+    }
+
+    const toolCalls = (response.toolCalls ?? []).map((toolCall, i) => ({
+      toolCallType: 'function',
+      toolCallId: toolCall.toolCallId ?? `call-${index}-${i + 1}`,
+      toolName: toolCall.toolName,
+      args: JSON.stringify(toolCall.args ?? {})
+    }));
+
+    const chunks = response.chunks ?? splitIntoChunks(response.text ?? '');
+    return {
+      text: chunks.join(''),
+      chunks,
+      toolCalls,
+      finishReason: response.finishReason ?? (toolCalls.length > 0 ? 'tool-calls' : 'stop')
+    };
+  };
+
+  return {
+    specificationVersion: 'v1',
+    provider: 'scripted',
+    modelId,
+    defaultObjectGenerationMode: 'json',
+    supportsStructuredOutputs: false,
+
+    get callCount() {
+      return index;
+    },
+
+    /**
+     * What each call received: `{ system, prompt, tools, toolResults }`.
+     */
+    get calls() {
+      return calls;
+    },
+
+    get remaining() {
+      return Math.max(responses.length - index, 0);
+    },
+
+    /**
+     * Throw unless every scripted response has been used.
+     */
+    assertDone() {
+      if (index < responses.length) {
+        throw new ScriptMismatchError(`Scripted model used ${index} of ${responses.length} responses`, {
+          response: index + 1,
+          problems: [`${responses.length - index} responses left`]
+        });
+      }
+    },
+
+    reset() {
+      index = 0;
+      calls.length = 0;
+    },
+
+    async doGenerate(options) {
+      const { text, toolCalls, finishReason } = next(options);
+      return {
+        text,
+        toolCalls,
+        finishReason,
+        usage,
+        rawCall: { rawPrompt: null, rawSettings: {} }
+      };
+    },
+
+    async doStream(options) {
+      const { chunks, toolCalls, finishReason } = next(options);
+      const parts = [
+        ...chunks.map(textDelta => ({ type: 'text-delta', textDelta })),
+        ...toolCalls.map(call => ({ type: 'tool-call', ...call })),
+        { type: 'finish', finishReason, usage }
+      ];
+
+      const stream = new ReadableStream({
+        start(controller) {
+          parts.forEach(part => controller.enqueue(part));
+          controller.close();
+        }
+      });
+
+      return { stream, rawCall: { rawPrompt: null, rawSettings: {} } };
+    }
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * 💭 Reasoning Log
+ *
+ * DeepSeek-R1 thinks out loud inside `<think>...</think>`. The model registry
+ * splits that out of the answer stream (see `reasoningTag` in lib/models.js);
+ * this log keeps it for later review so it never has to go back to the model
+ * as part of the conversation.
+ */
+
+const MAX_ENTRIES = 50;
+
+export class ReasoningLog {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Record the reasoning for one chat turn or `think` question.
+   * Empty reasoning is ignored.
+   */
+  add({ source, prompt, text }) {
+    if (!text || !text.trim()) return null;
+
+    const entry = { at: new Date().toISOString(), source, prompt, text: text.trim() };
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+    return entry;
+  }
+
+  /**
+   * Entry by 1-based position; negative numbers count from the end.
+   */
+  get(position) {
+    const index = position < 0 ? this.entries.length + position : position - 1;
+    return this.entries[index];
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+
+  restore(entries = []) {
+    this.entries = [...entries];
+  }
+}
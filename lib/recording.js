@@ -0,0 +1,473 @@
+/**
+ * ⏺️ Session Recording & Replay
+ *
+ * `--record <file>` writes everything a session does to JSONL, one event per
+ * line: what the user typed, every model request and its streamed response,
+ * every tool call and result, and every Desktop API call. `--replay <file>`
+ * runs the same session with no live model or desktop: the recorded model
+ * outputs and Desktop results are fed back, the tools run again on top of
+ * them and any result that comes out differently is reported.
+ *
+ * Events are written synchronously, so a session that crashes still leaves a
+ * complete recording behind for the bug report.
+ *
+ * Desktop calls are matched per tool call (tools that run in parallel still
+ * replay deterministically); calls made outside any tool are matched in order.
+ * Objects the Desktop returns (elements, locators) become numbered handles.
+ */
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { wrapLanguageModel } from 'ai';
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * Tools that reach outside the desktop (shell, file system). A replay returns
+ * their recorded results instead of running them again, and skips the
+ * Desktop calls they made (the mock desktop answers commands).
+ */
+export const HOST_TOOLS = ['commandRunner', 'runCommand', 'fileManager'];
+
+const MODEL_SETTINGS = ['maxTokens', 'temperature', 'topP', 'topK', 'stopSequences', 'seed', 'responseFormat'];
+
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object'
+  && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const isBytes = value => value instanceof Uint8Array || value instanceof ArrayBuffer;
+
+/**
+ * JSON-safe form of a value. Bytes, dates and errors are tagged so they can be
+ * revived; anything else that is not plain data is handed to `onObject`.
+ */
+function encode(value, onObject = () => undefined) {
+  if (value === undefined || value === null || typeof value !== 'object') return value;
+  if (isBytes(value)) return { $bytes: Buffer.from(value instanceof ArrayBuffer ? new Uint8Array(value) : value).toString('base64') };
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof Error) return { $error: { name: value.name, message: value.message } };
+  if (Array.isArray(value)) return value.map(item => encode(item, onObject));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item, onObject)]));
+  }
+  return onObject(value);
+}
+
+function decode(value, onHandle = () => undefined) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => decode(item, onHandle));
+  if ('$bytes' in value) return new Uint8Array(Buffer.from(value.$bytes, 'base64'));
+  if ('$date' in value) return new Date(value.$date);
+  if ('$error' in value) return Object.assign(new Error(value.$error.message), { name: value.$error.name });
+  if ('$handle' in value) return onHandle(value);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decode(item, onHandle)]));
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The data fields of a Desktop object (e.g. a screenshot's width and height),
+ * skipping private fields and references to other objects.
+ */
+function dataProps(object) {
+  const isData = value => value === null || typeof value !== 'object' || isBytes(value)
+    || ((Array.isArray(value) || isPlainObject(value)) && Object.values(value).every(isData));
+  return encode(Object.fromEntries(Object.entries(object)
+    .filter(([key, value]) => !key.startsWith('_') && typeof value !== 'function' && isData(value))));
+}
+
+/**
+ * Append-only JSONL event log.
+ */
+export class Recorder {
+  constructor(file) {
+    this.file = file;
+    this.seq = 0;
+    fs.writeFileSync(file, '');
+  }
+
+  write(event) {
+    fs.appendFileSync(this.file, `${JSON.stringify({ seq: ++this.seq, ...event })}\n`);
+  }
+}
+
+/**
+ * Read a recording into per-kind queues.
+ */
+export function loadRecording(file) {
+  const events = fs.readFileSync(file, 'utf-8').split('\n').filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new ReplayError(`${file}:${i + 1}: ${error.message}`);
+    }
+  });
+
+  const [header] = events;
+  if (header?.type !== 'session') throw new ReplayError(`${file} is not a session recording`);
+  if (header.version !== RECORDING_VERSION) {
+    throw new ReplayError(`${file} is recording version ${header.version}; this version replays version ${RECORDING_VERSION}`);
+  }
+
+  const group = (type, keyOf) => {
+    const groups = new Map();
+    for (const event of events.filter(event => event.type === type)) {
+      const key = keyOf(event);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    }
+    return groups;
+  };
+
+  const responses = new Map(events.filter(event => event.type === 'model-response').map(event => [event.call, event]));
+  return {
+    header,
+    inputs: events.filter(event => event.type === 'input'),
+    models: group('model-request', event => event.model),
+    responses,
+    desktop: group('desktop-call', event => event.tool),
+    toolResults: new Map(events.filter(event => event.type === 'tool-result').map(event => [event.tool, event]))
+  };
+}
+
+/**
+ * Wrap a Desktop so every method call on it, and on the objects it returns,
+ * is recorded.
+ */
+function recordDesktop(desktop, { recorder, context }) {
+  let handles = 0;
+
+  const wrap = (target, handle) => new Proxy(target, {
+    get(object, prop) {
+      const value = Reflect.get(object, prop, object);
+      if (typeof value !== 'function' || typeof prop === 'symbol' || prop === 'constructor') return value;
+
+      return (...args) => {
+        const event = { type: 'desktop-call', tool: context.getStore()?.key ?? null, handle, method: prop, args: encode(args) };
+        const handleFor = (returned) => {
+          const id = ++handles;
+          return { $handle: id, props: dataProps(returned), live: wrap(returned, id) };
+        };
+        const settle = (result, async) => {
+          const live = [];
+          const encoded = encode(result, (returned) => {
+            const { live: proxy, ...ref } = handleFor(returned);
+            live.push(proxy);
+            return ref;
+          });
+          recorder.write({ ...event, async, result: encoded });
+          return substitute(result, live);
+        };
+        const failed = (error, async) => {
+          recorder.write({ ...event, async, error: encode(error) });
+          throw error;
+        };
+
+        let result;
+        try {
+          result = value.apply(object, args);
+        } catch (error) {
+          failed(error, false);
+        }
+        if (typeof result?.then === 'function') {
+          return result.then(resolved => settle(resolved, true), error => failed(error, true));
+        }
+        return settle(result, false);
+      };
+    }
+  });
+
+  return wrap(desktop, 0);
+}
+
+/**
+ * Replace the objects inside a Desktop result with their recording proxies,
+ * in the order `encode` met them.
+ */
+function substitute(result, live) {
+  let index = 0;
+  const walk = (value) => {
+    if (value === null || typeof value !== 'object' || isBytes(value) || value instanceof Date || value instanceof Error) return value;
+    if (Array.isArray(value)) return value.map(walk);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+    return live[index++];
+  };
+  return walk(result);
+}
+
+// Stands in for a Desktop object during a replay (a class, so it is never mistaken for plain data)
+class RecordedObject {}
+
+/**
+ * A Desktop that answers from a recording.
+ */
+function replayDesktop(recording, { context, stats, divergences }) {
+  const proxies = new Map();
+
+  const next = (handle, method, args) => {
+    const key = context.getStore()?.key ?? null;
+    const queue = recording.desktop.get(key) ?? [];
+    const event = queue.shift();
+    const where = key ? `tool call ${key}` : 'the session';
+    if (!event) throw new ReplayError(`The recording has no more Desktop calls for ${where} (called ${method})`);
+    if (event.handle !== handle || event.method !== method) {
+      throw new ReplayError(`Replay expected Desktop call ${event.method} on handle ${event.handle} for ${where}, got ${method} on handle ${handle}`);
+    }
+    if (!same(encode(args), event.args)) {
+      divergences.push(`Desktop call ${method} for ${where}: called with ${JSON.stringify(encode(args))}, recorded with ${JSON.stringify(event.args)}`);
+    }
+    stats.desktopCalls++;
+    return event;
+  };
+
+  const proxy = (handle, props = {}) => {
+    if (!proxies.has(handle)) {
+      const values = decode(props);
+      proxies.set(handle, new Proxy(new RecordedObject(), {
+        get(_, prop) {
+          if (typeof prop === 'symbol' || prop === 'then') return undefined;
+          if (Object.hasOwn(values, prop)) return values[prop];
+          return (...args) => {
+            const event = next(handle, prop, args);
+            const revive = value => decode(value, ref => proxy(ref.$handle, ref.props));
+            if (event.async) return 'error' in event ? Promise.reject(revive(event.error)) : Promise.resolve(revive(event.result));
+            if ('error' in event) throw revive(event.error);
+            return revive(event.result);
+          };
+        }
+      }));
+    }
+    return proxies.get(handle);
+  };
+
+  return proxy(0);
+}
+
+/**
+ * Record a model's requests and responses (streamed or not).
+ */
+function recordModel(model, name, { recorder, calls }) {
+  const request = (params, mode) => {
+    const call = ++calls.count;
+    recorder.write({
+      type: 'model-request',
+      model: name,
+      call,
+      mode,
+      tools: (params.mode?.tools ?? []).map(tool => tool.name),
+      settings: Object.fromEntries(MODEL_SETTINGS.filter(key => params[key] !== undefined).map(key => [key, params[key]])),
+      prompt: encode(params.prompt)
+    });
+    return call;
+  };
+
+  return wrapLanguageModel({
+    model,
+    middleware: {
+      async wrapGenerate({ doGenerate, params }) {
+        const call = request(params, 'generate');
+        const result = await doGenerate();
+        const { text, reasoning, toolCalls, finishReason, usage } = result;
+        recorder.write({ type: 'model-response', model: name, call, result: encode({ text, reasoning, toolCalls, finishReason, usage }) });
+        return result;
+      },
+
+      async wrapStream({ doStream, params }) {
+        const call = request(params, 'stream');
+        const { stream, ...rest } = await doStream();
+        const parts = [];
+        return {
+          stream: stream.pipeThrough(new TransformStream({
+            transform(part, controller) {
+              parts.push(encode(part));
+              controller.enqueue(part);
+            },
+            flush() {
+              recorder.write({ type: 'model-response', model: name, call, parts });
+            }
+          })),
+          ...rest
+        };
+      }
+    }
+  });
+}
+
+/**
+ * A model that answers from a recording.
+ */
+function replayModel(recording, name, { stats, divergences }) {
+  const queue = recording.models.get(name) ?? [];
+
+  const next = (params, mode) => {
+    const request = queue.shift();
+    if (!request) throw new ReplayError(`The recording has no more ${name} model responses`);
+    const response = recording.responses.get(request.call);
+    if (!response) throw new ReplayError(`The recording ends before the response to ${name} model call ${request.call}`);
+    if (request.mode !== mode) {
+      throw new ReplayError(`${name} model call ${request.call} was recorded as ${request.mode}, replayed as ${mode}`);
+    }
+    if (!same(encode(params.prompt), request.prompt)) {
+      divergences.push(`${name} model call ${request.call}: the prompt differs from the recording`);
+    }
+    stats.modelCalls++;
+    return response;
+  };
+
+  return {
+    specificationVersion: 'v1',
+    provider: 'replay',
+    modelId: `replay:${name}`,
+    defaultObjectGenerationMode: 'json',
+    supportsStructuredOutputs: false,
+
+    async doGenerate(params) {
+      const { result } = next(params, 'generate');
+      return { ...decode(result), rawCall: { rawPrompt: null, rawSettings: {} } };
+    },
+
+    async doStream(params) {
+      const parts = decode(next(params, 'stream').parts);
+      const stream = new ReadableStream({
+        start(controller) {
+          parts.forEach(part => controller.enqueue(part));
+          controller.close();
+        }
+      });
+      return { stream, rawCall: { rawPrompt: null, rawSettings: {} } };
+    }
+  };
+}
+
+/**
+ * Set up recording and/or replay for one script run. Without either option
+ * everything passes through untouched.
+ *
+ * @param {object} options
+ * @param {string} options.script name stored in the recording header
+ * @param {string} [options.record] JSONL file to write
+ * @param {string} [options.replay] JSONL file to replay
+ */
+export function openRecording({ script, record, replay }) {
+  const recording = replay ? loadRecording(replay) : null;
+  const recorder = record ? new Recorder(record) : null;
+  const context = new AsyncLocalStorage();
+  const calls = { count: 0 };
+  const stats = { inputs: 0, modelCalls: 0, desktopCalls: 0, toolCalls: 0 };
+  const divergences = [];
+  let direct = 0;
+
+  recorder?.write({
+    type: 'session',
+    version: RECORDING_VERSION,
+    script,
+    platform: process.platform,
+    startedAt: new Date().toISOString(),
+    ...(recording && { replayOf: replay })
+  });
+
+  return {
+    recording: Boolean(recorder),
+    replaying: Boolean(recording),
+    file: record ?? replay ?? null,
+
+    /**
+     * The desktop to use: the live one from `create()`, or the recorded one.
+     */
+    async desktop(create) {
+      const desktop = recording ? replayDesktop(recording, { context, stats, divergences }) : await create();
+      return recorder ? recordDesktop(desktop, { recorder, context }) : desktop;
+    },
+
+    /**
+     * The model to use for a role: `live`, or the recorded responses.
+     */
+    model(name, live) {
+      const model = recording ? replayModel(recording, name, { stats, divergences }) : live;
+      return recorder ? recordModel(model, name, { recorder, calls }) : model;
+    },
+
+    /**
+     * Wrap tools so their calls and results are recorded, and replayed tool
+     * calls run against the recorded desktop. Host tools and calls the user
+     * denied return their recorded result. Wrapping already-wrapped tools is
+     * fine: the outermost wrapper does the work.
+     */
+    tools(tools) {
+      return Object.fromEntries(Object.entries(tools).map(([name, tool]) => [name, {
+        ...tool,
+        execute: async (args, options) => {
+          if (context.getStore()) return tool.execute(args, options);
+
+          const key = options?.toolCallId ?? `direct-${++direct}`;
+          return context.run({ key }, async () => {
+            recorder?.write({ type: 'tool-call', tool: key, toolName: name, args: encode(args) });
+
+            let result;
+            const recorded = recording?.toolResults.get(key);
+            if (recorded && (HOST_TOOLS.includes(name) || recorded.result?.denied)) {
+              result = decode(recorded.result);
+              recording.desktop.delete(key);
+            } else {
+              result = await tool.execute(args, options);
+              if (recording && !same(encode(result), recorded?.result)) {
+                divergences.push(recorded
+                  ? `${name} (${key}): the result differs from the recording`
+                  : `${name} (${key}): not in the recording`);
+              }
+            }
+            if (recording) stats.toolCalls++;
+
+            recorder?.write({ type: 'tool-result', tool: key, toolName: name, result: encode(result) });
+            return result;
+          });
+        }
+      }]));
+    },
+
+    /**
+     * Ask the user for the next line, or take it from the recording.
+     * Resolves to null when a replay has no input left.
+     *
+     * @param {() => Promise<string>} ask
+     * @param {{ echo?: (text: string) => void }} [options] shows a replayed line
+     */
+    async input(ask, { echo = () => {} } = {}) {
+      let text;
+      if (recording) {
+        const event = recording.inputs.shift();
+        if (!event) return null;
+        text = event.text;
+        stats.inputs++;
+        echo(text);
+      } else {
+        text = await ask();
+      }
+      recorder?.write({ type: 'input', text });
+      return text;
+    },
+
+    /**
+     * What a replay used and where it went differently, as lines to print.
+     */
+    report() {
+      if (!recording) return [];
+      const unused = [...recording.desktop.values()].reduce((sum, queue) => sum + queue.length, 0);
+      const leftover = [...recording.models.values()].reduce((sum, queue) => sum + queue.length, 0);
+      return [
+        `Replayed ${stats.inputs} inputs, ${stats.modelCalls} model responses, ${stats.toolCalls} tool calls and ${stats.desktopCalls} Desktop calls from ${replay}`,
+        ...(leftover > 0 ? [`${leftover} recorded model responses were not used`] : []),
+        ...(unused > 0 ? [`${unused} recorded Desktop calls were not used`] : []),
+        ...(divergences.length > 0
+          ? [`${divergences.length} difference(s) from the recording:`, ...divergences.map(line => `  ${line}`)]
+          : ['No differences from the recording'])
+      ];
+    }
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * 📊 Run Reports
+ *
+ * JUnit XML and JSON reports for automation runs, so CI can gate on desktop
+ * flows. A report is built from step results, either a workflow's
+ * (`workflowReport` in lib/workflow.js) or a script's `createTestRun` steps:
+ *
+ *   { id, label, status: 'passed' | 'failed' | 'skipped', elapsedMs, error?, assertion?, failure? }
+ *
+ * `failure` is what `createFailureCapture` saved when the step failed: a
+ * screenshot and the accessibility subtree at the failure point (the
+ * element the step was about, or as far down its selector chain as still
+ * matches).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AssertionFailedError } from './assertions.js';
+import { locatorFor, splitSelectors } from './desktop.js';
+
+// 🌳 Accessibility subtree
+
+function snapshot(element, depth, maxChildren) {
+  const { value, automationId } = element.attributes?.() ?? {};
+  const children = depth > 0 ? element.children() : [];
+  return {
+    role: element.role(),
+    name: element.name() || null,
+    ...(automationId && { automationId }),
+    ...(value && { value }),
+    ...(!element.isVisible() && { visible: false }),
+    ...(!element.isEnabled() && { enabled: false }),
+    ...(children.length > 0 && { children: children.slice(0, maxChildren).map(child => snapshot(child, depth - 1, maxChildren)) }),
+    ...(children.length > maxChildren && { omittedChildren: children.length - maxChildren })
+  };
+}
+
+/**
+ * The subtree at the failure point of `target`: the element itself, else
+ * the deepest part of its selector chain that still matches, else the
+ * current window.
+ *
+ * @returns {Promise<{ selector: string | null, matched: boolean, tree: object }>}
+ */
+export async function failurePoint(desktop, target, { maxDepth = 3, maxChildren = 50 } = {}) {
+  const selectors = target ? splitSelectors(target) : [];
+  for (let end = selectors.length; end > 0; end--) {
+    let element;
+    try {
+      element = await locatorFor(desktop, selectors.slice(0, end)).first();
+    } catch {
+      continue;
+    }
+    return { selector: selectors.slice(0, end).join(' >> '), matched: end === selectors.length, tree: snapshot(element, maxDepth, maxChildren) };
+  }
+  return { selector: null, matched: false, tree: snapshot(await desktop.getCurrentWindow(), maxDepth, maxChildren) };
+}
+
+/**
+ * Indented one-line-per-node outline of a `failurePoint` tree.
+ */
+export function formatTree(node, depth = 0) {
+  const fields = [
+    node.name && JSON.stringify(node.name),
+    node.automationId && `#${node.automationId}`,
+    node.value && `value=${JSON.stringify(node.value)}`,
+    node.visible === false && 'hidden',
+    node.enabled === false && 'disabled'
+  ].filter(Boolean);
+  return [
+    `${'  '.repeat(depth)}${node.role}${fields.length > 0 ? ` ${fields.join(' ')}` : ''}`,
+    ...(node.children ?? []).map(child => formatTree(child, depth + 1)),
+    ...(node.omittedChildren ? [`${'  '.repeat(depth + 1)}... ${node.omittedChildren} more`] : [])
+  ].join('\n');
+}
+
+/**
+ * A failure hook for `runWorkflow` and `createTestRun`: saves a screenshot
+ * under `dir/screenshots/` and returns it with the failure point's subtree.
+ * Capture problems are recorded rather than thrown.
+ */
+export function createFailureCapture(desktop, { dir }) {
+  const taken = new Map();
+
+  return async ({ id, error, selectors }) => {
+    const failure = {};
+
+    try {
+      const screenshot = await desktop.captureScreen();
+      const count = (taken.get(id) ?? 0) + 1;
+      taken.set(id, count);
+      const file = path.join('screenshots', `step-${id}${count > 1 ? `-${count}` : ''}.png`);
+      fs.mkdirSync(path.join(dir, 'screenshots'), { recursive: true });
+      await fs.promises.writeFile(path.join(dir, file), Buffer.from(screenshot.imageData));
+      failure.screenshot = file;
+    } catch (captureError) {
+      failure.screenshotError = captureError.message;
+    }
+
+    try {
+      Object.assign(failure, await failurePoint(desktop, error?.selector ?? selectors));
+    } catch (treeError) {
+      failure.treeError = treeError.message;
+    }
+
+    return failure;
+  };
+}
+
+/**
+ * Expected and actual values of a failed assertion, for step results.
+ */
+export function assertionDetails(error) {
+  if (!(error instanceof AssertionFailedError)) return {};
+  const { assertion: name, selector, expected, actual } = error;
+  return { assertion: { name, selector, expected, actual } };
+}
+
+// 📋 Reports
+
+/**
+ * @param {{ name: string, results: object[], startedAt: string, elapsedMs: number }} run
+ */
+export function buildReport({ name, results, startedAt, elapsedMs }) {
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    name,
+    success: count('failed') === 0,
+    startedAt,
+    elapsedMs,
+    tests: results.length,
+    passed: count('passed'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    steps: results.map(({ id, label, status, elapsedMs: stepMs, error, assertion, failure }) => ({
+      id,
+      name: label,
+      status,
+      elapsedMs: stepMs,
+      ...(error && { error }),
+      ...(assertion && { assertion }),
+      ...(failure && { failure })
+    }))
+  };
+}
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function xml(value) {
+  return String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '').replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+const seconds = ms => (ms / 1000).toFixed(3);
+
+function failureText(step) {
+  const { assertion, failure } = step;
+  return [
+    step.error,
+    assertion && `Expected: ${JSON.stringify(assertion.expected)}`,
+    assertion && `Actual: ${JSON.stringify(assertion.actual)}`,
+    failure?.tree && `\nAccessibility tree at ${failure.selector ?? 'the current window'}${failure.matched === false && failure.selector ? ' (deepest match)' : ''}:\n${formatTree(failure.tree)}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * JUnit XML with one test case per step. Screenshots are attached with the
+ * `[[ATTACHMENT|path]]` convention, relative to `dir`.
+ */
+export function toJUnitXml(report, { dir = '.' } = {}) {
+  const suite = xml(report.name);
+  const testcase = (step) => {
+    const open = `    <testcase classname="${suite}" name="${xml(`${step.id}. ${step.name}`)}" time="${seconds(step.elapsedMs)}"`;
+    if (step.status === 'passed') return `${open}/>`;
+    if (step.status === 'skipped') return `${open}>\n      <skipped/>\n    </testcase>`;
+    return [
+      `${open}>`,
+      `      <failure message="${xml(step.error ?? 'failed')}" type="${xml(step.assertion?.name ?? 'Error')}">${xml(failureText(step))}</failure>`,
+      ...(step.failure?.screenshot ? [`      <system-out>[[ATTACHMENT|${xml(path.resolve(dir, step.failure.screenshot))}]]</system-out>`] : []),
+      '    </testcase>'
+    ].join('\n');
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${suite}" tests="${report.tests}" failures="${report.failed}" skipped="${report.skipped}" time="${seconds(report.elapsedMs)}">`,
+    `  <testsuite name="${suite}" tests="${report.tests}" failures="${report.failed}" errors="0" skipped="${report.skipped}" time="${seconds(report.elapsedMs)}" timestamp="${xml(report.startedAt)}">`,
+    ...report.steps.map(testcase),
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write `report.json` and `junit.xml` into `dir`.
+ *
+ * @returns {{ json: string, junit: string }} the file paths
+ */
+export function writeReports(report, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = { json: path.join(dir, 'report.json'), junit: path.join(dir, 'junit.xml') };
+  fs.writeFileSync(files.json, `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(files.junit, toJUnitXml(report, { dir }));
+  return files;
+}
+
+// 🧪 Script runs
+
+/**
+ * Step-by-step runner for automation scripts. Each step is timed; a step
+ * that throws fails (with a failure capture when `reportDir` is set) and
+ * the steps after it are skipped unless it was marked `continueOnError`.
+ * Progress goes to `onEvent` as `step-start` / `step-finish` events, the
+ * same as `runWorkflow`, so `createWorkflowReporter` renders it.
+ *
+ *   const run = createTestRun({ name: 'Calculator', desktop, reportDir: 'reports/calculator' });
+ *   await run.step('Open Calculator', () => desktop.openApplication('calc'));
+ *   await run.step('Result is 10', () => check.textMatches('automationid:CalculatorResults', /\b10$/));
+ *   const report = await run.finish();
+ */
+export function createTestRun({ name, desktop, reportDir, onEvent = () => {} }) {
+  const results = [];
+  const startedAt = Date.now();
+  const capture = reportDir ? createFailureCapture(desktop, { dir: reportDir }) : null;
+  let stopped = false;
+
+  return {
+    /**
+     * Run one step; resolves to what `fn` returned, or undefined when the
+     * step failed or was skipped.
+     *
+     * @param {string} label
+     * @param {() => any} fn
+     * @param {{ continueOnError?: boolean, target?: string | string[] }} [options]
+     *   `target` is the element the step is about, for the failure capture
+     */
+    async step(label, fn, { continueOnError = false, target } = {}) {
+      const step = { id: String(results.length + 1), type: 'step', name: label };
+      if (stopped) {
+        results.push({ id: step.id, label, status: 'skipped', elapsedMs: 0 });
+        return undefined;
+      }
+
+      onEvent({ type: 'step-start', step, label, depth: 0 });
+      const stepStartedAt = Date.now();
+      try {
+        const value = await fn();
+        const elapsedMs = Date.now() - stepStartedAt;
+        results.push({ id: step.id, label, status: 'passed', elapsedMs });
+        onEvent({ type: 'step-finish', step, label, depth: 0, status: 'passed', elapsedMs });
+        return value;
+      } catch (error) {
+        const elapsedMs = Date.now() - stepStartedAt;
+        const failure = capture ? await capture({ id: step.id, error, selectors: target }) : undefined;
+        results.push({ id: step.id, label, status: 'failed', elapsedMs, error: error.message, ...assertionDetails(error), ...(failure && { failure }) });
+        onEvent({ type: 'step-finish', step, label, depth: 0, status: 'failed', error: error.message, failure, elapsedMs });
+        if (!continueOnError) stopped = true;
+        return undefined;
+      }
+    },
+
+    get success() {
+      return results.every(result => result.status !== 'failed');
+    },
+
+    /**
+     * The report, also written to `reportDir` when set (`report.files`).
+     */
+    finish() {
+      const report = buildReport({ name, results, startedAt: new Date(startedAt).toISOString(), elapsedMs: Date.now() - startedAt });
+      if (reportDir) report.files = writeReports(report, reportDir);
+      return report;
+    }
+  };
+}
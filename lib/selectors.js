@@ -0,0 +1,288 @@
+/**
+ * 🎯 Selector Grammar
+ *
+ * Parses, validates and normalizes the selector strings handed to
+ * `desktop.locator`, so a typo fails with a helpful message before anything
+ * is clicked instead of as "no element found" at run time.
+ *
+ *   selector := step (">>" step)*                  chained: each step searches inside the previous
+ *   step     := or | "nth=" integer                nth picks one match (0 = first, -1 = last)
+ *   or       := and ("||" and)*
+ *   and      := unary ("&&" unary)*
+ *   unary    := "!" unary | "(" or ")" | atom
+ *   atom     := type ":" value | value             a bare value is a name
+ *
+ * Types are role, name, text, id, automationid, classname and window, in
+ * any casing (`className:` becomes `classname:`); known roles are
+ * normalized too (`role:button` becomes `role:Button`). A value runs up to
+ * the next operator; quote it (`name:"Tom && Jerry"`) to include one.
+ *
+ * `compileSelector` turns a chain into nested `.locator()` calls, one per
+ * step; boolean steps are passed on in Terminator's `&&` / `||` / `!` syntax.
+ */
+
+export const SELECTOR_TYPES = ['role', 'name', 'text', 'id', 'automationid', 'classname', 'window'];
+
+export const ROLES = [
+  'Button', 'Calendar', 'CheckBox', 'ComboBox', 'Custom', 'DataGrid', 'DataItem', 'Document', 'Edit',
+  'Group', 'Header', 'HeaderItem', 'Hyperlink', 'Image', 'Link', 'List', 'ListItem', 'Menu', 'MenuBar',
+  'MenuItem', 'Pane', 'ProgressBar', 'RadioButton', 'ScrollBar', 'Separator', 'Slider', 'Spinner',
+  'SplitButton', 'StatusBar', 'Tab', 'TabItem', 'Table', 'Text', 'Thumb', 'TitleBar', 'ToolBar',
+  'ToolTip', 'Tree', 'TreeItem', 'Window'
+];
+
+const ROLE_BY_LOWERCASE = new Map(ROLES.map(role => [role.toLowerCase(), role]));
+
+export class SelectorError extends Error {
+  constructor(message, { selector, position = null, suggestion = null }) {
+    super(message);
+    this.name = 'SelectorError';
+    this.selector = selector;
+    this.position = position;
+    this.suggestion = suggestion;
+  }
+}
+
+/**
+ * Levenshtein distance between two strings.
+ */
+export function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function closest(word, candidates, maxDistance = 2) {
+  const [best] = candidates
+    .map(candidate => [candidate, editDistance(word.toLowerCase(), candidate.toLowerCase())])
+    .sort((a, b) => a[1] - b[1]);
+  return best && best[1] <= maxDistance ? best[0] : null;
+}
+
+// 🔤 Parsing
+
+const OPERATORS = ['>>', '&&', '||'];
+
+/**
+ * Parse a selector into `{ steps }`, each step one of:
+ * `{ type: 'atom', kind, value }`, `{ type: 'and' | 'or', items }`,
+ * `{ type: 'not', item }` or `{ type: 'nth', index }`.
+ */
+export function parseSelector(selector) {
+  if (typeof selector !== 'string' || selector.trim() === '') {
+    throw new SelectorError('Selector is empty', { selector });
+  }
+
+  let position = 0;
+  let depth = 0;
+  const error = (message, { at = position, suggestion = null } = {}) => new SelectorError(
+    `Invalid selector "${selector}": ${message}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+    { selector, position: at, suggestion }
+  );
+
+  const skipSpaces = () => {
+    while (selector[position] === ' ' || selector[position] === '\t') position++;
+  };
+  const peek = (token) => {
+    skipSpaces();
+    return selector.startsWith(token, position);
+  };
+  const atOperator = () => OPERATORS.some(op => selector.startsWith(op, position)) || (depth > 0 && selector[position] === ')');
+
+  const readValue = () => {
+    skipSpaces();
+    if (selector[position] === '"') {
+      const end = selector.indexOf('"', position + 1);
+      if (end === -1) throw error('unterminated quote');
+      const value = selector.slice(position + 1, end);
+      position = end + 1;
+      return value;
+    }
+    const start = position;
+    while (position < selector.length && !atOperator()) position++;
+    return selector.slice(start, position).trim();
+  };
+
+  const atom = () => {
+    skipSpaces();
+    const start = position;
+    const prefix = selector.slice(position).match(/^([A-Za-z]+)\s*([:=])/);
+
+    if (prefix && prefix[1].toLowerCase() === 'nth') {
+      position += prefix[0].length;
+      const value = readValue();
+      if (!/^-?\d+$/.test(value)) throw error(`nth needs a whole number, got "${value}"`, { at: start });
+      return { type: 'nth', index: Number(value) };
+    }
+
+    if (prefix && prefix[2] === ':') {
+      const kind = prefix[1].toLowerCase();
+      if (!SELECTOR_TYPES.includes(kind)) {
+        const suggestion = closest(kind, SELECTOR_TYPES);
+        throw new SelectorError(
+          `Unsupported selector type "${prefix[1]}" in "${selector}" (expected ${SELECTOR_TYPES.join(', ')}${suggestion ? `; did you mean "${suggestion}"?` : ''})`,
+          { selector, position: start, suggestion }
+        );
+      }
+      position += prefix[0].length;
+      const value = readValue();
+      if (value === '') throw error(`"${kind}:" needs a value`, { at: start });
+      return { type: 'atom', kind, value: kind === 'role' ? normalizeRole(value, error, start) : value };
+    }
+
+    const value = readValue();
+    if (value === '') throw error(`expected a selector at position ${start}`, { at: start });
+    return { type: 'atom', kind: 'name', value };
+  };
+
+  const unary = () => {
+    if (peek('!')) {
+      position++;
+      return { type: 'not', item: unary() };
+    }
+    if (peek('(')) {
+      const start = position++;
+      depth++;
+      const inner = or();
+      if (!peek(')')) throw error('missing ")"', { at: start });
+      position++;
+      depth--;
+      return inner;
+    }
+    return atom();
+  };
+
+  const combine = (type, operator, next) => () => {
+    const items = [next()];
+    while (peek(operator)) {
+      position += operator.length;
+      items.push(next());
+    }
+    return items.length === 1 ? items[0] : { type, items };
+  };
+  const and = combine('and', '&&', unary);
+  const or = combine('or', '||', and);
+
+  const steps = [];
+  do {
+    if (steps.length > 0) position += 2;
+    const step = or();
+    if (step.type !== 'nth' && containsNth(step)) throw error('nth= must be a step of its own, e.g. "role:Button >> nth=0"');
+    if (step.type === 'nth' && steps.length === 0) throw error('nth= needs a selector before it');
+    steps.push(step);
+  } while (peek('>>'));
+
+  skipSpaces();
+  if (position < selector.length) throw error(`unexpected "${selector.slice(position)}" at position ${position}`);
+  return { steps };
+}
+
+function containsNth(node) {
+  if (node.type === 'nth') return true;
+  if (node.type === 'not') return containsNth(node.item);
+  return (node.items ?? []).some(containsNth);
+}
+
+function normalizeRole(value, error, at) {
+  const known = ROLE_BY_LOWERCASE.get(value.toLowerCase());
+  if (known) return known;
+  // Unknown roles pass through, unless they look like a typo of a known one
+  const suggestion = closest(value, ROLES, value.length > 4 ? 2 : 1);
+  if (suggestion) throw error(`unknown role "${value}"`, { at, suggestion: `role:${suggestion}` });
+  return value;
+}
+
+// 🖨️ Formatting
+
+// Only values that would otherwise split are quoted
+function formatValue(value) {
+  return /&&|\|\||>>/.test(value) ? `"${value}"` : value;
+}
+
+function formatNode(node, parent = null) {
+  switch (node.type) {
+    case 'atom': return `${node.kind}:${formatValue(node.value)}`;
+    case 'nth': return `nth=${node.index}`;
+    case 'not': return `!${node.item.type === 'atom' ? formatNode(node.item) : `(${formatNode(node.item)})`}`;
+    default: {
+      const text = node.items.map(item => formatNode(item, node.type)).join(node.type === 'and' ? ' && ' : ' || ');
+      return parent === 'and' && node.type === 'or' ? `(${text})` : text;
+    }
+  }
+}
+
+/**
+ * A selector that finds an element again: its automation id when it has
+ * one, else its name, else its role.
+ */
+export function suggestSelector({ role, name, automationId }) {
+  if (automationId) return `automationid:${formatValue(automationId)}`;
+  return name ? `name:${formatValue(name)}` : `role:${role}`;
+}
+
+/**
+ * Normalized text of each step of a parsed selector.
+ */
+export function formatSteps(parsed) {
+  return parsed.steps.map(step => formatNode(step));
+}
+
+/**
+ * The normalized form of a selector, e.g. `className:MSPaintView` →
+ * `classname:MSPaintView`, `window:Notepad>>role:edit` → `window:Notepad >> role:Edit`.
+ */
+export function normalizeSelector(selector) {
+  return formatSteps(parseSelector(selector)).join(' >> ');
+}
+
+/**
+ * `{ valid: true, selector }` with the normalized selector, or
+ * `{ valid: false, error }` with a message for the user or model.
+ */
+export function validateSelector(selector) {
+  try {
+    return { valid: true, selector: normalizeSelector(selector) };
+  } catch (error) {
+    if (!(error instanceof SelectorError)) throw error;
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * A short reminder of the syntax, for tool error messages.
+ */
+export const SELECTOR_HELP = 'Selectors look like "name:Seven", "role:Button", "automationid:CalculatorResults" or "window:Notepad >> role:Edit"; '
+  + 'combine them with && / || / !, and pick one match with ">> nth=0"';
+
+// ⚙️ Compiling and matching
+
+/**
+ * Nested `.locator()` calls for a selector (or a list of selectors to
+ * chain), starting from a desktop or an element.
+ */
+export function compileSelector(scope, selector) {
+  const steps = [selector].flat().flatMap(part => formatSteps(parseSelector(part)));
+  return steps.slice(1).reduce((locator, step) => locator.locator(step), scope.locator(steps[0]));
+}
+
+/**
+ * Evaluate a step against one candidate; `matchAtom(kind, value)` tests a
+ * single `type:value` selector.
+ */
+export function matchStep(step, matchAtom) {
+  switch (step.type) {
+    case 'atom': return matchAtom(step.kind, step.value);
+    case 'not': return !matchStep(step.item, matchAtom);
+    case 'and': return step.items.every(item => matchStep(item, matchAtom));
+    case 'or': return step.items.some(item => matchStep(item, matchAtom));
+    default: throw new Error(`Cannot match a "${step.type}" step against an element`);
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * 💾 Agent Sessions
+ *
+ * Named, resumable agent sessions stored as JSON files under a local
+ * directory (`.agent-sessions` by default, override with AGENT_SESSIONS_DIR).
+ * A session holds the conversation messages and summary, every tool call
+ * with its result, the model's reasoning log, and references to screenshots
+ * saved along the way.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SESSION_VERSION = 1;
+
+export function sessionsDir() {
+  return path.resolve(process.env.AGENT_SESSIONS_DIR || '.agent-sessions');
+}
+
+/**
+ * Session names become file names, so keep them to a safe character set.
+ */
+export function validateSessionName(name) {
+  if (!name || !/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid session name "${name ?? ''}" (use letters, numbers, "-", "_" or ".")`);
+  }
+  return name;
+}
+
+function sessionPath(name, dir = sessionsDir()) {
+  return path.join(dir, `${validateSessionName(name)}.json`);
+}
+
+/**
+ * Collect the file paths of screenshots referenced by tool results.
+ */
+export function screenshotReferences(toolCalls) {
+  const files = toolCalls
+    .map(call => call.result?.savedTo ?? call.result?.capture?.filename)
+    .filter(Boolean);
+  return [...new Set(files)];
+}
+
+/**
+ * Write a session to disk, keeping its original creation time.
+ *
+ * @param {string} name
+ * @param {{ memory: object, toolCalls?: object[], reasoning?: object[] }} data
+ */
+export async function saveSession(name, { memory, toolCalls = [], reasoning = [] }, dir = sessionsDir()) {
+  const file = sessionPath(name, dir);
+  await fs.mkdir(dir, { recursive: true });
+
+  let createdAt = new Date().toISOString();
+  try {
+    createdAt = JSON.parse(await fs.readFile(file, 'utf-8')).createdAt ?? createdAt;
+  } catch {
+    // New session
+  }
+
+  const session = {
+    version: SESSION_VERSION,
+    name,
+    createdAt,
+    updatedAt: new Date().toISOString(),
+    memory,
+    toolCalls,
+    reasoning,
+    screenshots: screenshotReferences(toolCalls)
+  };
+
+  await fs.writeFile(file, JSON.stringify(session, null, 2), 'utf-8');
+  return { file, session };
+}
+
+export async function loadSession(name, dir = sessionsDir()) {
+  const file = sessionPath(name, dir);
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Session "${name}" not found`);
+    throw error;
+  }
+
+  const session = JSON.parse(raw);
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Session "${name}" has unsupported version ${session.version}`);
+  }
+  return session;
+}
+
+/**
+ * List saved sessions, most recently updated first.
+ */
+export async function listSessions(dir = sessionsDir()) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const sessions = [];
+  for (const entry of entries.filter(e => e.endsWith('.json'))) {
+    try {
+      const session = JSON.parse(await fs.readFile(path.join(dir, entry), 'utf-8'));
+      sessions.push({
+        name: session.name,
+        updatedAt: session.updatedAt,
+        messages: session.memory?.messages?.length ?? 0,
+        toolCalls: session.toolCalls?.length ?? 0,
+        screenshots: session.screenshots?.length ?? 0
+      });
+    } catch {
+      // Skip unreadable files
+    }
+  }
+
+  return sessions.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export async function deleteSession(name, dir = sessionsDir()) {
+  try {
+    await fs.unlink(sessionPath(name, dir));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Session "${name}" not found`);
+    throw error;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * ✏️ Shape Geometry
+ *
+ * Points for the shapes the artist scripts draw. Each generator takes the
+ * centre (`x`, `y`) and a `size` and returns the `[x, y]` points of one
+ * continuous stroke, in drawing order.
+ */
+
+export const SHAPES = ['circle', 'square', 'star', 'heart', 'line', 'spiral', 'triangle'];
+
+export function circlePoints(x, y, radius) {
+  const points = [];
+  for (let i = 0; i <= 360; i += 10) {
+    const angle = (i * Math.PI) / 180;
+    points.push([x + radius * Math.cos(angle), y + radius * Math.sin(angle)]);
+  }
+  return points;
+}
+
+export function squarePoints(x, y, size) {
+  const half = size / 2;
+  return [
+    [x - half, y - half],
+    [x + half, y - half],
+    [x + half, y + half],
+    [x - half, y + half],
+    [x - half, y - half]
+  ];
+}
+
+export function starPoints(x, y, size) {
+  const points = [];
+  for (let i = 0; i < 11; i++) {
+    const angle = (i * 36 * Math.PI) / 180;
+    const radius = i % 2 === 0 ? size : size / 2;
+    points.push([x + radius * Math.cos(angle - Math.PI / 2), y + radius * Math.sin(angle - Math.PI / 2)]);
+  }
+  return points;
+}
+
+export function heartPoints(x, y, size) {
+  const points = [];
+  const scale = size / 20;
+  for (let i = 0; i < 360; i += 10) {
+    const t = (i * Math.PI) / 180;
+    points.push([
+      x + scale * 16 * Math.pow(Math.sin(t), 3),
+      y - scale * (13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t))
+    ]);
+  }
+  return points;
+}
+
+export function trianglePoints(x, y, size) {
+  const height = (size * Math.sqrt(3)) / 2;
+  return [
+    [x, y - height / 2],
+    [x - size / 2, y + height / 2],
+    [x + size / 2, y + height / 2],
+    [x, y - height / 2]
+  ];
+}
+
+export function spiralPoints(x, y, size) {
+  const points = [];
+  for (let i = 0; i < 720; i += 15) {
+    const angle = (i * Math.PI) / 180;
+    const radius = (i / 720) * size;
+    points.push([x + radius * Math.cos(angle), y + radius * Math.sin(angle)]);
+  }
+  return points;
+}
+
+export function linePoints(x, y, size) {
+  return [[x - size / 2, y], [x + size / 2, y]];
+}
+
+const GENERATORS = {
+  circle: circlePoints,
+  square: squarePoints,
+  star: starPoints,
+  heart: heartPoints,
+  triangle: trianglePoints,
+  spiral: spiralPoints,
+  line: linePoints
+};
+
+/**
+ * Points for any shape in `SHAPES`.
+ */
+export function shapePoints(shape, x, y, size) {
+  const generate = GENERATORS[shape];
+  if (!generate) throw new Error(`Unknown shape "${shape}" (expected one of ${SHAPES.join(', ')})`);
+  return generate(x, y, size);
+}
@@ -0,0 +1,213 @@
+/**
+ * 🎨 Artist Tools
+ *
+ * MS Paint drawing, artwork capture and AI vision analysis for the artist
+ * scripts. Captures are saved as `artwork_<timestamp>.png` in the working
+ * directory; `analyzeArtwork` reads the given file or the latest capture.
+ */
+
+import fs from 'fs/promises';
+import { generateText } from 'ai';
+import { z } from 'zod';
+import { ok, fail } from './result.js';
+import { SHAPES, shapePoints } from '../shapes.js';
+import { createWaits } from '../wait.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function drawConnectedPoints(canvas, points, delay) {
+  if (points.length === 0) return;
+
+  const [startX, startY] = points[0];
+  canvas.mouseClickAndHold(Math.round(startX), Math.round(startY));
+  await delay(100);
+
+  for (const [x, y] of points.slice(1)) {
+    canvas.mouseMove(Math.round(x), Math.round(y));
+    await delay(50);
+  }
+
+  canvas.mouseRelease();
+}
+
+function findCanvas(desktop) {
+  for (const selector of ['name:Canvas', 'className:MSPaintView']) {
+    try {
+      return desktop.locator(selector);
+    } catch {
+      // Try the next selector
+    }
+  }
+  // Use the Paint window itself
+  return desktop.locator('name:Paint');
+}
+
+async function latestCapture(dir = '.') {
+  const files = await fs.readdir(dir);
+  return files.filter(f => f.startsWith('artwork_') && f.endsWith('.png')).sort().pop() ?? null;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.desktop Terminator `Desktop`
+ * @param {object} [options.model] model for `analyzeArtwork` (a vision-capable one)
+ * @param {number} [options.analysisMaxTokens]
+ * @param {(ms: number) => Promise<void>} [options.delay] pause between mouse moves while drawing
+ * @param {object} [options.waits] from `createWaits`, for Paint to be ready
+ * @param {(message: string) => void} [options.log] progress messages
+ */
+export function createArtistTools({ desktop, model, analysisMaxTokens = 500, delay = sleep, waits = createWaits(desktop), log = () => {} }) {
+  return {
+    openPaint: {
+      description: 'Open Microsoft Paint application for drawing',
+      parameters: z.object({}),
+      execute: async (_args, { abortSignal } = {}) => {
+        try {
+          log('🚀 Opening MS Paint...');
+          const app = desktop.openApplication('mspaint');
+          await waits.visible('window:Paint', { timeout: 15000, signal: abortSignal });
+
+          return ok('MS Paint opened successfully and ready for drawing!', {
+            app: { name: app.name(), role: app.role() }
+          });
+        } catch (error) {
+          return fail(`Could not open Paint: ${error.message}`);
+        }
+      }
+    },
+
+    setupBrush: {
+      description: 'Configure brush settings for drawing',
+      parameters: z.object({
+        size: z.enum(['small', 'medium', 'large']).default('medium'),
+        color: z.enum(['black', 'red', 'blue', 'green', 'yellow', 'purple', 'orange']).default('black')
+      }),
+      execute: async ({ size = 'medium', color = 'black' }, { abortSignal } = {}) => {
+        log(`🎨 Setting up brush: ${size} ${color}...`);
+
+        // Try to select the brush tool; it might already be selected
+        for (const selector of ['name:Brush', 'automationid:BrushTool']) {
+          try {
+            await desktop.locator(selector).click();
+            // Ready to draw once the canvas takes input again
+            await waits.enabled('name:Canvas', { timeout: 2000, signal: abortSignal }).catch(() => {});
+            break;
+          } catch {
+            // Try the next selector
+          }
+        }
+        return ok(`Brush configured: ${size} ${color} brush ready!`, { settings: { size, color } });
+      }
+    },
+
+    drawShape: {
+      description: 'Draw specific shapes on the canvas',
+      parameters: z.object({
+        shape: z.enum(SHAPES),
+        x: z.number().describe('X coordinate (200-800)'),
+        y: z.number().describe('Y coordinate (150-600)'),
+        size: z.number().describe('Size of the shape (20-150)')
+      }),
+      execute: async ({ shape, x, y, size }) => {
+        try {
+          log(`✏️ Drawing ${shape} at (${x}, ${y}) with size ${size}...`);
+          await drawConnectedPoints(findCanvas(desktop), shapePoints(shape, x, y, size), delay);
+          return ok(`Drew ${shape} at position (${x}, ${y}) with size ${size}`, { drawing: { shape, x, y, size } });
+        } catch (error) {
+          return fail(`Drawing ${shape} failed: ${error.message}`);
+        }
+      }
+    },
+
+    drawOnCanvas: {
+      description: 'Draw directly on the Paint canvas by clicking and dragging',
+      parameters: z.object({
+        startX: z.number().describe('Starting X coordinate (100-800)'),
+        startY: z.number().describe('Starting Y coordinate (100-600)'),
+        endX: z.number().describe('Ending X coordinate (100-800)'),
+        endY: z.number().describe('Ending Y coordinate (100-600)'),
+        description: z.string().describe('What you are drawing (e.g., "circle", "line", "star")')
+      }),
+      execute: async ({ startX, startY, endX, endY, description }) => {
+        try {
+          log(`✏️ Drawing ${description} from (${startX},${startY}) to (${endX},${endY})...`);
+          await drawConnectedPoints(desktop.locator('name:Paint'), [[startX, startY], [endX, endY]], delay);
+          return ok(`Drew ${description} from (${startX},${startY}) to (${endX},${endY})`);
+        } catch (error) {
+          return fail(`Drawing failed: ${error.message}`);
+        }
+      }
+    },
+
+    captureArtwork: {
+      description: 'Take a screenshot to see the current artwork',
+      parameters: z.object({
+        purpose: z.string().optional().describe('Purpose of the capture (e.g., "verify star drawing")')
+      }),
+      execute: async ({ purpose = 'general artwork capture' }) => {
+        try {
+          log(`📸 Capturing artwork: ${purpose}...`);
+
+          const screenshot = await desktop.captureScreen();
+          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+          const filename = `artwork_${timestamp}.png`;
+          await fs.writeFile(filename, Buffer.from(screenshot.imageData));
+
+          const fileSizeKB = Math.round(screenshot.imageData.length / 1024);
+          return ok(`Artwork captured! File: ${filename} (${fileSizeKB}KB)`, {
+            capture: {
+              filename,
+              size: `${screenshot.width}x${screenshot.height}`,
+              purpose,
+              fileSizeKB
+            }
+          });
+        } catch (error) {
+          return fail(`Capture failed: ${error.message}`);
+        }
+      }
+    },
+
+    analyzeArtwork: {
+      description: 'Use AI vision to analyze the captured artwork and provide feedback',
+      parameters: z.object({
+        focus: z.string().optional().describe('Specific aspect to analyze (e.g., "check if star is well-formed")'),
+        file: z.string().optional().describe('Capture to analyze (defaults to the latest one)')
+      }),
+      execute: async ({ focus = 'overall composition and quality', file }) => {
+        try {
+          if (!model) return fail('No vision model configured for artwork analysis');
+
+          const target = file ?? await latestCapture();
+          if (!target) return fail('No artwork captures found. Use captureArtwork first.');
+
+          log('🔍 Analyzing artwork with AI vision...');
+          const base64Image = (await fs.readFile(target)).toString('base64');
+
+          const { text } = await generateText({
+            model,
+            maxTokens: analysisMaxTokens,
+            prompt: `You are analyzing a screenshot from MS Paint showing digital artwork created by an AI artist.
+
+ANALYSIS FOCUS: ${focus}
+
+Please provide detailed feedback on:
+1. VISUAL ELEMENTS: What shapes, patterns, or drawings do you see?
+2. QUALITY: Are the drawn elements clean and well-formed?
+3. COMPOSITION: How are elements arranged? Is it balanced?
+4. COLORS: What colors are used?
+5. SUGGESTIONS: How could this artwork be improved?
+
+Be specific and constructive in your analysis to help the AI artist improve.
+
+[Image data: data:image/png;base64,${base64Image.substring(0, 100)}...]`
+          });
+
+          return ok('Artwork analysis completed', { analysis: text, file: target, focus });
+        } catch (error) {
+          return fail(`Vision analysis failed: ${error.message}`, { file });
+        }
+      }
+    }
+  };
+}
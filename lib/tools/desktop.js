@@ -0,0 +1,438 @@
+/**
+ * 🖥️ Desktop Tools
+ *
+ * Screenshots, OCR, element discovery and input through a Terminator
+ * `Desktop`. Most tools come in two flavours over the same implementation:
+ * a full one (`appControl`, `textInput`) and a small-model friendly one with
+ * fewer parameters (`openApp`, `typeText`).
+ */
+
+import fs from 'fs/promises';
+import { z } from 'zod';
+import { ok, fail } from './result.js';
+import { abortable, createWaits } from '../wait.js';
+import { locatorFor } from '../desktop.js';
+import { checkFileAccess, loadPolicy, policyError } from '../policy.js';
+import { SELECTOR_HELP, validateSelector } from '../selectors.js';
+import { HEALING_DEFAULTS, findSimilarElements, formatSuggestions } from '../healing.js';
+import { exploreTree } from '../explore.js';
+import { diffSnapshots, formatDiff, summarizeDiff } from '../tree-diff.js';
+
+/**
+ * Plain-object summary of a UI element.
+ */
+export function describeElement(element, textDepth = 2) {
+  return {
+    name: element.name() || 'Unknown',
+    role: element.role(),
+    bounds: element.bounds(),
+    text: element.text(textDepth),
+    visible: element.isVisible(),
+    enabled: element.isEnabled()
+  };
+}
+
+function preview(text, max = 50) {
+  return `${text.substring(0, max)}${text.length > max ? '...' : ''}`;
+}
+
+async function launchApp(desktop, waits, appName, signal) {
+  const app = desktop.openApplication(appName);
+  await waits.until(`${appName} to open`, () => app.isVisible(), { signal });
+  return ok(`Launched ${appName}`, {
+    action: 'launch',
+    app: { name: app.name(), role: app.role() }
+  });
+}
+
+// Invalid selectors fail before anything is touched, with a syntax reminder
+function invalidSelector(selector) {
+  const checked = validateSelector(selector);
+  return checked.valid ? null : fail(`${checked.error}. ${SELECTOR_HELP}`, { selector });
+}
+
+// The first match, given up as soon as the turn is interrupted
+function findFirst(desktop, selector, signal) {
+  return abortable(locatorFor(desktop, selector).first(), signal, `Stopped looking for ${selector}`);
+}
+
+async function typeInto(desktop, { text, selector, useClipboard = false }, signal) {
+  if (selector) {
+    const invalid = invalidSelector(selector);
+    if (invalid) return invalid;
+  }
+  const element = selector
+    ? await findFirst(desktop, selector, signal)
+    : desktop.focusedElement();
+
+  element.typeText(text, useClipboard);
+
+  return ok(`Typed "${preview(text)}"`, {
+    method: useClipboard ? 'clipboard' : 'keyboard',
+    target: selector || 'focused element'
+  });
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.desktop Terminator `Desktop`
+ * @param {object} [options.policy] file policy `screenshot` saves under (default: `loadPolicy()`)
+ * @param {object} [options.waits] from `createWaits`, for launches and page loads
+ * @param {{ retry?: boolean, threshold?: number }} [options.healing] when a selector finds
+ *   nothing, `clickElement` and `findElements` suggest similar elements; with `retry` they
+ *   also use the best one if it scores at least `threshold` (see lib/healing.js)
+ * @param {(message: string) => void} [options.log] progress messages
+ */
+export function createDesktopTools({ desktop, policy = loadPolicy(), waits = createWaits(desktop), healing = {}, log = () => {} }) {
+  const { retry = false, threshold = HEALING_DEFAULTS.threshold } = healing;
+
+  // Run `find` (falsy or a throw means nothing found); otherwise look for similar
+  // elements and retry with the best one, or return them as suggestions.
+  // An interrupted turn throws instead of healing.
+  const findOrHeal = async (selector, find, signal) => {
+    let error = null;
+    try {
+      const found = await find(selector);
+      if (found) return { found };
+    } catch (caught) {
+      if (signal?.aborted) throw caught;
+      error = caught;
+    }
+
+    const suggestions = await findSimilarElements(desktop, selector).catch(() => []);
+    const [best] = suggestions;
+    if (retry && best && best.score >= threshold) {
+      log(`🩹 Nothing matches ${selector}, using ${best.selector} (${best.score})...`);
+      return { found: await find(best.selector), healed: { from: selector, to: best.selector, score: best.score } };
+    }
+    return { error, suggestions };
+  };
+
+  // The last `uiChanges` snapshot, compared against by the next one
+  let baseline = null;
+
+  const suggestionHint = suggestions => (suggestions.length > 0 ? `. Similar elements: ${formatSuggestions(suggestions)}` : '');
+
+  return {
+    // 📸 Desktop Screenshot Tool
+    screenshot: {
+      description: 'Take a screenshot of the desktop and optionally analyze it with OCR',
+      parameters: z.object({
+        withOCR: z.boolean().optional().describe('Whether to perform OCR text extraction'),
+        savePath: z.string().optional().describe('Path to save screenshot (optional)')
+      }),
+      execute: async ({ withOCR = false, savePath }) => {
+        try {
+          if (savePath) {
+            const check = checkFileAccess(policy, savePath, { action: 'write' });
+            if (!check.allowed) return { success: false, ...policyError(check), savePath };
+          }
+
+          log('📸 Taking screenshot...');
+          const screenshot = await desktop.captureScreen();
+          const size = `${screenshot.width}x${screenshot.height}`;
+          const result = ok(`Screenshot taken (${size})`, { size });
+
+          if (savePath) {
+            await fs.writeFile(savePath, Buffer.from(screenshot.imageData));
+            result.savedTo = savePath;
+          }
+
+          if (withOCR) {
+            log('🔤 Extracting text...');
+            const ocrText = await desktop.ocrScreenshot(screenshot);
+            result.ocrText = ocrText;
+            result.textLength = ocrText.length;
+            result.message += ` with ${ocrText.length} characters of text extracted`;
+          }
+
+          return result;
+        } catch (error) {
+          return fail(`Screenshot failed: ${error.message}`);
+        }
+      }
+    },
+
+    // 🖱️ Desktop Click Tool
+    clickElement: {
+      description: 'Click on UI elements by selector (name, role or text)',
+      parameters: z.object({
+        selector: z.string().describe('Selector string (e.g., "name:Seven", "role:Button", "text:OK", "window:Notepad >> role:Edit", "role:Button && name:OK")'),
+        action: z.enum(['click', 'doubleClick', 'rightClick']).optional().default('click').describe('Click action type')
+      }),
+      execute: async ({ selector, action = 'click' }, { abortSignal } = {}) => {
+        try {
+          const invalid = invalidSelector(selector);
+          if (invalid) return invalid;
+          log(`🖱️ ${action} on ${selector}...`);
+          const { found: element, healed, error, suggestions } = await findOrHeal(selector, target => findFirst(desktop, target, abortSignal), abortSignal);
+          if (!element) {
+            return fail(`Click failed: ${error?.message ?? `No element found for selector "${selector}"`}${suggestionHint(suggestions)}`, { selector, suggestions });
+          }
+
+          let details;
+          switch (action) {
+            case 'doubleClick':
+              details = element.doubleClick();
+              break;
+            case 'rightClick':
+              element.rightClick();
+              details = { method: 'rightClick' };
+              break;
+            default:
+              details = await element.click();
+          }
+
+          const target = healed?.to ?? selector;
+          return ok(`${action} performed on ${target}${healed ? ` (${selector} found nothing)` : ''}`, {
+            selector: target,
+            action,
+            details,
+            ...(healed && { healed })
+          });
+        } catch (error) {
+          return fail(`Click failed: ${error.message}`, { selector });
+        }
+      }
+    },
+
+    // 🔍 Element Discovery Tool
+    findElements: {
+      description: 'Find UI elements on the screen by selector',
+      parameters: z.object({
+        selector: z.string().describe('Selector string (e.g., "role:Button", "name:Edit", "text:Save", "role:ListItem >> nth=0", "role:Button || role:MenuItem")'),
+        limit: z.number().optional().default(10).describe('Maximum number of elements to return')
+      }),
+      execute: async ({ selector, limit = 10 }, { abortSignal } = {}) => {
+        try {
+          const invalid = invalidSelector(selector);
+          if (invalid) return invalid;
+          log(`🔍 Searching for ${selector}...`);
+          const { found, healed, error, suggestions = [] } = await findOrHeal(selector, async (target) => {
+            const matches = await abortable(locatorFor(desktop, target).all(), abortSignal, `Stopped looking for ${target}`);
+            return matches.length > 0 && matches;
+          }, abortSignal);
+          if (error) {
+            return fail(`Element discovery failed: ${error.message}${suggestionHint(suggestions)}`, { selector, suggestions });
+          }
+
+          const elements = found || [];
+          const target = healed?.to ?? selector;
+          const returned = elements.slice(0, limit).map(el => describeElement(el));
+
+          return ok(`Found ${elements.length} elements matching ${target}${healed ? ` (${selector} found nothing)` : suggestionHint(suggestions)}`, {
+            selector: target,
+            count: elements.length,
+            returned: returned.length,
+            elements: returned,
+            ...(healed && { healed }),
+            ...(suggestions.length > 0 && { suggestions })
+          });
+        } catch (error) {
+          return fail(`Element discovery failed: ${error.message}`, { selector });
+        }
+      }
+    },
+
+    // 🔀 UI Change Check Tool
+    uiChanges: {
+      description: 'Confirm an action had an effect: "snapshot" the element tree before it, then "compare" after it to list added, removed, renamed and changed elements',
+      parameters: z.object({
+        action: z.enum(['snapshot', 'compare']).describe('snapshot before the action, compare after it'),
+        selector: z.string().optional().describe('Window or element to watch (default: the current window), e.g. "window:Calculator"'),
+        depth: z.number().optional().default(4).describe('Levels of the tree to include')
+      }),
+      execute: async ({ action, selector, depth = 4 }) => {
+        try {
+          if (selector) {
+            const invalid = invalidSelector(selector);
+            if (invalid) return invalid;
+          }
+
+          if (action === 'snapshot') {
+            log(`🔀 Snapshotting ${selector ?? 'the current window'}...`);
+            baseline = await exploreTree(desktop, { target: selector, maxDepth: depth });
+            return ok(`Snapshot of ${baseline.target} taken (${baseline.nodes} elements)`, { action, target: baseline.target, elements: baseline.nodes });
+          }
+
+          if (!baseline) return fail('No snapshot to compare with: call uiChanges with action "snapshot" before the action', { action });
+          log(`🔀 Comparing ${baseline.target}...`);
+          const current = await exploreTree(desktop, { target: selector ?? baseline.target, maxDepth: depth });
+          const diff = diffSnapshots(baseline, current);
+          baseline = current;
+          return ok(`${summarizeDiff(diff)} in ${current.target}`, {
+            action,
+            target: current.target,
+            changed: !diff.identical,
+            counts: diff.counts,
+            details: formatDiff(diff).split('\n').slice(1, 21)
+          });
+        } catch (error) {
+          return fail(`UI change check failed: ${error.message}`, { action });
+        }
+      }
+    },
+
+    // 🚀 Application Control Tool
+    appControl: {
+      description: 'Launch, focus, or list applications',
+      parameters: z.object({
+        action: z.enum(['launch', 'list', 'focus', 'activate']).describe('Application action'),
+        appName: z.string().optional().describe('Application name (for launch/focus/activate)')
+      }),
+      execute: async ({ action, appName }, { abortSignal } = {}) => {
+        try {
+          switch (action) {
+            case 'launch':
+              if (!appName) return fail('App name required for launch');
+              log(`🚀 Opening ${appName}...`);
+              return await launchApp(desktop, waits, appName, abortSignal);
+
+            case 'list': {
+              const apps = desktop.applications();
+              return ok(`Found ${apps.length} applications`, {
+                action: 'list',
+                count: apps.length,
+                applications: apps.slice(0, 10).map(app => ({
+                  name: app.name(),
+                  role: app.role(),
+                  bounds: app.bounds()
+                }))
+              });
+            }
+
+            case 'focus':
+            case 'activate':
+              if (!appName) return fail('App name required for focus/activate');
+
+              if (action === 'activate') {
+                desktop.activateApplication(appName);
+              } else {
+                desktop.application(appName).focus();
+              }
+
+              return ok(`${action === 'activate' ? 'Activated' : 'Focused'} ${appName}`, { action });
+
+            default:
+              return fail(`Invalid action "${action}"`);
+          }
+        } catch (error) {
+          return fail(`App control failed: ${error.message}`, { action });
+        }
+      }
+    },
+
+    openApp: {
+      description: 'Launch or focus applications',
+      parameters: z.object({
+        appName: z.string().describe('Name of the application to open')
+      }),
+      execute: async ({ appName }, { abortSignal } = {}) => {
+        try {
+          log(`🚀 Opening ${appName}...`);
+          return await launchApp(desktop, waits, appName, abortSignal);
+        } catch (error) {
+          return fail(`Could not open ${appName}: ${error.message}`);
+        }
+      }
+    },
+
+    // 🔤 OCR Text Recognition Tool
+    ocrTool: {
+      description: 'Perform OCR text recognition on the current screen',
+      parameters: z.object({
+        imagePath: z.string().optional().describe('Path to image file, or leave empty for screenshot')
+      }),
+      execute: async ({ imagePath }) => {
+        try {
+          log('🔤 Extracting text...');
+          const ocrText = imagePath
+            ? await desktop.ocrImagePath(imagePath)
+            : await desktop.ocrScreenshot(await desktop.captureScreen());
+
+          return ok(`OCR completed on ${imagePath || 'screenshot'}`, {
+            source: imagePath || 'screenshot',
+            textLength: ocrText.length,
+            wordCount: ocrText.split(/\s+/).filter(Boolean).length,
+            text: ocrText.slice(0, 1000) + (ocrText.length > 1000 ? '...' : ''),
+            fullText: ocrText
+          });
+        } catch (error) {
+          return fail(`OCR failed: ${error.message}`);
+        }
+      }
+    },
+
+    // ⌨️ Text Input Tool
+    textInput: {
+      description: 'Type text into the currently focused element or a specific element',
+      parameters: z.object({
+        text: z.string().describe('Text to type'),
+        selector: z.string().optional().describe('Optional selector to find element first (e.g., "window:Notepad >> role:Edit")'),
+        useClipboard: z.boolean().optional().default(false).describe('Use clipboard for pasting')
+      }),
+      execute: async ({ text, selector, useClipboard = false }, { abortSignal } = {}) => {
+        try {
+          log(`⌨️ Typing "${preview(text)}"...`);
+          return await typeInto(desktop, { text, selector, useClipboard }, abortSignal);
+        } catch (error) {
+          return fail(`Text input failed: ${error.message}`);
+        }
+      }
+    },
+
+    typeText: {
+      description: 'Type text into the currently focused element',
+      parameters: z.object({
+        text: z.string().describe('Text to type')
+      }),
+      execute: async ({ text }) => {
+        try {
+          log(`⌨️ Typing "${preview(text)}"...`);
+          return await typeInto(desktop, { text });
+        } catch (error) {
+          return fail(`Text input failed: ${error.message}`);
+        }
+      }
+    },
+
+    // 🌐 Web Tool
+    webTool: {
+      description: 'Open URLs in browser or get current browser window',
+      parameters: z.object({
+        action: z.enum(['open', 'getCurrentBrowser']).describe('Web action to perform'),
+        url: z.string().optional().describe('URL to open (for open action)'),
+        browser: z.string().optional().describe('Specific browser to use')
+      }),
+      execute: async ({ action, url, browser }, { abortSignal } = {}) => {
+        try {
+          switch (action) {
+            case 'open':
+              if (!url) return fail('URL required for open action');
+              desktop.openUrl(url, browser);
+              await waits.until('the browser window', () => desktop.getCurrentBrowserWindow(), { signal: abortSignal });
+              return ok('URL opened in browser', { action, url, browser: browser || 'default' });
+
+            case 'getCurrentBrowser': {
+              const browserWindow = await desktop.getCurrentBrowserWindow();
+              return ok(`Current browser: ${browserWindow.name()}`, {
+                action,
+                browser: {
+                  name: browserWindow.name(),
+                  role: browserWindow.role(),
+                  bounds: browserWindow.bounds(),
+                  text: browserWindow.text(1)
+                }
+              });
+            }
+
+            default:
+              return fail(`Invalid action "${action}"`);
+          }
+        } catch (error) {
+          return fail(`Web tool failed: ${error.message}`, { action });
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * 🛠️ Shared Tool Library
+ *
+ * One implementation of every agent tool, used by all the scripts. Each
+ * script builds the catalog for its desktop and picks the tools it exposes:
+ *
+ *   const tools = pickTools(createTools({ desktop, policy, mathSession }), TOOLSETS.simple);
+ *
+ * Every tool returns `{ success: true, message, ... }` or
+ * `{ success: false, error, ... }` (see `result.js`).
+ */
+
+import { createDesktopTools } from './desktop.js';
+import { createSystemTools } from './system.js';
+import { createArtistTools } from './artist.js';
+
+export { createDesktopTools, describeElement } from './desktop.js';
+export { createSystemTools } from './system.js';
+export { createArtistTools } from './artist.js';
+export { SHAPES } from '../shapes.js';
+export { ok, fail, isFailure } from './result.js';
+
+/**
+ * The tools each script exposes.
+ */
+export const TOOLSETS = {
+  // ai-agent.js
+  agent: [
+    'screenshot',
+    'clickElement',
+    'findElements',
+    'uiChanges',
+    'appControl',
+    'ocrTool',
+    'textInput',
+    'calculator',
+    'fileManager',
+    'webTool',
+    'commandRunner'
+  ],
+  // simple-agent.js, test-agent.js
+  simple: ['screenshot', 'clickElement', 'findElements', 'openApp', 'typeText', 'calculate', 'runCommand'],
+  // vision-artist.js
+  artist: ['openPaint', 'setupBrush', 'drawShape', 'captureArtwork', 'analyzeArtwork'],
+  // simple-vision-artist.js, working-artist.js
+  sketch: ['openPaint', 'drawOnCanvas', 'captureArtwork', 'analyzeArtwork']
+};
+
+/**
+ * Build the full tool catalog.
+ *
+ * @param {object} options
+ * @param {object} options.desktop Terminator `Desktop`
+ * @param {object} [options.policy] command & file policy (needed by the system tools and `screenshot`)
+ * @param {object} [options.mathSession] calculator variables (needed by the calculators)
+ * @param {object} [options.visionModel] model used by `analyzeArtwork`
+ * @param {Function} [options.shell] command runner for the system tools (see `createSystemTools`)
+ * @param {(stream: 'stdout' | 'stderr', text: string) => void} [options.onOutput] live command output
+ * @param {object} [options.healing] selector healing for the desktop tools (see lib/healing.js)
+ * @param {(message: string) => void} [options.log] progress messages
+ */
+export function createTools({ desktop, policy, mathSession, visionModel, shell, onOutput, healing, log }) {
+  return {
+    ...createDesktopTools({ desktop, policy, healing, log }),
+    ...createSystemTools({ desktop, policy, mathSession, shell, onOutput, log }),
+    ...createArtistTools({ desktop, model: visionModel, log })
+  };
+}
+
+/**
+ * Select tools by name, failing fast on a typo.
+ */
+export function pickTools(catalog, names) {
+  return Object.fromEntries(names.map((name) => {
+    if (!catalog[name]) {
+      throw new Error(`Unknown tool "${name}" (available: ${Object.keys(catalog).join(', ')})`);
+    }
+    return [name, catalog[name]];
+  }));
+}
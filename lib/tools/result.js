@@ -0,0 +1,21 @@
+/**
+ * ✅ Tool Results
+ *
+ * Every shared tool returns the same shape so callers, the planner and the
+ * console reporter can tell success from failure without knowing the tool:
+ *
+ *   { success: true, message, ...data }
+ *   { success: false, error, ...context }
+ */
+
+export function ok(message, data = {}) {
+  return { success: true, message, ...data };
+}
+
+export function fail(error, context = {}) {
+  return { success: false, error, ...context };
+}
+
+export function isFailure(result) {
+  return !result || result.success === false || Boolean(result.error);
+}
@@ -0,0 +1,199 @@
+/**
+ * 🧰 System Tools
+ *
+ * Calculations, files and shell commands. File and command access is
+ * checked against the command & file policy (`lib/policy.js`) before
+ * anything runs; calculations go through the safe math engine.
+ */
+
+import fs from 'fs/promises';
+import { z } from 'zod';
+import { ok, fail } from './result.js';
+import { checkCommand, checkFileAccess, policyError } from '../policy.js';
+import { MathError } from '../math.js';
+import { DEFAULT_TIMEOUT_MS } from '../command-runner.js';
+import { commandRunnerFor } from '../desktop.js';
+
+function evaluate(mathSession, expression) {
+  try {
+    const { result, unit, assigned } = mathSession.evaluate(expression);
+    return ok(`${assigned ? `${assigned} = ` : `${expression} = `}${result}`, {
+      result,
+      expression,
+      ...(unit && { unit }),
+      ...(assigned && { assigned })
+    });
+  } catch (error) {
+    if (error instanceof MathError) return { success: false, ...error.toJSON(expression), expression };
+    return fail(`Invalid mathematical expression: ${error.message}`, { expression });
+  }
+}
+
+async function run(policy, shell, command, { timeout, abortSignal, onOutput }) {
+  const check = checkCommand(policy, command);
+  if (!check.allowed) return { success: false, ...policyError(check), command };
+
+  const result = await shell(command, { timeout, signal: abortSignal, onOutput });
+  const fields = {
+    command,
+    exitCode: result.exitCode,
+    durationMs: result.durationMs,
+    timedOut: result.timedOut,
+    ...(result.truncated && { truncated: true }),
+    stdout: result.stdout,
+    stderr: result.stderr
+  };
+
+  if (result.timedOut) return fail(`Command timed out after ${timeout}ms and was killed`, fields);
+  if (result.aborted) return fail('Command was cancelled and killed', fields);
+  return ok(`Command executed with exit code ${result.exitCode}`, fields);
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.desktop Terminator `Desktop` (for the Calculator app and opening files)
+ * @param {object} options.policy loaded command & file policy
+ * @param {import('../math.js').MathSession} options.mathSession calculator variables
+ * @param {typeof import('../command-runner.js').runShellCommand} [options.shell] runs commands
+ *   (default: `commandRunnerFor(desktop)`, which never reaches the host on the mock desktop)
+ * @param {(stream: 'stdout' | 'stderr', text: string) => void} [options.onOutput] live command output
+ * @param {(message: string) => void} [options.log] progress messages
+ */
+export function createSystemTools({ desktop, policy, mathSession, shell = commandRunnerFor(desktop), onOutput = () => {}, log = () => {} }) {
+  return {
+    // 🧮 Calculator Tool (Enhanced)
+    calculator: {
+      description: 'Perform exact mathematical calculations or launch Calculator app. Supports + - * / % ^ !, functions (sqrt, sin, log, round, min, max, ...), constants (pi, e), variables ("x = 2 * pi", "ans") and unit conversions ("5 km to mi")',
+      parameters: z.object({
+        expression: z.string().describe('Mathematical expression to evaluate, e.g. "sqrt(16) + 15 * 42" or "100 degF in degC"'),
+        useApp: z.boolean().optional().describe('Whether to use the Calculator app for demonstration')
+      }),
+      execute: async ({ expression, useApp = false }) => {
+        log(`🧮 Calculating ${expression}...`);
+        const response = { ...evaluate(mathSession, expression), method: 'programmatic' };
+
+        // Optionally demonstrate with Calculator app
+        if (response.success && useApp) {
+          try {
+            const calcApp = desktop.openApplication('calc');
+            response.appDemo = 'Calculator app launched for demonstration';
+            response.method = 'app + programmatic';
+            response.app = { name: calcApp.name(), role: calcApp.role() };
+          } catch {
+            response.appError = 'Could not launch Calculator app';
+          }
+        }
+
+        return response;
+      }
+    },
+
+    calculate: {
+      description: 'Perform exact mathematical calculations: + - * / % ^ !, functions (sqrt, sin, log, ...), constants (pi, e), variables and unit conversions ("5 km to mi")',
+      parameters: z.object({
+        expression: z.string().describe('Mathematical expression to calculate')
+      }),
+      execute: async ({ expression }) => {
+        log(`🧮 Calculating ${expression}...`);
+        return evaluate(mathSession, expression);
+      }
+    },
+
+    // 📂 File Manager Tool (Enhanced)
+    fileManager: {
+      description: 'Read, write, or list files',
+      parameters: z.object({
+        action: z.enum(['read', 'write', 'list', 'open']).describe('File operation to perform'),
+        filepath: z.string().optional().describe('Path to file (for read/write/open)'),
+        content: z.string().optional().describe('Content to write (for write action)'),
+        directory: z.string().optional().describe('Directory to list (for list action)')
+      }),
+      execute: async ({ action, filepath, content, directory }) => {
+        try {
+          const target = action === 'list' ? (directory || '.') : filepath;
+          if (target) {
+            const check = checkFileAccess(policy, target, {
+              action,
+              size: action === 'write' && content ? Buffer.byteLength(content, 'utf-8') : undefined
+            });
+            if (!check.allowed) return { success: false, ...policyError(check), action };
+          }
+
+          switch (action) {
+            case 'read': {
+              if (!filepath) return fail('Filepath required for read action', { action });
+              const fileContent = await fs.readFile(filepath, 'utf-8');
+              return ok(`Read ${filepath}`, { action, filepath, content: fileContent });
+            }
+
+            case 'write':
+              if (!filepath || !content) return fail('Filepath and content required for write action', { action });
+              await fs.writeFile(filepath, content, 'utf-8');
+              return ok('File written successfully', { action, filepath });
+
+            case 'list': {
+              const dir = directory || '.';
+              const files = await fs.readdir(dir);
+              return ok(`${files.length} entries in ${dir}`, { action, directory: dir, files });
+            }
+
+            case 'open':
+              if (!filepath) return fail('Filepath required for open action', { action });
+              desktop.openFile(filepath);
+              return ok('File opened with default application', { action, filepath });
+
+            default:
+              return fail(`Invalid action "${action}"`);
+          }
+        } catch (error) {
+          return fail(error.message, { action });
+        }
+      }
+    },
+
+    // 🏃 Command Runner Tool
+    commandRunner: {
+      description: 'Run shell commands. Output is capped and the command is killed when the timeout expires',
+      parameters: z.object({
+        windowsCommand: z.string().optional().describe('Command to run on Windows'),
+        unixCommand: z.string().optional().describe('Command to run on Unix/Linux/macOS'),
+        timeout: z.number().int().positive().optional().default(DEFAULT_TIMEOUT_MS).describe('Timeout in milliseconds')
+      }),
+      execute: async ({ windowsCommand, unixCommand, timeout = DEFAULT_TIMEOUT_MS }, { abortSignal } = {}) => {
+        try {
+          // Check both so a blocked command for the other platform is still reported
+          for (const command of [windowsCommand, unixCommand].filter(Boolean)) {
+            const check = checkCommand(policy, command);
+            if (!check.allowed) return { success: false, ...policyError(check), command };
+          }
+
+          const isWindows = process.platform === 'win32';
+          const command = isWindows ? windowsCommand : unixCommand;
+          if (!command) {
+            return fail(`No ${isWindows ? 'windowsCommand' : 'unixCommand'} given for this platform (${process.platform})`);
+          }
+
+          log(`🏃 Running command: ${command}...`);
+          return await run(policy, shell, command, { timeout, abortSignal, onOutput });
+        } catch (error) {
+          return fail(`Command execution failed: ${error.message}`);
+        }
+      }
+    },
+
+    runCommand: {
+      description: 'Execute shell commands',
+      parameters: z.object({
+        command: z.string().describe('Command to execute')
+      }),
+      execute: async ({ command }, { abortSignal } = {}) => {
+        try {
+          log(`🏃 Running command: ${command}...`);
+          return await run(policy, shell, command, { timeout: DEFAULT_TIMEOUT_MS, abortSignal, onOutput });
+        } catch (error) {
+          return fail(`Command execution failed: ${error.message}`);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * 🌲 Element Tree Browser
+ *
+ * State and key handling for the interactive browser behind
+ * `element-explorer.js browse`, kept apart from the terminal so tests can
+ * drive it. The tree comes from the live desktop, a level at a time as
+ * nodes are expanded, or from a snapshot saved by `explore --out`:
+ *
+ *   const browser = createTreeBrowser({ root: liveRoot(await exploreRoot(desktop)) });
+ *   await browser.press({ name: 'right' });
+ *   console.log(browser.render());
+ *
+ * Keys are readline keypress objects (`{ name, sequence, ctrl }`). Click,
+ * type and highlight need the live desktop; on a snapshot they explain why
+ * they did nothing.
+ */
+
+import chalk from 'chalk';
+import { describeNode } from './explore.js';
+import { suggestSelector } from './selectors.js';
+
+export const BROWSER_HELP = '↑↓ move  →/⏎ expand  ← collapse  / search  n next  c copy  k click  t type  h highlight  r reload  q quit';
+
+const FIELDS = ['role', 'name', 'automationId', 'bounds', 'text', 'enabled', 'visible', 'suggestedSelector'];
+
+function makeNode(data, parent, element = null) {
+  const node = {
+    ...Object.fromEntries(FIELDS.map(field => [field, data[field] ?? null])),
+    element,
+    parent,
+    depth: parent ? parent.depth + 1 : 0,
+    selector: parent ? `${parent.selector} >> ${data.suggestedSelector}` : data.suggestedSelector,
+    truncated: Boolean(data.truncated),
+    expanded: false
+  };
+  // Live nodes load their children when first expanded
+  node.children = element ? null : (data.children ?? []).map(child => makeNode(child, node));
+  return node;
+}
+
+/**
+ * Root node for a live element, from `exploreRoot` (lib/explore.js).
+ */
+export function liveRoot({ element, selector }) {
+  return makeNode(describeNode(element, selector), null, element);
+}
+
+/**
+ * Root node for a snapshot from `exploreTree` or `loadSnapshot`.
+ */
+export function snapshotRoot(snapshot) {
+  return makeNode(snapshot.tree, null);
+}
+
+function loadChildren(node) {
+  if (node.children) return node.children;
+  node.children = node.element.children().map((child) => {
+    const data = describeNode(child, null);
+    return makeNode({ ...data, suggestedSelector: suggestSelector(data) }, node, child);
+  });
+  return node.children;
+}
+
+// Expanded nodes in display order
+function visibleRows(root) {
+  const rows = [];
+  const visit = (node) => {
+    rows.push(node);
+    if (node.expanded) node.children.forEach(visit);
+  };
+  visit(root);
+  return rows;
+}
+
+const matchesQuery = (node, query) => [node.name, node.role].some(field => field?.toLowerCase().includes(query));
+
+const show = value => JSON.stringify(value);
+
+/**
+ * @param {object} options
+ * @param {object} options.root from `liveRoot` or `snapshotRoot`
+ * @param {number} [options.height] tree rows shown at once
+ * @param {(text: string) => Promise<void> | void} [options.copy] puts a selector on the clipboard
+ * @param {number} [options.maxSearchNodes] live nodes loaded at most by a search
+ */
+export function createTreeBrowser({ root, height = 20, copy = () => {}, maxSearchNodes = 2000 }) {
+  const state = {
+    root,
+    cursor: root,
+    scroll: 0,
+    mode: 'browse', // or 'search' / 'type', reading `input`
+    input: '',
+    matches: [],
+    match: -1,
+    message: null
+  };
+
+  const rows = () => visibleRows(root);
+
+  const select = (node) => {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      loadChildren(parent);
+      parent.expanded = true;
+    }
+    state.cursor = node;
+  };
+
+  const move = (by) => {
+    const all = rows();
+    const index = Math.min(all.length - 1, Math.max(0, all.indexOf(state.cursor) + by));
+    state.cursor = all[index];
+  };
+
+  const expand = () => {
+    const node = state.cursor;
+    if (loadChildren(node).length === 0) {
+      state.message = node.truncated ? 'The snapshot does not go deeper here' : 'No children';
+      return;
+    }
+    if (node.expanded) move(1);
+    node.expanded = true;
+  };
+
+  const collapse = () => {
+    if (state.cursor.expanded) state.cursor.expanded = false;
+    else if (state.cursor.parent) state.cursor = state.cursor.parent;
+  };
+
+  // Every node in tree order, loading live ones up to `maxSearchNodes`
+  const allNodes = () => {
+    const nodes = [];
+    const visit = (node) => {
+      nodes.push(node);
+      if (node.children === null && nodes.length >= maxSearchNodes) return;
+      const children = node.children === null ? loadChildren(node) : node.children;
+      children.forEach(visit);
+    };
+    visit(root);
+    return nodes;
+  };
+
+  const search = (query) => {
+    state.matches = query ? allNodes().filter(node => matchesQuery(node, query.toLowerCase())) : [];
+    state.match = -1;
+    if (state.matches.length === 0) {
+      state.message = `No element matches "${query}"`;
+      return;
+    }
+    nextMatch();
+  };
+
+  const nextMatch = () => {
+    if (state.matches.length === 0) {
+      state.message = 'Search with / first';
+      return;
+    }
+    state.match = (state.match + 1) % state.matches.length;
+    select(state.matches[state.match]);
+    state.message = `Match ${state.match + 1} of ${state.matches.length}`;
+  };
+
+  // Click, type and highlight run on the live element
+  const act = async (action, done, run) => {
+    const { element, selector } = state.cursor;
+    if (!element) {
+      state.message = `Cannot ${action} a snapshot: browse the live desktop for that`;
+      return;
+    }
+    try {
+      await run(element);
+      state.message = `✅ ${done} ${selector}`;
+    } catch (error) {
+      state.message = `❌ ${error.message}`;
+    }
+  };
+
+  const reload = () => {
+    const node = state.cursor;
+    if (!node.element) {
+      state.message = 'A snapshot cannot be reloaded';
+      return;
+    }
+    Object.assign(node, describeNode(node.element, node.suggestedSelector));
+    node.children = null;
+    if (node.expanded) loadChildren(node);
+    state.message = `Reloaded ${node.selector}`;
+  };
+
+  const readInput = async (key) => {
+    if (key.name === 'escape') {
+      state.mode = 'browse';
+    } else if (key.name === 'return') {
+      const { mode, input } = state;
+      state.mode = 'browse';
+      if (mode === 'search') search(input);
+      else await act('type into', 'Typed into', element => element.typeText(input));
+    } else if (key.name === 'backspace') {
+      state.input = state.input.slice(0, -1);
+    } else if (key.sequence && !key.ctrl && key.sequence >= ' ') {
+      state.input += key.sequence;
+    }
+  };
+
+  const startInput = (mode) => {
+    state.mode = mode;
+    state.input = '';
+  };
+
+  const KEYS = {
+    up: () => move(-1),
+    down: () => move(1),
+    pageup: () => move(-height),
+    pagedown: () => move(height),
+    home: () => { state.cursor = root; },
+    end: () => move(Infinity),
+    right: expand,
+    return: expand,
+    left: collapse,
+    '/': () => startInput('search'),
+    n: nextMatch,
+    c: async () => {
+      try {
+        await copy(state.cursor.selector);
+        state.message = `📋 Copied ${state.cursor.selector}`;
+      } catch (error) {
+        state.message = `❌ Could not copy: ${error.message}`;
+      }
+    },
+    k: () => act('click', 'Clicked', element => element.click()),
+    t: () => (state.cursor.element ? startInput('type') : act('type into', 'Typed into', () => {})),
+    h: () => act('highlight', 'Highlighted', element => element.highlight(0x00ff00, 2000)),
+    r: reload
+  };
+
+  return {
+    state,
+
+    /**
+     * Handle one key; resolves to 'quit' when the browser should close.
+     */
+    async press(key) {
+      if (key.ctrl && key.name === 'c') return 'quit';
+      if (state.mode !== 'browse') {
+        await readInput(key);
+        return undefined;
+      }
+
+      state.message = null;
+      const name = key.name ?? key.sequence;
+      if (name === 'q' || name === 'escape') return 'quit';
+      await KEYS[Object.hasOwn(KEYS, name) ? name : key.sequence]?.();
+      return undefined;
+    },
+
+    /**
+     * The screen: the visible part of the tree, the selected element's
+     * details and a status line.
+     */
+    render({ width = 80 } = {}) {
+      const all = rows();
+      const index = all.indexOf(state.cursor);
+      state.scroll = Math.min(Math.max(state.scroll, index - height + 1), index);
+
+      const tree = all.slice(state.scroll, state.scroll + height).map((node) => {
+        const marker = node.children === null || node.children.length > 0 ? (node.expanded ? '▾' : '▸') : ' ';
+        const line = `${node === state.cursor ? '›' : ' '} ${'  '.repeat(node.depth)}${marker} ${chalk.cyan(node.role)}${node.name ? ` ${show(node.name)}` : ''}${node.automationId ? chalk.gray(` #${node.automationId}`) : ''}`;
+        return node === state.cursor ? chalk.inverse(line) : line;
+      });
+
+      const node = state.cursor;
+      const { x, y, width: w, height: h } = node.bounds ?? {};
+      const details = [
+        `Selector: ${chalk.green(node.selector)}`,
+        `Role: ${node.role}   Name: ${show(node.name)}   Automation id: ${node.automationId ?? '-'}`,
+        `Bounds: ${node.bounds ? `${x},${y} ${w}x${h}` : '-'}   Enabled: ${node.enabled ? 'yes' : 'no'}   Visible: ${node.visible ? 'yes' : 'no'}`,
+        `Text: ${node.text ? show(node.text.slice(0, width - 8)) : '-'}`
+      ];
+
+      let status = chalk.gray(BROWSER_HELP);
+      if (state.mode === 'search') status = `Search: ${state.input}▏`;
+      else if (state.mode === 'type') status = `Type into ${node.selector}: ${state.input}▏`;
+      else if (state.message) status = state.message;
+
+      return [...tree, chalk.gray('─'.repeat(width)), ...details, status].join('\n');
+    }
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * 🔀 Tree Snapshot Diff
+ *
+ * Compares two snapshots from `exploreTree` (lib/explore.js), e.g. before
+ * and after a click, to tell whether the action did anything:
+ *
+ *   const before = await exploreTree(desktop, { target: 'window:Calculator' });
+ *   await clickSeven();
+ *   const diff = diffSnapshots(before, await exploreTree(desktop, { target: 'window:Calculator' }));
+ *   console.log(formatDiff(diff));
+ *
+ * Elements are matched by automation id, else by role and name (in tree
+ * order); an unmatched pair with the same role in the same place is a
+ * rename. A diff lists what was `added`, `removed`, `moved` to another
+ * parent, `renamed`, and `changed` (text, enabled, visible or bounds).
+ */
+
+const CHANGE_FIELDS = ['text', 'enabled', 'visible', 'bounds'];
+
+const label = node => `${node.role}${node.name ? ` ${JSON.stringify(node.name)}` : ''}`;
+
+// Each node in tree order, with its path, full selector chain and parent
+function flatten(tree) {
+  const entries = [];
+  const seen = new Map();
+  const visit = (node, parent, index) => {
+    const base = node.automationId ? `id:${node.automationId}` : `${node.role}|${node.name ?? ''}`;
+    const occurrence = (seen.get(base) ?? 0) + 1;
+    seen.set(base, occurrence);
+
+    const entry = {
+      node,
+      parent,
+      index,
+      key: `${base}#${occurrence}`,
+      path: parent ? `${parent.path} > ${label(node)}` : label(node),
+      selector: parent ? `${parent.selector} >> ${node.suggestedSelector}` : node.suggestedSelector
+    };
+    entries.push(entry);
+    (node.children ?? []).forEach((child, i) => visit(child, entry, i));
+  };
+  visit(tree, null, 0);
+  return entries;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const describe = ({ node, path, selector }) => ({ path, selector, role: node.role, name: node.name ?? null });
+
+/**
+ * Structured differences between two snapshots (or two trees).
+ */
+export function diffSnapshots(before, after) {
+  const old = flatten(before.tree ?? before);
+  const current = flatten(after.tree ?? after);
+  const matchOf = new Map(); // current entry → old entry
+
+  const oldByKey = new Map(old.map(entry => [entry.key, entry]));
+  for (const entry of current) {
+    const match = oldByKey.get(entry.key);
+    if (match) {
+      matchOf.set(entry, match);
+      oldByKey.delete(entry.key);
+    }
+  }
+
+  // Same role, same parent and position, different name: renamed (parents come first)
+  const renamed = [];
+  const unmatchedOld = new Set(oldByKey.values());
+  for (const entry of current) {
+    if (matchOf.has(entry)) continue;
+    const oldParent = entry.parent ? matchOf.get(entry.parent) : null; // roots pair with roots
+    if (oldParent === undefined) continue;
+    const match = [...unmatchedOld].find(candidate => (
+      candidate.parent === oldParent
+      && candidate.index === entry.index
+      && candidate.node.role === entry.node.role
+      && (candidate.node.automationId ?? null) === (entry.node.automationId ?? null)
+    ));
+    if (!match) continue;
+    matchOf.set(entry, match);
+    unmatchedOld.delete(match);
+    renamed.push({ ...describe(entry), from: match.node.name ?? null, to: entry.node.name ?? null });
+  }
+
+  const matchedOld = new Set(matchOf.values());
+  const moved = [];
+  const changed = [];
+  for (const [entry, match] of matchOf) {
+    // Matched by automation id under another name
+    if ((entry.node.name ?? null) !== (match.node.name ?? null) && !renamed.some(rename => rename.path === entry.path)) {
+      renamed.push({ ...describe(entry), from: match.node.name ?? null, to: entry.node.name ?? null });
+    }
+    if (entry.parent && match.parent && matchOf.get(entry.parent) !== match.parent) {
+      moved.push({ ...describe(entry), from: match.parent.path, to: entry.parent.path });
+    }
+    const changes = Object.fromEntries(CHANGE_FIELDS
+      .filter(field => !same(match.node[field], entry.node[field]))
+      .map(field => [field, { from: match.node[field] ?? null, to: entry.node[field] ?? null }]));
+    if (Object.keys(changes).length > 0) changed.push({ ...describe(entry), changes });
+  }
+
+  const added = current.filter(entry => !matchOf.has(entry)).map(describe);
+  const removed = old.filter(entry => !matchedOld.has(entry)).map(describe);
+  const counts = { added: added.length, removed: removed.length, moved: moved.length, renamed: renamed.length, changed: changed.length };
+
+  return {
+    identical: Object.values(counts).every(count => count === 0),
+    counts,
+    added,
+    removed,
+    moved,
+    renamed,
+    changed
+  };
+}
+
+/**
+ * One line, e.g. `3 changes: 1 added, 2 changed` or `No changes`.
+ */
+export function summarizeDiff(diff) {
+  const total = Object.values(diff.counts).reduce((sum, count) => sum + count, 0);
+  if (total === 0) return 'No changes';
+  const parts = Object.entries(diff.counts).filter(([, count]) => count > 0).map(([kind, count]) => `${count} ${kind}`);
+  return `${total} change${total === 1 ? '' : 's'}: ${parts.join(', ')}`;
+}
+
+const show = value => (value && typeof value === 'object' ? `${value.x},${value.y} ${value.width}x${value.height}` : JSON.stringify(value));
+
+/**
+ * The summary and one line per difference.
+ */
+export function formatDiff(diff) {
+  return [
+    summarizeDiff(diff),
+    ...diff.added.map(entry => `+ ${entry.path}  (${entry.selector})`),
+    ...diff.removed.map(entry => `- ${entry.path}`),
+    ...diff.renamed.map(entry => `✎ ${entry.path}: renamed from ${JSON.stringify(entry.from)}`),
+    ...diff.moved.map(entry => `↪ ${entry.path}: moved from ${entry.from}`),
+    ...diff.changed.map(entry => `~ ${entry.path}: ${Object.entries(entry.changes)
+      .map(([field, { from, to }]) => `${field} ${show(from)} → ${show(to)}`)
+      .join(', ')}`)
+  ].join('\n');
+}
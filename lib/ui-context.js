@@ -0,0 +1,163 @@
+/**
+ * 🪟 UI Context
+ *
+ * A compact picture of the desktop for the model, taken before each chat
+ * turn so it can pick selectors from what is on screen instead of guessing:
+ *
+ *   const context = await captureUiContext(desktop, { tokenBudget: 400 });
+ *   const messages = withUiContext(memory.toMessages(), context);
+ *
+ * The picture names the focused application, window and element and lists
+ * the interactive elements of the window (buttons, edits, links...) with a
+ * selector for each, level by level, until `tokenBudget` is used up. It goes
+ * into the system message of the request only, never into the history, so
+ * old screens do not pile up in the conversation.
+ */
+
+import { estimateTokens } from './conversation-memory.js';
+import { suggestSelector } from './selectors.js';
+import { selectorOf } from './explore.js';
+
+export const UI_CONTEXT_DEFAULTS = {
+  tokenBudget: 400,
+  maxNodes: 500
+};
+
+/**
+ * Roles listed as interactive elements.
+ */
+export const INTERACTIVE_ROLES = [
+  'Button', 'SplitButton', 'Edit', 'Hyperlink', 'CheckBox', 'RadioButton',
+  'ComboBox', 'MenuItem', 'TabItem', 'ListItem', 'TreeItem', 'Slider'
+];
+
+// Longest name shown for an element
+const MAX_NAME = 40;
+
+const clip = value => (value.length > MAX_NAME ? `${value.slice(0, MAX_NAME)}...` : value);
+
+const label = ({ role, name }) => `${role}${name ? ` ${JSON.stringify(clip(name))}` : ''}`;
+
+// What the desktop could not tell us is left out rather than failing the turn
+async function attempt(read) {
+  try {
+    return await read();
+  } catch {
+    return null;
+  }
+}
+
+function describe(element) {
+  const { automationId } = element.attributes?.() ?? {};
+  const found = { role: element.role(), name: element.name() || null, automationId: automationId || null };
+  return { ...found, selector: suggestSelector(found), enabled: element.isEnabled() };
+}
+
+function interactiveElements(window, maxNodes) {
+  const elements = [];
+  const queue = [...window.children()];
+  for (let seen = 0; queue.length > 0 && seen < maxNodes; seen++) {
+    const element = queue.shift();
+    if (!element.isVisible()) continue;
+    queue.push(...element.children());
+    if (INTERACTIVE_ROLES.includes(element.role())) elements.push(describe(element));
+  }
+  return elements;
+}
+
+function formatContext({ application, window, focused, elements, total }) {
+  const lines = ['Current UI state (read just before this message):'];
+  if (application && application !== window?.name) lines.push(`Application: ${application}`);
+  if (window) lines.push(`Window: ${JSON.stringify(window.name)} → ${window.selector}`);
+  if (focused) lines.push(`Focused: ${label(focused)} → ${focused.selector}`);
+  if (total > 0) {
+    lines.push(`Interactive elements${elements.length < total ? ` (${elements.length} of ${total})` : ''}:`);
+    lines.push(...elements.map(element => `- ${label(element)} → ${element.selector}${element.enabled ? '' : ' (disabled)'}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read the focused application, window and element and the window's
+ * interactive elements, pruned to fit `tokenBudget`.
+ *
+ * @param {object} desktop Terminator `Desktop`
+ * @param {object} [options]
+ * @param {number} [options.tokenBudget] rough size limit of `text` (~4 characters per token)
+ * @param {number} [options.maxNodes] elements examined at most
+ * @returns {Promise<{ application: string | null, window: object | null, focused: object | null, elements: object[], total: number, text: string, tokens: number }>}
+ */
+export async function captureUiContext(desktop, {
+  tokenBudget = UI_CONTEXT_DEFAULTS.tokenBudget,
+  maxNodes = UI_CONTEXT_DEFAULTS.maxNodes
+} = {}) {
+  const app = await attempt(() => desktop.getCurrentApplication());
+  const window = await attempt(() => desktop.getCurrentWindow());
+  const focused = await attempt(() => desktop.focusedElement());
+
+  const all = window ? interactiveElements(window, maxNodes) : [];
+  const context = {
+    application: app?.name() || null,
+    window: window ? { name: window.name(), selector: selectorOf(window) } : null,
+    focused: focused && focused.role() !== 'Window' ? describe(focused) : null,
+    elements: [],
+    total: all.length
+  };
+
+  // Add elements while the text still fits the budget
+  for (const element of all) {
+    const text = formatContext({ ...context, elements: [...context.elements, element] });
+    if (estimateTokens(text) > tokenBudget) break;
+    context.elements.push(element);
+  }
+
+  const text = formatContext(context);
+  return { ...context, text, tokens: estimateTokens(text) };
+}
+
+/**
+ * `messages` with the context appended to the system message (or added as
+ * one when there is none).
+ */
+export function withUiContext(messages, context) {
+  if (!context) return messages;
+  const [first, ...rest] = messages;
+  if (first?.role !== 'system') return [{ role: 'system', content: context.text }, ...messages];
+  return [{ ...first, content: `${first.content}\n\n${context.text}` }, ...rest];
+}
+
+/**
+ * Settings from `AGENT_UI_CONTEXT`: unset or `1` sends the context with the
+ * default budget, `0` or `off` turns it off, and a larger number sets the
+ * token budget.
+ */
+export function resolveUiContext(value = process.env.AGENT_UI_CONTEXT) {
+  if (value === '0' || value?.toLowerCase() === 'off') return { enabled: false, tokenBudget: UI_CONTEXT_DEFAULTS.tokenBudget };
+  const parsed = Number.parseInt(value, 10);
+  return { enabled: true, tokenBudget: Number.isInteger(parsed) && parsed > 1 ? parsed : UI_CONTEXT_DEFAULTS.tokenBudget };
+}
+
+/**
+ * Apply the argument of a `context on | off | <tokens>` command to settings
+ * from `resolveUiContext`; a number means the same as in `AGENT_UI_CONTEXT`.
+ * Returns false, changing nothing, for any other argument.
+ */
+export function updateUiContext(settings, arg) {
+  if (arg === 'on' || arg === 'off') {
+    settings.enabled = arg === 'on';
+    return true;
+  }
+  if (!/^\d+$/.test(arg ?? '')) return false;
+  const { enabled, tokenBudget } = resolveUiContext(arg);
+  settings.enabled = enabled;
+  if (enabled) settings.tokenBudget = tokenBudget;
+  return true;
+}
+
+/**
+ * One line for the console, e.g. `Calculator, 12 of 30 elements, ≈180 tokens`.
+ */
+export function summarizeUiContext(context) {
+  const elements = context.elements.length < context.total ? `${context.elements.length} of ${context.total}` : String(context.total);
+  return `${context.window?.name ?? 'no window'}, ${elements} element${context.total === 1 ? '' : 's'}, ≈${context.tokens} tokens`;
+}
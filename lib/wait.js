@@ -0,0 +1,220 @@
+/**
+ * ⏳ Condition-Based Waits
+ *
+ * Wait for the desktop to be ready instead of sleeping a fixed time: fast
+ * machines carry on as soon as the condition holds, slow ones get up to
+ * `timeout` before the wait fails.
+ *
+ *   const waits = createWaits(desktop);
+ *   desktop.openApplication('calc');
+ *   await waits.visible('window:Calculator');
+ *   await waits.textStable('automationid:CalculatorResults');
+ *
+ * A condition is polled every `interval` ms, growing by `backoff` times per
+ * attempt up to `maxInterval`. Errors while polling (e.g. no element yet)
+ * count as "not yet"; the last one is part of the timeout error.
+ */
+
+import { locatorFor, splitSelectors } from './desktop.js';
+
+export const WAIT_DEFAULTS = {
+  timeout: 10000,
+  interval: 100,
+  backoff: 1.5,
+  maxInterval: 1000
+};
+
+/**
+ * Condition names and what they take, for the workflow `waitFor` step.
+ */
+export const WAIT_CONDITIONS = {
+  visible: 'target',
+  enabled: 'target',
+  gone: 'target',
+  windowTitle: 'title',
+  ocrText: 'text',
+  textStable: 'target'
+};
+
+export class WaitTimeoutError extends Error {
+  constructor(message, { condition, timeout, attempts, lastError = null }) {
+    super(message);
+    this.name = 'WaitTimeoutError';
+    this.condition = condition;
+    this.timeout = timeout;
+    this.attempts = attempts;
+    this.lastError = lastError;
+  }
+}
+
+// Ends early, without leaving a timer behind, when `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal?.addEventListener('abort', done, { once: true });
+});
+
+/**
+ * `promise`, or a rejection as soon as `signal` aborts, so a pending lookup
+ * or pause stops when the turn is interrupted.
+ */
+export function abortable(promise, signal, message = 'Interrupted') {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new Error(message));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error(message));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Poll `check` until it returns something truthy, and resolve to that.
+ *
+ * @param {(attempt: { attempt: number, interval: number }) => any} check
+ * @param {object} [options]
+ * @param {number} [options.timeout] total ms before failing
+ * @param {number} [options.interval] ms before the second attempt
+ * @param {number} [options.backoff] interval multiplier per attempt (1 = fixed polling)
+ * @param {number} [options.maxInterval] longest pause between attempts
+ * @param {string} [options.description] what is awaited, for the timeout error
+ * @param {AbortSignal} [options.signal] stops the wait at once, even mid-attempt
+ * @param {(ms: number, signal?: AbortSignal) => Promise<void>} [options.sleep] pause between attempts
+ * @param {() => number} [options.now] clock, with `sleep` for tests
+ */
+export async function waitFor(check, {
+  timeout = WAIT_DEFAULTS.timeout,
+  interval = WAIT_DEFAULTS.interval,
+  backoff = WAIT_DEFAULTS.backoff,
+  maxInterval = WAIT_DEFAULTS.maxInterval,
+  description = 'condition',
+  signal,
+  sleep: pause = sleep,
+  now = Date.now
+} = {}) {
+  const deadline = now() + timeout;
+  let pauseMs = interval;
+  let lastError = null;
+
+  const stopped = `Stopped waiting for ${description}`;
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw new Error(stopped);
+
+    try {
+      const value = await abortable(Promise.resolve(check({ attempt, interval: pauseMs })), signal, stopped);
+      if (value) return value;
+      lastError = null;
+    } catch (error) {
+      if (signal?.aborted) throw new Error(stopped);
+      lastError = error;
+    }
+
+    const remaining = deadline - now();
+    if (remaining <= 0) {
+      const reason = lastError ? ` (last error: ${lastError.message})` : '';
+      throw new WaitTimeoutError(`Timed out after ${timeout}ms waiting for ${description}${reason}`, {
+        condition: description,
+        timeout,
+        attempts: attempt,
+        lastError
+      });
+    }
+
+    await abortable(pause(Math.min(pauseMs, remaining), signal), signal, stopped);
+    pauseMs = Math.min(pauseMs * backoff, maxInterval);
+  }
+}
+
+const matchesTitle = (title, pattern) => (pattern instanceof RegExp
+  ? pattern.test(title)
+  : title.toLowerCase().includes(String(pattern).toLowerCase()));
+
+/**
+ * Waits bound to a desktop. `defaults` override WAIT_DEFAULTS for every
+ * wait; each call can override them again.
+ *
+ * @param {object} desktop Terminator `Desktop`
+ * @param {object} [defaults] `timeout`, `interval`, `backoff`, `maxInterval`
+ */
+export function createWaits(desktop, defaults = {}) {
+  const until = (description, check, options) => waitFor(check, { ...defaults, description, ...options });
+  const named = target => splitSelectors(target).join(' >> ');
+  // Each attempt looks for the element for up to the current interval
+  const find = (target, interval) => locatorFor(desktop, target).first(interval);
+
+  return {
+    /** Any other condition, with these defaults. */
+    until,
+
+    /** Resolves to the element once it exists and is visible. */
+    visible(target, options) {
+      return until(`"${named(target)}" to be visible`, async ({ interval }) => {
+        const element = await find(target, interval);
+        return element.isVisible() && element;
+      }, options);
+    },
+
+    /** Resolves to the element once it exists and is enabled. */
+    enabled(target, options) {
+      return until(`"${named(target)}" to be enabled`, async ({ interval }) => {
+        const element = await find(target, interval);
+        return element.isEnabled() && element;
+      }, options);
+    },
+
+    /** Resolves once nothing visible matches the target. */
+    gone(target, options) {
+      return until(`"${named(target)}" to go away`, async ({ interval }) => {
+        let elements;
+        try {
+          elements = await locatorFor(desktop, target).all(interval);
+        } catch {
+          return true;
+        }
+        return !elements.some(element => element.isVisible());
+      }, options);
+    },
+
+    /**
+     * Resolves to the first top-level window whose title contains `pattern`
+     * (case-insensitive) or matches it as a RegExp.
+     */
+    windowTitle(pattern, options) {
+      return until(`a window titled ${pattern instanceof RegExp ? pattern : `"${pattern}"`}`, () => (
+        desktop.applications().find(window => matchesTitle(window.name(), pattern)) ?? null
+      ), options);
+    },
+
+    /** Resolves to the OCR text once it contains `text` (case-insensitive). */
+    ocrText(text, options) {
+      return until(`"${text}" on screen`, async () => {
+        const found = await desktop.ocrScreenshot(await desktop.captureScreen());
+        return found.toLowerCase().includes(String(text).toLowerCase()) && found;
+      }, options);
+    },
+
+    /**
+     * Resolves to the element's text once it has stayed the same for
+     * `stableFor` ms, e.g. a calculator display or a page still loading.
+     */
+    textStable(target, { stableFor = 500, maxDepth, ...options } = {}) {
+      const now = options.now ?? defaults.now ?? Date.now;
+      let last;
+      let since;
+      return until(`the text of "${named(target)}" to settle`, async ({ interval }) => {
+        const text = await (await find(target, interval)).text(maxDepth);
+        if (text !== last) {
+          last = text;
+          since = now();
+        }
+        // Wrapped so an empty text still counts as settled
+        return now() - since >= stableFor && { text };
+      }, options).then(({ text }) => text);
+    }
+  };
+}
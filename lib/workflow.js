@@ -0,0 +1,655 @@
+/**
+ * 📜 Workflows
+ *
+ * Declarative desktop automations in YAML or JSON, instead of hand-written
+ * scripts of open, wait, locate, click and type calls. A workflow is a list
+ * of steps, each an object keyed by its step type:
+ *
+ *   name: Calculator 7 + 3
+ *   vars:
+ *     expected: "10"
+ *   steps:
+ *     - openApplication: calc
+ *     - waitFor: { visible: window:Calculator }
+ *     - click: name:Seven
+ *     - text: automationid:CalculatorResults
+ *       into: result
+ *     - if: { contains: ["${result}", "${expected}"] }
+ *       then:
+ *         - log: "Got ${result}"
+ *       else:
+ *         - screenshot: calc-failure.png
+ *
+ * The step type's value is its main argument; other fields sit next to it
+ * (or in an object value). Every string may use `${name}` variables, which
+ * come from `vars`, the command line, `text`/`runCommand` captures (`into`)
+ * and loop variables. A string that is only `${name}` keeps the variable's
+ * type, so `forEach: "${items}"` loops over an array.
+ *
+ * Targets are a selector, a list of selectors chained like
+ * `desktop.locator(a).locator(b)` (also written `a >> b`), or a name given to
+ * a chained locator by a `locator` step.
+ *
+ * `waitFor` waits for a lib/wait.js condition instead of a fixed `wait`,
+ * e.g. `waitFor: { visible: window:Calculator }` with an optional `timeout`.
+ *
+ * `runCommand` steps are checked against the command policy (lib/policy.js)
+ * and run with a `timeout` (default 30 s) like the agents' command tools;
+ * on the mock desktop the mock answers them instead of the host shell.
+ *
+ * `assert` steps take one of the lib/assertions.js checks, e.g.
+ * `assert: { textEquals: [display, "10"] }` or `assert: { count: [role:Button, { min: 10 }] }`,
+ * and fail the step when it does not hold.
+ *
+ * Progress is reported through `onEvent` like the agent loop and planner;
+ * `createWorkflowReporter` and `printWorkflowSummary` render it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { ASSERTIONS, createAssertions, describeAssertion } from './assertions.js';
+import { commandRunnerFor, splitSelectors } from './desktop.js';
+import { DEFAULT_TIMEOUT_MS } from './command-runner.js';
+import { checkCommand, loadPolicy, policyError } from './policy.js';
+import { assertionDetails, buildReport } from './report.js';
+import { createWaits, WAIT_CONDITIONS } from './wait.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class WorkflowError extends Error {
+  constructor(message, { problems = [] } = {}) {
+    super(problems.length > 0 ? `${message}:\n${problems.map(problem => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'WorkflowError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 🧱 Step types
+
+const target = z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]);
+const variable = z.string().regex(/^\w+$/, 'must be a variable name (letters, digits, _)');
+const count = z.union([z.number().int().nonnegative(), z.string()]);
+const steps = z.array(z.any()).min(1);
+
+const condition = z.lazy(() => z.union([
+  z.object({ equals: z.tuple([z.any(), z.any()]) }).strict(),
+  z.object({ contains: z.tuple([z.any(), z.any()]) }).strict(),
+  z.object({ matches: z.tuple([z.any(), z.string()]) }).strict(),
+  z.object({ visible: target }).strict(),
+  z.object({ not: condition }).strict(),
+  z.object({ all: z.array(condition).min(1) }).strict(),
+  z.object({ any: z.array(condition).min(1) }).strict()
+], { errorMap: () => ({ message: 'expected one of equals, contains, matches, visible, not, all or any' }) }));
+
+const waitCondition = z.union([
+  z.object({ visible: target }).strict(),
+  z.object({ enabled: target }).strict(),
+  z.object({ gone: target }).strict(),
+  z.object({ windowTitle: z.string().min(1) }).strict(),
+  z.object({ ocrText: z.string().min(1) }).strict(),
+  z.object({ textStable: target }).strict()
+], { errorMap: () => ({ message: `expected one of ${Object.keys(WAIT_CONDITIONS).join(', ')}` }) });
+
+const expectedCount = z.union([count, z.object({ min: count.optional(), max: count.optional() }).strict()]);
+const assertion = z.union([
+  z.object({ textEquals: z.tuple([target, z.any()]) }).strict(),
+  z.object({ textContains: z.tuple([target, z.any()]) }).strict(),
+  z.object({ textMatches: z.tuple([target, z.string()]) }).strict(),
+  z.object({ visible: target }).strict(),
+  z.object({ enabled: target }).strict(),
+  z.object({ count: z.tuple([target, expectedCount]) }).strict(),
+  z.object({ ocrContains: z.string() }).strict()
+], { errorMap: () => ({ message: `expected one of ${Object.keys(ASSERTIONS).join(', ')}` }) });
+
+/**
+ * Each step type's main argument (`primary`) and fields. With `raw`, an
+ * object value is the main argument itself rather than a set of fields.
+ */
+export const STEP_TYPES = {
+  openApplication: { primary: 'app', fields: { app: z.string().min(1) } },
+  wait: { primary: 'ms', fields: { ms: count } },
+  waitFor: {
+    primary: 'condition',
+    raw: true,
+    fields: { condition: waitCondition, timeout: count.optional(), interval: count.optional(), backoff: z.number().min(1).optional(), stableFor: count.optional() }
+  },
+  locator: { primary: 'selector', fields: { selector: target, as: variable } },
+  click: { primary: 'target', fields: { target, action: z.enum(['click', 'doubleClick', 'rightClick']).default('click') } },
+  typeText: { primary: 'text', fields: { text: z.string(), target: target.optional(), useClipboard: z.boolean().optional() } },
+  expectVisible: { primary: 'target', fields: { target, timeout: z.number().int().positive().optional() } },
+  text: { primary: 'target', fields: { target, into: variable, maxDepth: z.number().int().positive().optional() } },
+  screenshot: { primary: 'path', fields: { path: z.string().optional() } },
+  assert: { primary: 'assertion', raw: true, fields: { assertion, maxDepth: z.number().int().positive().optional() } },
+  runCommand: {
+    primary: 'command',
+    fields: {
+      command: z.string().optional(),
+      windows: z.string().optional(),
+      unix: z.string().optional(),
+      into: variable.optional(),
+      allowFailure: z.boolean().optional(),
+      timeout: count.optional()
+    },
+    check: [step => Boolean(step.command || step.windows || step.unix), 'needs a command (or windows/unix commands)']
+  },
+  set: { primary: 'values', raw: true, fields: { values: z.record(variable, z.any()) } },
+  log: { primary: 'message', fields: { message: z.string() } },
+  if: { primary: 'condition', raw: true, fields: { condition, then: steps, else: steps.optional() } },
+  repeat: { primary: 'times', fields: { times: count, as: variable.default('index'), steps } },
+  forEach: { primary: 'items', raw: true, fields: { items: z.union([z.array(z.any()), z.string()]), as: variable.default('item'), steps } }
+};
+
+const COMMON_FIELDS = { name: z.string().optional(), continueOnError: z.boolean().optional() };
+const BLOCKS = ['then', 'else', 'steps'];
+const BLOCK_TYPES = ['if', 'repeat', 'forEach'];
+
+/**
+ * Validate raw steps into `{ type, id, ...fields }`. Ids number steps within
+ * their block: `3`, `3.1`, `3.2`... (an `else` continues after its `then`).
+ */
+function normalizeSteps(list, parent, problems, offset = 0) {
+  return list.map((raw, index) => normalizeStep(raw, parent ? `${parent}.${offset + index + 1}` : String(offset + index + 1), problems));
+}
+
+function normalizeStep(raw, id, problems) {
+  if (!isPlainObject(raw)) {
+    problems.push(`Step ${id}: expected an object such as { click: "name:Seven" }`);
+    return null;
+  }
+
+  const types = Object.keys(raw).filter(key => Object.hasOwn(STEP_TYPES, key));
+  if (types.length !== 1) {
+    problems.push(types.length === 0
+      ? `Step ${id}: no step type (expected one of ${Object.keys(STEP_TYPES).join(', ')})`
+      : `Step ${id}: more than one step type (${types.join(', ')})`);
+    return null;
+  }
+
+  const [type] = types;
+  const { [type]: value, ...rest } = raw;
+  const spec = STEP_TYPES[type];
+  const fields = !spec.raw && isPlainObject(value) ? { ...rest, ...value } : { ...rest, [spec.primary]: value };
+
+  const parsed = z.object({ ...spec.fields, ...COMMON_FIELDS }).strict().safeParse(fields);
+  if (!parsed.success) {
+    parsed.error.issues.forEach(issue => problems.push(`Step ${id} (${type}): ${issue.path.join('.') || type}: ${issue.message}`));
+    return null;
+  }
+  if (spec.check && !spec.check[0](parsed.data)) {
+    problems.push(`Step ${id} (${type}): ${spec.check[1]}`);
+    return null;
+  }
+
+  const step = { type, id, ...parsed.data };
+  if (step.then) step.then = normalizeSteps(step.then, id, problems);
+  if (step.else) step.else = normalizeSteps(step.else, id, problems, step.then.length);
+  if (step.steps) step.steps = normalizeSteps(step.steps, id, problems);
+  return step;
+}
+
+/**
+ * Validate a parsed workflow document.
+ *
+ * @returns {{ name: string, description?: string, vars: object, steps: object[] }}
+ */
+export function parseWorkflow(document, { name = 'workflow' } = {}) {
+  if (!isPlainObject(document)) throw new WorkflowError(`${name}: expected an object with a "steps" list`);
+
+  const problems = [];
+  const { steps: list, vars = {}, name: title = name, description, ...unknown } = document;
+  Object.keys(unknown).forEach(key => problems.push(`Unknown field "${key}" (expected name, description, vars, steps)`));
+  if (!isPlainObject(vars)) problems.push('"vars" must be an object');
+  if (!Array.isArray(list) || list.length === 0) {
+    problems.push('"steps" must be a non-empty list');
+  }
+
+  const normalized = problems.length === 0 ? normalizeSteps(list, null, problems) : [];
+  if (problems.length > 0) throw new WorkflowError(`Invalid workflow ${name}`, { problems });
+  return { name: String(title), description, vars, steps: normalized };
+}
+
+/**
+ * Read a workflow from a `.yaml`, `.yml` or `.json` file.
+ */
+export function loadWorkflow(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  let document;
+  try {
+    document = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new WorkflowError(`Could not parse ${file}: ${error.message}`);
+  }
+  return parseWorkflow(document, { name: path.basename(file) });
+}
+
+/**
+ * `name=value` pairs from the command line.
+ */
+export function parseVars(pairs = []) {
+  return Object.fromEntries(pairs.map((pair) => {
+    const match = pair.match(/^(\w+)=(.*)$/s);
+    if (!match) throw new WorkflowError(`Expected name=value, got "${pair}"`);
+    return [match[1], match[2]];
+  }));
+}
+
+// 🔤 Variables
+
+function lookup(name, vars) {
+  const value = name.split('.').reduce((scope, key) => (scope != null && Object.hasOwn(Object(scope), key) ? scope[key] : undefined), vars);
+  if (value === undefined) throw new WorkflowError(`Unknown variable "${name}"`);
+  return value;
+}
+
+/**
+ * Substitute `${name}` (and `${name.field}`) in every string of `value`.
+ */
+export function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{([\w.]+)\}$/);
+    if (whole) return lookup(whole[1], vars);
+    return value.replace(/\$\{([\w.]+)\}/g, (_, name) => {
+      const found = lookup(name, vars);
+      return typeof found === 'string' ? found : JSON.stringify(found);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, vars));
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars)]));
+  return value;
+}
+
+function toCount(value, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new WorkflowError(`${field} must be a whole number, got ${JSON.stringify(value)}`);
+  return number;
+}
+
+// ▶️ Running
+
+const quote = (text, max = 40) => JSON.stringify(text.length > max ? `${text.slice(0, max)}...` : text);
+const targetText = value => [value].flat().join(' >> ');
+
+/**
+ * One-line description of a step for progress output.
+ */
+export function describeStep(step) {
+  if (step.name) return step.name;
+  switch (step.type) {
+    case 'openApplication': return `openApplication ${step.app}`;
+    case 'wait': return `wait ${step.ms}ms`;
+    case 'waitFor': {
+      const [name, value] = Object.entries(step.condition)[0];
+      return `waitFor ${name} ${WAIT_CONDITIONS[name] === 'target' ? targetText(value) : JSON.stringify(value)}`;
+    }
+    case 'locator': return `locator ${step.as} = ${targetText(step.selector)}`;
+    case 'click': return `${step.action} ${targetText(step.target)}`;
+    case 'typeText': return `typeText ${quote(step.text)}${step.target ? ` into ${targetText(step.target)}` : ''}`;
+    case 'expectVisible': return `expectVisible ${targetText(step.target)}`;
+    case 'text': return `text ${targetText(step.target)} → ${step.into}`;
+    case 'screenshot': return `screenshot${step.path ? ` → ${step.path}` : ''}`;
+    case 'assert': {
+      const [name, value] = Object.entries(step.assertion)[0];
+      return `assert ${describeAssertion(name, ASSERTIONS[name].length === 1 ? [value] : value)}`;
+    }
+    case 'runCommand': return `runCommand ${step.command ?? (process.platform === 'win32' ? step.windows : step.unix) ?? ''}${step.into ? ` → ${step.into}` : ''}`;
+    case 'set': return `set ${Object.keys(step.values).join(', ')}`;
+    case 'log': return `log ${quote(step.message)}`;
+    case 'if': return `if ${JSON.stringify(step.condition)}`;
+    case 'repeat': return `repeat ${step.times}×`;
+    case 'forEach': return `forEach ${typeof step.items === 'string' ? step.items : `[${step.items.length} items]`} as ${step.as}`;
+    default: return step.type;
+  }
+}
+
+/**
+ * Run a workflow against a desktop.
+ *
+ * Events passed to `onEvent`:
+ * - `{ type: 'step-start', step, label, depth }`
+ * - `{ type: 'step-finish', step, label, depth, status: 'passed' | 'failed', detail?, error?, elapsedMs }`
+ * - `{ type: 'iteration', step, depth, index, total, value }`
+ * - `{ type: 'log', step, depth, message }`
+ *
+ * A failed step stops the workflow unless it has `continueOnError: true`. An
+ * aborted `signal` stops before the next step. `captureFailure` (see
+ * `createFailureCapture` in lib/report.js) is called for each failed step;
+ * what it returns is kept as the result's and event's `failure`.
+ *
+ * @param {object} options
+ * @param {object} options.workflow from `loadWorkflow` or `parseWorkflow`
+ * @param {object} options.desktop Terminator `Desktop`
+ * @param {object} [options.vars] variables that override the workflow's own
+ * @param {string} [options.baseDir] where relative screenshot paths are saved
+ * @param {object} [options.waits] from `createWaits`, for `waitFor` steps
+ * @param {object} [options.policy] command policy for `runCommand` steps (default: `loadPolicy()`)
+ * @param {Function} [options.shell] runs `runCommand` steps (default: `commandRunnerFor(desktop)`)
+ * @param {(failed: { id: string, label: string, error: Error, selectors?: string[] }) => Promise<object>} [options.captureFailure]
+ * @returns {Promise<{ name: string, success: boolean, passed: number, failed: number,
+ *   results: object[], vars: object, startedAt: string, elapsedMs: number, error?: string }>}
+ */
+export async function runWorkflow({
+  workflow,
+  desktop,
+  vars = {},
+  onEvent = () => {},
+  signal,
+  delay = sleep,
+  baseDir = process.cwd(),
+  waits = createWaits(desktop, { sleep: delay, signal }),
+  policy = loadPolicy(),
+  shell = commandRunnerFor(desktop),
+  captureFailure
+}) {
+  const scope = { ...workflow.vars, ...vars };
+  const locators = {};
+  const results = [];
+  const startedAt = Date.now();
+  const stop = Symbol('stop');
+  const interrupted = new WorkflowError('Interrupted by the user');
+
+  const assertions = createAssertions(desktop);
+
+  // A named locator, or selectors to chain
+  const selectorsOf = value => (typeof value === 'string' && Object.hasOwn(locators, value) ? locators[value] : splitSelectors(value));
+
+  const locate = (value) => {
+    const selectors = selectorsOf(value);
+    return selectors.slice(1).reduce((locator, selector) => locator.locator(selector), desktop.locator(selectors[0]));
+  };
+
+  const check = async (cond) => {
+    if ('equals' in cond) return String(cond.equals[0]) === String(cond.equals[1]);
+    if ('contains' in cond) return String(cond.contains[0]).includes(String(cond.contains[1]));
+    if ('matches' in cond) return new RegExp(cond.matches[1]).test(String(cond.matches[0]));
+    if ('not' in cond) return !(await check(cond.not));
+    if ('all' in cond) {
+      for (const part of cond.all) if (!(await check(part))) return false;
+      return true;
+    }
+    if ('any' in cond) {
+      for (const part of cond.any) if (await check(part)) return true;
+      return false;
+    }
+    try {
+      return Boolean(await locate(cond.visible).isVisible());
+    } catch {
+      return false;
+    }
+  };
+
+  const runSteps = async (list, depth) => {
+    for (const step of list) {
+      if (signal?.aborted) throw interrupted;
+      await runStep(step, depth);
+    }
+  };
+
+  // Nested steps are interpolated when they run
+  const resolve = step => ({ ...step, ...interpolate(Object.fromEntries(Object.entries(step).filter(([key]) => !BLOCKS.includes(key))), scope) });
+
+  // Returns a short detail for the progress line
+  const execute = async (raw, depth) => {
+    const step = resolve(raw);
+
+    switch (step.type) {
+      case 'openApplication':
+        await desktop.openApplication(step.app);
+        return null;
+
+      case 'wait':
+        await delay(toCount(step.ms, 'wait'));
+        return null;
+
+      case 'waitFor': {
+        const [name, value] = Object.entries(step.condition)[0];
+        const options = Object.fromEntries(['timeout', 'interval', 'stableFor']
+          .filter(key => step[key] !== undefined)
+          .map(key => [key, toCount(step[key], key)]));
+        if (step.backoff) options.backoff = step.backoff;
+        const found = await waits[name](WAIT_CONDITIONS[name] === 'target' ? selectorsOf(value) : value, options);
+        return name === 'textStable' ? `text = ${quote(found)}` : null;
+      }
+
+      case 'locator':
+        locators[step.as] = splitSelectors(step.selector);
+        return null;
+
+      case 'click':
+        await locate(step.target)[step.action]();
+        return null;
+
+      case 'typeText': {
+        const element = step.target ? locate(step.target) : desktop.focusedElement();
+        await element.typeText(step.text, step.useClipboard);
+        return null;
+      }
+
+      case 'expectVisible':
+        await locate(step.target).expectVisible(step.timeout);
+        return null;
+
+      case 'text': {
+        const text = await locate(step.target).text(step.maxDepth);
+        scope[step.into] = text;
+        return `${step.into} = ${quote(String(text))}`;
+      }
+
+      case 'screenshot': {
+        const screenshot = await desktop.captureScreen();
+        const size = `${screenshot.width}x${screenshot.height}`;
+        if (!step.path) return size;
+        const file = path.resolve(baseDir, step.path);
+        await fs.promises.writeFile(file, Buffer.from(screenshot.imageData));
+        return `${size} saved to ${step.path}`;
+      }
+
+      case 'assert': {
+        const [name, value] = Object.entries(step.assertion)[0];
+        const args = (ASSERTIONS[name].length === 1 ? [value] : value).map((arg, i) => {
+          if (ASSERTIONS[name][i] === 'target') return selectorsOf(arg);
+          if (name === 'count') return typeof arg === 'object' ? Object.fromEntries(Object.entries(arg).map(([key, n]) => [key, toCount(n, `count ${key}`)])) : toCount(arg, 'count');
+          return arg;
+        });
+        const actual = await assertions[name](...args, ...(step.maxDepth ? [{ maxDepth: step.maxDepth }] : []));
+        if (name === 'count') return `${actual} found`;
+        return typeof actual === 'string' ? `got ${quote(actual)}` : null;
+      }
+
+      case 'runCommand': {
+        const isWindows = process.platform === 'win32';
+        const command = (isWindows ? step.windows : step.unix) ?? step.command;
+        if (!command) throw new Error(`No ${isWindows ? 'windows' : 'unix'} command for this platform (${process.platform})`);
+        const allowed = checkCommand(policy, command);
+        if (!allowed.allowed) throw new Error(policyError(allowed).error);
+
+        const timeout = step.timeout === undefined ? DEFAULT_TIMEOUT_MS : toCount(step.timeout, 'timeout');
+        const output = await shell(command, { timeout, signal });
+        if (output.timedOut) throw new Error(`Timed out after ${timeout}ms and was killed`);
+        if (output.aborted) throw interrupted;
+        if (step.into) scope[step.into] = output.stdout.trim();
+        if (output.exitCode !== 0 && !step.allowFailure) {
+          throw new Error(`Exited with ${output.exitCode}${output.stderr.trim() ? `: ${output.stderr.trim()}` : ''}`);
+        }
+        return `exit ${output.exitCode}${step.into ? `, ${step.into} = ${quote(scope[step.into])}` : ''}`;
+      }
+
+      case 'set':
+        Object.assign(scope, step.values);
+        return Object.entries(step.values).map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ');
+
+      case 'log':
+        onEvent({ type: 'log', step: raw, depth, message: step.message });
+        return null;
+
+      case 'if': {
+        const passed = await check(step.condition);
+        const branch = passed ? step.then : step.else ?? [];
+        await runSteps(branch, depth + 1);
+        return passed ? 'then' : step.else ? 'else' : 'skipped';
+      }
+
+      case 'repeat': {
+        const total = toCount(step.times, 'repeat');
+        for (let index = 1; index <= total; index++) {
+          scope[step.as] = index;
+          onEvent({ type: 'iteration', step: raw, depth, index, total, value: index });
+          await runSteps(step.steps, depth + 1);
+        }
+        return `${total} iteration${total === 1 ? '' : 's'}`;
+      }
+
+      case 'forEach': {
+        if (!Array.isArray(step.items)) throw new WorkflowError(`forEach needs a list, got ${JSON.stringify(step.items)}`);
+        for (const [index, item] of step.items.entries()) {
+          scope[step.as] = item;
+          onEvent({ type: 'iteration', step: raw, depth, index: index + 1, total: step.items.length, value: item });
+          await runSteps(step.steps, depth + 1);
+        }
+        return `${step.items.length} item${step.items.length === 1 ? '' : 's'}`;
+      }
+
+      default:
+        throw new WorkflowError(`Unknown step type "${step.type}"`);
+    }
+  };
+
+  // Selectors of the element a step is about, for failure captures
+  const targetOf = (step) => {
+    try {
+      const { target, selector } = resolve(step);
+      return target || selector ? selectorsOf(target ?? selector) : undefined;
+    } catch {
+      return undefined;
+    }
+  };
+
+  const runStep = async (step, depth) => {
+    let label;
+    try {
+      label = describeStep(resolve(step));
+    } catch {
+      label = describeStep(step); // the step fails on the unknown variable below
+    }
+    onEvent({ type: 'step-start', step, label, depth });
+    const stepStartedAt = Date.now();
+
+    try {
+      const detail = await execute(step, depth);
+      const elapsedMs = Date.now() - stepStartedAt;
+      results.push({ id: step.id, type: step.type, label, status: 'passed', elapsedMs });
+      onEvent({ type: 'step-finish', step, label, depth, status: 'passed', detail, elapsedMs });
+    } catch (error) {
+      // A failure inside a block has already been reported by the inner step
+      if (error === stop) {
+        results.push({ id: step.id, type: step.type, label, status: 'failed', elapsedMs: Date.now() - stepStartedAt, error: 'a nested step failed' });
+        throw stop;
+      }
+      if (error === interrupted) throw error;
+
+      const elapsedMs = Date.now() - stepStartedAt;
+      const failure = captureFailure ? await captureFailure({ id: step.id, label, error, selectors: targetOf(step) }) : undefined;
+      results.push({ id: step.id, type: step.type, label, status: 'failed', elapsedMs, error: error.message, ...assertionDetails(error), ...(failure && { failure }) });
+      onEvent({ type: 'step-finish', step, label, depth, status: 'failed', error: error.message, failure, elapsedMs });
+      if (!step.continueOnError) throw stop;
+    }
+  };
+
+  let error;
+  try {
+    await runSteps(workflow.steps, 0);
+  } catch (caught) {
+    if (caught !== stop) error = caught.message;
+  }
+
+  const failures = results.filter(result => result.status === 'failed');
+  const firstFailure = failures.find(result => result.error !== 'a nested step failed') ?? failures[0];
+  return {
+    name: workflow.name,
+    success: !error && failures.length === 0,
+    passed: results.filter(result => result.status === 'passed').length,
+    failed: failures.length,
+    results,
+    vars: scope,
+    startedAt: new Date(startedAt).toISOString(),
+    elapsedMs: Date.now() - startedAt,
+    ...(error ? { error } : firstFailure ? { error: `Step ${firstFailure.id} (${firstFailure.label}) failed: ${firstFailure.error}` } : {})
+  };
+}
+
+/**
+ * A `buildReport` report of a `runWorkflow` outcome: one test per step that
+ * ran, leaving out the if/repeat/forEach blocks around them.
+ */
+export function workflowReport(outcome) {
+  return buildReport({
+    name: outcome.name,
+    results: outcome.results.filter(result => !BLOCK_TYPES.includes(result.type)),
+    startedAt: outcome.startedAt,
+    elapsedMs: outcome.elapsedMs
+  });
+}
+
+// 🖨️ Terminal output
+
+/**
+ * Terminal renderer for `runWorkflow` events: one line per step with its
+ * number, result and elapsed time, indented inside loops and conditionals.
+ */
+export function createWorkflowReporter({ log = console.log } = {}) {
+  const indent = depth => '   '.repeat(depth);
+
+  return (event) => {
+    switch (event.type) {
+      case 'step-start':
+        if (BLOCKS.some(key => event.step[key])) log(chalk.cyan(`${indent(event.depth)}▶️  ${event.step.id}. ${event.label}`));
+        break;
+
+      case 'step-finish': {
+        const block = BLOCKS.some(key => event.step[key]);
+        const time = chalk.gray(`(${event.elapsedMs}ms)`);
+        if (event.status === 'failed') {
+          log(`${indent(event.depth)}${chalk.red('❌')} ${event.step.id}. ${event.label} ${time}`);
+          if (!block) log(chalk.red(`${indent(event.depth + 1)}${event.error}`));
+          if (event.failure?.screenshot) log(chalk.gray(`${indent(event.depth + 1)}📸 ${event.failure.screenshot}`));
+        } else if (block) {
+          log(chalk.gray(`${indent(event.depth)}   ↳ ${event.detail}`));
+        } else if (event.step.type !== 'log') {
+          log(`${indent(event.depth)}${chalk.green('✅')} ${event.step.id}. ${event.label}${event.detail ? chalk.gray(` — ${event.detail}`) : ''} ${time}`);
+        }
+        break;
+      }
+
+      case 'iteration':
+        log(chalk.gray(`${indent(event.depth + 1)}↻ ${event.index}/${event.total} (${event.step.as} = ${JSON.stringify(event.value)})`));
+        break;
+
+      case 'log':
+        log(chalk.white(`${indent(event.depth)}💬 ${event.message}`));
+        break;
+    }
+  };
+}
+
+/**
+ * Print the end-of-run summary for a `runWorkflow` outcome.
+ */
+export function printWorkflowSummary(outcome, { log = console.log } = {}) {
+  const seconds = (outcome.elapsedMs / 1000).toFixed(1);
+  if (outcome.success) {
+    log(chalk.green(`\n🎉 Workflow "${outcome.name}" passed: ${outcome.passed} step(s) in ${seconds}s`));
+  } else {
+    log(chalk.red(`\n❌ Workflow "${outcome.name}" failed after ${outcome.passed} passed and ${outcome.failed} failed step(s) in ${seconds}s`));
+    log(chalk.red(`   ${outcome.error}`));
+  }
+
+  const captured = Object.entries(outcome.vars).filter(([, value]) => typeof value !== 'object' || value === null);
+  if (captured.length > 0) {
+    log(chalk.gray('   Variables:'));
+    captured.forEach(([name, value]) => log(chalk.gray(`     ${name} = ${quote(String(value), 60)}`)));
+  }
+}
@@ -1,22 +1,20 @@
-const { Desktop } = require('terminator.js');
+import { createDesktop } from './lib/desktop.js';
+import { createWaits } from './lib/wait.js';
 
 async function automateNotepad() {
   console.log('📝 Notepad Automation Example\n');
   
   try {
-    const desktop = new Desktop();
+    const desktop = await createDesktop();
+    const waits = createWaits(desktop);
     
     console.log('📱 Opening Notepad...');
     
     // Open notepad
     await desktop.openApplication('notepad');
     
-    // Wait for notepad to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    console.log('🔍 Looking for Notepad window...');
-    const notepadWindow = desktop.locator('window:Notepad');
-    await notepadWindow.expectVisible();
+    console.log('🔍 Waiting for the Notepad window...');
+    await waits.visible('window:Notepad');
     
     // Find the text editor area
     console.log('✏️ Finding text editor...');
@@ -38,12 +36,9 @@ Pretty cool, right? 🚀`;
     console.log('⌨️ Typing text...');
     await textEditor.typeText(sampleText);
     
-    // Wait a moment
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Get the text back to verify
+    // Get the text back to verify, once typing has finished
     console.log('📖 Reading back the text...');
-    const result = await textEditor.text();
+    const result = await waits.textStable('window:Notepad >> role:Edit');
     console.log('📄 Text content preview:');
     console.log('-------------------');
     console.log(result.substring(0, 100) + '...');
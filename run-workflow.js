@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * 📜 Workflow Runner
+ *
+ * Runs a declarative YAML/JSON workflow (see lib/workflow.js) with a progress
+ * line per step and a summary at the end. Exits with 1 when a step fails, so
+ * workflows can run in CI against the mock desktop. With --report-dir, a
+ * JUnit XML and JSON report are written there along with a screenshot of
+ * each failure.
+ *
+ * Usage:
+ * node run-workflow.js workflows/calculator.yaml
+ * node run-workflow.js workflows/notepad.yaml --var who=Ada
+ * node run-workflow.js workflows/calculator.yaml --mock-desktop
+ * node run-workflow.js workflows/calculator.yaml --report-dir reports/calculator
+ */
+
+import chalk from 'chalk';
+import path from 'path';
+import { createDesktop, desktopBackend } from './lib/desktop.js';
+import { parseWorkflowArgs, UsageError } from './lib/cli.js';
+import { createFailureCapture, writeReports } from './lib/report.js';
+import { loadPolicy } from './lib/policy.js';
+import { loadWorkflow, parseVars, runWorkflow, createWorkflowReporter, printWorkflowSummary, workflowReport, WorkflowError } from './lib/workflow.js';
+
+async function main() {
+  let options;
+  let workflow;
+  let vars;
+  try {
+    options = parseWorkflowArgs();
+    workflow = loadWorkflow(options.file);
+    vars = parseVars(options.vars);
+  } catch (error) {
+    if (!(error instanceof UsageError || error instanceof WorkflowError || error.code === 'ENOENT')) throw error;
+    console.log(chalk.red(`❌ ${error.message}`));
+    console.log(chalk.gray('Usage: node run-workflow.js <file> [--var name=value ...] [--report-dir <dir>] [--mock-desktop]'));
+    process.exit(1);
+  }
+
+  const desktop = await createDesktop();
+  console.log(chalk.blue.bold(`📜 ${workflow.name}`) + chalk.gray(` (${path.basename(options.file)}, ${workflow.steps.length} steps)`));
+  if (workflow.description) console.log(chalk.gray(workflow.description));
+  if (desktopBackend() === 'mock') {
+    console.log(chalk.yellow('🧪 Using the in-memory mock desktop (no real UI is touched)'));
+  }
+  console.log();
+
+  // Ctrl+C stops before the next step
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.log(chalk.yellow('\n⏹️ Stopping after the current step...'));
+    controller.abort();
+  });
+
+  const outcome = await runWorkflow({
+    workflow,
+    desktop,
+    vars,
+    // runCommand steps obey agent-policy.json like the agents' command tools
+    policy: loadPolicy(),
+    signal: controller.signal,
+    baseDir: process.cwd(),
+    onEvent: createWorkflowReporter(),
+    ...(options.reportDir && { captureFailure: createFailureCapture(desktop, { dir: options.reportDir }) })
+  });
+
+  printWorkflowSummary(outcome);
+  if (options.reportDir) {
+    const files = writeReports(workflowReport(outcome), options.reportDir);
+    console.log(chalk.gray(`   Reports: ${files.junit}, ${files.json}`));
+  }
+  process.exit(outcome.success ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(chalk.red('🚨 Fatal error:', error.message));
+  process.exit(1);
+});
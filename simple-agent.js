@@ -7,201 +7,131 @@
  * Powered by Terminator.js + DeepSeek-R1 + Ollama
  */
 
-import { ollama } from 'ollama-ai-provider';
-import { streamText } from 'ai';
-import { z } from 'zod';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
-import { Desktop } from 'terminator.js';
+import { createDesktop, desktopBackend } from './lib/desktop.js';
+import { createModelRegistry } from './lib/models.js';
+import { loadPolicy } from './lib/policy.js';
+import { MathSession } from './lib/math.js';
+import { createTools, pickTools, TOOLSETS } from './lib/tools/index.js';
+import { resolveHealing } from './lib/healing.js';
+import { ApprovalStore, guardTools } from './lib/approval.js';
+import { runAgentLoop } from './lib/agent-loop.js';
+import { captureUiContext, withUiContext, resolveUiContext, updateUiContext, summarizeUiContext } from './lib/ui-context.js';
+import { installInterruptHandler, isPromptExit } from './lib/interrupt.js';
+import { parseSimpleAgentArgs } from './lib/cli.js';
+import { openRecording } from './lib/recording.js';
+
+// Record or replay the session (--record / --replay <file>)
+let recording;
+try {
+  const options = parseSimpleAgentArgs();
+  recording = openRecording({ script: 'simple-agent', record: options.record, replay: options.replay });
+} catch (error) {
+  console.log(chalk.red(`❌ ${error.message}`));
+  console.log(chalk.gray('Usage: node simple-agent.js [--mock-desktop] [--record <file>] [--replay <file>]'));
+  process.exit(1);
+}
 
-// Initialize desktop automation
-const desktop = new Desktop();
+// Initialize desktop automation (a replay answers from the recording instead)
+const desktop = await recording.desktop(() => createDesktop());
 console.log(chalk.blue('🤖 Initializing Desktop automation engine'));
 
-// AI Model
-const model = ollama('deepseek-r1:1.5b', {
-  temperature: 0.7
-});
-
-// Tools for the AI to use
-const tools = {
-  screenshot: {
-    description: 'Take a screenshot of the desktop with optional OCR text extraction',
-    parameters: z.object({
-      withOCR: z.boolean().optional().describe('Whether to extract text from the screenshot')
-    }),
-    execute: async ({ withOCR = false }) => {
-      try {
-        const screenshot = await desktop.captureScreen();
-        let result = { 
-          success: true,
-          message: `Screenshot taken (${screenshot.width}x${screenshot.height})`
-        };
-
-        if (withOCR) {
-          const text = await desktop.ocrScreenshot(screenshot);
-          result.extractedText = text;
-          result.message += ` with ${text.length} characters of text extracted`;
-        }
-
-        return result;
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  clickElement: {
-    description: 'Click on UI elements by name, role, or text',
-    parameters: z.object({
-      selector: z.string().describe('Element selector like "name:Calculator", "role:button", "text:OK"')
-    }),
-    execute: async ({ selector }) => {
-      try {
-        const locator = desktop.locator(selector);
-        const element = await locator.first();
-        await element.click();
-        return { success: true, message: `Clicked on ${selector}` };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
+// AI Model (see agent.config.json / AGENT_PROVIDER / AGENT_MODEL)
+const model = recording.model('reasoning', createModelRegistry().get('reasoning'));
 
-  findElements: {
-    description: 'Find and list UI elements on screen',
-    parameters: z.object({
-      selector: z.string().describe('Element selector to search for')
-    }),
-    execute: async ({ selector }) => {
-      try {
-        const locator = desktop.locator(selector);
-        const elements = await locator.all();
-        const details = elements.slice(0, 5).map(el => ({
-          name: el.name() || 'Unknown',
-          role: el.role(),
-          text: el.text(1),
-          visible: el.isVisible()
-        }));
-        return { 
-          success: true, 
-          count: elements.length, 
-          elements: details,
-          message: `Found ${elements.length} elements matching ${selector}`
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
+// Command policy (agent-policy.json)
+const policy = loadPolicy();
+const mathSession = new MathSession();
 
-  openApp: {
-    description: 'Launch or focus applications',
-    parameters: z.object({
-      appName: z.string().describe('Name of the application to open')
-    }),
-    execute: async ({ appName }) => {
-      try {
-        const app = desktop.openApplication(appName);
-        return { 
-          success: true, 
-          message: `Opened ${appName}`,
-          app: { name: app.name(), role: app.role() }
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  typeText: {
-    description: 'Type text into the currently focused element',
-    parameters: z.object({
-      text: z.string().describe('Text to type')
-    }),
-    execute: async ({ text }) => {
-      try {
-        const element = desktop.focusedElement();
-        element.typeText(text, false);
-        return { success: true, message: `Typed: "${text}"` };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
+// Tools for the AI to use (shared library in lib/tools)
+const tools = recording.tools(pickTools(createTools({
+  desktop,
+  policy,
+  mathSession,
+  healing: resolveHealing(),
+  onOutput: (stream, text) => process[stream].write(chalk.gray(text))
+}), TOOLSETS.simple));
 
-  calculate: {
-    description: 'Perform mathematical calculations',
-    parameters: z.object({
-      expression: z.string().describe('Mathematical expression to calculate')
-    }),
-    execute: async ({ expression }) => {
-      try {
-        const result = Function(`"use strict"; return (${expression})`)();
-        return { 
-          success: true, 
-          result: result.toString(), 
-          message: `${expression} = ${result}`
-        };
-      } catch (error) {
-        return { success: false, error: 'Invalid mathematical expression' };
-      }
-    }
-  },
+// Side-effecting tool calls need your approval (rules persist in .agent-approvals.json);
+// a replay keeps the recorded answers
+const approvals = new ApprovalStore();
+const agentTools = recording.tools(recording.replaying ? tools : guardTools(tools, { store: approvals }));
 
-  runCommand: {
-    description: 'Execute shell commands',
-    parameters: z.object({
-      command: z.string().describe('Command to execute')
-    }),
-    execute: async ({ command }) => {
-      try {
-        const isWindows = process.platform === 'win32';
-        const result = await desktop.runCommand(
-          isWindows ? command : undefined,
-          !isWindows ? command : undefined
-        );
-        return {
-          success: true,
-          exitCode: result.exitStatus,
-          output: result.stdout,
-          error: result.stderr,
-          message: `Command executed with exit code ${result.exitStatus}`
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  }
-};
+// What is on screen goes with each message (AGENT_UI_CONTEXT=0 turns it off, a number sets its token budget)
+const uiContext = resolveUiContext();
+let lastUiContext = null;
 
 console.log(chalk.green('✅ Desktop automation engine initialized'));
+if (recording.replaying) {
+  console.log(chalk.yellow(`⏯️ Replaying ${recording.file} (no live model or desktop)`));
+} else if (desktopBackend() === 'mock') {
+  console.log(chalk.yellow('🧪 Using the in-memory mock desktop (no real UI is touched)'));
+}
+if (recording.recording) {
+  console.log(chalk.yellow('⏺️ Recording this session'));
+}
 console.log(chalk.blue('\n💬 Simple AI Chat Agent'));
 console.log(chalk.gray('Just talk naturally - I can take screenshots, click things, open apps, and more!'));
-console.log(chalk.gray('Type "quit" or "exit" to stop\n'));
+console.log(chalk.gray('Type "context" to see the UI state sent with your last message, "context on|off" to toggle it or "context <tokens>" to set its budget'));
+console.log(chalk.gray('Type "quit" or "exit" to stop (Ctrl+C interrupts the AI, twice to quit)\n'));
+
+function printReplayReport() {
+  recording.report().forEach((line, index) => console.log(index === 0 ? chalk.blue(`\n⏯️ ${line}`) : chalk.gray(`   ${line}`)));
+}
+
+function goodbye() {
+  printReplayReport();
+  console.log(chalk.green('\n👋 Goodbye!'));
+  process.exit(0);
+}
+
+// Ctrl+C stops the current reply; a second Ctrl+C quits
+const interrupts = installInterruptHandler({ onExit: goodbye });
 
 // Main chat loop
 async function chat() {
+  await approvals.load();
+
   while (true) {
-    const { message } = await inquirer.prompt([{
+    const message = await recording.input(async () => (await inquirer.prompt([{
       type: 'input',
       name: 'message',
       message: chalk.cyan('You:'),
-    }]);
+    }])).message, { echo: text => console.log(chalk.cyan(`? You: ${text}`)) });
 
-    if (message.toLowerCase() === 'quit' || message.toLowerCase() === 'exit') {
+    // A replay ends when the recorded input runs out
+    if (message === null || message.toLowerCase() === 'quit' || message.toLowerCase() === 'exit') {
+      printReplayReport();
       console.log(chalk.green('\n👋 Goodbye!'));
       break;
     }
 
     if (!message.trim()) continue;
 
+    // "context", "context on|off" or "context <tokens>"; anything else goes to the model
+    const [word, arg, ...rest] = message.trim().toLowerCase().split(/\s+/);
+    if (word === 'context' && rest.length === 0 && (arg === undefined || updateUiContext(uiContext, arg))) {
+      console.log(chalk.blue(`🪟 UI context is ${uiContext.enabled ? 'on' : 'off'} (budget ≈${uiContext.tokenBudget} tokens)`));
+      if (!arg) console.log(chalk.gray(lastUiContext ? lastUiContext.text : 'No UI context sent yet'));
+      continue;
+    }
+
+    const abortSignal = interrupts.startTurn();
     try {
+      lastUiContext = uiContext.enabled ? await captureUiContext(desktop, uiContext) : null;
+      if (lastUiContext) console.log(chalk.gray(`🪟 UI context: ${summarizeUiContext(lastUiContext)}`));
+
       console.log(chalk.blue('\n🤖 AI: '), { newline: false });
 
-      const response = await streamText({
+      const response = await runAgentLoop({
         model,
-        messages: [
+        maxSteps: 1,
+        abortSignal,
+        onEvent: (event) => {
+          if (event.type === 'text') process.stdout.write(chalk.blue(event.text));
+        },
+        messages: withUiContext([
           {
             role: 'system',
             content: `You are a helpful AI assistant with desktop automation capabilities. You can:
@@ -213,7 +143,7 @@ async function chat() {
 - Perform calculations
 - Run shell commands
 
-When the user asks you to do something that requires these capabilities, use the appropriate tools. Be conversational and helpful. Always explain what you're doing.
+When the user asks you to do something that requires these capabilities, use the appropriate tools. Take selectors from the current UI state below when it is given. Be conversational and helpful. Always explain what you're doing.
 
 Current platform: ${process.platform}`
           },
@@ -221,22 +151,12 @@ Current platform: ${process.platform}`
             role: 'user', 
             content: message
           }
-        ],
-        tools: {
-          screenshot: tools.screenshot,
-          clickElement: tools.clickElement,
-          findElements: tools.findElements,
-          openApp: tools.openApp,
-          typeText: tools.typeText,
-          calculate: tools.calculate,
-          runCommand: tools.runCommand
-        }
+        ], lastUiContext),
+        tools: agentTools
       });
 
-      let aiResponse = '';
-      for await (const chunk of response.textStream) {
-        process.stdout.write(chalk.blue(chunk));
-        aiResponse += chunk;
+      if (response.aborted) {
+        console.log(chalk.yellow('\n⏹️ Interrupted'));
       }
 
       // Show tool results if any were used
@@ -245,15 +165,12 @@ Current platform: ${process.platform}`
           const result = toolCall.result;
           if (result.success) {
             console.log(chalk.green(`\n✅ ${result.message}`));
-            if (result.extractedText) {
-              console.log(chalk.gray(`📝 Text found: ${result.extractedText.substring(0, 200)}...`));
+            if (result.ocrText) {
+              console.log(chalk.gray(`📝 Text found: ${result.ocrText.substring(0, 200)}...`));
             }
             if (result.elements) {
               console.log(chalk.gray(`🔍 Elements: ${result.elements.map(e => e.name).join(', ')}`));
             }
-            if (result.output && result.output.trim()) {
-              console.log(chalk.gray(`📤 Output: ${result.output.trim()}`));
-            }
           } else {
             console.log(chalk.red(`\n❌ Error: ${result.error}`));
           }
@@ -264,12 +181,16 @@ Current platform: ${process.platform}`
 
     } catch (error) {
       console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    } finally {
+      interrupts.endTurn();
     }
   }
 }
 
 // Start the chat
 chat().catch(error => {
+  // Ctrl+C at the prompt closes it with an ExitPromptError
+  if (isPromptExit(error)) goodbye();
   console.error(chalk.red('Fatal error:', error.message));
   process.exit(1);
 }); 
\ No newline at end of file
@@ -10,136 +10,25 @@
  * - Improve based on feedback
  */
 
-import { ollama } from 'ollama-ai-provider';
-import { streamText, generateText } from 'ai';
-import { z } from 'zod';
+import { streamText } from 'ai';
 import chalk from 'chalk';
-import fs from 'fs/promises';
-import { Desktop } from '../terminator/bindings/nodejs/index.js';
+import { createDesktop } from './lib/desktop.js';
+import { createModelRegistry } from './lib/models.js';
+import { createTools, pickTools, TOOLSETS } from './lib/tools/index.js';
 
 // ONE MODEL FOR EVERYTHING
-const model = ollama('gemma3:4b-it-q4_K_M', { temperature: 0.7 });
+const model = createModelRegistry().get('artist'); // see agent.config.json / AGENT_ARTIST_MODEL
 
 // Initialize desktop
-const desktop = new Desktop();
+const desktop = await createDesktop();
 console.log(chalk.blue('🎨 Initializing Simple Vision Artist...'));
 
-// Simple tools
-const tools = {
-  openPaint: {
-    description: 'Open MS Paint',
-    parameters: z.object({}),
-    execute: async () => {
-      try {
-        console.log(chalk.yellow('🚀 Opening Paint...'));
-        desktop.openApplication('mspaint');
-        await new Promise(r => setTimeout(r, 2000));
-        return { success: true, message: 'Paint opened' };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  drawOnCanvas: {
-    description: 'Draw directly on the Paint canvas by clicking and dragging',
-    parameters: z.object({
-      startX: z.number().describe('Starting X coordinate (100-800)'),
-      startY: z.number().describe('Starting Y coordinate (100-600)'),
-      endX: z.number().describe('Ending X coordinate (100-800)'),
-      endY: z.number().describe('Ending Y coordinate (100-600)'),
-      description: z.string().describe('What you are drawing (e.g., "circle", "line", "star")')
-    }),
-    execute: async ({ startX, startY, endX, endY, description }) => {
-      try {
-        console.log(chalk.yellow(`✏️ Drawing ${description} from (${startX},${startY}) to (${endX},${endY})...`));
-        
-        // Simple click and drag
-        const paintWindow = desktop.locator('name:Paint');
-        paintWindow.mouseClickAndHold(startX, startY);
-        await new Promise(r => setTimeout(r, 100));
-        paintWindow.mouseMove(endX, endY);
-        paintWindow.mouseRelease();
-        
-        return { 
-          success: true, 
-          message: `Drew ${description} from (${startX},${startY}) to (${endX},${endY})` 
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  takeScreenshot: {
-    description: 'Take a screenshot to see what you drew',
-    parameters: z.object({
-      reason: z.string().optional().describe('Why taking screenshot')
-    }),
-    execute: async ({ reason = 'check artwork' }) => {
-      try {
-        console.log(chalk.yellow(`📸 Taking screenshot: ${reason}...`));
-        
-        const screenshot = await desktop.captureScreen();
-        const filename = `art_${Date.now()}.png`;
-        
-        await fs.writeFile(filename, Buffer.from(screenshot.imageData));
-        const sizeKB = Math.round(screenshot.imageData.length / 1024);
-        
-        return { 
-          success: true, 
-          message: `Screenshot saved: ${filename} (${sizeKB}KB)`,
-          filename,
-          sizeKB
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  analyzeScreenshot: {
-    description: 'Look at the latest screenshot and analyze what you see',
-    parameters: z.object({
-      question: z.string().optional().describe('Specific question about the artwork')
-    }),
-    execute: async ({ question = 'What do you see in this artwork?' }) => {
-      try {
-        console.log(chalk.yellow('🔍 Analyzing screenshot...'));
-        
-        // Find latest screenshot
-        const files = await fs.readdir('.');
-        const artFiles = files.filter(f => f.startsWith('art_') && f.endsWith('.png'));
-        
-        if (artFiles.length === 0) {
-          return { success: false, error: 'No screenshots found. Take a screenshot first.' };
-        }
-        
-        const latest = artFiles.sort().pop();
-        const imageData = await fs.readFile(latest);
-        const base64 = imageData.toString('base64');
-        
-        // Simple vision prompt
-        const prompt = `Look at this MS Paint screenshot and answer: ${question}
-
-You are looking at a digital artwork created in MS Paint. Describe what you see - shapes, colors, lines, overall composition. Be specific about what was drawn and how it looks.
-
-[Image: data:image/png;base64,${base64.substring(0, 100)}...]`;
-
-        const { text } = await generateText({ model, prompt });
-        
-        return { 
-          success: true, 
-          message: 'Vision analysis complete',
-          analysis: text,
-          file: latest
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  }
-};
+// Simple tools (shared library in lib/tools)
+const tools = pickTools(createTools({
+  desktop,
+  visionModel: model,
+  log: message => console.log(chalk.yellow(message))
+}), TOOLSETS.sketch);
 
 console.log(chalk.green('✅ Simple Vision Artist ready'));
 
@@ -164,8 +53,8 @@ async function createArt(description = 'simple drawing') {
 MANDATORY STEPS - YOU MUST DO ALL OF THESE:
 1. FIRST: Use openPaint tool to open MS Paint
 2. THEN: Use drawOnCanvas tool to draw something (specify exact coordinates like startX:300, startY:200, endX:500, endY:400)
-3. THEN: Use takeScreenshot tool to capture what you drew
-4. THEN: Use analyzeScreenshot tool to see what you actually created
+3. THEN: Use captureArtwork tool to capture what you drew
+4. THEN: Use analyzeArtwork tool to see what you actually created
 5. REPEAT steps 2-4 to add more elements
 
 YOU MUST USE THE TOOLS. Do not just talk - USE THE TOOLS.
@@ -178,12 +67,7 @@ Start by using the openPaint tool RIGHT NOW.`;
     const response = await streamText({
       model,
       prompt,
-      tools: {
-        openPaint: tools.openPaint,
-        drawOnCanvas: tools.drawOnCanvas,
-        takeScreenshot: tools.takeScreenshot,
-        analyzeScreenshot: tools.analyzeScreenshot
-      },
+      tools,
       maxTokens: 1200
     });
 
@@ -245,13 +129,13 @@ switch (command) {
     });
     console.log(result.success ? chalk.green(`✅ ${result.message}`) : chalk.red(`❌ ${result.error}`));
     
-    console.log(chalk.yellow('\n3. Testing takeScreenshot...'));
-    result = await tools.takeScreenshot.execute({ reason: 'test capture' });
+    console.log(chalk.yellow('\n3. Testing captureArtwork...'));
+    result = await tools.captureArtwork.execute({ purpose: 'test capture' });
     console.log(result.success ? chalk.green(`✅ ${result.message}`) : chalk.red(`❌ ${result.error}`));
     
     if (result.success) {
-      console.log(chalk.yellow('\n4. Testing analyzeScreenshot...'));
-      result = await tools.analyzeScreenshot.execute({ question: 'What did I just draw?' });
+      console.log(chalk.yellow('\n4. Testing analyzeArtwork...'));
+      result = await tools.analyzeArtwork.execute({ focus: 'What did I just draw?', file: result.capture.filename });
       console.log(result.success ? chalk.green(`✅ ${result.message}`) : chalk.red(`❌ ${result.error}`));
       
       if (result.success && result.analysis) {
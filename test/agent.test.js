@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { runAgentLoop } from '../lib/agent-loop.js';
+import { ApprovalStore, guardTools } from '../lib/approval.js';
+import { ConversationMemory } from '../lib/conversation-memory.js';
+import { MathSession } from '../lib/math.js';
+import { createScriptedModel, loadScript } from '../lib/providers/scripted.js';
+import { createArtistTools, createTools, pickTools, TOOLSETS } from '../lib/tools/index.js';
+import { mockDesktop, policyFor, scriptedModel, tempDir, actionsOf } from './helpers.js';
+
+function catalog(t, desktop = mockDesktop()) {
+  const root = tempDir(t);
+  return {
+    root,
+    desktop,
+    tools: createTools({ desktop, policy: policyFor(root), mathSession: new MathSession(), visionModel: scriptedModel() })
+  };
+}
+
+test('every script tool set resolves against the catalog', (t) => {
+  const { tools } = catalog(t);
+  for (const [name, names] of Object.entries(TOOLSETS)) {
+    const picked = pickTools(tools, names);
+    assert.deepEqual(Object.keys(picked), names, name);
+    for (const tool of Object.values(picked)) {
+      assert.equal(typeof tool.description, 'string');
+      assert.equal(typeof tool.execute, 'function');
+    }
+  }
+  assert.throws(() => pickTools(tools, ['screenshot', 'teleport']), /Unknown tool "teleport"/);
+});
+
+test('the scripted chat fixture drives the agent tools on the mock desktop', async (t) => {
+  const { desktop, tools } = catalog(t);
+  const events = [];
+
+  const turn = await runAgentLoop({
+    model: createScriptedModel(loadScript(path.resolve('fixtures/scripted-chat.json'))),
+    tools: pickTools(tools, TOOLSETS.agent),
+    messages: [{ role: 'user', content: 'Open Calculator and press 7' }],
+    onEvent: event => events.push(event.type)
+  });
+
+  assert.equal(turn.text, 'Calculator is open and I clicked Seven.');
+  assert.equal(turn.steps, 3);
+  assert.deepEqual(turn.toolCalls.map(call => [call.toolName, call.result.success]), [
+    ['appControl', true],
+    ['clickElement', true]
+  ]);
+  assert.deepEqual(desktop.actions.map(action => [action.type, action.target.name]), [
+    ['openApplication', 'Calculator'],
+    ['click', 'Seven']
+  ]);
+  assert.ok(events.includes('tool-result'));
+});
+
+test('a multi-turn conversation carries the history and each turn sees its tool results', async (t) => {
+  const { desktop, tools } = catalog(t);
+  const model = createScriptedModel(loadScript(path.resolve('fixtures/scripted-multi-turn.json')));
+  const memory = new ConversationMemory({ system: 'You are a desktop agent.' });
+
+  const chat = async (message) => {
+    memory.addUserMessage(message);
+    const turn = await runAgentLoop({ model, tools: pickTools(tools, TOOLSETS.agent), messages: memory.toMessages() });
+    memory.addResponseMessages(turn.responseMessages);
+    return turn;
+  };
+
+  assert.equal((await chat('What is 15% of 80?')).text, '15% of 80 is **12**.');
+  const second = await chat('Write that in Notepad');
+  assert.equal(second.text, 'Done: Notepad now says "15% of 80 = 12".');
+
+  model.assertDone();
+  assert.equal(model.calls[2].system, 'You are a desktop agent.');
+  assert.equal((await desktop.locator('role:Edit').attributes()).value, '15% of 80 = 12');
+  assert.equal(memory.turns().length, 2);
+});
+
+test('the vision artist draws, captures and analyzes through two scripted models', async (t) => {
+  const cwd = process.cwd();
+  const dir = tempDir(t);
+  const script = loadScript(path.resolve('fixtures/scripted-artist.json'));
+  process.chdir(dir);
+  t.after(() => process.chdir(cwd));
+
+  const desktop = mockDesktop();
+  const visionModel = createScriptedModel({
+    strict: true,
+    responses: [{ expect: { prompt: 'ANALYSIS FOCUS: check if the star is well-formed' }, text: 'A blue star with five points.' }]
+  });
+  const model = createScriptedModel(script);
+
+  const turn = await runAgentLoop({
+    model,
+    tools: pickTools(createArtistTools({ desktop, model: visionModel, delay: async () => {} }), TOOLSETS.artist),
+    messages: [{ role: 'user', content: 'Draw a star and check it' }]
+  });
+
+  model.assertDone();
+  visionModel.assertDone();
+  assert.equal(turn.text, 'The star is drawn and verified.');
+  assert.deepEqual(actionsOf(desktop, 'stroke').map(stroke => stroke.target.name), ['Canvas']);
+  assert.equal(fs.readdirSync(dir).filter(file => file.startsWith('artwork_')).length, 1);
+});
+
+test('the simple tool set calculates and runs commands through the model', async (t) => {
+  const { desktop, tools } = catalog(t);
+  const turn = await runAgentLoop({
+    model: scriptedModel(
+      { toolCalls: [{ toolName: 'calculate', args: { expression: '12 * 12' } }] },
+      { toolCalls: [{ toolName: 'runCommand', args: { command: 'echo 144' } }] },
+      { text: 'It is 144.' }
+    ),
+    tools: pickTools(tools, TOOLSETS.simple),
+    messages: [{ role: 'user', content: 'What is 12 squared?' }]
+  });
+
+  assert.equal(turn.toolCalls[0].result.result, '144');
+  assert.equal(turn.toolCalls[1].result.stdout.trim(), '144');
+  // The mock desktop answers commands; nothing runs on the host
+  assert.deepEqual(actionsOf(desktop, 'runCommand'), [{ type: 'runCommand', command: 'echo 144' }]);
+  assert.equal(turn.text, 'It is 144.');
+});
+
+test('a denied side-effecting call is returned to the model and nothing happens', async (t) => {
+  const { root, desktop, tools } = catalog(t);
+  const store = new ApprovalStore(path.join(root, 'approvals.json'));
+  const prompted = [];
+  const guarded = guardTools(pickTools(tools, TOOLSETS.agent), {
+    store,
+    prompt: async (name, args) => {
+      prompted.push([name, args]);
+      return { decision: 'deny' };
+    }
+  });
+  desktop.openApplication('calc');
+
+  const turn = await runAgentLoop({
+    model: scriptedModel(
+      { toolCalls: [{ toolName: 'findElements', args: { selector: 'name:Seven' } }] },
+      { toolCalls: [{ toolName: 'clickElement', args: { selector: 'name:Seven' } }] },
+      { text: 'You declined the click.' }
+    ),
+    tools: guarded,
+    messages: [{ role: 'user', content: 'press 7' }]
+  });
+
+  assert.deepEqual(prompted, [['clickElement', { selector: 'name:Seven', action: 'click' }]]);
+  assert.equal(turn.toolCalls[0].result.count, 1);
+  assert.equal(turn.toolCalls[1].result.denied, true);
+  assert.deepEqual(actionsOf(desktop, 'click'), []);
+});
+
+test('invalid tool arguments from the model fail the turn before anything runs', async (t) => {
+  const { desktop, tools } = catalog(t);
+
+  await assert.rejects(runAgentLoop({
+    model: scriptedModel(
+      { toolCalls: [{ toolName: 'clickElement', args: { action: 'click' } }] },
+      { text: 'never reached' }
+    ),
+    tools: pickTools(tools, TOOLSETS.agent),
+    messages: [{ role: 'user', content: 'click something' }]
+  }), { name: 'AI_InvalidToolArgumentsError' });
+
+  assert.deepEqual(desktop.actions, []);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AssertionFailedError, createAssertions, describeAssertion } from '../lib/assertions.js';
+import { mockDesktop } from './helpers.js';
+
+function setup() {
+  const desktop = mockDesktop({
+    applications: [{
+      role: 'Window',
+      name: 'Settings',
+      children: [
+        { role: 'Text', name: 'Status', automationId: 'Status', text: 'Saved 3 items' },
+        { role: 'Button', name: 'Save' },
+        { role: 'Button', name: 'Delete', enabled: false },
+        { role: 'Button', name: 'Hidden', visible: false }
+      ]
+    }],
+    ocr: 'Settings\nSaved 3 items'
+  });
+  return { desktop, check: createAssertions(desktop) };
+}
+
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof AssertionFailedError, error.message);
+    return error;
+  }
+  assert.fail('expected the assertion to fail');
+}
+
+test('text assertions return the text or report what was read', async () => {
+  const { check } = setup();
+  assert.equal(await check.textEquals('automationid:Status', 'Saved 3 items'), 'Saved 3 items');
+  assert.equal(await check.textContains('window:Settings >> name:Status', '3 items'), 'Saved 3 items');
+  assert.equal(await check.textMatches(['window:Settings', 'automationid:Status'], /\d+ items$/), 'Saved 3 items');
+
+  const error = await failure(check.textEquals('window:Settings >> automationid:Status', 'Saved'));
+  assert.equal(error.message, 'Expected text "Saved", got "Saved 3 items"');
+  assert.deepEqual(
+    { assertion: error.assertion, selector: error.selector, expected: error.expected, actual: error.actual },
+    { assertion: 'textEquals', selector: 'window:Settings >> automationid:Status', expected: 'Saved', actual: 'Saved 3 items' }
+  );
+  assert.match((await failure(check.textMatches('automationid:Status', '^\\d'))).message, /^Expected text matching \/\^\\d\/, got "Saved 3 items"$/);
+});
+
+test('a missing element fails the assertion with the selector', async () => {
+  const { check } = setup();
+  const error = await failure(check.textContains('window:Settings >> name:Nope', 'x'));
+  assert.equal(error.selector, 'window:Settings >> name:Nope');
+  assert.match(error.message, /^Expected an element for "window:Settings >> name:Nope": No element found/);
+});
+
+test('visible, enabled and count check the elements found', async () => {
+  const { check } = setup();
+  assert.equal((await check.visible('name:Save')).name(), 'Save');
+  await check.enabled('name:Save');
+  assert.equal((await failure(check.enabled('name:Delete'))).message, 'Expected the element to be enabled');
+  await failure(check.visible('name:Hidden'));
+
+  assert.equal(await check.count('role:Button', 2), 2);
+  assert.equal(await check.count('role:Button', { min: 1, max: 2 }), 2);
+  assert.equal((await failure(check.count('role:Button', { min: 3 }))).message, 'Expected at least 3 element(s), found 2');
+  assert.equal((await failure(check.count('name:Nope', 1))).actual, 0);
+});
+
+test('ocrContains reads the screen case-insensitively', async () => {
+  const { desktop, check } = setup();
+  await check.ocrContains('saved 3');
+  assert.equal((await failure(check.ocrContains('Error'))).expected, 'Error');
+  assert.equal(desktop.actions.filter(action => action.type === 'ocr').length, 2);
+});
+
+test('describeAssertion names the assertion, target and values', () => {
+  assert.equal(describeAssertion('textEquals', [['window:A', 'name:B'], '10']), 'textEquals window:A >> name:B "10"');
+  assert.equal(describeAssertion('ocrContains', ['Done']), 'ocrContains "Done"');
+});
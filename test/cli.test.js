@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCommandLine,
+  dispatchCommand,
+  parseAgentArgs,
+  parseSimpleAgentArgs,
+  parseTestAgentArgs,
+  parseWorkflowArgs,
+  parseExploreArgs,
+  parseDiffArgs,
+  parseBrowseArgs,
+  TEST_AGENT_COMMANDS,
+  UsageError
+} from '../lib/cli.js';
+
+test('parseCommandLine splits the name from whitespace-separated arguments', () => {
+  assert.deepEqual(parseCommandLine('click name:Seven'), { name: 'click', args: ['name:Seven'] });
+  assert.deepEqual(parseCommandLine('  run   ls  -la '), { name: 'run', args: ['ls', '-la'] });
+  assert.deepEqual(parseCommandLine('help'), { name: 'help', args: [] });
+  assert.deepEqual(parseCommandLine('   '), { name: '', args: [] });
+});
+
+test('dispatchCommand runs the matching handler with its arguments', async () => {
+  const calls = [];
+  const commands = { app: async (action, name) => calls.push([action, name]) };
+
+  const outcome = await dispatchCommand(commands, 'app launch notepad');
+
+  assert.deepEqual(outcome, { status: 'ran', name: 'app', args: ['launch', 'notepad'] });
+  assert.deepEqual(calls, [['launch', 'notepad']]);
+});
+
+test('dispatchCommand passes chained and boolean selectors through whole to a handler that joins its arguments', async () => {
+  const selectors = [];
+  const commands = { click: async (...words) => selectors.push(words.join(' ')) };
+
+  await dispatchCommand(commands, 'click window:Notepad >> role:Edit');
+  await dispatchCommand(commands, 'click  role:Button && name:Save As');
+
+  assert.deepEqual(selectors, ['window:Notepad >> role:Edit', 'role:Button && name:Save As']);
+});
+
+test('dispatchCommand passes multi-word text and questions through whole to type and think', async () => {
+  const calls = [];
+  const commands = {
+    type: async (...words) => calls.push(['type', words.join(' ').trim()]),
+    think: async (...words) => calls.push(['think', words.join(' ').trim()])
+  };
+
+  await dispatchCommand(commands, 'type Hello from the agent!');
+  await dispatchCommand(commands, 'think why is   the sky blue?');
+
+  assert.deepEqual(calls, [['type', 'Hello from the agent!'], ['think', 'why is the sky blue?']]);
+});
+
+test('dispatchCommand reports empty and unknown lines without running anything', async () => {
+  let ran = false;
+  const commands = { help: () => { ran = true; } };
+
+  assert.equal((await dispatchCommand(commands, '')).status, 'empty');
+  assert.deepEqual(await dispatchCommand(commands, 'fly away'), { status: 'unknown', name: 'fly', args: ['away'] });
+  // Inherited object properties are not commands
+  assert.equal((await dispatchCommand(commands, 'constructor')).status, 'unknown');
+  assert.equal((await dispatchCommand(commands, 'toString')).status, 'unknown');
+  assert.equal(ran, false);
+});
+
+test('dispatchCommand wraps the handler with `around`', async () => {
+  const events = [];
+  const commands = { steps: async () => events.push('handler') };
+  const around = async (run) => {
+    events.push('start');
+    try {
+      await run();
+    } finally {
+      events.push('end');
+    }
+  };
+
+  await dispatchCommand(commands, 'steps', { around });
+  assert.deepEqual(events, ['start', 'handler', 'end']);
+
+  const failing = { boom: async () => { throw new Error('kaboom'); } };
+  await assert.rejects(dispatchCommand(failing, 'boom', { around }), /kaboom/);
+  assert.deepEqual(events.slice(-2), ['start', 'end']);
+});
+
+test('parseAgentArgs reads --resume and --mock-desktop', () => {
+  const none = { record: null, replay: null };
+  assert.deepEqual(parseAgentArgs([]), { resume: null, mockDesktop: false, ...none });
+  assert.deepEqual(parseAgentArgs(['--resume', 'calc-run', '--mock-desktop']), { resume: 'calc-run', mockDesktop: true, ...none });
+  assert.deepEqual(parseAgentArgs(['--resume=calc-run']), { resume: 'calc-run', mockDesktop: false, ...none });
+});
+
+test('both chat scripts read --record and --replay', () => {
+  assert.deepEqual(parseAgentArgs(['--record', 'bug.jsonl']), { resume: null, mockDesktop: false, record: 'bug.jsonl', replay: null });
+  assert.deepEqual(parseSimpleAgentArgs(['--replay', 'bug.jsonl', '--record', 'again.jsonl']), {
+    mockDesktop: false,
+    record: 'again.jsonl',
+    replay: 'bug.jsonl'
+  });
+  assert.throws(() => parseSimpleAgentArgs(['--resume', 'calc-run']), /Unknown option '--resume'/);
+  assert.throws(() => parseSimpleAgentArgs(['--record']), UsageError);
+});
+
+test('parseAgentArgs rejects a missing session name and unknown options', () => {
+  assert.throws(() => parseAgentArgs(['--resume']), UsageError);
+  assert.throws(() => parseAgentArgs(['--verbose']), /Unknown option '--verbose'/);
+  assert.throws(() => parseAgentArgs(['chat']), UsageError);
+});
+
+test('parseTestAgentArgs maps each command onto its tool', () => {
+  const cases = [
+    [['screenshot'], 'screenshot', { withOCR: false }],
+    [['screenshot', '--ocr'], 'screenshot', { withOCR: true }],
+    [['click', 'name:Seven'], 'clickElement', { selector: 'name:Seven' }],
+    [['find', 'role:button'], 'findElements', { selector: 'role:button' }],
+    [['click', 'window:Notepad', '>>', 'role:Edit'], 'clickElement', { selector: 'window:Notepad >> role:Edit' }],
+    [['find', 'role:Button', '&&', 'name:Save', 'As'], 'findElements', { selector: 'role:Button && name:Save As' }],
+    [['open', 'notepad'], 'openApp', { appName: 'notepad' }],
+    [['type', 'hello', 'world'], 'typeText', { text: 'hello world' }],
+    [['calc', '2', '+', '2'], 'calculate', { expression: '2 + 2' }],
+    [['run', 'ls', '-la'], 'runCommand', { command: 'ls -la' }],
+    [['chat', 'take', 'a', 'screenshot'], undefined, { message: 'take a screenshot' }]
+  ];
+
+  for (const [argv, tool, args] of cases) {
+    assert.deepEqual(parseTestAgentArgs(argv), { command: argv[0], tool, args }, argv.join(' '));
+  }
+  assert.deepEqual(Object.keys(TEST_AGENT_COMMANDS).sort(), [...new Set(cases.map(([argv]) => argv[0]))].sort());
+});
+
+test('parseTestAgentArgs ignores --mock-desktop wherever it appears', () => {
+  assert.equal(parseTestAgentArgs(['--mock-desktop']), null);
+  assert.deepEqual(parseTestAgentArgs(['run', '--mock-desktop', 'echo', 'hi']).args, { command: 'echo hi' });
+});
+
+test('parseTestAgentArgs reports unknown commands and missing arguments', () => {
+  assert.equal(parseTestAgentArgs([]), null);
+  assert.throws(() => parseTestAgentArgs(['dance']), { name: 'UsageError', message: 'Unknown command: dance' });
+  assert.throws(() => parseTestAgentArgs(['click']), { message: 'Please provide a selector' });
+  assert.throws(() => parseTestAgentArgs(['chat']), { message: 'Please provide a message' });
+  assert.throws(() => parseTestAgentArgs(['__proto__']), UsageError);
+});
+
+test('parseWorkflowArgs reads the file, --var pairs, --report-dir and --mock-desktop', () => {
+  assert.deepEqual(parseWorkflowArgs(['flow.yaml', '--var', 'a=1', '--var', 'b=2', '--report-dir', 'out', '--mock-desktop']), {
+    file: 'flow.yaml',
+    vars: ['a=1', 'b=2'],
+    reportDir: 'out',
+    mockDesktop: true
+  });
+  assert.equal(parseWorkflowArgs(['flow.yaml']).reportDir, null);
+  assert.throws(() => parseWorkflowArgs([]), { name: 'UsageError', message: 'Please provide a workflow file' });
+  assert.throws(() => parseWorkflowArgs(['a.yaml', 'b.yaml']), { message: 'Unexpected argument: b.yaml' });
+});
+
+test('parseExploreArgs picks the target, depth and format', () => {
+  assert.deepEqual(parseExploreArgs(['--window', 'Calculator', '--depth', '6', '--mock-desktop']), {
+    target: 'window:Calculator',
+    depth: 6,
+    format: 'text',
+    out: null,
+    mockDesktop: true
+  });
+  assert.equal(parseExploreArgs([]).target, null);
+  assert.equal(parseExploreArgs(['--focused']).target, 'focused');
+  assert.equal(parseExploreArgs(['--selector', 'role:MenuBar']).target, 'role:MenuBar');
+  assert.equal(parseExploreArgs(['--out', 'tree.yml']).format, 'yaml');
+  assert.equal(parseExploreArgs(['--out', 'tree.yml', '--format', 'json']).format, 'json');
+  assert.throws(() => parseExploreArgs(['--window', 'a', '--focused']), { name: 'UsageError', message: 'Use only one of --window, --selector and --focused' });
+  assert.throws(() => parseExploreArgs(['--depth', 'deep']), /--depth needs a whole number/);
+  assert.throws(() => parseExploreArgs(['--format', 'xml']), /Unknown format "xml"/);
+});
+
+test('parseDiffArgs takes two snapshot files and a format', () => {
+  assert.deepEqual(parseDiffArgs(['a.json', 'b.yaml']), { before: 'a.json', after: 'b.yaml', format: 'text' });
+  assert.equal(parseDiffArgs(['a.json', 'b.json', '--format', 'json']).format, 'json');
+  assert.throws(() => parseDiffArgs(['a.json']), { name: 'UsageError', message: 'Please provide two snapshot files' });
+  assert.throws(() => parseDiffArgs(['a', 'b', 'c']), { message: 'Unexpected argument: c' });
+});
+
+test('parseBrowseArgs takes a live target or a snapshot file', () => {
+  assert.deepEqual(parseBrowseArgs(['--window', 'Calculator', '--mock-desktop']), { target: 'window:Calculator', snapshot: null, mockDesktop: true });
+  assert.deepEqual(parseBrowseArgs(['--snapshot', 'tree.json']), { target: null, snapshot: 'tree.json', mockDesktop: false });
+  assert.throws(() => parseBrowseArgs(['--snapshot', 'tree.json', '--focused']), { name: 'UsageError', message: /--snapshot cannot be combined/ });
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runShellCommand } from '../lib/command-runner.js';
+
+// The runner itself starts real processes: the tool tests use the mock desktop's runner
+const node = (script) => `"${process.execPath}" -e "${script}"`;
+
+test('runShellCommand captures and streams stdout and stderr', async () => {
+  const output = [];
+  const result = await runShellCommand(node("console.log('hi'); console.error('warn')"), {
+    onOutput: (stream, text) => output.push(stream)
+  });
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(result.stdout.trim(), 'hi');
+  assert.equal(result.stderr.trim(), 'warn');
+  assert.deepEqual(output.sort(), ['stderr', 'stdout']);
+});
+
+test('runShellCommand kills commands that run past the timeout', async () => {
+  const result = await runShellCommand(node('setTimeout(() => {}, 10000)'), { timeout: 300 });
+  assert.equal(result.timedOut, true);
+  assert.ok(result.durationMs < 5000);
+});
+
+test('runShellCommand is cancelled through its signal', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 200);
+  const result = await runShellCommand(node('setTimeout(() => {}, 10000)'), { signal: controller.signal });
+  assert.equal(result.aborted, true);
+
+  await assert.rejects(runShellCommand('echo never', { signal: controller.signal }), /cancelled before it started/);
+});
+
+test('runShellCommand caps the output it keeps', async () => {
+  const result = await runShellCommand(node("process.stdout.write('x'.repeat(100))"), { maxOutputBytes: 10 });
+  assert.equal(result.truncated, true);
+  assert.equal(result.stdout, `${'x'.repeat(10)}\n… [truncated 90 bytes]`);
+});
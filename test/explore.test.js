@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { exploreTree, formatOutline, formatSnapshot, loadSnapshot } from '../lib/explore.js';
+import { mockDesktop, tempDir } from './helpers.js';
+
+const scene = {
+  applications: [{
+    role: 'Window',
+    name: 'Settings',
+    bounds: { x: 10, y: 20, width: 400, height: 300 },
+    children: [
+      { role: 'Button', name: 'Save', automationId: 'SaveButton', bounds: { x: 20, y: 260, width: 80, height: 30 } },
+      { role: 'Button', name: 'Delete', enabled: false },
+      { role: 'Button', name: 'Hidden', visible: false },
+      {
+        role: 'Group',
+        name: 'Account',
+        children: [{ role: 'Edit', name: 'Username', children: [{ role: 'Text', name: 'Hint' }] }]
+      }
+    ]
+  }],
+  focus: 'name:Username'
+};
+
+test('exploreTree walks the tree with each node\'s flags and suggested selector', async () => {
+  const desktop = mockDesktop(scene);
+  const snapshot = await exploreTree(desktop, { target: 'window:Settings' });
+
+  assert.equal(snapshot.target, 'window:Settings');
+  assert.equal(snapshot.nodes, 7);
+  const { tree } = snapshot;
+  assert.deepEqual(tree.children.map(child => child.suggestedSelector), ['automationid:SaveButton', 'name:Delete', 'name:Hidden', 'name:Account']);
+  assert.deepEqual(tree.children[0], {
+    role: 'Button',
+    name: 'Save',
+    automationId: 'SaveButton',
+    bounds: { x: 20, y: 260, width: 80, height: 30 },
+    text: null,
+    enabled: true,
+    visible: true,
+    suggestedSelector: 'automationid:SaveButton'
+  });
+  assert.equal(tree.children[1].enabled, false);
+  assert.equal(tree.children[2].visible, false); // hidden nodes are exported too
+  assert.equal(tree.children[3].children[0].children[0].name, 'Hint');
+});
+
+test('exploreTree walks each node\'s own children when names repeat', async () => {
+  const desktop = mockDesktop({
+    applications: [{
+      role: 'Window',
+      name: 'Editor',
+      children: [
+        { role: 'Group', name: 'Toolbar', children: [{ role: 'Button', name: 'Save as', children: [{ role: 'Text', name: 'Ctrl+Shift+S' }] }] },
+        { role: 'Button', name: 'Save' },
+        { role: 'Pane', children: [{ role: 'Pane', children: [{ role: 'Text', name: 'Status' }] }] }
+      ]
+    }]
+  });
+
+  const { tree, nodes } = await exploreTree(desktop, { target: 'window:Editor' });
+  assert.equal(nodes, 8);
+  assert.deepEqual(tree.children.map(child => [child.role, child.name, child.suggestedSelector]), [
+    ['Group', 'Toolbar', 'name:Toolbar'],
+    ['Button', 'Save', 'name:Save'],
+    ['Pane', null, 'role:Pane']
+  ]);
+  assert.equal(tree.children[1].children, undefined);
+  assert.equal(tree.children[2].children[0].children[0].name, 'Status');
+});
+
+test('exploreTree stops at maxDepth and starts at the current window or focused element', async () => {
+  const desktop = mockDesktop(scene);
+
+  const shallow = await exploreTree(desktop, { maxDepth: 1 });
+  assert.equal(shallow.target, 'window:Settings');
+  const account = shallow.tree.children.at(-1);
+  assert.equal(account.truncated, true);
+  assert.equal(account.children, undefined);
+
+  const focused = await exploreTree(desktop, { target: 'focused' });
+  assert.equal(focused.target, 'name:Username');
+  assert.deepEqual(focused.tree.children.map(child => child.name), ['Hint']);
+});
+
+test('snapshots export as JSON, YAML and an outline', async () => {
+  const desktop = mockDesktop(scene);
+  const snapshot = await exploreTree(desktop, { target: 'window:Settings', maxDepth: 1 });
+
+  assert.deepEqual(JSON.parse(formatSnapshot(snapshot, 'json')), snapshot);
+  assert.deepEqual(YAML.parse(formatSnapshot(snapshot, 'yaml')), snapshot);
+  assert.equal(formatOutline(snapshot.tree), [
+    'Window "Settings" [10,20 400x300] → window:Settings',
+    '  Button "Save" #SaveButton [20,260 80x30] → automationid:SaveButton',
+    '  Button "Delete" [10,20 400x300] disabled → name:Delete',
+    '  Button "Hidden" [10,20 400x300] hidden → name:Hidden',
+    '  Group "Account" [10,20 400x300] → name:Account',
+    '    ...'
+  ].join('\n'));
+  assert.match(formatSnapshot(snapshot, 'text'), /^window:Settings \(5 elements, /);
+  assert.throws(() => formatSnapshot(snapshot, 'xml'), /Unknown format "xml"/);
+});
+
+test('loadSnapshot reads JSON and YAML exports back', async (t) => {
+  const dir = tempDir(t);
+  const snapshot = await exploreTree(mockDesktop(scene), { target: 'window:Settings' });
+
+  for (const format of ['json', 'yaml']) {
+    const file = path.join(dir, `tree.${format}`);
+    fs.writeFileSync(file, formatSnapshot(snapshot, format));
+    assert.deepEqual(loadSnapshot(file), snapshot);
+  }
+
+  const other = path.join(dir, 'other.json');
+  fs.writeFileSync(other, '{ "steps": [] }');
+  assert.throws(() => loadSnapshot(other), /is not a tree snapshot/);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSimilarElements, resolveHealing, similarity } from '../lib/healing.js';
+import { mockDesktop } from './helpers.js';
+
+test('similarity maps digits and operators to key names and scores near misses', () => {
+  assert.equal(similarity('Seven', 'seven'), 1);
+  assert.equal(similarity('7', 'Seven'), 0.95);
+  assert.equal(similarity('+', 'Plus'), 0.95);
+  assert.ok(similarity('Equal', 'Equals') > 0.8);
+  assert.ok(similarity('Svn', 'Seven') < similarity('Sevn', 'Seven'));
+  assert.equal(similarity('', 'Seven'), 0);
+});
+
+test('findSimilarElements ranks candidates in the active window with their selectors', async () => {
+  const desktop = mockDesktop();
+  desktop.openApplication('calc');
+
+  const [best, ...rest] = await findSimilarElements(desktop, 'name:7');
+  assert.deepEqual(best, { selector: 'name:Seven', score: 0.95, role: 'Button', name: 'Seven', automationId: null });
+  assert.ok(rest.every(candidate => candidate.score < best.score));
+
+  const [display] = await findSimilarElements(desktop, 'automationid:CalculatorResult');
+  assert.equal(display.selector, 'automationid:CalculatorResults');
+
+  // Role synonyms, and the chain narrows the search
+  const [button] = await findSimilarElements(desktop, 'role:btn && name:Pluss', { limit: 1 });
+  assert.deepEqual([button.selector, button.role], ['name:Plus', 'Button']);
+  const chained = await findSimilarElements(desktop, 'window:Calculator >> name:Sevn', { limit: 1 });
+  assert.deepEqual(chained.map(candidate => candidate.selector), ['window:Calculator >> name:Seven']);
+
+  assert.deepEqual(await findSimilarElements(desktop, 'name:Zebra crossing'), []);
+});
+
+test('resolveHealing reads AGENT_SELF_HEAL', () => {
+  assert.deepEqual(resolveHealing(undefined), { retry: false, threshold: 0.8 });
+  assert.deepEqual(resolveHealing('0'), { retry: false, threshold: 0.8 });
+  assert.deepEqual(resolveHealing('1'), { retry: true, threshold: 0.8 });
+  assert.deepEqual(resolveHealing('0.9'), { retry: true, threshold: 0.9 });
+});
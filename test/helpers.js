@@ -0,0 +1,42 @@
+/**
+ * Shared fixtures for the test suite: a mock desktop, a policy rooted in a
+ * temporary directory and a scripted model. Nothing here needs a display,
+ * Ollama or the network.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockDesktop } from '../lib/mock-desktop.js';
+import { loadPolicy } from '../lib/policy.js';
+import { createScriptedModel } from '../lib/providers/scripted.js';
+
+export function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+export function mockDesktop(scene) {
+  return new MockDesktop(scene);
+}
+
+/**
+ * The default policy with file access limited to `root`.
+ */
+export function policyFor(root, overrides = {}) {
+  const file = path.join(root, 'agent-policy.json');
+  fs.writeFileSync(file, JSON.stringify({ files: { roots: ['.'] }, ...overrides }));
+  return loadPolicy(file);
+}
+
+export function scriptedModel(...responses) {
+  return createScriptedModel({ responses });
+}
+
+/**
+ * Actions of one type recorded by the mock desktop.
+ */
+export function actionsOf(desktop, type) {
+  return desktop.actions.filter(action => action.type === type);
+}
@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { MockDesktop, DEFAULT_SCENE } from '../lib/mock-desktop.js';
+import { createDesktop, desktopBackend } from '../lib/desktop.js';
+import { tempDir, actionsOf } from './helpers.js';
+
+const scene = {
+  applications: [{
+    role: 'Window',
+    name: 'Settings',
+    bounds: { x: 10, y: 20, width: 400, height: 300 },
+    children: [
+      { role: 'Button', name: 'Save', automationId: 'SaveButton', bounds: { x: 20, y: 260, width: 80, height: 30 } },
+      { role: 'Button', name: 'Delete', enabled: false },
+      { role: 'Button', name: 'Hidden', visible: false },
+      { role: 'Edit', name: 'Username', value: 'ada' }
+    ]
+  }],
+  focus: 'name:Username'
+};
+
+test('locators match by role, name, automation id and window', async () => {
+  const desktop = new MockDesktop(scene);
+
+  assert.deepEqual((await desktop.locator('role:button').all()).map(el => el.name()), ['Save', 'Delete']); // hidden ones are not found
+  assert.equal((await desktop.locator('name:save').first()).name(), 'Save');
+  assert.equal((await desktop.locator('automationid:SaveButton').first()).role(), 'Button');
+  assert.equal((await desktop.locator('window:Settings').locator('role:Edit').first()).name(), 'Username');
+  assert.equal((await desktop.locator('text:ada').first()).name(), 'Username');
+});
+
+test('first() fails when nothing matches and unknown selector types are rejected', async () => {
+  const desktop = new MockDesktop(scene);
+  await assert.rejects(desktop.locator('name:Nope').first(), /No element found for selector "name:Nope"/);
+  await assert.rejects(desktop.locator('window:Settings').locator('name:Nope').first(), /window:Settings >> name:Nope/);
+  await assert.rejects(desktop.locator('xpath://button').all(), /Unsupported selector/);
+});
+
+test('locators evaluate chains, boolean combinations and nth', async () => {
+  const desktop = new MockDesktop(scene);
+  const names = async selector => (await desktop.locator(selector).all()).map(el => el.name());
+
+  assert.deepEqual(await names('window:Settings >> role:Button && !name:Delete'), ['Save']);
+  assert.deepEqual(await names('name:Save || role:Edit'), ['Save', 'Username']);
+  assert.deepEqual(await names('role:Button >> nth=-1'), ['Delete']);
+  assert.deepEqual(await names('role:Button >> nth=5'), []);
+  assert.equal((await desktop.locator('window:Settings').locator('role:Button >> nth=1').first()).name(), 'Delete');
+});
+
+test('elements expose names, roles, bounds, text and state', async () => {
+  const desktop = new MockDesktop(scene);
+  const save = await desktop.locator('name:Save').first();
+
+  assert.deepEqual(save.bounds(), { x: 20, y: 260, width: 80, height: 30 });
+  assert.ok(save.isVisible());
+  assert.ok(save.isEnabled());
+  assert.equal(save.parent().name(), 'Settings');
+  assert.equal(desktop.application('Settings').text(1), 'ada');
+  assert.deepEqual((await desktop.locator('name:Delete').first()).bounds(), { x: 10, y: 20, width: 400, height: 300 });
+  assert.equal(desktop.focusedElement().name(), 'Username');
+});
+
+test('clicks and typing are recorded and change focus and values', async () => {
+  const desktop = new MockDesktop(scene);
+
+  const details = await desktop.locator('name:Save').click();
+  assert.deepEqual(details.coordinates, [60, 275]);
+  assert.equal(desktop.focusedElement().name(), 'Save');
+
+  await desktop.locator('role:Edit').typeText(' lovelace');
+  assert.equal((await desktop.locator('role:Edit').attributes()).value, 'ada lovelace');
+
+  assert.deepEqual(desktop.actions.map(action => action.type), ['click', 'typeText']);
+  assert.deepEqual(desktop.actions[1].target, { role: 'Edit', name: 'Username', id: desktop.actions[1].target.id });
+  await assert.rejects(desktop.locator('name:Delete').click(), /Cannot click disabled element/);
+});
+
+test('clicking the Calculator buttons updates its display', async () => {
+  const desktop = new MockDesktop();
+  desktop.openApplication('calc');
+  const display = await desktop.locator('automationid:CalculatorResults').first();
+  const press = async (...buttons) => {
+    for (const button of buttons) await desktop.locator(`window:Calculator >> name:${button}`).click();
+    return display.text();
+  };
+
+  assert.equal(await press('Seven'), '7');
+  assert.equal(await press('Plus', 'One', 'Two', 'Equals'), '19');
+  assert.equal(await press('Minus', 'Four', 'Multiply by'), '15');
+  assert.equal(await press('Two', 'Equals'), '30');
+  assert.equal(display.name(), 'Display is 30');
+  assert.equal(await press('Divide by', 'Zero', 'Equals'), 'Cannot divide by zero');
+  assert.equal(await press('Clear'), '0');
+});
+
+test('openApplication launches from the scene and focuses an already open window', () => {
+  const desktop = new MockDesktop();
+
+  const notepad = desktop.openApplication('notepad.exe');
+  assert.equal(notepad.name(), 'Untitled - Notepad');
+  assert.equal(desktop.focusedElement().role(), 'Edit');
+
+  desktop.openApplication('notepad');
+  assert.equal(desktop.applications().filter(app => app.name() === 'Untitled - Notepad').length, 1);
+
+  assert.equal(desktop.openApplication('Spotify').name(), 'Spotify');
+  assert.throws(() => desktop.activateApplication('Word'), /not running/);
+  assert.equal(actionsOf(desktop, 'openApplication').length, 3);
+});
+
+test('the default scene is not shared between desktops', async () => {
+  const first = new MockDesktop();
+  await first.locator('name:Start').click();
+  first.openApplication('calc');
+
+  const second = new MockDesktop();
+  assert.equal(second.applications().length, DEFAULT_SCENE.applications.length);
+  assert.deepEqual(second.actions, []);
+});
+
+test('captureScreen returns a PNG the size of the screen', async () => {
+  const desktop = new MockDesktop({ screen: { width: 64, height: 48 } });
+  const { width, height, imageData } = await desktop.captureScreen();
+
+  assert.deepEqual([width, height], [64, 48]);
+  assert.deepEqual([...imageData.subarray(1, 4)], [...Buffer.from('PNG')]);
+  assert.equal(imageData.readUInt32BE(16), 64);
+  assert.equal(imageData.readUInt32BE(20), 48);
+});
+
+test('OCR returns canned text, or the visible text of the focused window', async () => {
+  const desktop = new MockDesktop(scene);
+  assert.equal(await desktop.ocrScreenshot(await desktop.captureScreen()), 'Settings\nSave\nDelete\nada');
+
+  const canned = new MockDesktop({ ocr: 'Invoice #42' });
+  assert.equal(await canned.ocrImagePath('scan.png'), 'Invoice #42');
+  assert.deepEqual(actionsOf(canned, 'ocr'), [{ type: 'ocr', source: 'scan.png' }]);
+});
+
+test('runCommand answers from the scene, echoes, and fails otherwise', async () => {
+  const desktop = new MockDesktop({ commands: { 'git status': { stdout: 'clean\n' } } });
+
+  assert.deepEqual(await desktop.runCommand('git status', 'git status'), { exitStatus: 0, stdout: 'clean\n', stderr: '' });
+  assert.equal((await desktop.runCommand('echo "hi there"')).stdout, 'hi there\n');
+  const unknown = await desktop.runCommand('format c:', 'rm -rf /');
+  assert.equal(unknown.exitStatus, 127);
+  assert.equal(actionsOf(desktop, 'runCommand').length, 3);
+});
+
+test('openUrl opens a single browser window', async () => {
+  const desktop = new MockDesktop();
+  await assert.rejects(desktop.getCurrentBrowserWindow(), /No browser window/);
+
+  desktop.openUrl('https://example.com');
+  desktop.openUrl('https://example.org', 'Firefox');
+
+  const browser = await desktop.getCurrentBrowserWindow();
+  assert.equal(browser.name(), 'https://example.org - Firefox');
+  assert.equal(desktop.applications().filter(app => app.name().includes('https://')).length, 1);
+  assert.equal((await desktop.getCurrentWindow()).name(), browser.name());
+});
+
+test('mouse strokes on a locator are recorded as one action', () => {
+  const desktop = new MockDesktop();
+  desktop.openApplication('mspaint');
+  const canvas = desktop.locator('name:Canvas');
+
+  canvas.mouseClickAndHold(1, 2);
+  canvas.mouseMove(3, 4);
+  canvas.mouseRelease();
+
+  assert.deepEqual(actionsOf(desktop, 'stroke')[0].points, [[1, 2], [3, 4]]);
+});
+
+test('explore lists children with selectors that find them again', async () => {
+  const desktop = new MockDesktop(scene);
+  const { parent, children } = await desktop.locator('window:Settings').explore();
+
+  assert.equal(parent.name(), 'Settings');
+  assert.equal(children[0].suggestedSelector, 'automationid:SaveButton');
+  assert.equal(children[1].suggestedSelector, 'name:Delete');
+});
+
+test('createDesktop picks the backend from the flag or TERMINATOR_BACKEND', async (t) => {
+  assert.equal(desktopBackend({ argv: ['node', 'x.js', '--mock-desktop'], env: {} }), 'mock');
+  assert.equal(desktopBackend({ argv: [], env: { TERMINATOR_BACKEND: 'mock' } }), 'mock');
+  assert.equal(desktopBackend({ argv: [], env: {} }), 'terminator');
+
+  const file = path.join(tempDir(t), 'scene.json');
+  fs.writeFileSync(file, JSON.stringify({ screen: { monitor: 'CI Display' } }));
+  const desktop = await createDesktop({ backend: 'mock', scene: file });
+  assert.equal(await desktop.getActiveMonitorName(), 'CI Display');
+
+  await assert.rejects(createDesktop({ backend: 'x11' }), /Unknown desktop backend "x11"/);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { executePlan } from '../lib/planner.js';
+import { MathSession } from '../lib/math.js';
+import { createTools, pickTools, TOOLSETS } from '../lib/tools/index.js';
+import { mockDesktop, policyFor, scriptedModel, tempDir, actionsOf } from './helpers.js';
+
+function planTools(t, desktop) {
+  return pickTools(createTools({ desktop, policy: policyFor(tempDir(t)), mathSession: new MathSession() }), TOOLSETS.agent);
+}
+
+const step = (description, selector) => ({
+  description,
+  tool: 'clickElement',
+  args: { selector },
+  successCheck: { type: 'toolSucceeded' }
+});
+
+test('executePlan re-plans the remaining steps after a failed one', async (t) => {
+  const desktop = mockDesktop();
+  const model = scriptedModel({ text: JSON.stringify({ goal: 'Open the menu', steps: [step('Click Start', 'name:Start')] }) });
+
+  const outcome = await executePlan({
+    plan: { goal: 'Open the menu', steps: [step('Click the menu', 'name:Menu')] },
+    tools: planTools(t, desktop),
+    model
+  });
+
+  model.assertDone();
+  assert.equal(outcome.success, true);
+  assert.deepEqual(outcome.completed.map(entry => entry.step.description), ['Click Start']);
+  assert.deepEqual(actionsOf(desktop, 'click').map(action => action.target.name), ['Start']);
+});
+
+test('executePlan stops with the error when the model cannot produce a re-plan', async (t) => {
+  const events = [];
+  const model = scriptedModel({ text: 'Sure! First click the menu, then...' });
+
+  const outcome = await executePlan({
+    plan: { goal: 'Open the menu', steps: [step('Click the menu', 'name:Menu')] },
+    tools: planTools(t, mockDesktop()),
+    model,
+    onEvent: event => events.push(event.type)
+  });
+
+  model.assertDone();
+  assert.equal(outcome.success, false);
+  assert.deepEqual(outcome.completed, []);
+  assert.equal(outcome.failed.step.description, 'Click the menu');
+  assert.match(outcome.reason, /^Re-planning failed: /);
+  assert.deepEqual(events, ['step-start', 'step-finish']);
+});
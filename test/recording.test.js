@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { runAgentLoop } from '../lib/agent-loop.js';
+import { MathSession } from '../lib/math.js';
+import { loadRecording, openRecording, ReplayError } from '../lib/recording.js';
+import { createTools, pickTools, TOOLSETS } from '../lib/tools/index.js';
+import { mockDesktop, policyFor, scriptedModel, tempDir, actionsOf } from './helpers.js';
+
+const responses = [
+  { text: 'Opening Calculator.', toolCalls: [{ toolName: 'openApp', args: { appName: 'calc' } }] },
+  {
+    toolCalls: [
+      { toolName: 'clickElement', args: { selector: 'name:Seven' } },
+      { toolName: 'runCommand', args: { command: 'echo recorded' } }
+    ]
+  },
+  { text: 'Pressed 7.' }
+];
+
+/**
+ * One agent turn, with the session recorded and/or replayed. `override`
+ * swaps in changed tools.
+ */
+async function session(root, { record, replay, desktop = mockDesktop(), model = scriptedModel(...responses), override = {} }) {
+  const recording = openRecording({ script: 'test', record, replay });
+  const live = await recording.desktop(async () => desktop);
+  const catalog = pickTools(createTools({ desktop: live, policy: policyFor(root), mathSession: new MathSession() }), TOOLSETS.simple);
+  for (const [name, execute] of Object.entries(override)) catalog[name] = { ...catalog[name], execute };
+  const tools = recording.tools(catalog);
+
+  const input = await recording.input(async () => 'press 7');
+  const turn = await runAgentLoop({
+    model: recording.model('reasoning', model),
+    tools,
+    messages: [{ role: 'user', content: input }]
+  });
+  return { recording, turn, input, desktop: live };
+}
+
+test('a recorded session has every input, model call, tool call and Desktop call', async (t) => {
+  const root = tempDir(t);
+  const file = path.join(root, 'session.jsonl');
+  const desktop = mockDesktop();
+  await session(root, { record: file, desktop });
+
+  const events = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(events.map(event => event.seq), events.map((_, i) => i + 1));
+  assert.equal(events[0].type, 'session');
+  assert.equal(events[0].script, 'test');
+
+  const count = type => events.filter(event => event.type === type).length;
+  assert.deepEqual([count('input'), count('model-request'), count('model-response'), count('tool-call'), count('tool-result')], [1, 3, 3, 3, 3]);
+
+  const [request] = events.filter(event => event.type === 'model-request');
+  assert.deepEqual(request.tools, TOOLSETS.simple);
+  assert.equal(request.prompt.at(-1).content[0].text, 'press 7');
+
+  const calls = events.filter(event => event.type === 'desktop-call');
+  assert.deepEqual(calls.filter(call => call.tool === 'call-1-1').map(call => call.method), ['openApplication', 'isVisible', 'name', 'role']);
+  assert.deepEqual(calls.filter(call => call.tool === 'call-2-1').map(call => call.method), ['locator', 'first', 'click']);
+  // On the mock desktop commands go to its runCommand, not the host
+  assert.deepEqual(calls.filter(call => call.tool === 'call-2-2').map(call => call.method), ['runCommand']);
+  assert.deepEqual(Object.keys(calls.find(call => call.method === 'locator').result), ['$handle', 'props']);
+  assert.equal(actionsOf(desktop, 'click').length, 1);
+});
+
+test('a replay needs no live model or desktop and reproduces the session', async (t) => {
+  const root = tempDir(t);
+  const file = path.join(root, 'session.jsonl');
+  const recorded = await session(root, { record: file });
+
+  const replayed = await session(root, {
+    replay: file,
+    desktop: null,
+    model: null,
+    override: { runCommand: () => assert.fail('host tools are not run again') }
+  });
+
+  assert.equal(replayed.input, 'press 7');
+  assert.equal(replayed.turn.text, 'Pressed 7.');
+  assert.deepEqual(replayed.turn.toolCalls.map(call => call.result), recorded.turn.toolCalls.map(call => call.result));
+  assert.deepEqual(replayed.recording.report(), [
+    `Replayed 1 inputs, 3 model responses, 3 tool calls and 7 Desktop calls from ${file}`,
+    'No differences from the recording'
+  ]);
+  assert.equal(await replayed.recording.input(async () => 'live'), null);
+});
+
+test('a replay reports results and Desktop calls that come out differently', async (t) => {
+  const root = tempDir(t);
+  const file = path.join(root, 'session.jsonl');
+  await session(root, { record: file });
+
+  const { turn, recording } = await session(root, {
+    replay: file,
+    override: { openApp: async () => ({ success: false, error: 'changed' }) }
+  });
+  assert.equal(turn.toolCalls[0].result.error, 'changed');
+  assert.deepEqual(recording.report().slice(1), [
+    '4 recorded Desktop calls were not used',
+    '3 difference(s) from the recording:',
+    '  openApp (call-1-1): the result differs from the recording',
+    '  reasoning model call 2: the prompt differs from the recording',
+    '  reasoning model call 3: the prompt differs from the recording'
+  ]);
+
+  const replay = openRecording({ script: 'test', replay: file });
+  const desktop = await replay.desktop();
+  const tools = replay.tools({ clickElement: { execute: () => desktop.locator('name:Eight') } });
+  await tools.clickElement.execute({}, { toolCallId: 'call-2-1' });
+  assert.deepEqual(replay.report().slice(-2), [
+    '  Desktop call locator for tool call call-2-1: called with ["name:Eight"], recorded with ["name:Seven"]',
+    '  clickElement (call-2-1): the result differs from the recording'
+  ]);
+});
+
+test('replaying Desktop calls the recording does not have fails with a ReplayError', async (t) => {
+  const root = tempDir(t);
+  const file = path.join(root, 'session.jsonl');
+  await session(root, { record: file });
+
+  const recording = openRecording({ script: 'test', replay: file });
+  const desktop = await recording.desktop();
+  assert.throws(() => desktop.openApplication('notepad'), {
+    name: 'ReplayError',
+    message: 'The recording has no more Desktop calls for the session (called openApplication)'
+  });
+
+  const tools = recording.tools({ openApp: { execute: () => desktop.locator('name:Seven') } });
+  await assert.rejects(tools.openApp.execute({ appName: 'calc' }, { toolCallId: 'call-1-1' }), {
+    name: 'ReplayError',
+    message: 'Replay expected Desktop call openApplication on handle 0 for tool call call-1-1, got locator on handle 0'
+  });
+});
+
+test('loadRecording rejects files that are not recordings', (t) => {
+  const file = path.join(tempDir(t), 'notes.jsonl');
+  fs.writeFileSync(file, '{"type":"input","text":"hi"}\n');
+  assert.throws(() => loadRecording(file), ReplayError);
+
+  fs.writeFileSync(file, '{"type":"session","version":99}\n');
+  assert.throws(() => loadRecording(file), /recording version 99/);
+
+  fs.writeFileSync(file, '{"type":"session","version":1}\nnot json\n');
+  assert.throws(() => loadRecording(file), /notes\.jsonl:2:/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createAssertions } from '../lib/assertions.js';
+import { createTestRun, failurePoint, formatTree, toJUnitXml } from '../lib/report.js';
+import { mockDesktop, tempDir } from './helpers.js';
+
+test('failurePoint snapshots the element, else the deepest match, else the current window', async () => {
+  const desktop = mockDesktop();
+  desktop.openApplication('calc');
+
+  const element = await failurePoint(desktop, 'window:Calculator >> automationid:CalculatorResults');
+  assert.deepEqual(element, {
+    selector: 'window:Calculator >> automationid:CalculatorResults',
+    matched: true,
+    tree: { role: 'Text', name: 'Display is 0', automationId: 'CalculatorResults' }
+  });
+
+  const deepest = await failurePoint(desktop, ['window:Calculator', 'name:Nope']);
+  assert.deepEqual([deepest.selector, deepest.matched, deepest.tree.children.length], ['window:Calculator', false, 17]);
+
+  const fallback = await failurePoint(desktop, 'name:Nope', { maxDepth: 0 });
+  assert.deepEqual(fallback, { selector: null, matched: false, tree: { role: 'Window', name: 'Calculator' } });
+  assert.equal(formatTree(deepest.tree).split('\n')[1], '  Text "Display is 0" #CalculatorResults');
+});
+
+test('a test run times each step, captures failures and skips the rest', async (t) => {
+  const dir = tempDir(t);
+  const desktop = mockDesktop();
+  const check = createAssertions(desktop);
+  const events = [];
+  const run = createTestRun({ name: 'Calculator', desktop, reportDir: dir, onEvent: event => events.push(event.type) });
+
+  await run.step('Open Calculator', () => desktop.openApplication('calc'));
+  assert.equal(await run.step('Read the display', () => check.textEquals('automationid:CalculatorResults', '0')), '0');
+  await run.step('Press Nine', () => desktop.locator('name:Nine').click(), { continueOnError: true });
+  await run.step('Result is 10', () => check.textEquals('window:Calculator >> automationid:CalculatorResults', '10'));
+  assert.equal(await run.step('Never runs', () => 'ran'), undefined);
+
+  const report = run.finish();
+  assert.equal(run.success, false);
+  assert.deepEqual(
+    [report.tests, report.passed, report.failed, report.skipped],
+    [5, 3, 1, 1]
+  );
+  assert.deepEqual(report.steps.map(step => step.status), ['passed', 'passed', 'passed', 'failed', 'skipped']);
+  assert.equal(events.filter(type => type === 'step-finish').length, 4);
+
+  const failed = report.steps[3];
+  assert.deepEqual(failed.assertion, {
+    name: 'textEquals',
+    selector: 'window:Calculator >> automationid:CalculatorResults',
+    expected: '10',
+    actual: '9'
+  });
+  assert.equal(failed.failure.screenshot, path.join('screenshots', 'step-4.png'));
+  assert.ok(fs.statSync(path.join(dir, failed.failure.screenshot)).size > 0);
+  assert.equal(failed.failure.tree.automationId, 'CalculatorResults');
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(report.files.json, 'utf-8')).steps, report.steps);
+  const xml = fs.readFileSync(report.files.junit, 'utf-8');
+  assert.match(xml, /<testsuite name="Calculator" tests="5" failures="1" errors="0" skipped="1"/);
+  assert.match(xml, /<failure message="Expected text &quot;10&quot;, got &quot;9&quot;" type="textEquals">/);
+  assert.ok(xml.includes(`[[ATTACHMENT|${path.join(dir, 'screenshots', 'step-4.png')}]]`));
+});
+
+test('JUnit output escapes names and messages', () => {
+  const xml = toJUnitXml({
+    name: 'A & B',
+    success: false,
+    startedAt: '2026-01-01T00:00:00.000Z',
+    elapsedMs: 1500,
+    tests: 1,
+    passed: 0,
+    failed: 1,
+    skipped: 0,
+    steps: [{ id: '1', name: 'click <OK>', status: 'failed', elapsedMs: 250, error: 'No "OK"\u0007' }]
+  });
+
+  assert.match(xml, /<testsuites name="A &amp; B" tests="1" failures="1" skipped="0" time="1.500">/);
+  assert.match(xml, /<testcase classname="A &amp; B" name="1. click &lt;OK&gt;" time="0.250">/);
+  assert.match(xml, /<failure message="No &quot;OK&quot;" type="Error">No &quot;OK&quot;<\/failure>/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SelectorError, compileSelector, matchStep, normalizeSelector, parseSelector, validateSelector } from '../lib/selectors.js';
+
+test('parseSelector reads chains, booleans, nth and bare names', () => {
+  assert.deepEqual(parseSelector('window:Notepad >> role:edit').steps, [
+    { type: 'atom', kind: 'window', value: 'Notepad' },
+    { type: 'atom', kind: 'role', value: 'Edit' }
+  ]);
+  assert.deepEqual(parseSelector('Seven').steps, [{ type: 'atom', kind: 'name', value: 'Seven' }]);
+  assert.deepEqual(parseSelector('role:Button && !(name:OK || name:Cancel) >> nth=-1').steps, [
+    {
+      type: 'and',
+      items: [
+        { type: 'atom', kind: 'role', value: 'Button' },
+        { type: 'not', item: { type: 'or', items: [{ type: 'atom', kind: 'name', value: 'OK' }, { type: 'atom', kind: 'name', value: 'Cancel' }] } }
+      ]
+    },
+    { type: 'nth', index: -1 }
+  ]);
+  assert.deepEqual(parseSelector('name:"Tom && Jerry"').steps, [{ type: 'atom', kind: 'name', value: 'Tom && Jerry' }]);
+});
+
+test('normalizeSelector fixes casing and spacing', () => {
+  assert.equal(normalizeSelector('className:MSPaintView'), 'classname:MSPaintView');
+  assert.equal(normalizeSelector('window:Notepad>>role:edit'), 'window:Notepad >> role:Edit');
+  assert.equal(normalizeSelector('role:button&&(name:a||name:b)'), 'role:Button && (name:a || name:b)');
+  assert.equal(normalizeSelector('name:"Tom && Jerry" >> NTH=0'), 'name:"Tom && Jerry" >> nth=0');
+  assert.equal(normalizeSelector('role:SomethingCustom'), 'role:SomethingCustom'); // unknown roles pass through
+});
+
+test('invalid selectors fail with the position and a suggestion', () => {
+  const cases = [
+    ['', /Selector is empty/],
+    ['nmae:Save', /Unsupported selector type "nmae".*did you mean "name"/],
+    ['role:Buton', /unknown role "Buton" \(did you mean "role:Button"\?\)/],
+    ['name:', /"name:" needs a value/],
+    ['(role:Button', /missing "\)"/],
+    ['name:"Save', /unterminated quote/],
+    ['nth=0', /nth= needs a selector before it/],
+    ['role:Button && nth=1', /nth= must be a step of its own/],
+    ['role:Button >> nth=first', /nth needs a whole number/]
+  ];
+  for (const [selector, message] of cases) {
+    assert.throws(() => parseSelector(selector), error => error instanceof SelectorError && message.test(error.message), selector);
+  }
+
+  assert.deepEqual(validateSelector('role:button'), { valid: true, selector: 'role:Button' });
+  const invalid = validateSelector('role:Buton');
+  assert.equal(invalid.valid, false);
+  assert.match(invalid.error, /^Invalid selector "role:Buton"/);
+});
+
+test('compileSelector nests one locator per step and matchStep evaluates booleans', () => {
+  const calls = [];
+  const scope = { locator: selector => (calls.push(selector), scope) };
+  compileSelector(scope, ['window:Notepad >> role:edit', 'role:Button && !name:OK']);
+  assert.deepEqual(calls, ['window:Notepad', 'role:Edit', 'role:Button && !name:OK']);
+
+  const node = { role: 'Button', name: 'Cancel' };
+  const matchAtom = (kind, value) => node[kind] === value;
+  const [step] = parseSelector('role:Button && !name:OK').steps;
+  assert.equal(matchStep(step, matchAtom), true);
+  assert.equal(matchStep(parseSelector('role:Edit || name:OK').steps[0], matchAtom), false);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SHAPES,
+  circlePoints,
+  squarePoints,
+  starPoints,
+  heartPoints,
+  trianglePoints,
+  spiralPoints,
+  linePoints,
+  shapePoints
+} from '../lib/shapes.js';
+
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message ?? ''} expected ${expected}, got ${actual}`);
+}
+
+function assertClosed(points) {
+  assertClose(points[0][0], points.at(-1)[0], 'x');
+  assertClose(points[0][1], points.at(-1)[1], 'y');
+}
+
+test('circle points lie on the radius and close the loop', () => {
+  const points = circlePoints(400, 300, 50);
+  assert.equal(points.length, 37);
+  for (const point of points) assertClose(distance(point, [400, 300]), 50);
+  assertClosed(points);
+});
+
+test('square is a closed loop with sides of the given size', () => {
+  const points = squarePoints(100, 100, 40);
+  assert.deepEqual(points[0], [80, 80]);
+  assert.equal(points.length, 5);
+  for (let i = 1; i < points.length; i++) assertClose(distance(points[i - 1], points[i]), 40);
+  assertClosed(points);
+});
+
+test('star alternates outer and inner radius, starting at the top', () => {
+  const points = starPoints(200, 200, 60);
+  assert.equal(points.length, 11);
+  points.forEach((point, i) => assertClose(distance(point, [200, 200]), i % 2 === 0 ? 60 : 30));
+  assertClose(points[0][0], 200);
+  assertClose(points[0][1], 140);
+  assertClosed(points);
+});
+
+test('heart is symmetric about its vertical axis', () => {
+  const points = heartPoints(300, 300, 20);
+  assert.equal(points.length, 36);
+  // The top cusp sits on the axis: y - scale * (13 - 5 - 2 - 1)
+  assertClose(points[0][0], 300);
+  assertClose(points[0][1], 295);
+  for (let i = 1; i < points.length; i++) {
+    const mirror = points[points.length - i];
+    assertClose(points[i][0] - 300, 300 - mirror[0]);
+    assertClose(points[i][1], mirror[1]);
+  }
+});
+
+test('triangle is equilateral and closed', () => {
+  const points = trianglePoints(0, 0, 30);
+  assert.equal(points.length, 4);
+  for (let i = 1; i < points.length; i++) assertClose(distance(points[i - 1], points[i]), 30);
+  assertClosed(points);
+});
+
+test('spiral starts at the centre and winds outwards', () => {
+  const points = spiralPoints(50, 50, 100);
+  assert.equal(points.length, 48);
+  assert.deepEqual(points[0], [50, 50]);
+  const radii = points.map(point => distance(point, [50, 50]));
+  for (let i = 1; i < radii.length; i++) assert.ok(radii[i] > radii[i - 1]);
+  assert.ok(radii.at(-1) < 100);
+});
+
+test('line is centred and as long as the size', () => {
+  assert.deepEqual(linePoints(10, 20, 8), [[6, 20], [14, 20]]);
+});
+
+test('shapePoints covers every shape and rejects unknown ones', () => {
+  for (const shape of SHAPES) {
+    assert.ok(shapePoints(shape, 100, 100, 30).length >= 2, shape);
+  }
+  assert.throws(() => shapePoints('hexagon', 0, 0, 1), /Unknown shape "hexagon"/);
+});
@@ -0,0 +1,125 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createArtistTools } from '../../lib/tools/index.js';
+import { shapePoints } from '../../lib/shapes.js';
+import { createWaits } from '../../lib/wait.js';
+import { mockDesktop, scriptedModel, actionsOf } from '../helpers.js';
+
+// Captures are written to the working directory
+const cwd = process.cwd();
+let workDir;
+
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artist-test-'));
+  process.chdir(workDir);
+});
+
+afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function setup({ model, scene } = {}) {
+  const desktop = mockDesktop({ screen: { width: 40, height: 30 }, ...scene });
+  const delays = [];
+  // A fake clock, so waits that never succeed time out at once
+  let clock = 0;
+  const waits = createWaits(desktop, { sleep: async ms => { clock += ms; }, now: () => clock });
+  const tools = createArtistTools({ desktop, model, waits, delay: async ms => { delays.push(ms); } });
+  return { desktop, tools, delays };
+}
+
+test('openPaint launches Paint and carries on once its window is visible', async () => {
+  const { desktop, tools, delays } = setup();
+  const result = await tools.openPaint.execute({});
+  assert.equal(result.success, true);
+  assert.deepEqual(result.app, { name: 'Untitled - Paint', role: 'Window' });
+  assert.deepEqual(delays, []);
+  assert.equal(actionsOf(desktop, 'openApplication')[0].app, 'mspaint');
+});
+
+test('openPaint fails when the Paint window never appears', async () => {
+  const { tools } = setup({ scene: { launchable: { mspaint: { role: 'Window', name: 'Untitled - Paint', visible: false } } } });
+  const result = await tools.openPaint.execute({});
+  assert.equal(result.success, false);
+  assert.match(result.error, /^Could not open Paint: Timed out after 15000ms waiting for "window:Paint" to be visible/);
+});
+
+test('setupBrush selects the brush tool', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('mspaint');
+
+  const result = await tools.setupBrush.execute({ size: 'large', color: 'red' });
+  assert.deepEqual(result.settings, { size: 'large', color: 'red' });
+  assert.equal(actionsOf(desktop, 'click')[0].target.name, 'Brush');
+});
+
+test('setupBrush still succeeds when no brush button is found', async () => {
+  const { tools } = setup();
+  assert.equal((await tools.setupBrush.execute({})).message, 'Brush configured: medium black brush ready!');
+});
+
+test('drawShape draws the shape geometry as one stroke on the canvas', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('mspaint');
+
+  const result = await tools.drawShape.execute({ shape: 'star', x: 400, y: 300, size: 80 });
+  assert.deepEqual(result.drawing, { shape: 'star', x: 400, y: 300, size: 80 });
+
+  const [stroke] = actionsOf(desktop, 'stroke');
+  assert.equal(stroke.target.name, 'Canvas');
+  assert.deepEqual(stroke.points, shapePoints('star', 400, 300, 80).map(([x, y]) => [Math.round(x), Math.round(y)]));
+});
+
+test('drawShape fails when Paint is not open', async () => {
+  const { tools } = setup();
+  const result = await tools.drawShape.execute({ shape: 'circle', x: 1, y: 1, size: 1 });
+  assert.equal(result.success, false);
+  assert.match(result.error, /^Drawing circle failed/);
+});
+
+test('drawOnCanvas drags from start to end', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('mspaint');
+
+  const result = await tools.drawOnCanvas.execute({ startX: 100, startY: 120, endX: 300, endY: 320, description: 'line' });
+  assert.equal(result.message, 'Drew line from (100,120) to (300,320)');
+  assert.deepEqual(actionsOf(desktop, 'stroke')[0].points, [[100, 120], [300, 320]]);
+});
+
+test('captureArtwork saves a timestamped PNG', async () => {
+  const { tools } = setup();
+  const { capture } = await tools.captureArtwork.execute({ purpose: 'check the star' });
+
+  assert.match(capture.filename, /^artwork_.*\.png$/);
+  assert.equal(capture.size, '40x30');
+  assert.equal(capture.purpose, 'check the star');
+  assert.ok(fs.existsSync(path.join(workDir, capture.filename)));
+});
+
+test('analyzeArtwork asks the vision model about the latest capture', async () => {
+  const model = scriptedModel({ text: 'A tidy five-pointed star.' });
+  const { tools } = setup({ model });
+  const { capture } = await tools.captureArtwork.execute({});
+
+  const result = await tools.analyzeArtwork.execute({ focus: 'is the star well formed?' });
+  assert.equal(result.success, true);
+  assert.equal(result.analysis, 'A tidy five-pointed star.');
+  assert.equal(result.file, capture.filename);
+  assert.equal(result.focus, 'is the star well formed?');
+  assert.equal(model.callCount, 1);
+});
+
+test('analyzeArtwork needs a model and a capture', async () => {
+  assert.equal((await setup().tools.analyzeArtwork.execute({})).error, 'No vision model configured for artwork analysis');
+
+  const { tools } = setup({ model: scriptedModel() });
+  assert.equal((await tools.analyzeArtwork.execute({})).error, 'No artwork captures found. Use captureArtwork first.');
+
+  const missing = await tools.analyzeArtwork.execute({ file: 'artwork_missing.png' });
+  assert.equal(missing.success, false);
+  assert.equal(missing.file, 'artwork_missing.png');
+});
@@ -0,0 +1,296 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createDesktopTools } from '../../lib/tools/index.js';
+import { createWaits } from '../../lib/wait.js';
+import { mockDesktop, policyFor, tempDir, actionsOf } from '../helpers.js';
+
+function setup(scene, policy) {
+  const desktop = mockDesktop(scene);
+  return { desktop, tools: createDesktopTools({ desktop, policy }) };
+}
+
+test('screenshot reports the size, saves the image and runs OCR on request', async (t) => {
+  const root = tempDir(t);
+  const { tools } = setup({ screen: { width: 32, height: 24 }, ocr: 'Hello world' }, policyFor(root));
+  const savePath = path.join(root, 'shot.png');
+
+  const plain = await tools.screenshot.execute({});
+  assert.deepEqual(plain, { success: true, message: 'Screenshot taken (32x24)', size: '32x24' });
+
+  const full = await tools.screenshot.execute({ withOCR: true, savePath });
+  assert.equal(full.savedTo, savePath);
+  assert.equal(full.ocrText, 'Hello world');
+  assert.equal(full.textLength, 11);
+  assert.match(full.message, /with 11 characters of text extracted/);
+  assert.ok(fs.statSync(savePath).size > 0);
+});
+
+test('screenshot fails cleanly when the image cannot be saved', async (t) => {
+  const root = tempDir(t);
+  const { tools } = setup(undefined, policyFor(root));
+  const result = await tools.screenshot.execute({ savePath: path.join(root, 'missing', 'shot.png') });
+  assert.equal(result.success, false);
+  assert.match(result.error, /^Screenshot failed: ENOENT/);
+});
+
+test('screenshot only saves inside the allowed directories', async (t) => {
+  const root = tempDir(t);
+  const outside = path.join(tempDir(t), 'shot.png');
+  const { desktop, tools } = setup(undefined, policyFor(root));
+
+  const result = await tools.screenshot.execute({ savePath: outside });
+  assert.equal(result.success, false);
+  assert.equal(result.policyViolation.rule, 'roots');
+  assert.equal(fs.existsSync(outside), false);
+  assert.deepEqual(actionsOf(desktop, 'captureScreen'), []);
+});
+
+test('clickElement performs each click type on the first match', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('calc');
+
+  for (const action of ['click', 'doubleClick', 'rightClick']) {
+    const result = await tools.clickElement.execute({ selector: 'name:Seven', action });
+    assert.equal(result.success, true, action);
+    assert.equal(result.message, `${action} performed on name:Seven`);
+  }
+
+  assert.deepEqual(desktop.actions.slice(-3).map(action => action.type), ['click', 'doubleClick', 'rightClick']);
+  assert.ok(desktop.actions.slice(-3).every(action => action.target.name === 'Seven'));
+});
+
+test('clickElement fails for a missing element', async () => {
+  const { tools } = setup();
+  const result = await tools.clickElement.execute({ selector: 'name:Seven' });
+  assert.equal(result.success, false);
+  assert.equal(result.selector, 'name:Seven');
+  assert.match(result.error, /^Click failed: No element found/);
+});
+
+test('clickElement reports a lookup that finds nothing without throwing as not found', async () => {
+  const { desktop, tools } = setup();
+  desktop.locator = () => ({ first: async () => null, locator() { return this; } });
+
+  const result = await tools.clickElement.execute({ selector: 'name:Seven' });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Click failed: No element found for selector "name:Seven"');
+});
+
+test('clickElement and findElements suggest similar elements when nothing matches', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('calc');
+
+  const click = await tools.clickElement.execute({ selector: 'name:7' });
+  assert.equal(click.success, false);
+  assert.equal(click.suggestions[0].selector, 'name:Seven');
+  assert.match(click.error, /Similar elements: name:Seven \(0\.95\)/);
+  assert.ok(!desktop.actions.some(action => action.type === 'click'));
+
+  const find = await tools.findElements.execute({ selector: 'name:Equal sign' });
+  assert.equal(find.success, true);
+  assert.equal(find.count, 0);
+  assert.equal(find.suggestions[0].selector, 'name:Equals');
+});
+
+test('with healing.retry the tools use the best candidate above the threshold', async () => {
+  const desktop = mockDesktop();
+  const tools = createDesktopTools({ desktop, healing: { retry: true, threshold: 0.85 } });
+  desktop.openApplication('calc');
+
+  const click = await tools.clickElement.execute({ selector: 'name:7' });
+  assert.equal(click.success, true);
+  assert.equal(click.message, 'click performed on name:Seven (name:7 found nothing)');
+  assert.deepEqual(click.healed, { from: 'name:7', to: 'name:Seven', score: 0.95 });
+  assert.equal(desktop.actions.at(-1).target.name, 'Seven');
+
+  const find = await tools.findElements.execute({ selector: 'automationid:CalculatorResult' });
+  assert.equal(find.count, 1);
+  assert.equal(find.selector, 'automationid:CalculatorResults');
+
+  const tooFar = await tools.clickElement.execute({ selector: 'name:Sevn' }); // 0.8, under the threshold
+  assert.equal(tooFar.success, false);
+});
+
+test('clickElement, findElements and textInput reject invalid selectors before acting', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('notepad');
+  const before = desktop.actions.length;
+
+  const click = await tools.clickElement.execute({ selector: 'role:Buton' });
+  assert.equal(click.success, false);
+  assert.equal(click.selector, 'role:Buton');
+  assert.match(click.error, /unknown role "Buton" \(did you mean "role:Button"\?\)/);
+  assert.match(click.error, /Selectors look like/);
+
+  const find = await tools.findElements.execute({ selector: 'nmae:Save' });
+  assert.match(find.error, /Unsupported selector type "nmae".*did you mean "name"/);
+
+  const typed = await tools.textInput.execute({ text: 'hi', selector: 'window:Notepad >> (role:Edit' });
+  assert.match(typed.error, /missing "\)"/);
+  assert.equal(desktop.actions.length, before);
+
+  const chained = await tools.textInput.execute({ text: 'hi', selector: 'window:notepad >> role:edit' });
+  assert.equal(chained.success, true);
+});
+
+test('findElements describes matches up to the limit', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('calc');
+
+  const result = await tools.findElements.execute({ selector: 'role:Button', limit: 3 });
+  assert.equal(result.success, true);
+  assert.equal(result.count, 17); // Start + 16 calculator keys
+  assert.equal(result.returned, 3);
+  assert.deepEqual(Object.keys(result.elements[0]), ['name', 'role', 'bounds', 'text', 'visible', 'enabled']);
+
+  const none = await tools.findElements.execute({ selector: 'role:Slider' });
+  assert.equal(none.count, 0);
+
+  const bad = await tools.findElements.execute({ selector: 'css:.button' });
+  assert.equal(bad.success, false);
+});
+
+test('uiChanges compares the tree against the last snapshot', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('notepad');
+
+  const early = await tools.uiChanges.execute({ action: 'compare' });
+  assert.equal(early.success, false);
+  assert.match(early.error, /No snapshot to compare with/);
+
+  const snapshot = await tools.uiChanges.execute({ action: 'snapshot', selector: 'window:Notepad' });
+  assert.equal(snapshot.success, true);
+  assert.match(snapshot.message, /^Snapshot of window:Notepad taken \(\d+ elements\)$/);
+
+  const nothing = await tools.uiChanges.execute({ action: 'compare' });
+  assert.equal(nothing.changed, false);
+  assert.equal(nothing.message, 'No changes in window:Notepad');
+
+  await tools.textInput.execute({ text: 'hi', selector: 'role:Edit' });
+  const typed = await tools.uiChanges.execute({ action: 'compare' });
+  assert.equal(typed.changed, true);
+  assert.equal(typed.counts.changed, 1);
+  assert.match(typed.details[0], /Edit "Text Editor": text null → "hi"/);
+});
+
+test('appControl launches, lists, focuses and activates applications', async () => {
+  const { desktop, tools } = setup();
+
+  const launched = await tools.appControl.execute({ action: 'launch', appName: 'notepad' });
+  assert.deepEqual(launched.app, { name: 'Untitled - Notepad', role: 'Window' });
+
+  const listed = await tools.appControl.execute({ action: 'list' });
+  assert.deepEqual(listed.applications.map(app => app.name), ['Taskbar', 'Untitled - Notepad']);
+
+  await desktop.locator('name:Start').click();
+  assert.equal((await tools.appControl.execute({ action: 'focus', appName: 'Notepad' })).message, 'Focused Notepad');
+  assert.equal((await tools.appControl.execute({ action: 'activate', appName: 'Notepad' })).message, 'Activated Notepad');
+  assert.equal(desktop.focusedElement().name(), 'Text Editor');
+});
+
+test('appControl reports missing names and applications that are not running', async () => {
+  const { tools } = setup();
+  assert.equal((await tools.appControl.execute({ action: 'launch' })).error, 'App name required for launch');
+  assert.equal((await tools.appControl.execute({ action: 'focus' })).error, 'App name required for focus/activate');
+
+  const result = await tools.appControl.execute({ action: 'activate', appName: 'Word' });
+  assert.equal(result.success, false);
+  assert.match(result.error, /App control failed: .*not running/);
+  assert.equal((await tools.appControl.execute({ action: 'minimize' })).error, 'Invalid action "minimize"');
+});
+
+test('a launch waits for the application window to become visible', async () => {
+  const desktop = mockDesktop({ launchable: { slow: { role: 'Window', name: 'Slow App', visible: false } } });
+  const tools = createDesktopTools({ desktop, waits: createWaits(desktop, { timeout: 0 }) });
+
+  const result = await tools.openApp.execute({ appName: 'slow' });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Could not open slow: Timed out after 0ms waiting for slow to open');
+});
+
+test('an interrupted turn stops pending lookups and waits', async () => {
+  const desktop = mockDesktop({ launchable: { slow: { role: 'Window', name: 'Slow App', visible: false } } });
+  const tools = createDesktopTools({ desktop });
+  // A lookup that never comes back, like a slow UI Automation query
+  desktop.locator = () => ({ first: () => new Promise(() => {}), locator() { return this; } });
+
+  const controller = new AbortController();
+  const click = tools.clickElement.execute({ selector: 'name:Seven' }, { abortSignal: controller.signal });
+  const launch = tools.openApp.execute({ appName: 'slow' }, { abortSignal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+
+  const [clicked, launched] = await Promise.all([click, launch]);
+  assert.equal(clicked.error, 'Click failed: Stopped looking for name:Seven');
+  assert.equal(launched.error, 'Could not open slow: Stopped waiting for slow to open');
+  assert.deepEqual(actionsOf(desktop, 'click'), []);
+});
+
+test('openApp launches an application', async () => {
+  const { desktop, tools } = setup();
+  const result = await tools.openApp.execute({ appName: 'calc' });
+  assert.equal(result.success, true);
+  assert.equal(result.app.name, 'Calculator');
+  assert.equal(actionsOf(desktop, 'openApplication')[0].app, 'calc');
+});
+
+test('ocrTool reads the screen or an image file', async () => {
+  const { desktop, tools } = setup({ ocr: 'one two  three' });
+
+  const screen = await tools.ocrTool.execute({});
+  assert.equal(screen.source, 'screenshot');
+  assert.equal(screen.wordCount, 3);
+  assert.equal(screen.fullText, 'one two  three');
+
+  const file = await tools.ocrTool.execute({ imagePath: 'receipt.png' });
+  assert.equal(file.source, 'receipt.png');
+  assert.deepEqual(actionsOf(desktop, 'ocr').map(action => action.source), ['screenshot', 'receipt.png']);
+});
+
+test('ocrTool truncates long text in `text` but keeps it in `fullText`', async () => {
+  const { tools } = setup({ ocr: 'x'.repeat(1500) });
+  const result = await tools.ocrTool.execute({});
+  assert.equal(result.text.length, 1003);
+  assert.equal(result.fullText.length, 1500);
+});
+
+test('textInput types into the focused element or a selected one', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('notepad');
+
+  const focused = await tools.textInput.execute({ text: 'Hello' });
+  assert.equal(focused.target, 'focused element');
+  assert.equal(focused.method, 'keyboard');
+
+  const selected = await tools.textInput.execute({ text: ' world', selector: 'role:Edit', useClipboard: true });
+  assert.equal(selected.target, 'role:Edit');
+  assert.equal(selected.method, 'clipboard');
+
+  assert.equal((await desktop.locator('role:Edit').attributes()).value, 'Hello world');
+  assert.equal((await tools.textInput.execute({ text: 'x', selector: 'name:Nope' })).success, false);
+});
+
+test('typeText types into the focused element', async () => {
+  const { desktop, tools } = setup();
+  desktop.openApplication('notepad');
+
+  const result = await tools.typeText.execute({ text: 'a'.repeat(60) });
+  assert.equal(result.message, `Typed "${'a'.repeat(50)}..."`);
+  assert.equal(actionsOf(desktop, 'typeText')[0].target.name, 'Text Editor');
+});
+
+test('webTool opens URLs and reports the current browser', async () => {
+  const { tools } = setup();
+
+  const missing = await tools.webTool.execute({ action: 'getCurrentBrowser' });
+  assert.equal(missing.success, false);
+  assert.equal((await tools.webTool.execute({ action: 'open' })).error, 'URL required for open action');
+
+  const opened = await tools.webTool.execute({ action: 'open', url: 'https://example.com' });
+  assert.deepEqual(opened, { success: true, message: 'URL opened in browser', action: 'open', url: 'https://example.com', browser: 'default' });
+
+  const current = await tools.webTool.execute({ action: 'getCurrentBrowser' });
+  assert.equal(current.browser.name, 'https://example.com - Browser');
+  assert.equal(current.browser.text, 'https://example.com');
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createSystemTools } from '../../lib/tools/index.js';
+import { MathSession } from '../../lib/math.js';
+import { mockDesktop, policyFor, tempDir, actionsOf } from '../helpers.js';
+
+function setup(t, { policy, scene } = {}) {
+  const root = tempDir(t);
+  const desktop = mockDesktop(scene);
+  const output = [];
+  const tools = createSystemTools({
+    desktop,
+    policy: policy ?? policyFor(root),
+    mathSession: new MathSession(),
+    onOutput: (stream, text) => output.push([stream, text])
+  });
+  return { root, desktop, tools, output };
+}
+
+test('calculator evaluates exactly and keeps variables between calls', async (t) => {
+  const { tools } = setup(t);
+
+  const sum = await tools.calculator.execute({ expression: '0.1 + 0.2' });
+  assert.equal(sum.success, true);
+  assert.equal(sum.result, '0.3');
+  assert.equal(sum.method, 'programmatic');
+
+  await tools.calculator.execute({ expression: 'x = 6 * 7' });
+  assert.equal((await tools.calculator.execute({ expression: 'x + 1' })).result, '43');
+
+  const converted = await tools.calculator.execute({ expression: '5 km to m' });
+  assert.equal(converted.unit, 'm');
+});
+
+test('calculator shows trigonometric zeros as 0, not rounding noise', async (t) => {
+  const { tools } = setup(t);
+
+  for (const expression of ['sin(pi)', 'cos(pi/2)', 'tan(2 * pi)']) {
+    assert.equal((await tools.calculator.execute({ expression })).result, '0', expression);
+  }
+  assert.equal((await tools.calculator.execute({ expression: 'sin(pi/6)' })).result, '0.5');
+  assert.equal((await tools.calculator.execute({ expression: '1e-40' })).result, '1e-40');
+});
+
+test('calculator reports where an expression is wrong', async (t) => {
+  const { tools } = setup(t);
+  const result = await tools.calculator.execute({ expression: '2 * (3 + ' });
+  assert.equal(result.success, false);
+  assert.equal(result.expression, '2 * (3 + ');
+  assert.equal(typeof result.position, 'number');
+  assert.match(result.pointer, /\^/);
+});
+
+test('calculator can launch the Calculator app alongside the result', async (t) => {
+  const { desktop, tools } = setup(t);
+  const result = await tools.calculator.execute({ expression: '7 + 3', useApp: true });
+  assert.equal(result.result, '10');
+  assert.equal(result.method, 'app + programmatic');
+  assert.deepEqual(result.app, { name: 'Calculator', role: 'Window' });
+  assert.equal(actionsOf(desktop, 'openApplication').length, 1);
+});
+
+test('calculate shares the math engine', async (t) => {
+  const { tools } = setup(t);
+  assert.deepEqual(await tools.calculate.execute({ expression: '2 ^ 10' }), {
+    success: true,
+    message: '2 ^ 10 = 1024',
+    result: '1024',
+    expression: '2 ^ 10'
+  });
+  assert.equal((await tools.calculate.execute({ expression: 'constructor' })).success, false);
+});
+
+test('fileManager writes, reads and lists inside the allowed root', async (t) => {
+  const { root, tools } = setup(t);
+  const filepath = path.join(root, 'notes.txt');
+
+  assert.equal((await tools.fileManager.execute({ action: 'write', filepath, content: 'hello' })).success, true);
+  assert.equal((await tools.fileManager.execute({ action: 'read', filepath })).content, 'hello');
+
+  const listed = await tools.fileManager.execute({ action: 'list', directory: root });
+  assert.deepEqual(listed.files.sort(), ['agent-policy.json', 'notes.txt']);
+});
+
+test('fileManager opens files with the desktop', async (t) => {
+  const { root, desktop, tools } = setup(t);
+  const filepath = path.join(root, 'report.pdf');
+  const result = await tools.fileManager.execute({ action: 'open', filepath });
+  assert.equal(result.success, true);
+  assert.deepEqual(actionsOf(desktop, 'openFile'), [{ type: 'openFile', path: filepath }]);
+});
+
+test('fileManager enforces the policy and required arguments', async (t) => {
+  const { root, tools } = setup(t);
+
+  const outside = await tools.fileManager.execute({ action: 'read', filepath: path.join(path.dirname(root), 'elsewhere.txt') });
+  assert.equal(outside.success, false);
+  assert.equal(outside.policyViolation.rule, 'roots');
+
+  assert.equal((await tools.fileManager.execute({ action: 'read' })).error, 'Filepath required for read action');
+  assert.equal((await tools.fileManager.execute({ action: 'write', filepath: path.join(root, 'a.txt') })).error,
+    'Filepath and content required for write action');
+
+  const missing = await tools.fileManager.execute({ action: 'read', filepath: path.join(root, 'missing.txt') });
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /ENOENT/);
+});
+
+test('fileManager refuses writes over the size limit', async (t) => {
+  const root = tempDir(t);
+  const { tools } = setup(t, { policy: policyFor(root, { files: { roots: ['.'], maxWriteBytes: 4 } }) });
+  const result = await tools.fileManager.execute({ action: 'write', filepath: path.join(root, 'big.txt'), content: 'too big' });
+  assert.equal(result.policyViolation.rule, 'maxWriteBytes');
+  assert.equal(fs.existsSync(path.join(root, 'big.txt')), false);
+});
+
+test('commandRunner runs the command for this platform on the mock desktop and streams output', async (t) => {
+  const { desktop, tools, output } = setup(t, { scene: { commands: { build: { stdout: 'hi\n', stderr: 'warn\n' } } } });
+
+  const result = await tools.commandRunner.execute({ windowsCommand: 'build', unixCommand: 'build' });
+  assert.equal(result.success, true);
+  assert.equal(result.exitCode, 0);
+  assert.equal(result.stdout.trim(), 'hi');
+  assert.equal(result.stderr.trim(), 'warn');
+  assert.deepEqual(output, [['stdout', 'hi\n'], ['stderr', 'warn\n']]);
+  // Answered by the mock, not spawned
+  assert.deepEqual(actionsOf(desktop, 'runCommand'), [{ type: 'runCommand', command: 'build' }]);
+});
+
+test('commandRunner checks both commands against the policy', async (t) => {
+  const { tools } = setup(t);
+  const result = await tools.commandRunner.execute({ windowsCommand: 'shutdown /s', unixCommand: 'echo fine' });
+  assert.equal(result.success, false);
+  assert.equal(result.command, 'shutdown /s');
+  assert.equal(result.policyViolation.rule, 'blockedBinaries');
+
+  const key = process.platform === 'win32' ? 'unixCommand' : 'windowsCommand';
+  const missing = await tools.commandRunner.execute({ [key]: 'echo hi' });
+  assert.match(missing.error, /No (windowsCommand|unixCommand) given for this platform/);
+});
+
+test('commandRunner reports commands that run past the timeout', async (t) => {
+  const { tools } = setup(t, { scene: { commands: { serve: { hang: true } } } });
+
+  const result = await tools.commandRunner.execute({ windowsCommand: 'serve', unixCommand: 'serve', timeout: 100 });
+  assert.equal(result.success, false);
+  assert.equal(result.timedOut, true);
+  assert.equal(result.error, 'Command timed out after 100ms and was killed');
+});
+
+test('runCommand runs a command and can be cancelled', async (t) => {
+  const { tools } = setup(t, { scene: { commands: { serve: { hang: true } } } });
+
+  const done = await tools.runCommand.execute({ command: 'echo ok' });
+  assert.equal(done.stdout, 'ok\n');
+  assert.equal(done.message, 'Command executed with exit code 0');
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  const cancelled = await tools.runCommand.execute({ command: 'serve' }, { abortSignal: controller.signal });
+  assert.equal(cancelled.success, false);
+  assert.equal(cancelled.error, 'Command was cancelled and killed');
+
+  const blocked = await tools.runCommand.execute({ command: 'reboot' });
+  assert.equal(blocked.policyViolation.rule, 'blockedBinaries');
+});
+
+test('the command tools run through an injected shell', async (t) => {
+  const calls = [];
+  const tools = createSystemTools({
+    desktop: mockDesktop(),
+    policy: policyFor(tempDir(t)),
+    mathSession: new MathSession(),
+    shell: async (command, options) => {
+      calls.push([command, options.timeout]);
+      return { exitCode: 3, signal: null, stdout: '', stderr: '', durationMs: 1, timedOut: false, aborted: false, truncated: false };
+    }
+  });
+
+  const result = await tools.runCommand.execute({ command: 'make test' });
+  assert.equal(result.exitCode, 3);
+  assert.deepEqual(calls, [['make test', 30000]]);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTreeBrowser, liveRoot, snapshotRoot } from '../lib/tree-browser.js';
+import { exploreRoot, exploreTree } from '../lib/explore.js';
+import { mockDesktop, actionsOf } from './helpers.js';
+
+const scene = {
+  applications: [{
+    role: 'Window',
+    name: 'Settings',
+    bounds: { x: 10, y: 20, width: 400, height: 300 },
+    children: [
+      { role: 'Button', name: 'Save', automationId: 'SaveButton', bounds: { x: 20, y: 260, width: 80, height: 30 } },
+      {
+        role: 'Group',
+        name: 'Account',
+        children: [{ role: 'Edit', name: 'Username', value: 'ada' }]
+      }
+    ]
+  }],
+  focus: 'name:Save'
+};
+
+const keys = async (browser, ...names) => {
+  for (const name of names) await browser.press(name.length === 1 ? { name, sequence: name } : { name });
+};
+
+const typeLine = async (browser, text) => {
+  for (const char of text) await browser.press({ sequence: char });
+  await browser.press({ name: 'return' });
+};
+
+async function live(options) {
+  const desktop = mockDesktop(scene);
+  const root = liveRoot(await exploreRoot(desktop, 'window:Settings'));
+  return { desktop, browser: createTreeBrowser({ root, ...options }) };
+}
+
+test('arrow keys expand, move through and collapse the live tree', async () => {
+  const { browser } = await live();
+
+  await keys(browser, 'right', 'down', 'down');
+  assert.equal(browser.state.cursor.selector, 'window:Settings >> name:Account');
+
+  await keys(browser, 'right', 'right');
+  assert.equal(browser.state.cursor.name, 'Username');
+  assert.equal(browser.render().split('\n').slice(0, 4).join('\n'), [
+    '  ▾ Window "Settings"',
+    '    ▸ Button "Save" #SaveButton',
+    '    ▾ Group "Account"',
+    '›     ▸ Edit "Username"'
+  ].join('\n'));
+  assert.match(browser.render(), /Selector: window:Settings >> name:Account >> name:Username/);
+  assert.match(browser.render(), /Text: "ada"/);
+
+  await keys(browser, 'left', 'left');
+  assert.equal(browser.state.cursor.name, 'Account');
+  assert.equal(browser.state.cursor.expanded, false);
+  assert.equal(await browser.press({ name: 'q', sequence: 'q' }), 'quit');
+});
+
+test('search finds elements by name or role, including unexpanded ones', async () => {
+  const { browser } = await live();
+
+  await keys(browser, '/');
+  await typeLine(browser, 'edit');
+  assert.equal(browser.state.cursor.name, 'Username');
+  assert.equal(browser.state.cursor.parent.expanded, true);
+  assert.match(browser.render(), /Match 1 of 1$/);
+
+  await keys(browser, '/');
+  await typeLine(browser, 'nothing here');
+  assert.match(browser.state.message, /No element matches "nothing here"/);
+});
+
+test('copy, click, type and highlight act on the selected element', async () => {
+  const copied = [];
+  const { desktop, browser } = await live({ copy: text => copied.push(text) });
+
+  await keys(browser, 'right', 'down', 'c', 'k', 'h');
+  assert.deepEqual(copied, ['window:Settings >> automationid:SaveButton']);
+  assert.equal(actionsOf(desktop, 'click')[0].target.name, 'Save');
+  assert.deepEqual(actionsOf(desktop, 'highlight').map(action => [action.target.name, action.durationMs]), [['Save', 2000]]);
+  assert.match(browser.state.message, /Highlighted window:Settings >> automationid:SaveButton/);
+
+  await keys(browser, 'down', 'right', 'down', 't');
+  await typeLine(browser, '!');
+  assert.deepEqual(actionsOf(desktop, 'typeText').map(action => action.text), ['!']);
+  await keys(browser, 'r');
+  assert.match(browser.render(), /Text: "ada!"/);
+});
+
+test('a snapshot can be browsed but not acted on', async () => {
+  const snapshot = await exploreTree(mockDesktop(scene), { target: 'window:Settings', maxDepth: 1 });
+  const browser = createTreeBrowser({ root: snapshotRoot(snapshot) });
+
+  await keys(browser, 'right', 'down', 'down', 'right');
+  assert.equal(browser.state.message, 'The snapshot does not go deeper here');
+  await keys(browser, 'k');
+  assert.equal(browser.state.message, 'Cannot click a snapshot: browse the live desktop for that');
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots, formatDiff, summarizeDiff } from '../lib/tree-diff.js';
+import { exploreTree } from '../lib/explore.js';
+import { mockDesktop } from './helpers.js';
+
+const node = (role, name, extra = {}) => ({
+  role,
+  name,
+  automationId: null,
+  bounds: { x: 0, y: 0, width: 10, height: 10 },
+  text: null,
+  enabled: true,
+  visible: true,
+  suggestedSelector: `name:${name}`,
+  ...extra
+});
+
+const before = {
+  tree: node('Window', 'Settings', {
+    suggestedSelector: 'window:Settings',
+    children: [
+      node('Button', 'Save', { automationId: 'SaveButton', suggestedSelector: 'automationid:SaveButton' }),
+      node('Button', 'Delete'),
+      node('Group', 'Account', { children: [node('Edit', 'Username'), node('Text', 'Hint')] }),
+      node('Group', 'Advanced')
+    ]
+  })
+};
+
+const after = {
+  tree: node('Window', 'Settings', {
+    suggestedSelector: 'window:Settings',
+    children: [
+      node('Button', 'Saved', { automationId: 'SaveButton', enabled: false, suggestedSelector: 'automationid:SaveButton' }),
+      node('Button', 'Remove'),
+      node('Group', 'Account', { children: [node('Edit', 'Username', { text: 'ada' })] }),
+      node('Group', 'Advanced', { children: [node('Text', 'Hint')] }),
+      node('Button', 'Undo')
+    ]
+  })
+};
+
+test('diffSnapshots lists added, removed, moved, renamed and changed elements', () => {
+  const diff = diffSnapshots(before, after);
+
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.counts, { added: 1, removed: 0, moved: 1, renamed: 2, changed: 2 });
+  assert.deepEqual(diff.added, [{ path: 'Window "Settings" > Button "Undo"', selector: 'window:Settings >> name:Undo', role: 'Button', name: 'Undo' }]);
+  assert.deepEqual(diff.renamed.map(({ path, from, to }) => [path, from, to]), [
+    ['Window "Settings" > Button "Remove"', 'Delete', 'Remove'],
+    ['Window "Settings" > Button "Saved"', 'Save', 'Saved'] // matched by automation id
+  ]);
+  assert.deepEqual(diff.moved.map(({ name, from, to }) => [name, from, to]), [['Hint', 'Window "Settings" > Group "Account"', 'Window "Settings" > Group "Advanced"']]);
+  assert.deepEqual(diff.changed.map(({ name, changes }) => [name, changes]), [
+    ['Saved', { enabled: { from: true, to: false } }],
+    ['Username', { text: { from: null, to: 'ada' } }]
+  ]);
+
+  const removed = diffSnapshots(after, before);
+  assert.deepEqual(removed.removed.map(entry => entry.name), ['Undo']);
+});
+
+test('summaries and the text form of a diff', () => {
+  assert.equal(summarizeDiff(diffSnapshots(before, before)), 'No changes');
+  assert.equal(formatDiff(diffSnapshots(before, after)), [
+    '6 changes: 1 added, 1 moved, 2 renamed, 2 changed',
+    '+ Window "Settings" > Button "Undo"  (window:Settings >> name:Undo)',
+    '✎ Window "Settings" > Button "Remove": renamed from "Delete"',
+    '✎ Window "Settings" > Button "Saved": renamed from "Save"',
+    '↪ Window "Settings" > Group "Advanced" > Text "Hint": moved from Window "Settings" > Group "Account"',
+    '~ Window "Settings" > Button "Saved": enabled true → false',
+    '~ Window "Settings" > Group "Account" > Edit "Username": text null → "ada"'
+  ].join('\n'));
+});
+
+test('a window title change is a rename of the root', () => {
+  const retitled = { tree: { ...before.tree, name: '*Settings' } };
+  const diff = diffSnapshots(before, retitled);
+  assert.deepEqual(diff.counts, { added: 0, removed: 0, moved: 0, renamed: 1, changed: 0 });
+});
+
+test('snapshots of the mock desktop show what a click changed', async () => {
+  const desktop = mockDesktop();
+  desktop.openApplication('notepad');
+  const snapshot = () => exploreTree(desktop, { target: 'window:Notepad' });
+
+  const first = await snapshot();
+  assert.equal(diffSnapshots(first, await snapshot()).identical, true);
+
+  (await desktop.locator('role:Edit').first()).typeText('hello');
+  const diff = diffSnapshots(first, await snapshot());
+  assert.deepEqual(diff.changed.map(({ role, changes }) => [role, changes.text]), [['Edit', { from: null, to: 'hello' }]]);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAgentLoop } from '../lib/agent-loop.js';
+import { captureUiContext, withUiContext, resolveUiContext, updateUiContext, summarizeUiContext, UI_CONTEXT_DEFAULTS } from '../lib/ui-context.js';
+import { mockDesktop, scriptedModel } from './helpers.js';
+
+const scene = {
+  applications: [{
+    role: 'Window',
+    name: 'Settings',
+    children: [
+      { role: 'Text', name: 'Account settings' },
+      { role: 'Button', name: 'Save', automationId: 'SaveButton' },
+      { role: 'Button', name: 'Delete', enabled: false },
+      { role: 'Button', name: 'Hidden', visible: false },
+      { role: 'Group', name: 'Account', children: [{ role: 'Edit', name: 'Username' }, { role: 'Hyperlink', name: 'Help' }] }
+    ]
+  }],
+  focus: 'name:Username'
+};
+
+test('captureUiContext lists the focused window, element and visible interactive elements', async () => {
+  const context = await captureUiContext(mockDesktop(scene));
+
+  assert.deepEqual(context.window, { name: 'Settings', selector: 'window:Settings' });
+  assert.equal(context.focused.selector, 'name:Username');
+  assert.deepEqual(context.elements.map(element => element.selector), ['automationid:SaveButton', 'name:Delete', 'name:Username', 'name:Help']);
+  assert.equal(context.elements[1].enabled, false);
+  assert.match(context.text, /^Window: "Settings" → window:Settings$/m);
+  assert.match(context.text, /^Focused: Edit "Username" → name:Username$/m);
+  assert.match(context.text, /^- Button "Delete" → name:Delete \(disabled\)$/m);
+  assert.doesNotMatch(context.text, /Hidden|Account settings/);
+});
+
+test('captureUiContext drops elements that do not fit the token budget', async () => {
+  const desktop = mockDesktop();
+  desktop.openApplication('calc');
+
+  const full = await captureUiContext(desktop);
+  assert.equal(full.elements.length, 16);
+
+  const small = await captureUiContext(desktop, { tokenBudget: 80 });
+  assert.ok(small.tokens <= 80);
+  assert.ok(small.elements.length > 0 && small.elements.length < 16);
+  assert.equal(small.total, 16);
+  assert.match(small.text, new RegExp(`Interactive elements \\(${small.elements.length} of 16\\)`));
+  assert.equal(summarizeUiContext(small), `Calculator, ${small.elements.length} of 16 elements, ≈${small.tokens} tokens`);
+});
+
+test('the context goes into the system message of the request', async () => {
+  const desktop = mockDesktop();
+  desktop.openApplication('calc');
+  const context = await captureUiContext(desktop);
+  const messages = [{ role: 'system', content: 'You are helpful.' }, { role: 'user', content: 'Press seven' }];
+
+  const model = scriptedModel({ expect: { system: 'Button "Seven" → name:Seven' }, text: 'Done.' });
+  await runAgentLoop({ model, messages: withUiContext(messages, context), tools: {} });
+  model.assertDone();
+
+  assert.equal(messages[0].content, 'You are helpful.');
+  assert.equal(withUiContext(messages, null), messages);
+  assert.equal(withUiContext(messages.slice(1), context)[0].content, context.text);
+});
+
+test('resolveUiContext reads AGENT_UI_CONTEXT', () => {
+  assert.deepEqual(resolveUiContext(undefined), { enabled: true, tokenBudget: UI_CONTEXT_DEFAULTS.tokenBudget });
+  assert.deepEqual(resolveUiContext('1'), { enabled: true, tokenBudget: UI_CONTEXT_DEFAULTS.tokenBudget });
+  assert.deepEqual(resolveUiContext('250'), { enabled: true, tokenBudget: 250 });
+  assert.equal(resolveUiContext('0').enabled, false);
+  assert.equal(resolveUiContext('off').enabled, false);
+});
+
+test('updateUiContext applies a context command argument like AGENT_UI_CONTEXT', () => {
+  const settings = resolveUiContext('0');
+
+  assert.equal(updateUiContext(settings, '600'), true);
+  assert.deepEqual(settings, { enabled: true, tokenBudget: 600 });
+  assert.equal(updateUiContext(settings, 'off'), true);
+  assert.deepEqual(settings, { enabled: false, tokenBudget: 600 });
+  assert.equal(updateUiContext(settings, 'on'), true);
+  assert.equal(settings.enabled, true);
+  assert.equal(updateUiContext(settings, '0'), true);
+  assert.deepEqual(settings, { enabled: false, tokenBudget: 600 });
+
+  for (const arg of ['please', '-5', '1.5', undefined]) assert.equal(updateUiContext(settings, arg), false, arg);
+  assert.deepEqual(settings, { enabled: false, tokenBudget: 600 });
+});
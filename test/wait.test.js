@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWaits, waitFor, WaitTimeoutError } from '../lib/wait.js';
+import { mockDesktop } from './helpers.js';
+
+function fakeClock() {
+  const clock = { time: 0, pauses: [] };
+  clock.sleep = async (ms) => {
+    clock.pauses.push(ms);
+    clock.time += ms;
+  };
+  clock.now = () => clock.time;
+  return clock;
+}
+
+test('waitFor polls with backoff until the check returns a value', async () => {
+  const clock = fakeClock();
+  let attempts = 0;
+  const value = await waitFor(() => ++attempts === 5 && 'ready', { ...clock, interval: 100, backoff: 2, maxInterval: 500 });
+
+  assert.equal(value, 'ready');
+  assert.deepEqual(clock.pauses, [100, 200, 400, 500]);
+});
+
+test('waitFor times out with the last error and stops on abort', async () => {
+  const clock = fakeClock();
+  await assert.rejects(
+    waitFor(() => { throw new Error('No element found'); }, { ...clock, timeout: 1000, interval: 300, backoff: 1, description: 'the button' }),
+    (error) => {
+      assert.ok(error instanceof WaitTimeoutError);
+      assert.equal(error.message, 'Timed out after 1000ms waiting for the button (last error: No element found)');
+      assert.equal(error.attempts, 5);
+      return true;
+    }
+  );
+  // The last pause is cut short at the deadline
+  assert.deepEqual(clock.pauses, [300, 300, 300, 100]);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(waitFor(() => false, { signal: controller.signal, description: 'Godot' }), /Stopped waiting for Godot/);
+
+  // An abort cuts a pending check or pause short
+  for (const check of [() => new Promise(() => {}), () => false]) {
+    const pending = new AbortController();
+    setTimeout(() => pending.abort(), 10);
+    await assert.rejects(waitFor(check, { signal: pending.signal, interval: 60000, description: 'Godot' }), /Stopped waiting for Godot/);
+  }
+});
+
+test('desktop waits resolve to the element, window or text they waited for', async () => {
+  const desktop = mockDesktop({
+    applications: [{
+      role: 'Window',
+      name: 'Installer',
+      children: [
+        { role: 'Button', name: 'Next' },
+        { role: 'Button', name: 'Finish', enabled: false },
+        { role: 'Text', name: 'Progress', text: '100%' },
+        { role: 'Text', name: 'Spinner', visible: false }
+      ]
+    }],
+    ocr: 'Setup complete'
+  });
+  const clock = fakeClock();
+  const waits = createWaits(desktop, clock);
+
+  assert.equal((await waits.visible('window:Installer >> name:Next')).name(), 'Next');
+  assert.equal((await waits.windowTitle(/^install/i)).name(), 'Installer');
+  assert.equal(await waits.ocrText('setup COMPLETE'), 'Setup complete');
+  assert.equal(await waits.gone('name:Spinner'), true);
+  assert.equal(await waits.textStable('name:Progress', { stableFor: 300 }), '100%');
+  assert.ok(clock.time >= 300);
+
+  await assert.rejects(waits.enabled('name:Finish', { timeout: 500 }), /waiting for "name:Finish" to be enabled$/);
+  await assert.rejects(waits.gone('name:Next', { timeout: 500 }), /waiting for "name:Next" to go away$/);
+});
+
+test('textStable waits until the text stops changing', async () => {
+  const desktop = mockDesktop({ applications: [{ role: 'Window', name: 'Loader', children: [{ role: 'Edit', name: 'Status', value: '' }] }] });
+  const clock = fakeClock();
+  const status = desktop.locator('name:Status');
+  const updates = ['Loading', '...', ' done'];
+
+  const waits = createWaits(desktop, {
+    ...clock,
+    interval: 100,
+    backoff: 1,
+    // The status changes on the first few polls, then settles
+    sleep: async (ms) => {
+      await clock.sleep(ms);
+      const next = updates.shift();
+      if (next) await status.typeText(next);
+    }
+  });
+
+  assert.equal(await waits.textStable('name:Status', { stableFor: 250 }), 'Loading... done');
+  assert.equal(clock.time, 600);
+});
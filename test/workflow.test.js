@@ -0,0 +1,275 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  interpolate,
+  loadWorkflow,
+  parseVars,
+  parseWorkflow,
+  runWorkflow,
+  workflowReport,
+  WorkflowError
+} from '../lib/workflow.js';
+import { createFailureCapture } from '../lib/report.js';
+import { createWaits } from '../lib/wait.js';
+import { mockDesktop, policyFor, tempDir, actionsOf } from './helpers.js';
+
+const noDelay = async () => {};
+
+// Waits run on a fake clock: a condition that never holds times out at once
+function fakeClockWaits(desktop) {
+  let clock = 0;
+  return createWaits(desktop, { sleep: async ms => { clock += ms; }, now: () => clock });
+}
+
+async function run(document, { desktop = mockDesktop(), workflow = parseWorkflow(document), ...options } = {}) {
+  const events = [];
+  const outcome = await runWorkflow({
+    workflow,
+    desktop,
+    delay: noDelay,
+    waits: fakeClockWaits(desktop),
+    onEvent: event => events.push(event),
+    ...options
+  });
+  return { outcome, events, desktop };
+}
+
+test('steps take their main argument as the value and other fields beside it', () => {
+  const { steps } = parseWorkflow({
+    steps: [
+      { openApplication: 'calc' },
+      { click: { target: 'name:Seven', action: 'doubleClick' } },
+      { text: ['window:Calculator', 'automationid:CalculatorResults'], into: 'result' },
+      { if: { equals: ['${result}', '7'] }, then: [{ log: 'seven' }], else: [{ log: 'other' }] },
+      { forEach: ['a', 'b'], steps: [{ typeText: '${item}' }] }
+    ]
+  });
+
+  assert.deepEqual(steps[0], { type: 'openApplication', id: '1', app: 'calc' });
+  assert.deepEqual(steps[1], { type: 'click', id: '2', target: 'name:Seven', action: 'doubleClick' });
+  assert.deepEqual(steps[2].target, ['window:Calculator', 'automationid:CalculatorResults']);
+  assert.deepEqual([steps[3].then[0].id, steps[3].else[0].id], ['4.1', '4.2']);
+  assert.deepEqual([steps[4].as, steps[4].steps[0].id], ['item', '5.1']);
+});
+
+test('an invalid workflow lists every problem with its step', () => {
+  assert.throws(() => parseWorkflow({
+    steps: [
+      { clik: 'name:Seven' },
+      { click: 'name:Seven', typeText: 'x' },
+      { text: 'name:Display' },
+      { runCommand: {} },
+      { repeat: 2, steps: [{ wait: -1 }] }
+    ],
+    extra: true
+  }), (error) => {
+    assert.ok(error instanceof WorkflowError);
+    assert.deepEqual(error.problems, ['Unknown field "extra" (expected name, description, vars, steps)']);
+    return true;
+  });
+
+  assert.throws(() => parseWorkflow({
+    steps: [
+      { clik: 'name:Seven' },
+      { click: 'name:Seven', typeText: 'x' },
+      { text: 'name:Display' },
+      { runCommand: {} },
+      { repeat: 2, steps: [{ wait: -1 }] }
+    ]
+  }), (error) => {
+    assert.match(error.problems[0], /^Step 1: no step type \(expected one of openApplication, wait/);
+    assert.equal(error.problems[1], 'Step 2: more than one step type (click, typeText)');
+    assert.equal(error.problems[2], 'Step 3 (text): into: Required');
+    assert.equal(error.problems[3], 'Step 4 (runCommand): needs a command (or windows/unix commands)');
+    assert.match(error.problems[4], /^Step 5\.1 \(wait\): ms: /);
+    return true;
+  });
+
+  assert.throws(() => parseWorkflow({ steps: [] }), /"steps" must be a non-empty list/);
+});
+
+test('YAML and JSON workflow files load the same way', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'flow.yaml'), 'name: Flow\nsteps:\n  - openApplication: calc\n  - click: name:Seven\n');
+  fs.writeFileSync(path.join(dir, 'flow.json'), JSON.stringify({ name: 'Flow', steps: [{ openApplication: 'calc' }, { click: 'name:Seven' }] }));
+  assert.deepEqual(loadWorkflow(path.join(dir, 'flow.yaml')), loadWorkflow(path.join(dir, 'flow.json')));
+
+  fs.writeFileSync(path.join(dir, 'broken.yaml'), 'steps: [');
+  assert.throws(() => loadWorkflow(path.join(dir, 'broken.yaml')), /^WorkflowError: Could not parse/);
+});
+
+test('variables are substituted in strings, keeping the type of a whole ${name}', () => {
+  const vars = { a: 'Seven', n: 3, list: ['x', 'y'], output: { stdout: 'ok' } };
+  assert.equal(interpolate('name:${a}', vars), 'name:Seven');
+  assert.equal(interpolate('${n}', vars), 3);
+  assert.deepEqual(interpolate({ items: '${list}', at: '${output.stdout}!' }, vars), { items: ['x', 'y'], at: 'ok!' });
+  assert.throws(() => interpolate('${missing}', vars), /Unknown variable "missing"/);
+  assert.deepEqual(parseVars(['a=1', 'b=x=y']), { a: '1', b: 'x=y' });
+  assert.throws(() => parseVars(['oops']), WorkflowError);
+});
+
+test('the calculator workflow file runs on the mock desktop', async () => {
+  const { outcome, desktop } = await run(null, {
+    workflow: loadWorkflow('workflows/calculator.yaml'),
+    vars: { a: 'Nine', expected: '12' }
+  });
+
+  assert.equal(outcome.success, true, outcome.error);
+  assert.deepEqual(actionsOf(desktop, 'click').map(action => action.target.name), ['Clear', 'Nine', 'Plus', 'Three', 'Equals']);
+  assert.equal(outcome.vars.result, '12');
+
+  const { outcome: wrong } = await run(null, { workflow: loadWorkflow('workflows/calculator.yaml'), vars: { a: 'Nine' } });
+  assert.equal(wrong.success, false);
+  assert.match(wrong.error, /Expected text matching \/\\b10\$\/, got "12"/);
+});
+
+test('chained locators, captures, loops and conditionals', async () => {
+  const { outcome, events, desktop } = await run({
+    vars: { words: ['one', 'two'] },
+    steps: [
+      { openApplication: 'notepad' },
+      { locator: 'window:Notepad >> role:Edit', as: 'editor' },
+      { forEach: '${words}', as: 'word', steps: [{ typeText: '${word} ', target: 'editor' }] },
+      { repeat: 2, steps: [{ typeText: '${index}', target: 'editor' }] },
+      { text: 'editor', into: 'content' },
+      { if: { all: [{ contains: ['${content}', 'two'] }, { visible: 'role:Edit' }] }, then: [{ set: { verdict: 'yes' } }], else: [{ set: { verdict: 'no' } }] },
+      { if: { not: { visible: 'name:Missing' } }, then: [{ log: '${verdict}: ${content}' }] },
+      { runCommand: 'echo hi', into: 'greeting' }
+    ]
+  });
+
+  assert.equal(outcome.success, true, outcome.error);
+  assert.equal(outcome.vars.content, 'one two 12');
+  assert.equal(outcome.vars.verdict, 'yes');
+  assert.equal(outcome.vars.greeting, 'hi');
+  assert.deepEqual(events.filter(event => event.type === 'log').map(event => event.message), ['yes: one two 12']);
+  assert.deepEqual(events.filter(event => event.type === 'iteration').map(event => event.value), ['one', 'two', 1, 2]);
+  assert.ok(actionsOf(desktop, 'typeText').every(action => action.target.name === 'Text Editor'));
+});
+
+test('a failed step stops the workflow unless it may continue', async () => {
+  const { outcome, events } = await run({
+    steps: [
+      { click: 'name:Seven', continueOnError: true },
+      { repeat: 1, steps: [{ runCommand: 'missing-binary' }] },
+      { log: 'never' }
+    ]
+  });
+
+  assert.equal(outcome.success, false);
+  assert.equal(outcome.passed, 0);
+  assert.deepEqual(outcome.results.map(result => [result.id, result.status]), [['1', 'failed'], ['2.1', 'failed'], ['2', 'failed']]);
+  assert.match(outcome.error, /^Step 1 \(click name:Seven\) failed: No element found/);
+  assert.ok(!events.some(event => event.type === 'log'));
+
+  const commandFailure = outcome.results.find(result => result.id === '2.1');
+  assert.match(commandFailure.error, /^Exited with 127: mock desktop: no scripted output/);
+});
+
+test('runCommand steps obey the command policy and are killed after their timeout', async (t) => {
+  const desktop = mockDesktop({ commands: { serve: { hang: true } } });
+  const { outcome } = await run({
+    steps: [
+      { runCommand: 'reboot', continueOnError: true },
+      { runCommand: 'serve', timeout: 50, continueOnError: true },
+      { runCommand: 'echo done' }
+    ]
+  }, { desktop, policy: policyFor(tempDir(t)) });
+
+  assert.deepEqual(outcome.results.map(result => result.status), ['failed', 'failed', 'passed']);
+  assert.match(outcome.results[0].error, /^Blocked by policy \(blockedBinaries\)/);
+  assert.equal(outcome.results[1].error, 'Timed out after 50ms and was killed');
+  // The blocked command never reached the (mock) shell
+  assert.deepEqual(actionsOf(desktop, 'runCommand').map(action => action.command), ['serve', 'echo done']);
+
+  const timeouts = [];
+  const shell = async (command, { timeout }) => {
+    timeouts.push(timeout);
+    return { exitCode: 0, signal: null, stdout: '', stderr: '', durationMs: 0, timedOut: false, aborted: false, truncated: false };
+  };
+  await run({ steps: [{ runCommand: 'make' }, { runCommand: 'make', timeout: '${limit}' }], vars: { limit: 500 } }, { shell, policy: policyFor(tempDir(t)) });
+  assert.deepEqual(timeouts, [30000, 500]);
+});
+
+test('screenshots are saved relative to baseDir and an aborted run stops', async (t) => {
+  const dir = tempDir(t);
+  const { outcome } = await run({ steps: [{ screenshot: 'shot.png' }] }, { baseDir: dir });
+  assert.equal(outcome.success, true);
+  assert.ok(fs.statSync(path.join(dir, 'shot.png')).size > 0);
+
+  const controller = new AbortController();
+  const aborted = await run({ steps: [{ openApplication: 'calc' }, { log: 'never' }] }, {
+    signal: controller.signal,
+    onEvent: () => controller.abort()
+  });
+  assert.equal(aborted.outcome.success, false);
+  assert.equal(aborted.outcome.error, 'Interrupted by the user');
+});
+
+test('assert steps check named locators and report failures with a capture', async (t) => {
+  const dir = tempDir(t);
+  const desktop = mockDesktop();
+  const { outcome, events } = await run({
+    vars: { expected: '10' },
+    steps: [
+      { openApplication: 'calc' },
+      { locator: 'window:Calculator >> automationid:CalculatorResults', as: 'display' },
+      { assert: { count: ['window:Calculator >> role:Button', { min: '${expected}' }] } },
+      { repeat: 1, steps: [{ assert: { textEquals: ['display', '${expected}'] }, continueOnError: true }] },
+      { assert: { visible: 'window:Calculator' } }
+    ]
+  }, { desktop, captureFailure: createFailureCapture(desktop, { dir }) });
+
+  assert.deepEqual(outcome.results.map(result => [result.id, result.label, result.status]), [
+    ['1', 'openApplication calc', 'passed'],
+    ['2', 'locator display = window:Calculator >> automationid:CalculatorResults', 'passed'],
+    ['3', 'assert count window:Calculator >> role:Button {"min":"10"}', 'passed'],
+    ['4.1', 'assert textEquals display "10"', 'failed'],
+    ['4', 'repeat 1×', 'passed'],
+    ['5', 'assert visible window:Calculator', 'passed']
+  ]);
+
+  const failed = outcome.results[3];
+  assert.equal(failed.assertion.selector, 'window:Calculator >> automationid:CalculatorResults');
+  assert.equal(failed.failure.tree.name, 'Display is 0');
+  assert.ok(fs.existsSync(path.join(dir, failed.failure.screenshot)));
+  assert.equal(events.find(event => event.status === 'failed').failure, failed.failure);
+
+  const report = workflowReport(outcome);
+  assert.deepEqual([report.tests, report.passed, report.failed, report.success], [5, 4, 1, false]);
+  assert.equal(report.startedAt, outcome.startedAt);
+});
+
+test('an unknown assertion is a validation problem', () => {
+  assert.throws(() => parseWorkflow({ steps: [{ assert: { looksRight: 'name:Seven' } }] }), (error) => {
+    assert.match(error.problems[0], /^Step 1 \(assert\): assertion: expected one of textEquals, textContains, textMatches, visible, enabled, count, ocrContains/);
+    return true;
+  });
+});
+
+test('waitFor steps wait on the desktop instead of a fixed time', async () => {
+  const { outcome } = await run({
+    steps: [
+      { openApplication: 'calc' },
+      { locator: 'window:Calculator >> automationid:CalculatorResults', as: 'display' },
+      { waitFor: { visible: 'window:Calculator' } },
+      { waitFor: { windowTitle: 'calc' } },
+      { waitFor: { textStable: 'display' }, stableFor: 200 },
+      { waitFor: { gone: 'window:Notepad' } },
+      { waitFor: { enabled: 'name:Missing' }, timeout: 1500, continueOnError: true }
+    ]
+  });
+
+  assert.deepEqual(outcome.results.map(result => [result.label, result.status]), [
+    ['openApplication calc', 'passed'],
+    ['locator display = window:Calculator >> automationid:CalculatorResults', 'passed'],
+    ['waitFor visible window:Calculator', 'passed'],
+    ['waitFor windowTitle "calc"', 'passed'],
+    ['waitFor textStable display', 'passed'],
+    ['waitFor gone window:Notepad', 'passed'],
+    ['waitFor enabled name:Missing', 'failed']
+  ]);
+  assert.match(outcome.results[6].error, /^Timed out after 1500ms waiting for "name:Missing" to be enabled \(last error: No element found/);
+});
@@ -12,376 +12,27 @@
  * Powered by Terminator.js + Vercel AI SDK + Ollama
  */
 
-import { ollama } from 'ollama-ai-provider';
-import { generateText, streamText } from 'ai';
-import { z } from 'zod';
+import { streamText } from 'ai';
 import chalk from 'chalk';
-import fs from 'fs/promises';
-import { Desktop } from '../terminator/bindings/nodejs/index.js';
+import { createDesktop } from './lib/desktop.js';
+import { createModelRegistry } from './lib/models.js';
+import { createTools, pickTools, TOOLSETS } from './lib/tools/index.js';
 
 // Initialize desktop automation
-const desktop = new Desktop();
+const desktop = await createDesktop();
 console.log(chalk.blue('🎨 Initializing Vision AI Artist...'));
 
-// AI Models
-const reasoningModel = ollama('deepseek-r1:1.5b', { temperature: 0.7 });
-const visionModel = ollama('gemma3:4b-it-q4_K_M', { temperature: 0.3 }); // For vision analysis
-
-// AI Artist Tools with Vision Capabilities
-const artistTools = {
-  openPaint: {
-    description: 'Open Microsoft Paint application for drawing',
-    parameters: z.object({}),
-    execute: async () => {
-      try {
-        console.log(chalk.yellow('🚀 Opening MS Paint...'));
-        const app = desktop.openApplication('mspaint');
-        
-        // Wait for Paint to load
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        return {
-          success: true,
-          message: 'MS Paint opened successfully and ready for drawing!',
-          app: { name: app.name(), role: app.role() }
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  setupBrush: {
-    description: 'Configure brush settings for drawing',
-    parameters: z.object({
-      size: z.enum(['small', 'medium', 'large']).default('medium'),
-      color: z.enum(['black', 'red', 'blue', 'green', 'yellow', 'purple', 'orange']).default('black')
-    }),
-    execute: async ({ size = 'medium', color = 'black' }) => {
-      try {
-        console.log(chalk.yellow(`🎨 Setting up brush: ${size} ${color}...`));
-        
-        // Try to select brush tool
-        try {
-          const brushTool = desktop.locator('name:Brush');
-          await brushTool.click();
-        } catch {
-          try {
-            const brushTool = desktop.locator('automationid:BrushTool');
-            await brushTool.click();
-          } catch {
-            // Continue anyway - might already be selected
-          }
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        return {
-          success: true,
-          message: `Brush configured: ${size} ${color} brush ready!`,
-          settings: { size, color }
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  drawShape: {
-    description: 'Draw specific shapes on the canvas',
-    parameters: z.object({
-      shape: z.enum(['circle', 'square', 'star', 'heart', 'line', 'spiral', 'triangle']),
-      x: z.number().describe('X coordinate (200-800)'),
-      y: z.number().describe('Y coordinate (150-600)'),
-      size: z.number().describe('Size of the shape (20-150)')
-    }),
-    execute: async ({ shape, x, y, size }) => {
-      try {
-        console.log(chalk.yellow(`✏️ Drawing ${shape} at (${x}, ${y}) with size ${size}...`));
-        
-        // Get canvas area - try multiple selectors
-        let canvas;
-        try {
-          canvas = desktop.locator('name:Canvas');
-        } catch {
-          try {
-            canvas = desktop.locator('className:MSPaintView');
-          } catch {
-            // Use the Paint window itself
-            canvas = desktop.locator('name:Paint');
-          }
-        }
-        
-        // Draw the shape
-        switch (shape) {
-          case 'circle':
-            await drawCircle(canvas, x, y, size);
-            break;
-          case 'square':
-            await drawSquare(canvas, x, y, size);
-            break;
-          case 'star':
-            await drawStar(canvas, x, y, size);
-            break;
-          case 'heart':
-            await drawHeart(canvas, x, y, size);
-            break;
-          case 'triangle':
-            await drawTriangle(canvas, x, y, size);
-            break;
-          case 'line':
-            await drawLine(canvas, x - size/2, y, x + size/2, y);
-            break;
-          case 'spiral':
-            await drawSpiral(canvas, x, y, size);
-            break;
-          default:
-            await drawCircle(canvas, x, y, size);
-        }
-        
-        return {
-          success: true,
-          message: `Drew ${shape} at position (${x}, ${y}) with size ${size}`,
-          drawing: { shape, x, y, size }
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  captureArtwork: {
-    description: 'Take a screenshot to see the current artwork',
-    parameters: z.object({
-      purpose: z.string().optional().describe('Purpose of the capture (e.g., "verify star drawing")')
-    }),
-    execute: async ({ purpose = 'general artwork capture' }) => {
-      try {
-        console.log(chalk.yellow('📸 Capturing artwork...'));
-        
-        const screenshot = await desktop.captureScreen();
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `artwork_${timestamp}.png`;
-        
-        // Save screenshot
-        await fs.writeFile(filename, Buffer.from(screenshot.imageData));
-        
-        const fileSizeKB = Math.round(screenshot.imageData.length / 1024);
-        
-        return {
-          success: true,
-          message: `Artwork captured! File: ${filename} (${fileSizeKB}KB)`,
-          capture: {
-            filename,
-            size: `${screenshot.width}x${screenshot.height}`,
-            purpose,
-            fileSizeKB
-          }
-        };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  },
-
-  analyzeArtwork: {
-    description: 'Use AI vision to analyze the captured artwork and provide feedback',
-    parameters: z.object({
-      focus: z.string().optional().describe('Specific aspect to analyze (e.g., "check if star is well-formed")')
-    }),
-    execute: async ({ focus = 'overall composition and quality' }) => {
-      try {
-        console.log(chalk.yellow('🔍 Analyzing artwork with AI vision...'));
-        
-        // Find the most recent artwork capture
-        const files = await fs.readdir('.');
-        const artworkFiles = files.filter(f => f.startsWith('artwork_') && f.endsWith('.png'));
-        
-        if (artworkFiles.length === 0) {
-          return { success: false, error: 'No artwork captures found. Use captureArtwork first.' };
-        }
-        
-        // Get the latest file
-        const latestFile = artworkFiles.sort().pop();
-        const imageData = await fs.readFile(latestFile);
-        const base64Image = imageData.toString('base64');
-        
-        // Use vision model to analyze
-        const analysisPrompt = `You are analyzing a screenshot from MS Paint showing digital artwork created by an AI artist.
-
-ANALYSIS FOCUS: ${focus}
+// AI Models (see agent.config.json / AGENT_MODEL / AGENT_VISION_MODEL)
+const models = createModelRegistry();
+const reasoningModel = models.get('reasoning');
+const visionModel = models.get('vision'); // For vision analysis
 
-Please provide detailed feedback on:
-1. VISUAL ELEMENTS: What shapes, patterns, or drawings do you see?
-2. QUALITY: Are the drawn elements clean and well-formed?
-3. COMPOSITION: How are elements arranged? Is it balanced?
-4. COLORS: What colors are used?
-5. SUGGESTIONS: How could this artwork be improved?
-
-Be specific and constructive in your analysis to help the AI artist improve.
-
-[Image data: data:image/png;base64,${base64Image.substring(0, 100)}...]`;
-
-        try {
-          const analysis = await generateText({
-            model: visionModel,
-            prompt: analysisPrompt,
-            maxTokens: 500
-          });
-          
-          return {
-            success: true,
-            message: 'Artwork analysis completed',
-            analysis: analysis.text,
-            file: latestFile,
-            focus
-          };
-        } catch (visionError) {
-          // Fallback analysis without vision
-          const fallbackAnalysis = `🔍 TECHNICAL ANALYSIS of ${latestFile}:
-
-✅ CAPTURE SUCCESS:
-- Screenshot saved successfully (${Math.round(imageData.length / 1024)}KB)
-- Paint interface captured
-- Canvas area included in frame
-
-🎨 DRAWING ASSESSMENT:
-- Drawing operations completed on canvas
-- Coordinate-based shapes positioned accurately
-- Multiple drawing commands executed successfully
-- Geometric patterns and artistic elements created
-
-📊 COMPOSITION NOTES:
-- Elements placed using precise positioning
-- Canvas space utilized effectively
-- Drawing patterns follow artistic algorithms
-- Good spatial distribution of elements
-
-💡 IMPROVEMENT SUGGESTIONS:
-- Consider adding complementary shapes
-- Color variations could enhance appeal
-- Additional patterns would increase complexity
-- Balance between drawn and empty space looks good
-
-⚠️ Note: Detailed visual analysis temporarily limited. Enhanced technical assessment provided.
-Vision analysis error: ${visionError.message}`;
-
-          return {
-            success: true,
-            message: 'Artwork analysis completed (technical mode)',
-            analysis: fallbackAnalysis,
-            file: latestFile,
-            focus
-          };
-        }
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-  }
-};
-
-// Shape drawing functions
-async function drawCircle(canvas, x, y, radius) {
-  const points = [];
-  for (let i = 0; i <= 360; i += 10) {
-    const angle = (i * Math.PI) / 180;
-    const px = x + radius * Math.cos(angle);
-    const py = y + radius * Math.sin(angle);
-    points.push([px, py]);
-  }
-  await drawConnectedPoints(canvas, points);
-}
-
-async function drawSquare(canvas, x, y, size) {
-  const half = size / 2;
-  const points = [
-    [x - half, y - half],
-    [x + half, y - half],
-    [x + half, y + half],
-    [x - half, y + half],
-    [x - half, y - half]
-  ];
-  await drawConnectedPoints(canvas, points);
-}
-
-async function drawStar(canvas, x, y, size) {
-  const points = [];
-  for (let i = 0; i < 11; i++) {
-    const angle = (i * 36 * Math.PI) / 180;
-    const radius = i % 2 === 0 ? size : size / 2;
-    const px = x + radius * Math.cos(angle - Math.PI / 2);
-    const py = y + radius * Math.sin(angle - Math.PI / 2);
-    points.push([px, py]);
-  }
-  await drawConnectedPoints(canvas, points);
-}
-
-async function drawHeart(canvas, x, y, size) {
-  const points = [];
-  const scale = size / 20;
-  for (let i = 0; i < 360; i += 10) {
-    const t = (i * Math.PI) / 180;
-    const px = x + scale * 16 * Math.pow(Math.sin(t), 3);
-    const py = y - scale * (13 * Math.cos(t) - 5 * Math.cos(2*t) - 2 * Math.cos(3*t) - Math.cos(4*t));
-    points.push([px, py]);
-  }
-  await drawConnectedPoints(canvas, points);
-}
-
-async function drawTriangle(canvas, x, y, size) {
-  const height = (size * Math.sqrt(3)) / 2;
-  const points = [
-    [x, y - height / 2],
-    [x - size / 2, y + height / 2],
-    [x + size / 2, y + height / 2],
-    [x, y - height / 2]
-  ];
-  await drawConnectedPoints(canvas, points);
-}
-
-async function drawLine(canvas, x1, y1, x2, y2) {
-  try {
-    canvas.mouseClickAndHold(Math.round(x1), Math.round(y1));
-    await new Promise(resolve => setTimeout(resolve, 100));
-    canvas.mouseMove(Math.round(x2), Math.round(y2));
-    canvas.mouseRelease();
-  } catch (error) {
-    console.log(chalk.gray(`Drawing line: ${error.message}`));
-  }
-}
-
-async function drawSpiral(canvas, x, y, size) {
-  const points = [];
-  for (let i = 0; i < 720; i += 15) {
-    const angle = (i * Math.PI) / 180;
-    const radius = (i / 720) * size;
-    const px = x + radius * Math.cos(angle);
-    const py = y + radius * Math.sin(angle);
-    points.push([px, py]);
-  }
-  await drawConnectedPoints(canvas, points);
-}
-
-async function drawConnectedPoints(canvas, points) {
-  if (points.length === 0) return;
-  
-  try {
-    const [startX, startY] = points[0];
-    canvas.mouseClickAndHold(Math.round(startX), Math.round(startY));
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    for (let i = 1; i < points.length; i++) {
-      const [x, y] = points[i];
-      canvas.mouseMove(Math.round(x), Math.round(y));
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-    
-    canvas.mouseRelease();
-  } catch (error) {
-    console.log(chalk.gray(`Drawing points: ${error.message}`));
-  }
-}
+// AI Artist Tools with Vision Capabilities (shared library in lib/tools)
+const artistTools = pickTools(createTools({
+  desktop,
+  visionModel,
+  log: message => console.log(chalk.yellow(message))
+}), TOOLSETS.artist);
 
 // Vision AI Artist Agent
 class VisionAIArtist {
@@ -423,13 +74,7 @@ Goal: Create ${description} with vision verification.`;
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Create ${description} artwork in MS Paint. Follow the workflow: open paint, setup brush, draw shapes, capture and analyze each step to verify quality.` }
         ],
-        tools: {
-          openPaint: artistTools.openPaint,
-          setupBrush: artistTools.setupBrush,
-          drawShape: artistTools.drawShape,
-          captureArtwork: artistTools.captureArtwork,
-          analyzeArtwork: artistTools.analyzeArtwork
-        },
+        tools: artistTools,
         maxTokens: 1000
       });
 
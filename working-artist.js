@@ -10,89 +10,48 @@
  * - Uses AI to analyze
  */
 
-import { ollama } from 'ollama-ai-provider';
-import { generateText } from 'ai';
 import chalk from 'chalk';
-import fs from 'fs/promises';
-import { Desktop } from '../terminator/bindings/nodejs/index.js';
+import { createDesktop } from './lib/desktop.js';
+import { createModelRegistry } from './lib/models.js';
+import { createTools, pickTools, TOOLSETS } from './lib/tools/index.js';
 
-const model = ollama('gemma3:4b-it-q4_K_M', { temperature: 0.7 });
-const desktop = new Desktop();
+const model = createModelRegistry().get('artist'); // see agent.config.json / AGENT_ARTIST_MODEL
+const desktop = await createDesktop();
 
 console.log(chalk.blue('🎨 Working Vision Artist'));
 
+// Shared tools (lib/tools) with this script's simple true/false flow on top
+const tools = pickTools(createTools({
+  desktop,
+  visionModel: model,
+  log: message => console.log(chalk.yellow(message))
+}), TOOLSETS.sketch);
+
+function report(result) {
+  console.log(result.success ? chalk.green(`✅ ${result.message}`) : chalk.red(`❌ ${result.error}`));
+  return result.success;
+}
+
 async function openPaint() {
-  try {
-    console.log(chalk.yellow('🚀 Opening Paint...'));
-    desktop.openApplication('mspaint');
-    await new Promise(r => setTimeout(r, 3000));
-    console.log(chalk.green('✅ Paint opened'));
-    return true;
-  } catch (error) {
-    console.log(chalk.red(`❌ Failed to open Paint: ${error.message}`));
-    return false;
-  }
+  return report(await tools.openPaint.execute({}));
 }
 
 async function drawSomething(x1, y1, x2, y2, description) {
-  try {
-    console.log(chalk.yellow(`✏️ Drawing ${description} from (${x1},${y1}) to (${x2},${y2})...`));
-    
-    const paintWindow = desktop.locator('name:Paint');
-    paintWindow.mouseClickAndHold(x1, y1);
-    await new Promise(r => setTimeout(r, 100));
-    paintWindow.mouseMove(x2, y2);
-    paintWindow.mouseRelease();
-    
-    console.log(chalk.green(`✅ Drew ${description}`));
-    return true;
-  } catch (error) {
-    console.log(chalk.red(`❌ Failed to draw: ${error.message}`));
-    return false;
-  }
+  return report(await tools.drawOnCanvas.execute({ startX: x1, startY: y1, endX: x2, endY: y2, description }));
 }
 
 async function takeScreenshot() {
-  try {
-    console.log(chalk.yellow('📸 Taking screenshot...'));
-    
-    const screenshot = await desktop.captureScreen();
-    const filename = `artwork_${Date.now()}.png`;
-    
-    await fs.writeFile(filename, Buffer.from(screenshot.imageData));
-    const sizeKB = Math.round(screenshot.imageData.length / 1024);
-    
-    console.log(chalk.green(`✅ Screenshot saved: ${filename} (${sizeKB}KB)`));
-    return filename;
-  } catch (error) {
-    console.log(chalk.red(`❌ Failed to take screenshot: ${error.message}`));
-    return null;
-  }
+  const result = await tools.captureArtwork.execute({ purpose: 'check artwork' });
+  return report(result) ? result.capture.filename : null;
 }
 
 async function analyzeArtwork(filename) {
-  try {
-    console.log(chalk.yellow('🔍 Analyzing artwork with AI...'));
-    
-    const imageData = await fs.readFile(filename);
-    const base64 = imageData.toString('base64');
-    
-    const prompt = `Look at this MS Paint screenshot. What do you see? Describe the artwork, shapes, colors, and overall composition.
-
-Be specific about what was drawn and how it looks.
+  const result = await tools.analyzeArtwork.execute({ file: filename });
+  if (!report(result)) return null;
 
-[Image: data:image/png;base64,${base64.substring(0, 100)}...]`;
-
-    const { text } = await generateText({ model, prompt, maxTokens: 300 });
-    
-    console.log(chalk.cyan('\n👁️ AI Vision Analysis:'));
-    console.log(chalk.white(text));
-    
-    return text;
-  } catch (error) {
-    console.log(chalk.red(`❌ Failed to analyze: ${error.message}`));
-    return null;
-  }
+  console.log(chalk.cyan('\n👁️ AI Vision Analysis:'));
+  console.log(chalk.white(result.analysis));
+  return result.analysis;
 }
 
 // Main workflow